@@ -1,25 +1,98 @@
-// From vaft script (https://github.com/pixeltris/TwitchAdSolutions/blob/master/vaft/vaft.user.js#L299)
-function getWasmWorkerJs(twitchBlobUrl) {
-    var req = new XMLHttpRequest();
-    req.open('GET', twitchBlobUrl, false);
-    req.overrideMimeType("text/javascript");
-    req.send();
-    return req.responseText;
+// Modules the worker patch depends on, relative to the patch itself
+const worker_modules = [
+    "version.js",
+    "gql-client.js",
+    "worker/vod-cache.js",
+    "worker/mp4-codecs.js",
+    "worker/ts-probe.js",
+    "worker/page-channel.js",
+    "worker/vod-recovery.js",
+    "worker/url-templates.js",
+    "worker/usher-playlist.js",
+    "worker/live-window.js"
+];
+
+// Worker patch given by the content script (see src/twitchnosub.js):
+// { version, patchUrl } or { version, workerSource } when the patch is inlined
+let worker_config = null;
+
+// Events are dispatched synchronously: the content script answers before any
+// page script runs, and only the first answer is taken
+function onWorkerConfig(event) {
+    try {
+        worker_config = JSON.parse(event.detail);
+    } catch (e) {
+        console.log("[TNS] Invalid worker config");
+        return;
+    }
+
+    document.removeEventListener("tns:init", onWorkerConfig);
+
+    if (worker_config.workerSource) {
+        worker_config.patchUrl = URL.createObjectURL(new Blob([worker_config.workerSource], { type: "text/javascript" }));
+    }
+}
+
+document.addEventListener("tns:init", onWorkerConfig);
+document.dispatchEvent(new CustomEvent("tns:ready"));
+
+// BroadcastChannel between the player workers of this page and the DVR (see
+// DVRWorkerBridge): each tab has its own, the workers of other tabs can't reach it
+window.TNS_WORKER_CHANNEL = window.TNS_WORKER_CHANNEL || `tns-worker-${crypto.randomUUID()}`;
+
+// Ordered VOD storage hosts override, e.g. ["d1m7jfoe9zdc1j.cloudfront.net", ...]
+function getVodHosts() {
+    try {
+        return JSON.parse(localStorage.getItem("tns-vod-hosts"));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Quality selected in the Twitch player, the worker can't read localStorage
+function getPreferredQuality() {
+    try {
+        return JSON.parse(localStorage.getItem("video-quality"))?.default || null;
+    } catch (e) {
+        return null;
+    }
 }
 
 const oldWorker = window.Worker;
 
+// Start the worker from a small shim that loads the patch, then the original
+// worker script with importScripts, so the page never downloads the worker itself
 window.Worker = class Worker extends oldWorker {
-    constructor(twitchBlobUrl) {
-        var workerString = getWasmWorkerJs(`${twitchBlobUrl.replaceAll("'", "%27")}`);
+    constructor(twitchBlobUrl, options) {
+        // importScripts is not available in module workers
+        if (options?.type === "module" || !worker_config?.patchUrl) {
+            if (!worker_config?.patchUrl) console.log("[TNS] No worker patch, starting the player worker unpatched");
+
+            super(twitchBlobUrl, options);
+            return;
+        }
+
+        const patchUrl = worker_config.patchUrl;
+
+        // An inlined patch already contains its modules
+        const workerModules = worker_config.workerSource ? [] : worker_modules.map(module => new URL(module, patchUrl).href);
 
         const blobUrl = URL.createObjectURL(new Blob([`
-            importScripts(
-                '${patch_url}',
-            );
-            ${workerString}
-        `]));
+            self.TNS_PREFERRED_QUALITY = ${JSON.stringify(getPreferredQuality())};
+            self.TNS_VOD_HOSTS = ${JSON.stringify(getVodHosts())};
+            self.TNS_PAGE_VERSION = ${JSON.stringify(worker_config.version || null)};
+            self.TNS_WORKER_CHANNEL = ${JSON.stringify(window.TNS_WORKER_CHANNEL)};
+            for (const module of ${JSON.stringify(workerModules)}) {
+                try {
+                    importScripts(module);
+                } catch (e) {
+                    console.log("[TNS] Unable to load worker module " + module);
+                }
+            }
+            importScripts(${JSON.stringify(patchUrl)});
+            importScripts(${JSON.stringify(new URL(twitchBlobUrl, location.href).href)});
+        `], { type: "text/javascript" }));
 
-        super(blobUrl);
+        super(blobUrl, options);
     }
-}
\ No newline at end of file
+}
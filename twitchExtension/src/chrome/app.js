@@ -1 +0,0 @@
-const patch_url = "https://cdn.jsdelivr.net/gh/besuper/TwitchNoSub@master/src/patch_amazonworker.js";
\ No newline at end of file
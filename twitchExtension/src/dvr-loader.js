@@ -1,6 +1,7 @@
 /**
  * TwitchNoSub DVR Loader
- * Content script that injects DVR modules into the page context
+ * Content script that injects DVR modules into the page context on Firefox,
+ * Chrome loads them as MAIN world content scripts (see manifest.json)
  */
 
 (function () {
@@ -12,15 +13,14 @@
     console.log('[TNS-DVR] Loader script running');
 
     /**
-     * Inject a script into the page context
+     * Inject a script into the page context, after the ones already injected
      */
-    function injectScript(src, onload) {
+    function injectScript(src) {
         const script = document.createElement('script');
         script.src = chrome.runtime.getURL(src);
-        script.onload = () => {
-            script.remove();
-            if (onload) onload();
-        };
+        // Dynamic scripts run as soon as they load unless async is cleared
+        script.async = false;
+        script.onload = () => script.remove();
         script.onerror = (e) => {
             console.error('[TNS-DVR] Failed to load script:', src, e);
             script.remove();
@@ -28,42 +28,24 @@
         (document.head || document.documentElement).appendChild(script);
     }
 
-    /**
-     * Load DVR modules in sequence
-     */
-    function loadDVRModules() {
-        // Load modules in order (dependencies first)
-        const modules = [
-            'src/dvr/dvr-tracker.js',
-            'src/dvr/dvr-ui.js',
-            'src/dvr/dvr-controller.js',
-            'src/dvr/dvr-inject.js'
-        ];
-
-        let loadIndex = 0;
-
-        function loadNext() {
-            if (loadIndex < modules.length) {
-                const module = modules[loadIndex];
-                console.log(`[TNS-DVR] Loading module: ${module}`);
-                injectScript(module, () => {
-                    loadIndex++;
-                    // Small delay between module loads
-                    setTimeout(loadNext, 50);
-                });
-            } else {
-                console.log('[TNS-DVR] All DVR modules loaded');
-            }
-        }
-
-        loadNext();
-    }
-
-    // Start loading modules when DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', loadDVRModules);
-    } else {
-        loadDVRModules();
-    }
+    // Same order as the MAIN world content scripts of manifest.json
+    // (dependencies first, dvr-inject.js starts the controller)
+    const modules = [
+        'src/gql-client.js',
+        'src/worker/vod-cache.js',
+        'src/worker/ts-probe.js',
+        'src/dvr/dvr-hls-parser.js',
+        'src/dvr/dvr-tracker.js',
+        'src/dvr/dvr-ui.js',
+        'src/dvr/dvr-worker-bridge.js',
+        'src/dvr/dvr-vod-recovery.js',
+        'src/dvr/dvr-mp4-remuxer.js',
+        'src/dvr/dvr-vod-export.js',
+        'src/dvr/dvr-playlist-export.js',
+        'src/dvr/dvr-controller.js',
+        'src/dvr/dvr-inject.js'
+    ];
+
+    modules.forEach(injectScript);
 
 })();
@@ -3,11 +3,20 @@
  * Uses an overlay VOD player for seamless seeking beyond live buffer
  * 
  * Features:
- * - Uses browser's actual video buffer for short seeks (~60-90s)
+ * - Uses the live player for short seeks: its buffer, and the longer live
+ *   playlist the worker serves (see worker/live-window.js)
  * - Overlays VOD player for longer seeks (no page navigation!)
  * - Seamless swap between Live and VOD players
  */
 
+// Unlock failure reasons sent by the worker, in diagnostics and as the error
+// of vodPlaylist requests
+const DVR_FAILURE_MESSAGES = {
+    no_location: 'Aucun emplacement de stockage trouvé pour cette VOD',
+    recovering: 'Récupération de la VOD en cours, le lecteur se rechargera',
+    no_quality: 'Aucune qualité lisible trouvée'
+};
+
 class DVRController {
     constructor() {
         this.tracker = null;
@@ -27,12 +36,39 @@ class DVRController {
         this.isWatchingVod = false;
         this.vodEmbedLoaded = false;
 
+        this.gql = new window.TNS_TwitchGQLClient();
+
+        // Worker events (unlocked VODs)
+        this.workerBridge = null;
+        this.currentPageVodId = null;
+        this.mutedSegments = null;
+        this.vodPageInterval = null;
+        this.vodHosts = {};
+        this.diagnostics = {};
+        this.vodRecovery = null;
+
+        // Live playlist window the worker serves the player, and the live
+        // variants it read (channel login -> variants, they can come before startDVR)
+        this.liveWindow = null;
+        this.liveVariants = {};
+
+        // Audio only mode
+        this.audioOnlyAppliedTo = null;
+        this.qualityBeforeAudioOnly = null;
+
+        // Export of a VOD range to MP4, and of playlists for external players
+        this.vodExport = null;
+        this.playlistExport = null;
+
         // Settings
         this.settings = {
             enabled: true,
             showOnHover: true,
-            autoHideDelay: 3000
+            autoHideDelay: 3000,
+            skipMuted: false,
+            audioOnly: false
         };
+        this.loadSettings();
 
         this.hideTimeout = null;
         this.lastInteractionTime = Date.now();
@@ -56,6 +92,32 @@ class DVRController {
         this.ui.onSeek = this.handleSeek.bind(this);
         this.ui.onGoLive = this.handleGoLive.bind(this);
         this.ui.onPreview = this.handlePreview.bind(this);
+        this.ui.onToggleSkipMuted = this.toggleSkipMuted.bind(this);
+        this.ui.onRecoverVod = () => this.recoverVod();
+        this.ui.onToggleAudioOnly = this.toggleAudioOnly.bind(this);
+        this.ui.onToggleExport = this.toggleExportPanel.bind(this);
+        this.ui.onExportStart = this.exportRange.bind(this);
+        this.ui.onExportCancel = this.cancelExport.bind(this);
+        this.ui.onTogglePlaylist = this.togglePlaylistPanel.bind(this);
+        this.ui.onPlaylistCopy = (quality, start) => this.exportPlaylist('copy', quality, start);
+        this.ui.onPlaylistDownload = (quality, start) => this.exportPlaylist('download', quality, start);
+
+        this.vodRecovery = new window.TNS_DVRVodRecovery();
+        this.vodExport = new window.TNS_DVRVodExport();
+
+        // Listen to events from the patched player worker
+        this.workerBridge = new window.TNS_DVRWorkerBridge();
+        this.workerBridge.on('mutedSegments', this.handleMutedSegments.bind(this));
+        this.workerBridge.on('vodHost', this.handleVodHost.bind(this));
+        this.workerBridge.on('gqlMissing', this.handleGqlMissing.bind(this));
+        this.workerBridge.on('recovery', this.handleRecovery.bind(this));
+        this.workerBridge.on('diagnostics', this.handleDiagnostics.bind(this));
+        this.workerBridge.on('versionMismatch', this.handleVersionMismatch.bind(this));
+        this.workerBridge.on('liveWindow', this.handleLiveWindow.bind(this));
+        this.workerBridge.on('liveVariants', this.handleLiveVariants.bind(this));
+        this.workerBridge.on('livePlaylist', this.handleLivePlaylist.bind(this));
+
+        this.playlistExport = new window.TNS_DVRPlaylistExport(this.workerBridge);
 
         // Watch for URL changes (SPA navigation)
         this.setupNavigationObserver();
@@ -104,6 +166,7 @@ class DVRController {
 
         // Remove return to live button if exists
         this.removeReturnToLiveButton();
+        this.stopVodPageLoop();
 
         // Check if this is a channel page (live stream)
         if (pathParts.length === 1 && !['directory', 'videos', 'clips', 'settings', 'subscriptions', 'inventory', 'drops', 'wallet'].includes(pathParts[0])) {
@@ -113,6 +176,9 @@ class DVRController {
             this.checkStreamInfo(channelName).then(info => {
                 if (info.isLive) {
                     this.startDVR(channelName, info);
+                } else if (info.failed && this.currentChannel === channelName) {
+                    // Keep the DVR running through a failed request
+                    console.warn(`[TNS-DVR] Could not check stream info for ${channelName}: ${info.error}`);
                 } else {
                     this.stopDVR();
                 }
@@ -128,43 +194,626 @@ class DVRController {
     async handleVodPage(vodId) {
         this.stopDVR();
 
+        if (this.currentPageVodId !== vodId) {
+            this.currentPageVodId = vodId;
+            this.mutedSegments = null;
+            this.ui?.removeMutedRanges();
+            this.ui?.removeRecoverVodButton();
+            this.ui?.removeDiagnosticsPanel();
+            this.vodExport?.cancel();
+            this.ui?.removeExportPanel();
+        }
+        this.startVodPageLoop();
+
+        const result = await this.gql.getVideo(vodId);
+
+        if (result.status !== window.TNS_GQLResult.OK) {
+            if (result.status !== window.TNS_GQLResult.NOT_FOUND) {
+                console.error(`[TNS-DVR] Error checking VOD info (${result.status}):`, result.error);
+            }
+            this.removeReturnToLiveButton();
+            return;
+        }
+
+        const video = result.data;
+
+        if (video.owner?.stream) {
+            const channelLogin = video.owner.login;
+            const channelName = video.owner.displayName;
+            console.log(`[TNS-DVR] VOD owner ${channelName} is still live!`);
+            this.showReturnToLiveButton(channelLogin, channelName);
+        } else {
+            this.removeReturnToLiveButton();
+        }
+    }
+
+    /**
+     * Handle muted ranges reported by the worker for the VOD being played
+     */
+    handleMutedSegments(data) {
+        if (!this.currentPageVodId) return;
+
+        // Ignore playlists of another VOD (only known for unlocked VODs)
+        if (data.vodId && data.vodId !== this.currentPageVodId) return;
+
+        this.mutedSegments = {
+            vodId: this.currentPageVodId,
+            // Variant playlist being played
+            url: data.url,
+            ranges: data.ranges,
+            duration: data.duration
+        };
+
+        if (data.ranges.length > 0) {
+            console.log(`[TNS-DVR] VOD ${this.currentPageVodId} has ${data.ranges.length} muted section(s)`);
+        }
+    }
+
+    /**
+     * Remember which storage host the worker used for an unlocked VOD
+     */
+    handleVodHost(data) {
+        this.vodHosts[data.vodId] = data;
+
+        if (data.host) {
+            console.log(`[TNS-DVR] VOD ${data.vodId} served from ${data.host}${data.cached ? ' (cached)' : ''}`);
+        } else {
+            console.warn(`[TNS-DVR] No storage host found for VOD ${data.vodId}, tried:`, data.tried);
+        }
+    }
+
+    /**
+     * Collect the unlock steps reported by the worker for a VOD
+     */
+    handleDiagnostics(data) {
+        const { vodId, stage, ...details } = data;
+        if (!vodId) return;
+
+        // A new usher request starts a new unlock
+        if (stage === 'usher' || !this.diagnostics[vodId]) {
+            this.diagnostics[vodId] = {
+                vodId,
+                usher: null,
+                cache: null,
+                gql: null,
+                host: null,
+                recovery: null,
+                variants: [],
+                variantsComplete: false,
+                failures: []
+            };
+        }
+
+        const entry = this.diagnostics[vodId];
+
+        if (stage === 'variants') {
+            entry.variants = details.variants;
+            entry.variantsComplete = details.complete;
+        } else if (stage === 'failure') {
+            entry.failures.push(this.describeFailure(details.reason));
+            console.warn(`[TNS-DVR] Unlock of VOD ${vodId} failed: ${details.reason}`);
+        } else {
+            entry[stage] = details;
+        }
+
+        entry.updatedAt = Date.now();
+
+        if (vodId === this.currentPageVodId) {
+            this.ui?.renderDiagnosticsPanel(entry);
+        }
+    }
+
+    /**
+     * French message of a failure reason from the worker, page side errors
+     * are already French
+     */
+    describeFailure(reason) {
+        return DVR_FAILURE_MESSAGES[reason] || reason;
+    }
+
+    /**
+     * The player worker runs a patch from another version than the extension
+     */
+    handleVersionMismatch(data) {
+        console.warn(`[TNS-DVR] Worker patch version ${data.worker} doesn't match the extension version ${data.page}`);
+        this.showNotification(`⚠️ Patch du lecteur (${data.worker || 'inconnu'}) différent de l'extension (${data.page})`);
+    }
+
+    /**
+     * Live worker events of this tab's stream, not of the other players of the
+     * page (previews). Playlists whose channel the worker doesn't know are dropped.
+     */
+    isCurrentLiveEvent(data) {
+        return this.isActive && !!data.channel && data.channel === this.currentChannel?.toLowerCase();
+    }
+
+    /**
+     * The worker extended the live playlist of the variant being played
+     */
+    handleLiveWindow(data) {
+        if (!this.isCurrentLiveEvent(data)) return;
+
+        this.liveWindow = { ...data, receivedAt: Date.now() };
+    }
+
+    /**
+     * Variants of the live usher playlist the worker read
+     */
+    handleLiveVariants(data) {
+        this.liveVariants[data.channel] = data.variants;
+
+        if (this.isCurrentLiveEvent(data)) {
+            this.tracker.setVariants(data.variants);
+        }
+    }
+
+    /**
+     * Live media playlist the player fetched from the worker
+     */
+    handleLivePlaylist(data) {
+        if (!this.isCurrentLiveEvent(data)) return;
+
+        this.tracker.processPlaylist(data.body, data.url, data.variant);
+    }
+
+    /**
+     * The worker found no GQL metadata for the VOD being opened
+     */
+    handleGqlMissing(data) {
+        if (data.vodId !== this.currentPageVodId) return;
+
+        console.warn(`[TNS-DVR] No metadata for VOD ${data.vodId}, recovery available`);
+        this.ui.createRecoverVodButton();
+    }
+
+    /**
+     * Progress of a VOD recovery in the worker. The search runs in the
+     * background, the player is reloaded to play the VOD once found.
+     */
+    handleRecovery(data) {
+        if (data.vodId !== this.currentPageVodId) return;
+
+        if (data.status === 'found') {
+            this.ui.removeRecoverVodButton();
+            this.showNotification('✅ VOD récupérée, rechargement...');
+            setTimeout(() => window.location.reload(), 1500);
+        } else if (data.status === 'failed') {
+            this.showNotification('⚠️ Impossible de retrouver cette VOD');
+        } else {
+            this.showNotification('🛠️ Recherche de la VOD...');
+        }
+    }
+
+    /**
+     * Recover a VOD without metadata from its broadcast info.
+     * Without arguments the user is prompted; trackerUrl is a stream tracker
+     * URL (or "login broadcastId"), startTime a UTC date or unix timestamp.
+     * On a VOD page the current VOD is recovered, elsewhere the broadcast id
+     * is opened as the VOD id.
+     */
+    async recoverVod(trackerUrl, startTime) {
+        let params;
+
         try {
-            const response = await fetch('https://gql.twitch.tv/gql', {
-                method: 'POST',
-                headers: {
-                    'Client-Id': 'kimne78kx3ncx6brgo4mv6wki5h1ko',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: `query {
-                        video(id: "${vodId}") {
-                            id
-                            owner {
-                                login
-                                displayName
-                                stream {
-                                    id
-                                    createdAt
-                                }
-                            }
-                        }
-                    }`
-                })
-            });
+            if (trackerUrl) {
+                const broadcast = this.vodRecovery.parseTrackerUrl(trackerUrl);
+                const start = this.vodRecovery.parseStartTime(String(startTime ?? ''));
 
-            const data = await response.json();
-            const video = data?.data?.video;
+                if (!broadcast || !start) {
+                    throw new Error('Lien ou date de début non reconnu');
+                }
 
-            if (video?.owner?.stream) {
-                const channelLogin = video.owner.login;
-                const channelName = video.owner.displayName;
-                console.log(`[TNS-DVR] VOD owner ${channelName} is still live!`);
-                this.showReturnToLiveButton(channelLogin, channelName);
+                params = { ...broadcast, ...start };
             } else {
-                this.removeReturnToLiveButton();
+                params = this.vodRecovery.promptParams();
             }
         } catch (error) {
-            console.error('[TNS-DVR] Error checking VOD info:', error);
+            this.showNotification(`⚠️ ${error.message}`);
+            return;
+        }
+
+        if (!params) return;
+
+        const vodId = this.currentPageVodId || params.broadcastId;
+        await this.vodRecovery.save(vodId, params);
+
+        // The player only asks usher for the VOD on load
+        if (this.currentPageVodId) {
+            window.location.reload();
+        } else {
+            window.location.href = `https://www.twitch.tv/videos/${vodId}`;
+        }
+    }
+
+    /**
+     * Start the VOD page loop (muted ranges and skipping)
+     */
+    startVodPageLoop() {
+        if (this.vodPageInterval) return;
+
+        this.vodPageInterval = setInterval(() => this.updateVodPage(), 500);
+    }
+
+    /**
+     * Stop the VOD page loop and clean up its UI
+     */
+    stopVodPageLoop() {
+        if (this.vodPageInterval) {
+            clearInterval(this.vodPageInterval);
+            this.vodPageInterval = null;
+        }
+
+        this.currentPageVodId = null;
+        this.mutedSegments = null;
+        this.audioOnlyAppliedTo = null;
+
+        if (this.ui) {
+            this.ui.removeMutedRanges();
+            this.ui.removeSkipMutedToggle();
+            this.ui.removeAudioOnlyToggle();
+            this.ui.removeDiagnosticsPanel();
+            this.ui.removeExportButton();
+            this.ui.removeExportPanel();
+            this.ui.removePlaylistButton();
+            this.ui.removePlaylistPanel();
+        }
+
+        this.vodExport?.cancel();
+    }
+
+    /**
+     * Keep the audio only mode applied, muted ranges drawn and skip them when enabled
+     */
+    updateVodPage() {
+        if (!this.ui) return;
+
+        this.ui.updateAudioOnlyToggle(this.settings.audioOnly);
+
+        // Twitch re-renders the player, keep the panel of unlocked VODs in place
+        if (this.diagnostics[this.currentPageVodId]) {
+            this.ui.renderDiagnosticsPanel(this.diagnostics[this.currentPageVodId]);
+        }
+
+        if (this.getExportPlaylistUrl()) {
+            this.ui.updateExportButton();
+        }
+
+        this.ui.updatePlaylistButton();
+
+        // Once per VOD, so the user can still pick another quality in the player
+        if (this.settings.audioOnly && this.audioOnlyAppliedTo !== this.currentPageVodId) {
+            const player = this.getPageMediaPlayer();
+
+            if (player && this.setPlayerAudioOnly(player, true, false)) {
+                this.audioOnlyAppliedTo = this.currentPageVodId;
+            }
+        }
+
+        if (!this.mutedSegments || this.mutedSegments.ranges.length === 0) return;
+
+        const { ranges, duration } = this.mutedSegments;
+
+        this.ui.renderMutedRanges(ranges, duration);
+        this.ui.updateSkipMutedToggle(this.settings.skipMuted);
+
+        if (!this.settings.skipMuted) return;
+
+        const video = document.querySelector('video');
+        if (!video || video.paused || video.seeking) return;
+
+        const range = ranges.find(r => video.currentTime >= r.start && video.currentTime < r.end - 0.5);
+        if (range) {
+            console.log(`[TNS-DVR] Skipping muted section ${this.formatTime(range.start)} - ${this.formatTime(range.end)}`);
+            video.currentTime = Math.min(range.end, duration);
+        }
+    }
+
+    /**
+     * Toggle the "skip muted sections" mode
+     */
+    toggleSkipMuted() {
+        this.settings.skipMuted = !this.settings.skipMuted;
+        this.saveSettings();
+        this.ui.updateSkipMutedToggle(this.settings.skipMuted);
+        this.showNotification(this.settings.skipMuted ? '🔇 Sections muettes ignorées' : '🔇 Sections muettes lues');
+    }
+
+    /**
+     * Variant playlist to export from: the one being played, or the best
+     * variant the worker resolved for an unlocked VOD
+     */
+    getExportPlaylistUrl() {
+        if (this.mutedSegments?.url && this.mutedSegments.vodId === this.currentPageVodId) {
+            return this.mutedSegments.url;
+        }
+
+        return this.diagnostics[this.currentPageVodId]?.variants[0]?.url || null;
+    }
+
+    /**
+     * Open the export panel with a minute from the current position, or close it
+     */
+    toggleExportPanel() {
+        if (this.ui.isExportPanelOpen()) {
+            if (!this.vodExport.running) this.ui.removeExportPanel();
+            return;
+        }
+
+        const video = document.querySelector('video');
+        const current = video ? video.currentTime : 0;
+
+        this.ui.showExportPanel(this.formatTime(current), this.formatTime(current + 60));
+    }
+
+    /**
+     * Export a range of the current VOD (times as typed in the panel) to an MP4 file
+     */
+    async exportRange(startText, endText) {
+        const vodId = this.currentPageVodId;
+        const playlistUrl = this.getExportPlaylistUrl();
+        const start = this.parseTime(startText);
+        const end = this.parseTime(endText);
+
+        if (!playlistUrl) {
+            this.ui.updateExportPanel(false, 0, 'Playlist de la VOD introuvable');
+            return;
+        }
+
+        if (start === null || end === null || end <= start) {
+            this.ui.updateExportPanel(false, 0, 'Plage invalide');
+            return;
+        }
+
+        this.vodExport.onProgress = (done, total) => {
+            const status = done < total ? `Téléchargement ${done}/${total}` : 'Conversion en MP4…';
+            this.ui.updateExportPanel(true, done / total, status);
+        };
+
+        this.ui.updateExportPanel(true, 0, 'Chargement de la playlist…');
+
+        try {
+            const blob = await this.vodExport.export(playlistUrl, start, end);
+            const filename = `twitch-${vodId}-${this.formatVodTimestamp(start)}-${this.formatVodTimestamp(end)}.mp4`;
+
+            this.vodExport.save(blob, filename);
+            this.ui.updateExportPanel(false, 1, `Terminé (${(blob.size / 1048576).toFixed(1)} Mo)`);
+            this.showNotification('✂️ Extrait enregistré');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.ui.updateExportPanel(false, 0, 'Export annulé');
+                return;
+            }
+
+            console.error('[TNS-DVR] Export failed:', error);
+            this.ui.updateExportPanel(false, 0, `Échec : ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel the running export, or close the panel when idle
+     */
+    cancelExport() {
+        if (this.vodExport.running) {
+            this.vodExport.cancel();
+        } else {
+            this.ui.removeExportPanel();
+        }
+    }
+
+    /**
+     * VOD the playlist panel exports, with the current position in it:
+     * the VOD page, or the archive VOD of the live stream
+     */
+    getPlaylistTarget() {
+        if (this.currentPageVodId) {
+            const video = document.querySelector('video');
+            return { vodId: this.currentPageVodId, position: video ? video.currentTime : 0 };
+        }
+
+        if (this.isActive && this.currentVodId) {
+            const player = this.isWatchingVod ? this.getVodEmbedPlayer() : null;
+            const position = player?.getCurrentTime
+                ? player.getCurrentTime()
+                : this.getElapsedTime() - this.getBufferInfo().behindLive;
+
+            return { vodId: this.currentVodId, position };
+        }
+
+        return null;
+    }
+
+    /**
+     * Open the playlist panel once the worker resolved the playlist, or close it
+     */
+    async togglePlaylistPanel() {
+        if (this.ui.isPlaylistPanelOpen()) {
+            this.ui.removePlaylistPanel();
+            return;
+        }
+
+        const target = this.getPlaylistTarget();
+        if (!target) return;
+
+        this.showNotification('📋 Préparation de la playlist...');
+
+        try {
+            const playlist = await this.playlistExport.getPlaylist(target.vodId);
+            this.ui.showPlaylistPanel(playlist.variants, this.formatTime(target.position));
+        } catch (error) {
+            console.error('[TNS-DVR] Could not get the VOD playlist:', error);
+            this.showNotification(`⚠️ Playlist indisponible : ${this.describeFailure(error.message)}`);
+        }
+    }
+
+    /**
+     * Copy or download the playlist picked in the panel
+     */
+    async exportPlaylist(action, quality, startText) {
+        const target = this.getPlaylistTarget();
+        if (!target) return;
+
+        let start = null;
+
+        if (startText.trim()) {
+            start = this.parseTime(startText);
+
+            if (start === null) {
+                this.ui.updatePlaylistStatus('Début invalide');
+                return;
+            }
+        }
+
+        try {
+            const { text, filename } = await this.playlistExport.build(target.vodId, quality, start);
+
+            if (action === 'copy') {
+                await this.playlistExport.copy(text);
+                this.ui.updatePlaylistStatus('Playlist copiée');
+            } else {
+                this.playlistExport.download(text, filename);
+                this.ui.updatePlaylistStatus('Playlist téléchargée');
+            }
+        } catch (error) {
+            console.error('[TNS-DVR] Playlist export failed:', error);
+            this.ui.updatePlaylistStatus(`Échec : ${this.describeFailure(error.message)}`);
+        }
+    }
+
+    /**
+     * Toggle the audio only mode, on the VOD page player and the VOD overlay
+     */
+    toggleAudioOnly() {
+        const enabled = !this.settings.audioOnly;
+
+        this.settings.audioOnly = enabled;
+        this.saveSettings();
+
+        let applied = false;
+
+        if (this.currentPageVodId) {
+            const player = this.getPageMediaPlayer();
+            applied = !!player && this.setPlayerAudioOnly(player, enabled, false);
+            this.audioOnlyAppliedTo = enabled && applied ? this.currentPageVodId : null;
+            this.ui.updateAudioOnlyToggle(enabled);
+        }
+
+        if (this.isWatchingVod) {
+            const player = this.getVodEmbedPlayer();
+            applied = (!!player && this.setPlayerAudioOnly(player, enabled, true)) || applied;
+        }
+
+        if (this.vodOverlay) {
+            this.ui.updateOverlayAudioOnlyToggle(this.vodOverlay, enabled);
+        }
+
+        if (enabled && !applied && (this.currentPageVodId || this.isWatchingVod)) {
+            this.showNotification('⚠️ Pas de version audio seule pour cette VOD');
+        } else {
+            this.showNotification(enabled ? '🎧 Audio seul activé' : '🎧 Audio seul désactivé');
+        }
+    }
+
+    /**
+     * Switch a player to the audio_only rendition, or back to the quality it had.
+     * The page player takes quality objects, the embed player group names.
+     * Returns false when the player has no audio only rendition.
+     */
+    setPlayerAudioOnly(player, enabled, useGroupNames) {
+        try {
+            const qualities = player.getQualities?.() || [];
+            const current = player.getQuality?.();
+            const currentGroup = typeof current === 'string' ? current : current?.group;
+
+            const select = (quality) => player.setQuality(useGroupNames ? quality.group : quality);
+
+            if (enabled) {
+                const audio = qualities.find(quality => quality.group === 'audio_only');
+                if (!audio) return false;
+
+                if (currentGroup !== 'audio_only') {
+                    this.qualityBeforeAudioOnly = {
+                        group: currentGroup || null,
+                        auto: !!player.isAutoQualityMode?.()
+                    };
+                    select(audio);
+                }
+
+                return true;
+            }
+
+            if (currentGroup !== 'audio_only') return true;
+
+            const before = this.qualityBeforeAudioOnly;
+            const previous = qualities.find(quality => quality.group === before?.group) ||
+                qualities.find(quality => quality.group !== 'audio_only' && quality.group !== 'auto');
+
+            if (before?.auto && player.setAutoQualityMode) {
+                player.setAutoQualityMode(true);
+            } else if (previous) {
+                select(previous);
+            }
+
+            return true;
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not change player quality:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Find the Twitch media player of the page through the React tree
+     */
+    getPageMediaPlayer() {
+        const element = document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+        if (!element) return null;
+
+        const fiberKey = Object.keys(element).find(key => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'));
+        let fiber = fiberKey ? element[fiberKey] : null;
+
+        for (let depth = 0; fiber && depth < 50; depth++) {
+            const instance = fiber.memoizedProps?.mediaPlayerInstance || fiber.stateNode?.props?.mediaPlayerInstance;
+            if (instance) {
+                return instance.core || instance;
+            }
+
+            fiber = fiber.return;
+        }
+
+        return null;
+    }
+
+    /**
+     * Player of the VOD overlay embed
+     */
+    getVodEmbedPlayer() {
+        if (!this.vodPlayer) return null;
+
+        return this.vodPlayer.getPlayer ? this.vodPlayer.getPlayer() : this.vodPlayer;
+    }
+
+    /**
+     * Load persisted settings
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tns-dvr-settings'));
+            if (saved) {
+                Object.assign(this.settings, saved);
+            }
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not load settings:', e);
+        }
+    }
+
+    /**
+     * Persist settings
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem('tns-dvr-settings', JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not save settings:', e);
         }
     }
 
@@ -226,52 +875,29 @@ class DVRController {
      * Get stream info including VOD ID using Twitch GQL
      */
     async checkStreamInfo(channelName) {
-        try {
-            const response = await fetch('https://gql.twitch.tv/gql', {
-                method: 'POST',
-                headers: {
-                    'Client-Id': 'kimne78kx3ncx6brgo4mv6wki5h1ko',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    query: `query {
-                        user(login: "${channelName}") {
-                            id
-                            stream {
-                                id
-                                createdAt
-                                archiveVideo {
-                                    id
-                                    createdAt
-                                    lengthSeconds
-                                    status
-                                }
-                            }
-                        }
-                    }`
-                })
-            });
-
-            const data = await response.json();
-            const user = data?.data?.user;
-            const stream = user?.stream;
-
-            if (stream) {
-                return {
-                    isLive: true,
-                    streamId: stream.id,
-                    streamStartTime: new Date(stream.createdAt).getTime(),
-                    vodId: stream.archiveVideo?.id || null,
-                    vodCreatedAt: stream.archiveVideo?.createdAt ? new Date(stream.archiveVideo.createdAt).getTime() : null,
-                    vodStatus: stream.archiveVideo?.status || null
-                };
-            }
+        const result = await this.gql.getStream(channelName);
+        const GQLResult = window.TNS_GQLResult;
+
+        if (result.status === GQLResult.OK) {
+            const stream = result.data;
+
+            return {
+                isLive: true,
+                streamId: stream.id,
+                streamStartTime: new Date(stream.createdAt).getTime(),
+                vodId: stream.archiveVideo?.id || null,
+                vodCreatedAt: stream.archiveVideo?.createdAt ? new Date(stream.archiveVideo.createdAt).getTime() : null,
+                vodStatus: stream.archiveVideo?.status || null
+            };
+        }
 
-            return { isLive: false };
-        } catch (error) {
-            console.error('[TNS-DVR] Error checking stream info:', error);
-            return { isLive: false };
+        if (result.status === GQLResult.NETWORK_ERROR || result.status === GQLResult.ERROR) {
+            console.error(`[TNS-DVR] Error checking stream info (${result.status}):`, result.error);
+            return { isLive: false, failed: true, error: result.error };
         }
+
+        // Offline or unknown channel
+        return { isLive: false };
     }
 
     /**
@@ -313,6 +939,7 @@ class DVRController {
         // Start tracking
         this.tracker.startTracking(channelName);
         this.tracker.streamStartTime = streamInfo.streamStartTime;
+        this.tracker.setVariants(this.liveVariants[channelName.toLowerCase()] || []);
 
         // Create and attach UI
         this.ui.create();
@@ -398,6 +1025,8 @@ class DVRController {
         returnBtn.onclick = () => this.switchToLive();
         this.vodOverlay.appendChild(returnBtn);
 
+        this.ui.updateOverlayAudioOnlyToggle(this.vodOverlay, this.settings.audioOnly);
+
         // Insert overlay into player container
         playerContainer.style.position = 'relative';
         playerContainer.appendChild(this.vodOverlay);
@@ -466,6 +1095,12 @@ class DVRController {
             // Listen to play/pause to sync if needed
             this.vodPlayer.addEventListener(window.Twitch.Embed.VIDEO_PLAY, () => {
                 this.isWatchingVod = true;
+
+                // Qualities are only known once playback started
+                if (this.settings.audioOnly) {
+                    const player = this.getVodEmbedPlayer();
+                    if (player) this.setPlayerAudioOnly(player, true, true);
+                }
             });
 
             console.log('[TNS-DVR] VOD embed initialized for video:', vodId);
@@ -594,9 +1229,12 @@ class DVRController {
         this.currentVodId = null;
         this.streamStartTime = null;
         this.isWatchingVod = false;
+        this.liveWindow = null;
 
         this.tracker.stopTracking();
         this.ui.hide();
+        this.ui.removePlaylistButton();
+        this.ui.removePlaylistPanel();
 
         // Clean up VOD overlay
         if (this.vodOverlay) {
@@ -726,7 +1364,12 @@ class DVRController {
      */
     getElapsedTime() {
         if (!this.streamStartTime) return 0;
-        return Math.floor((Date.now() - this.streamStartTime) / 1000);
+
+        // Broadcast time of the live edge from the playlists, so positions
+        // don't depend on the network latency or when the page was loaded
+        const liveEdgeTime = this.tracker?.getLiveEdgeTime() || Date.now();
+
+        return Math.max(0, Math.floor((liveEdgeTime - this.streamStartTime) / 1000));
     }
 
     /**
@@ -746,6 +1389,12 @@ class DVRController {
             bufferEnd = video.buffered.end(video.buffered.length - 1);
         }
 
+        // The player can also seek to the segments the worker kept in its
+        // live playlist, before what is buffered
+        if (this.liveWindow && !this.isWatchingVod && Date.now() - this.liveWindow.receivedAt < 30000) {
+            bufferStart = Math.max(0, Math.min(bufferStart, bufferEnd - this.liveWindow.duration));
+        }
+
         const currentTime = video.currentTime;
         const bufferDuration = bufferEnd - bufferStart;
         const behindLive = Math.max(0, bufferEnd - currentTime);
@@ -793,6 +1442,10 @@ class DVRController {
             bufferText = `DVR: ${this.formatTime(elapsed)}`;
         }
 
+        if (this.currentVodId) {
+            this.ui.updatePlaylistButton();
+        }
+
         this.ui.updateProgress({
             position: isAtLive ? 100 : Math.max(0, 100 - (bufferInfo.behindLive / elapsed * 100)),
             bufferPosition: 100,
@@ -802,10 +1455,23 @@ class DVRController {
             behindLive: this.formatTime(bufferInfo.behindLive),
             bufferDuration: bufferText,
             hasVod: !!this.currentVodId,
-            isWatchingVod: this.isWatchingVod
+            isWatchingVod: this.isWatchingVod,
+            adBreaks: this.getAdBreakRegions(elapsed)
         });
     }
 
+    /**
+     * Stitched ad breaks of the tracker, as seekbar percentages
+     */
+    getAdBreakRegions(elapsed) {
+        if (!this.streamStartTime || !elapsed || !this.tracker) return [];
+
+        return this.tracker.adBreaks.map(adBreak => ({
+            start: Math.max(0, (adBreak.startTime - this.streamStartTime) / 1000 / elapsed * 100),
+            end: Math.min(100, (adBreak.endTime - this.streamStartTime) / 1000 / elapsed * 100)
+        })).filter(region => region.end > region.start);
+    }
+
     /**
      * Format seconds to MM:SS or HH:MM:SS
      */
@@ -823,6 +1489,16 @@ class DVRController {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Parse H:MM:SS, M:SS or seconds, null when invalid
+     */
+    parseTime(text) {
+        const parts = String(text).trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
     /**
      * Format seconds to Twitch VOD timestamp (XhYmZs)
      */
@@ -862,10 +1538,23 @@ class DVRController {
         const elapsed = this.getElapsedTime();
         const bufferInfo = this.getBufferInfo();
 
-        // Calculate target time in seconds from stream start
-        const targetSecondsFromStart = (elapsed * positionPercent / 100);
+        // Calculate target time in seconds from stream start, elapsed is
+        // broadcast time so this is also the position in the VOD
+        let targetSecondsFromStart = (elapsed * positionPercent / 100);
+
+        // A stitched ad is no stream content, seek to the end of its break
+        const adBreak = this.tracker?.getAdBreakAt(this.streamStartTime + targetSecondsFromStart * 1000);
+        if (adBreak) {
+            targetSecondsFromStart = Math.min(elapsed, (adBreak.endTime - this.streamStartTime) / 1000);
+            console.log('[TNS-DVR] Target is in an ad break, skipping it');
+        }
+
         const secondsBehindLive = elapsed - targetSecondsFromStart;
 
+        // The player also has the ads before live, more media than broadcast time
+        const mediaBehindLive = this.tracker?.getMediaBehindLive(this.streamStartTime + targetSecondsFromStart * 1000) ?? null;
+        const playerBehindLive = mediaBehindLive !== null ? mediaBehindLive / 1000 : secondsBehindLive;
+
         console.log(`[TNS-DVR] Seek requested to: ${positionPercent.toFixed(1)}%`);
         console.log(`[TNS-DVR] Target: ${this.formatTime(targetSecondsFromStart)} (${this.formatTime(secondsBehindLive)} behind live)`);
         console.log(`[TNS-DVR] Buffer available: ${bufferInfo.duration.toFixed(1)}s`);
@@ -877,9 +1566,9 @@ class DVRController {
         }
 
         // Check if target is within buffer
-        if (secondsBehindLive <= bufferInfo.duration) {
+        if (playerBehindLive <= bufferInfo.duration) {
             // Seek within buffer
-            const targetTime = bufferInfo.end - secondsBehindLive;
+            const targetTime = bufferInfo.end - playerBehindLive;
             console.log(`[TNS-DVR] Seeking within buffer to ${targetTime.toFixed(2)}s`);
 
             // If watching VOD, switch back to live first
@@ -887,15 +1576,31 @@ class DVRController {
                 this.switchToLive();
             }
 
-            if (this.playerElement) {
-                this.playerElement.currentTime = targetTime;
-            }
+            this.seekLivePlayer(targetTime);
         } else {
             // Need to use VOD overlay
             this.switchToVod(targetSecondsFromStart);
         }
     }
 
+    /**
+     * Seek the live player: the video element within its buffer, the Twitch
+     * player before it so it loads the segments of the extended live playlist
+     */
+    seekLivePlayer(targetTime) {
+        if (!this.playerElement) return;
+
+        const buffered = this.playerElement.buffered;
+        const isBuffered = buffered.length > 0 && targetTime >= buffered.start(0);
+        const player = isBuffered ? null : this.getPageMediaPlayer();
+
+        if (player && typeof player.seekTo === 'function') {
+            player.seekTo(targetTime);
+        } else {
+            this.playerElement.currentTime = targetTime;
+        }
+    }
+
     /**
      * Handle go live button click
      */
@@ -938,6 +1643,11 @@ class DVRController {
             return 'LIVE';
         }
 
+        // Seeking skips the ad breaks
+        if (this.tracker?.getAdBreakAt(this.streamStartTime + targetSeconds * 1000)) {
+            return `-${this.formatTime(behindLive)} (Ad)`;
+        }
+
         // Show (VOD) indicator if beyond buffer
         const bufferInfo = this.getBufferInfo();
         if (behindLive > bufferInfo.duration && this.currentVodId) {
@@ -1027,7 +1737,12 @@ class DVRController {
             vodOverlayExists: !!this.vodOverlay,
             vodEmbedLoaded: this.vodEmbedLoaded,
             trackerState: this.tracker?.getState(),
+            mutedSegments: this.mutedSegments,
+            vodHost: this.vodHosts[this.currentPageVodId] || null,
+            audioOnly: this.settings.audioOnly,
+            diagnostics: this.diagnostics[this.currentPageVodId] || null,
             bufferInfo: this.getBufferInfo(),
+            liveWindow: this.liveWindow,
             settings: this.settings
         };
     }
@@ -0,0 +1,234 @@
+/**
+ * TwitchNoSub DVR HLS Parser
+ * Reads a live media playlist for DVRTracker: TS and fMP4 segments with
+ * their #EXT-X-MAP init section, dates, discontinuities and the parts of
+ * low-latency HLS (#EXT-X-PART, #EXT-X-PRELOAD-HINT and Twitch's
+ * #EXT-X-TWITCH-PREFETCH).
+ *
+ * Parts listed before a segment belong to it; parts after the last segment
+ * are the segment being produced, returned as `partial`.
+ */
+
+class DVRHLSParser {
+    /**
+     * Read an attribute list, quotes removed
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+
+        return attributes;
+    }
+
+    /**
+     * #EXT-X-BYTERANGE / BYTERANGE value: "length[@offset]"
+     */
+    parseByteRange(value) {
+        if (!value) return null;
+
+        const [length, offset] = value.split('@');
+
+        return { length: parseInt(length), offset: offset !== undefined ? parseInt(offset) : null };
+    }
+
+    parseDate(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Parse a media playlist, URIs made absolute against baseUrl.
+     * Durations are in seconds, dates in ms.
+     */
+    parse(text, baseUrl) {
+        const playlist = {
+            version: null,
+            targetDuration: null,
+            partTargetDuration: null,
+            mediaSequence: 0,
+            discontinuitySequence: 0,
+            playlistType: null,
+            endList: false,
+            // Twitch: seconds since the broadcast started, at the first segment
+            elapsed: null,
+            dateRanges: [],
+            segments: [],
+            partial: null,
+            prefetch: [],
+            preloadHint: null
+        };
+
+        const resolve = uri => new URL(uri, baseUrl).href;
+
+        // Tags of the next segment
+        let next = this.createSegmentState();
+        let map = null;
+        let parts = [];
+        const prefetch = [];
+        let sequence = null;
+        let discontinuity = 0;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (!line.startsWith('#')) {
+                if (sequence === null) sequence = playlist.mediaSequence;
+
+                playlist.segments.push({
+                    sequence: sequence++,
+                    uri: resolve(line),
+                    duration: next.duration,
+                    title: next.title,
+                    programDateTime: next.programDateTime,
+                    discontinuity: next.discontinuity,
+                    discontinuitySequence: playlist.discontinuitySequence + discontinuity,
+                    gap: next.gap,
+                    byteRange: next.byteRange,
+                    map,
+                    parts
+                });
+
+                next = this.createSegmentState();
+                parts = [];
+                continue;
+            }
+
+            const colon = line.indexOf(':');
+            const tag = colon < 0 ? line : line.substring(0, colon);
+            const value = colon < 0 ? '' : line.substring(colon + 1);
+
+            switch (tag) {
+                case '#EXT-X-VERSION':
+                    playlist.version = parseInt(value);
+                    break;
+                case '#EXT-X-TARGETDURATION':
+                    playlist.targetDuration = parseFloat(value);
+                    break;
+                case '#EXT-X-PART-INF':
+                    playlist.partTargetDuration = parseFloat(this.parseAttributes(value)['PART-TARGET']) || null;
+                    break;
+                case '#EXT-X-MEDIA-SEQUENCE':
+                    playlist.mediaSequence = parseInt(value) || 0;
+                    break;
+                case '#EXT-X-DISCONTINUITY-SEQUENCE':
+                    playlist.discontinuitySequence = parseInt(value) || 0;
+                    break;
+                case '#EXT-X-SKIP':
+                    // Delta update: the first segments are left out
+                    sequence = playlist.mediaSequence + (parseInt(this.parseAttributes(value)['SKIPPED-SEGMENTS']) || 0);
+                    break;
+                case '#EXT-X-PLAYLIST-TYPE':
+                    playlist.playlistType = value;
+                    break;
+                case '#EXT-X-ENDLIST':
+                    playlist.endList = true;
+                    break;
+                case '#EXT-X-TWITCH-ELAPSED-SECS':
+                    playlist.elapsed = parseFloat(value);
+                    if (isNaN(playlist.elapsed)) playlist.elapsed = null;
+                    break;
+                case '#EXTINF': {
+                    const comma = value.indexOf(',');
+                    next.duration = parseFloat(comma < 0 ? value : value.substring(0, comma)) || 0;
+                    next.title = comma < 0 ? '' : value.substring(comma + 1);
+                    break;
+                }
+                case '#EXT-X-PROGRAM-DATE-TIME':
+                    next.programDateTime = this.parseDate(value);
+                    break;
+                case '#EXT-X-DISCONTINUITY':
+                    next.discontinuity = true;
+                    discontinuity++;
+                    break;
+                case '#EXT-X-GAP':
+                    next.gap = true;
+                    break;
+                case '#EXT-X-BYTERANGE':
+                    next.byteRange = this.parseByteRange(value);
+                    break;
+                case '#EXT-X-MAP': {
+                    const attributes = this.parseAttributes(value);
+                    map = attributes.URI ? { uri: resolve(attributes.URI), byteRange: this.parseByteRange(attributes.BYTERANGE) } : null;
+                    break;
+                }
+                case '#EXT-X-PART': {
+                    const attributes = this.parseAttributes(value);
+                    if (!attributes.URI) break;
+
+                    parts.push({
+                        uri: resolve(attributes.URI),
+                        duration: parseFloat(attributes.DURATION) || 0,
+                        independent: attributes.INDEPENDENT === 'YES',
+                        gap: attributes.GAP === 'YES',
+                        byteRange: this.parseByteRange(attributes.BYTERANGE)
+                    });
+                    break;
+                }
+                case '#EXT-X-PRELOAD-HINT': {
+                    const attributes = this.parseAttributes(value);
+                    if (attributes.URI) {
+                        playlist.preloadHint = { type: attributes.TYPE || null, uri: resolve(attributes.URI) };
+                    }
+                    break;
+                }
+                case '#EXT-X-TWITCH-PREFETCH':
+                    prefetch.push(resolve(value));
+                    break;
+                case '#EXT-X-DATERANGE': {
+                    const attributes = this.parseAttributes(value);
+                    if (!attributes.ID) break;
+
+                    const duration = parseFloat(attributes.DURATION || attributes['PLANNED-DURATION']);
+
+                    playlist.dateRanges.push({
+                        id: attributes.ID,
+                        class: attributes.CLASS || null,
+                        startDate: this.parseDate(attributes['START-DATE']),
+                        duration: isNaN(duration) ? null : duration,
+                        attributes
+                    });
+                    break;
+                }
+            }
+        }
+
+        const last = playlist.segments.at(-1);
+        const partialSequence = last ? last.sequence + 1 : (sequence ?? playlist.mediaSequence);
+
+        // Parts of the segment being produced
+        if (parts.length > 0) {
+            playlist.partial = {
+                sequence: partialSequence,
+                parts,
+                duration: parts.reduce((total, part) => total + part.duration, 0),
+                programDateTime: next.programDateTime,
+                map
+            };
+        }
+
+        // Twitch lists whole upcoming segments instead of parts, with no duration yet
+        playlist.prefetch = prefetch.map((uri, index) => ({ sequence: partialSequence + index, uri, map }));
+
+        return playlist;
+    }
+
+    createSegmentState() {
+        return { duration: 0, title: '', programDateTime: null, discontinuity: false, gap: false, byteRange: null };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRHLSParser = DVRHLSParser;
+}
+
+// For worker context, next to DVRTracker
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+    self.TNS_DVRHLSParser = DVRHLSParser;
+}
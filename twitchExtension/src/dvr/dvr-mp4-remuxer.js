@@ -0,0 +1,558 @@
+/**
+ * TwitchNoSub DVR MP4 Remuxer
+ * Turns MPEG-TS segments (H.264 + ADTS AAC) into a fragmented MP4 file,
+ * one fragment per source segment, without re-encoding.
+ *
+ * Usage:
+ *   const remuxer = new DVRMP4Remuxer();
+ *   remuxer.pushSegment(bytes, vodStartTime);   // for every segment, in order
+ *   const parts = remuxer.finish(start, end);   // Uint8Array parts of the file
+ */
+
+class DVRMP4Remuxer {
+    constructor() {
+        this.video = [];
+        this.audio = [];
+        this.sps = null;
+        this.pps = null;
+        this.audioConfig = null;
+        this.segmentCount = 0;
+    }
+
+    /**
+     * Demux one TS segment. vodStartTime is the position of the segment in
+     * the VOD (seconds), used to trim the output to the requested range.
+     */
+    pushSegment(bytes, vodStartTime) {
+        const { videoPes, audioPes } = this.demux(bytes);
+        const segment = this.segmentCount++;
+
+        const firstPts = videoPes[0]?.pts ?? audioPes[0]?.pts;
+        if (firstPts === undefined) return;
+
+        // Position in the VOD = PTS relative to the segment start
+        const toVodTime = (timestamp) => vodStartTime + (timestamp - firstPts) / 90000;
+
+        for (const pes of videoPes) {
+            const sample = this.readVideoSample(pes.data);
+            if (!sample) continue;
+
+            this.video.push({
+                ...sample,
+                segment,
+                time: toVodTime(pes.pts),
+                decodeTime: toVodTime(pes.dts ?? pes.pts),
+                compositionOffset: pes.dts === null ? 0 : pes.pts - pes.dts
+            });
+        }
+
+        for (const pes of audioPes) {
+            for (const frame of this.readAdtsFrames(pes.data, pes.pts)) {
+                this.audio.push({ ...frame, segment, time: toVodTime(frame.pts) });
+            }
+        }
+    }
+
+    /**
+     * Split a TS segment into the PES packets of its H.264 and AAC streams
+     */
+    demux(bytes) {
+        const packetSize = 188;
+        const streams = {};
+        let pmtPid = -1;
+        let videoPid = -1;
+        let audioPid = -1;
+
+        const flush = (pid) => {
+            const stream = streams[pid];
+            if (!stream || stream.chunks.length === 0) return;
+
+            const pes = this.parsePes(this.concat(stream.chunks));
+            if (pes) stream.packets.push(pes);
+
+            stream.chunks = [];
+        };
+
+        for (let offset = 0; offset + packetSize <= bytes.length; offset += packetSize) {
+            if (bytes[offset] !== 0x47) continue;
+
+            const unitStart = (bytes[offset + 1] & 0x40) !== 0;
+            const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+            const adaptation = (bytes[offset + 3] >> 4) & 0x3;
+
+            let start = offset + 4;
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += 1 + bytes[start];
+
+            const end = offset + packetSize;
+            if (start >= end) continue;
+
+            if (pid === 0 && unitStart) {
+                const section = start + 1 + bytes[start];
+                pmtPid = ((bytes[section + 10] & 0x1f) << 8) | bytes[section + 11];
+            } else if (pid === pmtPid && unitStart) {
+                const section = start + 1 + bytes[start];
+                const sectionLength = ((bytes[section + 1] & 0x0f) << 8) | bytes[section + 2];
+                const programInfoLength = ((bytes[section + 10] & 0x0f) << 8) | bytes[section + 11];
+                const sectionEnd = section + 3 + sectionLength - 4;
+
+                for (let entry = section + 12 + programInfoLength; entry + 5 <= sectionEnd;) {
+                    const streamType = bytes[entry];
+                    const streamPid = ((bytes[entry + 1] & 0x1f) << 8) | bytes[entry + 2];
+
+                    if (streamType === 0x1b && videoPid === -1) videoPid = streamPid;
+                    if (streamType === 0x0f && audioPid === -1) audioPid = streamPid;
+
+                    entry += 5 + (((bytes[entry + 3] & 0x0f) << 8) | bytes[entry + 4]);
+                }
+
+                for (const streamPid of [videoPid, audioPid]) {
+                    if (streamPid !== -1 && !streams[streamPid]) {
+                        streams[streamPid] = { chunks: [], packets: [] };
+                    }
+                }
+            } else if (streams[pid]) {
+                if (unitStart) flush(pid);
+                streams[pid].chunks.push(bytes.subarray(start, end));
+            }
+        }
+
+        flush(videoPid);
+        flush(audioPid);
+
+        return {
+            videoPes: streams[videoPid]?.packets || [],
+            audioPes: streams[audioPid]?.packets || []
+        };
+    }
+
+    /**
+     * Read the timestamps and payload of a PES packet
+     */
+    parsePes(data) {
+        if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return null;
+
+        const flags = data[7];
+        const headerLength = data[8];
+
+        const readTimestamp = (at) =>
+            (data[at] & 0x0e) * 536870912 +
+            (data[at + 1] & 0xff) * 4194304 +
+            (data[at + 2] & 0xfe) * 16384 +
+            (data[at + 3] & 0xff) * 128 +
+            (data[at + 4] & 0xfe) / 2;
+
+        if (!(flags & 0x80)) return null;
+
+        const pts = readTimestamp(9);
+        const dts = flags & 0x40 ? readTimestamp(14) : null;
+
+        return { pts, dts, data: data.subarray(9 + headerLength) };
+    }
+
+    /**
+     * Convert an Annex B access unit to a length prefixed sample
+     */
+    readVideoSample(data) {
+        const units = [];
+        let keyframe = false;
+
+        for (const nal of this.splitNalUnits(data)) {
+            const type = nal[0] & 0x1f;
+
+            if (type === 7) {
+                this.sps = this.sps || nal;
+            } else if (type === 8) {
+                this.pps = this.pps || nal;
+            } else if (type !== 9) {
+                // Access unit delimiters are not needed in MP4
+                if (type === 5) keyframe = true;
+                units.push(nal);
+            }
+        }
+
+        if (units.length === 0) return null;
+
+        const sample = new Uint8Array(units.reduce((total, nal) => total + 4 + nal.length, 0));
+        const view = new DataView(sample.buffer);
+        let position = 0;
+
+        for (const nal of units) {
+            view.setUint32(position, nal.length);
+            sample.set(nal, position + 4);
+            position += 4 + nal.length;
+        }
+
+        return { data: sample, keyframe };
+    }
+
+    splitNalUnits(data) {
+        const units = [];
+        let start = -1;
+
+        for (let i = 0; i + 2 < data.length; i++) {
+            if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1) continue;
+
+            if (start !== -1) {
+                // A 4 byte start code leaves a trailing zero on the previous unit
+                const end = data[i - 1] === 0 ? i - 1 : i;
+                units.push(data.subarray(start, end));
+            }
+
+            start = i + 3;
+            i += 2;
+        }
+
+        if (start !== -1 && start < data.length) {
+            units.push(data.subarray(start));
+        }
+
+        return units;
+    }
+
+    /**
+     * Split a PES payload into raw AAC frames
+     */
+    readAdtsFrames(data, pts) {
+        const sampleRates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+        const frames = [];
+        let offset = 0;
+
+        while (offset + 7 <= data.length) {
+            if (data[offset] !== 0xff || (data[offset + 1] & 0xf0) !== 0xf0) {
+                offset++;
+                continue;
+            }
+
+            const headerLength = data[offset + 1] & 0x01 ? 7 : 9;
+            const objectType = ((data[offset + 2] >> 6) & 0x3) + 1;
+            const rateIndex = (data[offset + 2] >> 2) & 0xf;
+            const channels = ((data[offset + 2] & 0x1) << 2) | (data[offset + 3] >> 6);
+            const frameLength = ((data[offset + 3] & 0x3) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+
+            if (frameLength <= headerLength || offset + frameLength > data.length) break;
+
+            const sampleRate = sampleRates[rateIndex];
+
+            if (!this.audioConfig) {
+                this.audioConfig = {
+                    sampleRate,
+                    channels,
+                    // AudioSpecificConfig
+                    config: new Uint8Array([
+                        (objectType << 3) | (rateIndex >> 1),
+                        ((rateIndex & 0x1) << 7) | (channels << 3)
+                    ])
+                };
+            }
+
+            frames.push({
+                pts: pts + frames.length * 1024 * 90000 / sampleRate,
+                data: data.subarray(offset + headerLength, offset + frameLength)
+            });
+
+            offset += frameLength;
+        }
+
+        return frames;
+    }
+
+    /**
+     * Build the MP4 file for the range [start, end] (VOD seconds).
+     * Video starts at the last keyframe before start.
+     */
+    finish(start = 0, end = Infinity) {
+        let video = [];
+
+        if (this.sps && this.pps) {
+            const firstKeyframe = this.video.findIndex(sample => sample.keyframe);
+            let first = firstKeyframe;
+
+            this.video.forEach((sample, index) => {
+                if (sample.keyframe && sample.time <= start) first = index;
+            });
+
+            if (first !== -1) {
+                video = this.video.slice(first).filter(sample => sample.time < end);
+            }
+        }
+
+        const origin = video.length > 0 ? video[0].decodeTime : start;
+        const audio = this.audioConfig
+            ? this.audio.filter(sample => sample.time >= origin && sample.time < end)
+            : [];
+
+        if (video.length === 0 && audio.length === 0) {
+            throw new Error('Aucune donnée dans la plage choisie');
+        }
+
+        const tracks = [];
+
+        if (video.length > 0) {
+            tracks.push({
+                id: 1,
+                type: 'video',
+                timescale: 90000,
+                samples: this.buildTiming(video, 90000, origin, 3000)
+            });
+        }
+
+        if (audio.length > 0) {
+            tracks.push({
+                id: tracks.length + 1,
+                type: 'audio',
+                timescale: this.audioConfig.sampleRate,
+                samples: this.buildTiming(audio, this.audioConfig.sampleRate, origin, 1024)
+            });
+        }
+
+        const parts = [this.buildInitSegment(tracks)];
+        const segments = [...new Set([...video, ...audio].map(sample => sample.segment))].sort((a, b) => a - b);
+
+        segments.forEach((segment, index) => {
+            parts.push(...this.buildFragment(index + 1, tracks.map(track => ({
+                ...track,
+                samples: track.samples.filter(sample => sample.segment === segment)
+            }))));
+        });
+
+        return parts;
+    }
+
+    /**
+     * Decode times and durations in the track timescale, from the first sample
+     */
+    buildTiming(samples, timescale, origin, defaultDuration) {
+        const timed = samples.map(sample => ({
+            ...sample,
+            dts: Math.max(0, Math.round(((sample.decodeTime ?? sample.time) - origin) * timescale)),
+            cts: sample.compositionOffset ? Math.round(sample.compositionOffset * timescale / 90000) : 0
+        }));
+
+        timed.forEach((sample, index) => {
+            const next = timed[index + 1];
+            const previous = timed[index - 1];
+
+            sample.duration = next
+                ? Math.max(0, next.dts - sample.dts)
+                : (previous ? previous.duration : defaultDuration);
+        });
+
+        return timed;
+    }
+
+    // ---- MP4 boxes ----
+
+    concat(chunks) {
+        const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+
+        for (const chunk of chunks) {
+            result.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return result;
+    }
+
+    box(type, ...payloads) {
+        const content = this.concat(payloads);
+        const result = new Uint8Array(8 + content.length);
+
+        new DataView(result.buffer).setUint32(0, result.length);
+        result.set([...type].map(char => char.charCodeAt(0)), 4);
+        result.set(content, 8);
+
+        return result;
+    }
+
+    /**
+     * Big endian fields: [bytes, value] pairs
+     */
+    fields(...values) {
+        const result = new Uint8Array(values.reduce((total, [size]) => total + size, 0));
+        const view = new DataView(result.buffer);
+        let position = 0;
+
+        for (const [size, value] of values) {
+            if (size === 1) view.setUint8(position, value);
+            else if (size === 2) view.setUint16(position, value);
+            else if (size === 4) view.setUint32(position, value);
+            else if (size === 8) {
+                view.setUint32(position, Math.floor(value / 4294967296));
+                view.setUint32(position + 4, value >>> 0);
+            }
+
+            position += size;
+        }
+
+        return result;
+    }
+
+    matrix() {
+        return this.fields([4, 0x00010000], [4, 0], [4, 0], [4, 0], [4, 0x00010000], [4, 0], [4, 0], [4, 0], [4, 0x40000000]);
+    }
+
+    buildInitSegment(tracks) {
+        const ftyp = this.box('ftyp', new TextEncoder().encode('isom'), this.fields([4, 0x200]), new TextEncoder().encode('isomiso6avc1mp41'));
+
+        const mvhd = this.box('mvhd',
+            this.fields([4, 0], [4, 0], [4, 0], [4, 1000], [4, 0], [4, 0x00010000], [2, 0x0100], [2, 0], [8, 0]),
+            this.matrix(),
+            new Uint8Array(24),
+            this.fields([4, tracks.length + 1])
+        );
+
+        const traks = tracks.map(track => this.buildTrack(track));
+        const mvex = this.box('mvex', ...tracks.map(track =>
+            this.box('trex', this.fields([4, 0], [4, track.id], [4, 1], [4, 0], [4, 0], [4, 0]))
+        ));
+
+        return this.concat([ftyp, this.box('moov', mvhd, ...traks, mvex)]);
+    }
+
+    buildTrack(track) {
+        const isVideo = track.type === 'video';
+        const size = isVideo ? this.readVideoSize() : { width: 0, height: 0 };
+
+        const tkhd = this.box('tkhd',
+            this.fields([4, 0x000003], [4, 0], [4, 0], [4, track.id], [4, 0], [4, 0], [8, 0], [2, 0], [2, 0], [2, isVideo ? 0 : 0x0100], [2, 0]),
+            this.matrix(),
+            this.fields([4, size.width * 65536], [4, size.height * 65536])
+        );
+
+        const mdhd = this.box('mdhd', this.fields([4, 0], [4, 0], [4, 0], [4, track.timescale], [4, 0], [2, 0x55c4], [2, 0]));
+
+        const hdlr = this.box('hdlr',
+            this.fields([4, 0], [4, 0]),
+            new TextEncoder().encode(isVideo ? 'vide' : 'soun'),
+            new Uint8Array(12),
+            new TextEncoder().encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+        );
+
+        const mediaHeader = isVideo
+            ? this.box('vmhd', this.fields([4, 1], [2, 0], [2, 0], [2, 0], [2, 0]))
+            : this.box('smhd', this.fields([4, 0], [2, 0], [2, 0]));
+
+        const dinf = this.box('dinf', this.box('dref', this.fields([4, 0], [4, 1]), this.box('url ', this.fields([4, 1]))));
+
+        const stbl = this.box('stbl',
+            this.box('stsd', this.fields([4, 0], [4, 1]), isVideo ? this.buildAvc1(size) : this.buildMp4a()),
+            this.box('stts', this.fields([4, 0], [4, 0])),
+            this.box('stsc', this.fields([4, 0], [4, 0])),
+            this.box('stsz', this.fields([4, 0], [4, 0], [4, 0])),
+            this.box('stco', this.fields([4, 0], [4, 0]))
+        );
+
+        return this.box('trak', tkhd, this.box('mdia', mdhd, hdlr, this.box('minf', mediaHeader, dinf, stbl)));
+    }
+
+    /**
+     * Width and height from the SPS (see worker/ts-probe.js)
+     */
+    readVideoSize() {
+        try {
+            // The probe expects the SPS without its header byte and emulation prevention bytes
+            const rbsp = [];
+            let zeros = 0;
+
+            for (const byte of this.sps.subarray(1)) {
+                if (zeros >= 2 && byte === 3) {
+                    zeros = 0;
+                    continue;
+                }
+
+                zeros = byte === 0 ? zeros + 1 : 0;
+                rbsp.push(byte);
+            }
+
+            const info = new window.TNS_TSVideoProbe(new Uint8Array(0)).parseSPS(new Uint8Array(rbsp));
+            return { width: info.width, height: info.height };
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not read video size from SPS:', e);
+            return { width: 1920, height: 1080 };
+        }
+    }
+
+    buildAvc1(size) {
+        const avcC = this.box('avcC',
+            this.fields([1, 1], [1, this.sps[1]], [1, this.sps[2]], [1, this.sps[3]], [1, 0xff], [1, 0xe1], [2, this.sps.length]),
+            this.sps,
+            this.fields([1, 1], [2, this.pps.length]),
+            this.pps
+        );
+
+        return this.box('avc1',
+            this.fields([4, 0], [2, 0], [2, 1], [2, 0], [2, 0], [4, 0], [4, 0], [4, 0]),
+            this.fields([2, size.width], [2, size.height], [4, 0x00480000], [4, 0x00480000], [4, 0], [2, 1]),
+            new Uint8Array(32),
+            this.fields([2, 0x0018], [2, 0xffff]),
+            avcC
+        );
+    }
+
+    buildMp4a() {
+        const { sampleRate, channels, config } = this.audioConfig;
+
+        const decoderSpecificInfo = this.concat([this.fields([1, 0x05], [1, config.length]), config]);
+        const decoderConfig = this.concat([
+            this.fields([1, 0x04], [1, 13 + decoderSpecificInfo.length], [1, 0x40], [1, 0x15], [1, 0], [2, 0], [4, 0], [4, 0]),
+            decoderSpecificInfo
+        ]);
+        const slConfig = this.fields([1, 0x06], [1, 1], [1, 0x02]);
+        const esDescriptor = this.concat([
+            this.fields([1, 0x03], [1, 3 + decoderConfig.length + slConfig.length], [2, 0], [1, 0]),
+            decoderConfig,
+            slConfig
+        ]);
+
+        return this.box('mp4a',
+            this.fields([4, 0], [2, 0], [2, 1], [8, 0], [2, channels], [2, 16], [2, 0], [2, 0], [4, sampleRate * 65536]),
+            this.box('esds', this.fields([4, 0]), esDescriptor)
+        );
+    }
+
+    /**
+     * moof + mdat for the samples of every track in one source segment
+     */
+    buildFragment(sequence, tracks) {
+        const present = tracks.filter(track => track.samples.length > 0);
+
+        const buildMoof = (dataOffsets) => this.box('moof',
+            this.box('mfhd', this.fields([4, 0], [4, sequence])),
+            ...present.map((track, index) => this.box('traf',
+                this.box('tfhd', this.fields([4, 0x020000], [4, track.id])),
+                this.box('tfdt', this.fields([4, 0x01000000], [8, track.samples[0].dts])),
+                this.box('trun',
+                    this.fields([4, 0x01000f01], [4, track.samples.length], [4, dataOffsets[index]]),
+                    ...track.samples.map(sample => this.fields(
+                        [4, sample.duration],
+                        [4, sample.data.length],
+                        [4, track.type === 'audio' || sample.keyframe ? 0x02000000 : 0x01010000],
+                        [4, sample.cts >>> 0]
+                    ))
+                )
+            ))
+        );
+
+        // The moof size doesn't depend on the offsets, build it once to measure it
+        const moofSize = buildMoof(present.map(() => 0)).length;
+        const dataOffsets = [];
+        let offset = moofSize + 8;
+
+        for (const track of present) {
+            dataOffsets.push(offset);
+            offset += track.samples.reduce((total, sample) => total + sample.data.length, 0);
+        }
+
+        const mdatData = present.flatMap(track => track.samples.map(sample => sample.data));
+        const mdatHeader = this.fields([4, offset - moofSize], [4, 0x6d646174]);
+
+        return [buildMoof(dataOffsets), mdatHeader, ...mdatData];
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRMP4Remuxer = DVRMP4Remuxer;
+}
@@ -0,0 +1,134 @@
+/**
+ * TwitchNoSub DVR Playlist Export
+ * Copies or downloads the playlist the patched worker built for a VOD, so it
+ * can be opened in an external player (mpv, VLC...). Either one variant or
+ * the master playlist, with an optional start offset.
+ *
+ * Only a variant export plays the muted sections in those players: the
+ * master lists Twitch's own variant playlists, whose unmuted segments the
+ * CDN refuses.
+ */
+
+class DVRPlaylistExport {
+    constructor(workerBridge) {
+        this.workerBridge = workerBridge;
+        // vodId -> { master, variants } answered by the worker
+        this.playlists = new Map();
+    }
+
+    /**
+     * Master playlist and variants of a VOD, resolved by the worker
+     */
+    async getPlaylist(vodId) {
+        if (!this.playlists.has(vodId)) {
+            const playlist = await this.workerBridge.request('vodPlaylist', { vodId });
+            this.playlists.set(vodId, playlist);
+        }
+
+        return this.playlists.get(vodId);
+    }
+
+    /**
+     * Build the playlist text: quality is "master" or a variant resKey,
+     * startOffset (seconds) adds an EXT-X-START tag when set
+     */
+    async build(vodId, quality, startOffset = null) {
+        const playlist = await this.getPlaylist(vodId);
+        let text;
+        let suffix = '';
+
+        if (quality === 'master') {
+            text = playlist.master;
+        } else {
+            const variant = playlist.variants.find(v => v.resKey === quality);
+            if (!variant) throw new Error('Qualité introuvable');
+
+            text = await this.buildVariant(variant.url);
+            suffix = `-${variant.name}`;
+        }
+
+        if (startOffset) {
+            text = this.withStartOffset(text, startOffset);
+        }
+
+        return { text, filename: `twitch-${vodId}${suffix}.m3u8` };
+    }
+
+    /**
+     * Variant playlist with absolute segment URLs and muted copies of unmuted
+     * segments (the same rewrite the worker does for the player)
+     */
+    async buildVariant(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Playlist indisponible (HTTP ${response.status})`);
+        }
+
+        const text = await response.text();
+
+        return text.split(/\r?\n/).map(line => {
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('#EXT-X-MAP:')) {
+                return trimmed.replace(/URI="([^"]+)"/, (match, uri) => `URI="${new URL(uri, url).href}"`);
+            }
+
+            if (trimmed && !trimmed.startsWith('#')) {
+                return new URL(trimmed.replace(/-unmuted/g, '-muted'), url).href;
+            }
+
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Add (or replace) the EXT-X-START tag of a playlist
+     */
+    withStartOffset(text, seconds) {
+        const lines = text.split('\n').filter(line => !line.startsWith('#EXT-X-START:'));
+        lines.splice(1, 0, `#EXT-X-START:TIME-OFFSET=${seconds.toFixed(3)},PRECISE=YES`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Copy text to the clipboard, with a fallback for pages without clipboard access
+     */
+    async copy(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (e) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.cssText = 'position: fixed; opacity: 0;';
+
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+
+            if (!copied) throw new Error('Presse-papiers inaccessible');
+        }
+    }
+
+    /**
+     * Save the playlist through a temporary download link
+     */
+    download(text, filename) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/vnd.apple.mpegurl' }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRPlaylistExport = DVRPlaylistExport;
+}
@@ -2,23 +2,233 @@
  * TwitchNoSub DVR Tracker
  * Tracks live stream segments for DVR functionality (like YouTube)
  * 
- * This module intercepts HLS segments and maintains a timeline
+ * The patched player worker forwards the live media playlists it fetches
+ * (see DVRController.handleLivePlaylist), this module keeps the timeline
  * of available content for rewinding during live streams.
+ *
+ * Playlists are read by DVRHLSParser (TS or fMP4, low-latency parts).
+ * `segments` is the stream timeline, one entry per media sequence whatever
+ * the quality; `timelines` keeps the segments of every variant played, with
+ * their URIs, init section and parts. Both are DVRSegmentRing: a segment is
+ * found by sequence in constant time, by time with a binary search.
+ *
+ * Segment timestamps are broadcast time (ms), read from
+ * #EXT-X-PROGRAM-DATE-TIME, or from Twitch's playlist creation date range
+ * when a playlist has none. The local clock is only the last resort.
+ *
+ * Twitch stitches mid-roll ads into the playlist between discontinuities.
+ * Their segments are kept, the player plays them, but flagged `ad`: they
+ * are no stream content, `adBreaks` lists the broadcast time they cover.
  */
 
+// Date range classes of the ads Twitch stitches into live playlists
+const DVR_AD_DATERANGE_CLASSES = ['twitch-stitched-ad'];
+
+// Segment title prefixes of those ads, stream segments are titled "live"
+const DVR_AD_SEGMENT_TITLES = ['Amazon|'];
+
+/**
+ * Segments by media sequence number in a ring buffer, the slot of a
+ * sequence is its number modulo the capacity. Sequences only grow with
+ * time, so a time is found by binary search. Sequences missed between two
+ * playlists are empty slots.
+ */
+class DVRSegmentRing {
+    constructor(maxCapacity, capacity = 256) {
+        this.maxCapacity = maxCapacity;
+        this.slots = new Array(Math.min(capacity, maxCapacity)).fill(null);
+        // Sequence of the oldest segment, sequence after the newest one
+        this.firstSequence = null;
+        this.endSequence = null;
+        this.length = 0;
+    }
+
+    get(sequence) {
+        if (this.length === 0 || sequence < this.firstSequence || sequence >= this.endSequence) return null;
+        return this.slots[sequence % this.slots.length];
+    }
+
+    has(sequence) {
+        return this.get(sequence) !== null;
+    }
+
+    first() {
+        return this.get(this.firstSequence);
+    }
+
+    last() {
+        return this.get(this.endSequence - 1);
+    }
+
+    /**
+     * Store a segment in the slot of its sequence. Segments older than the
+     * first one kept, or already stored, are refused.
+     */
+    set(segment) {
+        const sequence = segment.sequence;
+
+        // Too far ahead: the oldest segments make room
+        while (this.length > 0 && sequence - this.firstSequence >= this.maxCapacity) {
+            this.shift();
+        }
+
+        if (this.length === 0) {
+            this.firstSequence = sequence;
+            this.endSequence = sequence;
+        } else if (sequence < this.firstSequence || this.has(sequence)) {
+            return false;
+        }
+
+        if (sequence >= this.endSequence) {
+            if (sequence - this.firstSequence >= this.slots.length) {
+                this.grow(sequence - this.firstSequence + 1);
+            }
+            this.endSequence = sequence + 1;
+        }
+
+        this.slots[sequence % this.slots.length] = segment;
+        this.length++;
+        return true;
+    }
+
+    /**
+     * Remove the oldest segment, skipping the empty slots after it
+     */
+    shift() {
+        const segment = this.first();
+        if (!segment) return null;
+
+        this.slots[this.firstSequence % this.slots.length] = null;
+        this.length--;
+
+        if (this.length === 0) {
+            this.firstSequence = null;
+            this.endSequence = null;
+        } else {
+            do {
+                this.firstSequence++;
+            } while (this.slots[this.firstSequence % this.slots.length] === null);
+        }
+
+        return segment;
+    }
+
+    grow(span) {
+        const capacity = Math.min(Math.max(this.slots.length * 2, span), this.maxCapacity);
+        const slots = new Array(capacity).fill(null);
+
+        for (let sequence = this.firstSequence; sequence < this.endSequence; sequence++) {
+            slots[sequence % capacity] = this.slots[sequence % this.slots.length];
+        }
+
+        this.slots = slots;
+    }
+
+    clear() {
+        this.slots.fill(null);
+        this.firstSequence = null;
+        this.endSequence = null;
+        this.length = 0;
+    }
+
+    /**
+     * First segment stored from a sequence up to another one
+     */
+    nextFrom(sequence, lastSequence) {
+        for (; sequence <= lastSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (segment) return segment;
+        }
+        return null;
+    }
+
+    /**
+     * Last segment starting at or before a time
+     */
+    findByTime(timestamp) {
+        if (this.length === 0) return null;
+
+        let low = this.firstSequence;
+        let high = this.endSequence - 1;
+        let found = null;
+
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            const segment = this.nextFrom(middle, high);
+
+            if (segment && segment.timestamp <= timestamp) {
+                found = segment;
+                low = segment.sequence + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Segments overlapping a time range
+     */
+    getRange(startTime, endTime) {
+        const segments = [];
+        if (this.length === 0) return segments;
+
+        const start = this.findByTime(startTime);
+
+        for (let sequence = start ? start.sequence : this.firstSequence; sequence < this.endSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (!segment) continue;
+            if (segment.timestamp >= endTime) break;
+
+            if (segment.timestamp + segment.duration > startTime) {
+                segments.push(segment);
+            }
+        }
+
+        return segments;
+    }
+
+    *[Symbol.iterator]() {
+        for (let sequence = this.firstSequence; this.length > 0 && sequence < this.endSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (segment) yield segment;
+        }
+    }
+}
+
 class DVRTracker {
     constructor() {
         // Configuration
         this.maxBufferDuration = 4 * 60 * 60 * 1000; // 4 hours max buffer in ms
         this.segmentDuration = 2000; // Typical Twitch segment duration in ms
+        this.maxSegments = Math.ceil(this.maxBufferDuration / 1000); // Ring capacity, segments of 1s at least
         
         // State
         this.isLive = false;
         this.channelName = null;
         this.streamStartTime = null;
-        this.segments = [];
+        this.segments = new DVRSegmentRing(this.maxSegments);
         this.currentSegmentIndex = -1;
         this.isEnabled = true;
+
+        // Variants of the live usher playlist, and the one the player refreshes
+        this.variants = [];
+        this.currentVariant = null;
+
+        // Variant key -> { key, variant, segments, partial, prefetch }
+        this.parser = new (typeof window !== 'undefined' ? window : self).TNS_DVRHLSParser();
+        this.timelines = new Map();
+        this.currentTimelineKey = null;
+
+        // Date ranges of the playlists by ID, broadcast start from
+        // #EXT-X-TWITCH-ELAPSED-SECS, local time the last playlist was read
+        this.dateRanges = new Map();
+        this.broadcastStartTime = null;
+        this.lastPlaylistTime = null;
+
+        // Stitched ad breaks: { startTime, endTime, startSequence, endSequence, mediaDuration, ended }
+        this.adBreaks = [];
         
         // Timeline info
         this.earliestAvailableTime = null;
@@ -90,7 +300,15 @@ class DVRTracker {
      * Reset all tracking data
      */
     reset() {
-        this.segments = [];
+        this.segments.clear();
+        this.variants = [];
+        this.currentVariant = null;
+        this.timelines.clear();
+        this.currentTimelineKey = null;
+        this.dateRanges.clear();
+        this.broadcastStartTime = null;
+        this.lastPlaylistTime = null;
+        this.adBreaks = [];
         this.currentSegmentIndex = -1;
         this.streamStartTime = null;
         this.earliestAvailableTime = null;
@@ -106,80 +324,399 @@ class DVRTracker {
     addSegment(segmentInfo) {
         if (!this.isLive || !this.isEnabled) return;
 
+        if (this.insertSegment(segmentInfo)) {
+            this.cleanupOldSegments();
+            this.emitTimelineUpdate();
+        }
+    }
+
+    /**
+     * Store a segment in the stream timeline, without cleanup nor timeline
+     * update so a playlist is handled in one go. False when already known.
+     */
+    insertSegment(segmentInfo) {
+        const sequence = segmentInfo.sequence ?? this.segments.endSequence ?? 0;
+        const previous = this.segments.get(sequence - 1) || this.segments.last();
+
         const segment = {
             url: segmentInfo.url,
-            timestamp: Date.now(),
+            // Broadcast time, arrival time when the playlist gave none
+            timestamp: segmentInfo.timestamp || Date.now(),
+            timeSource: segmentInfo.timeSource || 'arrival',
+            arrivalTime: Date.now(),
             duration: segmentInfo.duration || this.segmentDuration,
-            sequence: segmentInfo.sequence || this.segments.length,
-            quality: segmentInfo.quality || 'source'
+            sequence,
+            quality: segmentInfo.quality || 'source',
+            // fMP4 init section, low-latency parts the segment was made of
+            init: segmentInfo.init || null,
+            parts: segmentInfo.parts || [],
+            discontinuity: !!segmentInfo.discontinuity,
+            ad: !!segmentInfo.ad,
+            // Media time (ms) the player has before it, ads included
+            mediaTime: previous ? previous.mediaTime + previous.duration : 0
         };
 
-        this.segments.push(segment);
-        this.latestAvailableTime = segment.timestamp + segment.duration;
-        
-        // Clean up old segments beyond max buffer
-        this.cleanupOldSegments();
-        
+        if (!this.segments.set(segment)) return false;
+
+        this.updateAdBreaks(segment);
+
+        const last = this.segments.last();
+        this.latestAvailableTime = last.timestamp + last.duration;
+        this.earliestAvailableTime = this.segments.first().timestamp;
+
         this.emit('segmentAdded', segment);
-        this.emitTimelineUpdate();
+        return true;
+    }
+
+    /**
+     * Variants listed by the live usher playlist
+     */
+    setVariants(variants) {
+        this.variants = variants;
     }
 
     /**
-     * Process an HLS playlist and extract segment information
+     * Process an HLS playlist and extract segment information.
+     * Variants share their media sequence numbers, a segment already seen in
+     * another quality is not added again to the stream timeline.
      */
-    processPlaylist(playlistContent, baseUrl) {
+    processPlaylist(playlistContent, baseUrl, variant = null) {
         if (!this.isLive || !this.isEnabled) return;
 
-        const lines = playlistContent.split('\n');
-        let currentDuration = 0;
-        let sequence = 0;
+        if (variant) {
+            this.currentVariant = variant;
+        }
+
+        const playlist = this.parsePlaylist(playlistContent, baseUrl);
+
+        if (this.isSequenceRestart(playlist.segments, variant, baseUrl)) {
+            console.log('[TNS-DVR] Media sequence restarted, dropping the stream timeline');
+            this.restartTimeline();
+        }
+
+        const timeline = this.getTimeline(variant, baseUrl);
+
+        this.lastPlaylistTime = Date.now();
+        this.currentTimelineKey = timeline.key;
+
+        let added = 0;
+
+        for (const entry of playlist.segments) {
+            this.addToTimeline(timeline, entry);
+
+            if (!this.segments.has(entry.sequence) && this.insertSegment({ ...entry, quality: variant ? variant.name : undefined })) {
+                added++;
+            }
+        }
+
+        timeline.partial = playlist.partial;
+        timeline.prefetch = playlist.prefetch;
+
+        // One cleanup and one timeline update per refresh
+        if (added > 0) {
+            this.cleanupOldSegments();
+            this.emitTimelineUpdate();
+        }
+    }
+
+    /**
+     * The stream restarted its media sequence numbers (encoder restart): the
+     * playlist starts before the segments kept, or the variant has another
+     * segment at its first sequence
+     */
+    isSequenceRestart(segments, variant, baseUrl) {
+        if (segments.length === 0 || this.segments.length === 0) return false;
+
+        const first = segments[0];
+        if (first.sequence < this.segments.firstSequence) return true;
+
+        const known = this.timelines.get(variant?.resKey || baseUrl.split('?')[0])?.segments.get(first.sequence);
+        return !!known && known.url !== first.url;
+    }
+
+    /**
+     * Forget the segments of the stream, keeping the stream itself tracked
+     */
+    restartTimeline() {
+        this.segments.clear();
+        this.timelines.clear();
+        this.currentTimelineKey = null;
+        this.adBreaks = [];
+        this.currentSegmentIndex = -1;
+        this.earliestAvailableTime = null;
+        this.latestAvailableTime = null;
+    }
+
+    /**
+     * Timeline of a variant, by quality when the worker knows it
+     */
+    getTimeline(variant, baseUrl) {
+        const key = variant?.resKey || baseUrl.split('?')[0];
+
+        if (!this.timelines.has(key)) {
+            this.timelines.set(key, { key, variant, segments: new DVRSegmentRing(this.maxSegments), partial: null, prefetch: [] });
+        }
+
+        return this.timelines.get(key);
+    }
+
+    /**
+     * Add a completed segment to a variant timeline, with the parts seen
+     * while it was being produced when the playlist no longer lists them
+     */
+    addToTimeline(timeline, entry) {
+        if (timeline.partial && timeline.partial.sequence === entry.sequence) {
+            if (entry.parts.length === 0) {
+                entry.parts = timeline.partial.parts;
+            }
+            timeline.partial = null;
+        }
+
+        const existing = timeline.segments.get(entry.sequence);
 
-        // Find media sequence number
-        const seqMatch = playlistContent.match(/#EXT-X-MEDIA-SEQUENCE:(\d+)/);
-        if (seqMatch) {
-            sequence = parseInt(seqMatch[1]);
+        if (!existing) {
+            timeline.segments.set(entry);
+        } else if (entry.parts.length > 0) {
+            existing.parts = entry.parts;
         }
+    }
+
+    /**
+     * Read the segments of a live media playlist with their broadcast time
+     * (durations in ms), and the segment being produced
+     */
+    parsePlaylist(playlistContent, baseUrl) {
+        const playlist = this.parser.parse(playlistContent, baseUrl);
+
+        for (const range of playlist.dateRanges) {
+            this.addDateRange(range);
+        }
+
+        const segments = playlist.segments.map(segment => ({
+            url: segment.uri,
+            title: segment.title,
+            ad: this.isAdTitle(segment.title),
+            duration: segment.duration * 1000 || this.segmentDuration,
+            sequence: segment.sequence,
+            timestamp: segment.programDateTime,
+            timeSource: segment.programDateTime !== null ? 'program-date-time' : null,
+            init: segment.map?.uri || null,
+            parts: segment.parts,
+            discontinuity: segment.discontinuity
+        }));
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Parse segment duration
-            if (line.startsWith('#EXTINF:')) {
-                const durationMatch = line.match(/#EXTINF:([\d.]+)/);
-                if (durationMatch) {
-                    currentDuration = parseFloat(durationMatch[1]) * 1000; // Convert to ms
+        this.fillTimestamps(segments);
+        this.markAdSegments(segments);
+
+        if (segments.length > 0 && playlist.elapsed !== null && segments[0].timeSource !== 'arrival') {
+            this.broadcastStartTime = segments[0].timestamp - playlist.elapsed * 1000;
+        }
+
+        return { segments, partial: playlist.partial, prefetch: playlist.prefetch };
+    }
+
+    /**
+     * Give a time to the segments without their own date: from the closest
+     * dated segment, else from the playlist creation date of Twitch (end of
+     * the last segment), else from the local clock.
+     * A stitched ad does not last as long as the stream it replaces, so
+     * times are first carried within a run of segments between two
+     * discontinuities, then across them.
+     */
+    fillTimestamps(segments) {
+        const dated = segments.findIndex(segment => segment.timestamp !== null);
+
+        if (dated < 0) {
+            const created = this.getPlaylistCreationTime();
+            let time = created || Date.now();
+
+            for (let i = segments.length - 1; i >= 0; i--) {
+                time -= segments[i].duration;
+                segments[i].timestamp = time;
+                segments[i].timeSource = created ? 'date-range' : 'arrival';
+            }
+            return;
+        }
+
+        for (const acrossDiscontinuities of [false, true]) {
+            for (let i = 1; i < segments.length; i++) {
+                const previous = segments[i - 1];
+
+                if (segments[i].timestamp === null && previous.timestamp !== null && (acrossDiscontinuities || !segments[i].discontinuity)) {
+                    segments[i].timestamp = previous.timestamp + previous.duration;
+                    segments[i].timeSource = previous.timeSource;
                 }
             }
-            // Detect segment URL
-            else if (line && !line.startsWith('#') && (line.endsWith('.ts') || line.includes('.ts?'))) {
-                const segmentUrl = line.startsWith('http') ? line : new URL(line, baseUrl).href;
-                
-                // Check if we already have this segment
-                const existingSegment = this.segments.find(s => s.url === segmentUrl);
-                if (!existingSegment) {
-                    this.addSegment({
-                        url: segmentUrl,
-                        duration: currentDuration || this.segmentDuration,
-                        sequence: sequence
-                    });
+
+            for (let i = segments.length - 2; i >= 0; i--) {
+                const next = segments[i + 1];
+
+                if (segments[i].timestamp === null && next.timestamp !== null && (acrossDiscontinuities || !next.discontinuity)) {
+                    segments[i].timestamp = next.timestamp - segments[i].duration;
+                    segments[i].timeSource = next.timeSource;
                 }
-                sequence++;
             }
         }
     }
 
     /**
-     * Remove segments that are older than maxBufferDuration
+     * Segment title of a stitched ad. Other titles are stream content, the
+     * ads without one are found from their date range (markAdSegments).
+     */
+    isAdTitle(title) {
+        return !!title && DVR_AD_SEGMENT_TITLES.some(prefix => title.startsWith(prefix));
+    }
+
+    /**
+     * Flag the segments starting during a stitched ad date range
+     */
+    markAdSegments(segments) {
+        const ranges = Array.from(this.dateRanges.values()).filter(range =>
+            range.startDate !== null && range.duration !== null &&
+            (DVR_AD_DATERANGE_CLASSES.includes(range.class) || range.id.startsWith('stitched-ad'))
+        );
+
+        for (const segment of segments) {
+            if (ranges.some(range => segment.timestamp >= range.startDate && segment.timestamp < range.startDate + range.duration)) {
+                segment.ad = true;
+            }
+        }
+    }
+
+    /**
+     * Ad segments following each other make one break, lasting in broadcast
+     * time until the stream content after the last one
+     */
+    updateAdBreaks(segment) {
+        const last = this.adBreaks.at(-1);
+        const follows = last && last.endSequence === segment.sequence;
+
+        if (segment.ad && follows) {
+            last.endSequence = segment.sequence + 1;
+            last.endTime = Math.max(last.endTime, segment.timestamp + segment.duration);
+            last.mediaDuration += segment.duration;
+        } else if (segment.ad) {
+            console.log(`[TNS-DVR] Ad break at sequence ${segment.sequence}`);
+
+            this.adBreaks.push({
+                startTime: segment.timestamp,
+                endTime: segment.timestamp + segment.duration,
+                startSequence: segment.sequence,
+                endSequence: segment.sequence + 1,
+                mediaDuration: segment.duration,
+                ended: false
+            });
+        } else if (follows && !last.ended) {
+            last.endTime = Math.max(last.endTime, segment.timestamp);
+            last.ended = true;
+        }
+    }
+
+    /**
+     * Ad break covering a broadcast time
+     */
+    getAdBreakAt(timestamp) {
+        return this.adBreaks.find(adBreak => timestamp >= adBreak.startTime && timestamp < adBreak.endTime) || null;
+    }
+
+    /**
+     * Total broadcast time of the ad breaks kept, in ms
+     */
+    getAdDuration() {
+        return this.adBreaks.reduce((total, adBreak) => total + adBreak.endTime - adBreak.startTime, 0);
+    }
+
+    /**
+     * Remember an #EXT-X-DATERANGE tag by ID (dates in ms)
+     */
+    addDateRange(range) {
+        // Every playlist has its own creation date, only the last one is useful
+        if (range.class === 'timestamp') {
+            for (const [id, existing] of this.dateRanges) {
+                if (existing.class === 'timestamp') this.dateRanges.delete(id);
+            }
+        }
+
+        this.dateRanges.set(range.id, {
+            ...range,
+            duration: range.duration !== null ? range.duration * 1000 : null
+        });
+    }
+
+    /**
+     * Creation date of the last playlist, from Twitch's "timestamp" date range
+     */
+    getPlaylistCreationTime() {
+        let latest = null;
+
+        for (const range of this.dateRanges.values()) {
+            if (range.class === 'timestamp' && range.startDate && (!latest || range.startDate > latest)) {
+                latest = range.startDate;
+            }
+        }
+
+        return latest;
+    }
+
+    /**
+     * Broadcast time at the live edge now: end of the last segment, moved
+     * forward by the time since its playlist was read
+     */
+    getLiveEdgeTime() {
+        if (!this.latestAvailableTime || !this.lastPlaylistTime) return null;
+
+        // Playlists are refreshed every segment, don't run ahead when they stop
+        const sinceRefresh = Math.min(Date.now() - this.lastPlaylistTime, 2 * this.segmentDuration);
+
+        // Low-latency playlists already list the parts of the next segment
+        const partial = this.timelines.get(this.currentTimelineKey)?.partial;
+        const partialDuration = partial ? partial.duration * 1000 : 0;
+
+        return this.latestAvailableTime + Math.max(partialDuration, sinceRefresh);
+    }
+
+    /**
+     * Media time (ms) the player has from a broadcast time to the live edge.
+     * Not the broadcast time between them when ads were stitched in.
+     */
+    getMediaBehindLive(timestamp) {
+        const segment = this.segments.findByTime(timestamp);
+        const last = this.segments.last();
+
+        if (!segment || !last) return null;
+
+        const offset = Math.min(timestamp - segment.timestamp, segment.duration);
+        const sinceLast = (this.getLiveEdgeTime() || this.latestAvailableTime) - this.latestAvailableTime;
+
+        return last.mediaTime + last.duration - (segment.mediaTime + offset) + sinceLast;
+    }
+
+    /**
+     * Remove segments that are older than maxBufferDuration, oldest first
      */
     cleanupOldSegments() {
         const now = Date.now();
         const cutoffTime = now - this.maxBufferDuration;
 
         const oldLength = this.segments.length;
-        this.segments = this.segments.filter(seg => seg.timestamp > cutoffTime);
+
+        for (const ring of [this.segments, ...Array.from(this.timelines.values(), timeline => timeline.segments)]) {
+            while (ring.length > 0 && ring.first().timestamp <= cutoffTime) {
+                ring.shift();
+            }
+        }
 
         if (this.segments.length > 0) {
-            this.earliestAvailableTime = this.segments[0].timestamp;
+            this.earliestAvailableTime = this.segments.first().timestamp;
+        }
+
+        this.adBreaks = this.adBreaks.filter(adBreak => adBreak.endTime > this.earliestAvailableTime);
+
+        // Date ranges that ended before the timeline
+        for (const [id, range] of this.dateRanges) {
+            if (range.startDate !== null && range.startDate + (range.duration || 0) < this.earliestAvailableTime) {
+                this.dateRanges.delete(id);
+            }
         }
 
         if (oldLength !== this.segments.length) {
@@ -198,7 +735,8 @@ class DVRTracker {
             latestAvailable: this.latestAvailableTime,
             bufferDuration: this.getBufferDuration(),
             segmentCount: this.segments.length,
-            canSeekBack: this.canSeekBack()
+            canSeekBack: this.canSeekBack(),
+            adBreaks: this.adBreaks
         });
     }
 
@@ -218,26 +756,23 @@ class DVRTracker {
     }
 
     /**
-     * Get the segment at a specific timestamp
+     * Get the stream segment at a specific timestamp, none during an ad
      */
     getSegmentAtTime(timestamp) {
-        for (let i = 0; i < this.segments.length; i++) {
-            const seg = this.segments[i];
-            if (timestamp >= seg.timestamp && timestamp < seg.timestamp + seg.duration) {
-                return { segment: seg, index: i };
-            }
+        const seg = this.segments.findByTime(timestamp);
+
+        if (seg && !seg.ad && timestamp < seg.timestamp + seg.duration) {
+            // Index in the ring, from the oldest sequence kept
+            return { segment: seg, index: seg.sequence - this.segments.firstSequence };
         }
         return null;
     }
 
     /**
-     * Get a range of segments for seeking
+     * Get a range of stream segments for seeking, ads left out
      */
     getSegmentsInRange(startTime, endTime) {
-        return this.segments.filter(seg => {
-            const segEnd = seg.timestamp + seg.duration;
-            return segEnd > startTime && seg.timestamp < endTime;
-        });
+        return this.segments.getRange(startTime, endTime).filter(seg => !seg.ad);
     }
 
     /**
@@ -288,7 +823,20 @@ class DVRTracker {
             bufferDuration: this.getBufferDuration(),
             bufferDurationFormatted: this.formatDuration(this.getBufferDuration()),
             segmentCount: this.segments.length,
-            canSeekBack: this.canSeekBack()
+            canSeekBack: this.canSeekBack(),
+            broadcastStartTime: this.broadcastStartTime,
+            liveEdgeTime: this.getLiveEdgeTime(),
+            timeSource: this.segments.last()?.timeSource || null,
+            adBreaks: this.adBreaks,
+            adDuration: this.getAdDuration(),
+            variants: this.variants,
+            currentVariant: this.currentVariant,
+            timelines: Array.from(this.timelines.values(), timeline => ({
+                key: timeline.key,
+                segmentCount: timeline.segments.length,
+                init: timeline.segments.last()?.init || null,
+                partialParts: timeline.partial ? timeline.partial.parts.length : 0
+            }))
         };
     }
 }
@@ -9,6 +9,7 @@ class DVRUI {
         this.seekbar = null;
         this.progressSegment = null;
         this.bufferSegment = null;
+        this.adBreaksEl = null;
         this.playhead = null;
         this.currentTimeEl = null;
         this.durationEl = null;
@@ -24,6 +25,17 @@ class DVRUI {
         this.onGoLive = null;
         this.onPreview = null;
         this.onReturnToLive = null;
+        this.onToggleSkipMuted = null;
+        this.onRecoverVod = null;
+        this.onToggleAudioOnly = null;
+        this.onToggleExport = null;
+        this.onExportStart = null;
+        this.onExportCancel = null;
+        this.onTogglePlaylist = null;
+        this.onPlaylistCopy = null;
+        this.onPlaylistDownload = null;
+
+        this.diagnosticsExpanded = false;
 
         this.lastMouseMoveTime = 0;
 
@@ -170,6 +182,15 @@ class DVRUI {
                 transition: width 0.1s linear;
             }
 
+            /* Stitched ad breaks, skipped when seeking */
+            .tns-dvr-ad-break {
+                position: absolute;
+                top: 0;
+                height: 100%;
+                background: rgba(255, 214, 0, 0.85);
+                pointer-events: none;
+            }
+
             /* Playhead/scrubber - matches the white indicator */
             .tns-dvr-playhead {
                 position: absolute;
@@ -237,6 +258,217 @@ class DVRUI {
                 background: linear-gradient(135deg, #ff3333 0%, #eb0400 100%);
                 transform: scale(1.02);
             }
+
+            /* Recover VOD button - shown over the player when a VOD has no metadata */
+            .tns-recover-vod-btn {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                z-index: 100;
+                padding: 8px 16px;
+                background: linear-gradient(135deg, rgba(145, 71, 255, 0.95) 0%, rgba(102, 51, 153, 0.95) 100%);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 13px;
+                font-weight: 700;
+                cursor: pointer;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            }
+
+            /* Muted ranges drawn over Twitch's native VOD seekbar */
+            .tns-muted-ranges {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                pointer-events: none;
+                z-index: 1;
+            }
+
+            .tns-muted-range {
+                position: absolute;
+                top: 0;
+                height: 100%;
+                background: repeating-linear-gradient(135deg, rgba(255, 255, 255, 0.55) 0 3px, rgba(255, 255, 255, 0.2) 3px 6px);
+            }
+
+            /* Skip muted sections toggle - integrated in Twitch controls */
+            .tns-skip-muted-btn {
+                display: inline-flex !important;
+                align-items: center;
+                gap: 4px;
+                padding: 5px 10px;
+                margin-right: 8px;
+                background: rgba(255, 255, 255, 0.15);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 700;
+                cursor: pointer;
+                transition: background 0.15s ease;
+            }
+
+            .tns-skip-muted-btn:hover {
+                background: rgba(255, 255, 255, 0.25);
+            }
+
+            .tns-skip-muted-btn.active {
+                background: rgb(145, 71, 255);
+            }
+
+            /* Audio only toggle - Twitch controls on VOD pages, top left of the VOD overlay */
+            .tns-audio-only-btn {
+                display: inline-flex !important;
+                align-items: center;
+                padding: 5px 10px;
+                margin-right: 8px;
+                background: rgba(255, 255, 255, 0.15);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 700;
+                cursor: pointer;
+                transition: background 0.15s ease;
+            }
+
+            .tns-audio-only-btn:hover {
+                background: rgba(255, 255, 255, 0.25);
+            }
+
+            .tns-audio-only-btn.active {
+                background: rgb(145, 71, 255);
+            }
+
+            /* Unlock diagnostics panel on VOD pages */
+            .tns-diagnostics-panel {
+                position: absolute;
+                bottom: 60px;
+                left: 10px;
+                z-index: 100;
+                max-width: 420px;
+                padding: 6px 10px;
+                background: rgba(0, 0, 0, 0.75);
+                border-radius: 4px;
+                color: #efeff1;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                line-height: 1.5;
+                pointer-events: auto;
+            }
+
+            .tns-diagnostics-summary {
+                font-weight: 700;
+                cursor: pointer;
+            }
+
+            .tns-diagnostics-details {
+                margin-top: 4px;
+                cursor: text;
+                user-select: text;
+            }
+
+            .tns-diagnostics-row span:first-child {
+                color: #adadb8;
+            }
+
+            .tns-diagnostics-error {
+                color: #ff8280;
+            }
+
+            .tns-audio-only-btn.overlay {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                z-index: 100;
+                padding: 8px 16px;
+                margin: 0;
+                background: rgba(0, 0, 0, 0.6);
+                font-size: 13px;
+            }
+
+            /* Export range panel on VOD pages */
+            .tns-export-panel {
+                position: absolute;
+                bottom: 60px;
+                right: 10px;
+                z-index: 100;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                width: 240px;
+                padding: 10px;
+                background: rgba(0, 0, 0, 0.85);
+                border-radius: 4px;
+                color: #efeff1;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                pointer-events: auto;
+            }
+
+            .tns-export-panel label {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+            }
+
+            .tns-export-panel input,
+            .tns-export-panel select {
+                width: 100px;
+                padding: 3px 6px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-family: inherit;
+            }
+
+            .tns-export-panel button {
+                padding: 5px 10px;
+                background: rgb(145, 71, 255);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: inherit;
+                font-weight: 700;
+                cursor: pointer;
+            }
+
+            .tns-export-panel select option {
+                background: #18181b;
+            }
+
+            .tns-export-panel button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .tns-export-note {
+                color: #adadb8;
+                font-size: 11px;
+                line-height: 1.3;
+            }
+
+            .tns-export-progress {
+                height: 4px;
+                background: rgba(255, 255, 255, 0.2);
+                border-radius: 2px;
+                overflow: hidden;
+            }
+
+            .tns-export-progress-fill {
+                height: 100%;
+                width: 0%;
+                background: rgb(145, 71, 255);
+                transition: width 0.2s ease;
+            }
         `;
 
         document.head.appendChild(styles);
@@ -268,6 +500,7 @@ class DVRUI {
                 <div class="tns-dvr-seekbar">
                     <span class="tns-dvr-segment-buffer"></span>
                     <span class="tns-dvr-segment-progress"></span>
+                    <span class="tns-dvr-ad-breaks"></span>
                     <span class="tns-dvr-playhead"></span>
                 </div>
                 <div class="tns-dvr-preview"></div>
@@ -279,6 +512,7 @@ class DVRUI {
         this.seekbarArea = this.container.querySelector('.tns-dvr-seekbar-area');
         this.progressSegment = this.container.querySelector('.tns-dvr-segment-progress');
         this.bufferSegment = this.container.querySelector('.tns-dvr-segment-buffer');
+        this.adBreaksEl = this.container.querySelector('.tns-dvr-ad-breaks');
         this.playhead = this.container.querySelector('.tns-dvr-playhead');
         this.currentTimeEl = this.container.querySelector('.tns-dvr-current');
         this.durationEl = this.container.querySelector('.tns-dvr-duration');
@@ -351,6 +585,578 @@ class DVRUI {
         if (existing) existing.remove();
     }
 
+    /**
+     * Show the "Recover VOD" button over the player
+     */
+    createRecoverVodButton() {
+        this.removeRecoverVodButton();
+
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        const button = document.createElement('button');
+        button.id = 'tns-recover-vod-btn';
+        button.className = 'tns-recover-vod-btn';
+        button.textContent = '🛠️ Récupérer la VOD';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onRecoverVod) {
+                this.onRecoverVod();
+            }
+        };
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Remove the "Recover VOD" button
+     */
+    removeRecoverVodButton() {
+        const existing = document.getElementById('tns-recover-vod-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Draw muted ranges (in seconds) over Twitch's native VOD seekbar
+     */
+    renderMutedRanges(ranges, duration) {
+        const seekbar = document.querySelector('[data-a-target="player-seekbar"] .seekbar-bar') ||
+            document.querySelector('.seekbar-bar');
+
+        if (!seekbar || !duration) return false;
+
+        const key = `${duration}:${ranges.length}`;
+        const existing = seekbar.querySelector('.tns-muted-ranges');
+
+        // Twitch re-renders the seekbar, only redraw when it is missing or stale
+        if (existing && existing.dataset.key === key) return true;
+        if (existing) existing.remove();
+
+        const container = document.createElement('div');
+        container.className = 'tns-muted-ranges';
+        container.dataset.key = key;
+
+        ranges.forEach(range => {
+            const element = document.createElement('span');
+            element.className = 'tns-muted-range';
+            element.style.left = `${(range.start / duration) * 100}%`;
+            element.style.width = `${((range.end - range.start) / duration) * 100}%`;
+            element.title = 'Muted';
+            container.appendChild(element);
+        });
+
+        if (getComputedStyle(seekbar).position === 'static') {
+            seekbar.style.position = 'relative';
+        }
+        seekbar.appendChild(container);
+        return true;
+    }
+
+    /**
+     * Remove muted ranges from the native seekbar
+     */
+    removeMutedRanges() {
+        document.querySelectorAll('.tns-muted-ranges').forEach(element => element.remove());
+    }
+
+    /**
+     * Create or update the "Skip muted" toggle in Twitch controls
+     */
+    updateSkipMutedToggle(enabled) {
+        let button = document.getElementById('tns-skip-muted-btn');
+
+        if (!button) {
+            const controlBar = document.querySelector('.player-controls__right-control-group');
+            if (!controlBar) return null;
+
+            button = document.createElement('button');
+            button.id = 'tns-skip-muted-btn';
+            button.className = 'tns-skip-muted-btn';
+            button.title = 'Passer les sections muettes';
+            button.onclick = (e) => {
+                e.preventDefault();
+                if (this.onToggleSkipMuted) {
+                    this.onToggleSkipMuted();
+                }
+            };
+
+            controlBar.insertBefore(button, controlBar.firstChild);
+        }
+
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '🔇 Passer muets : ON' : '🔇 Passer muets : OFF';
+        return button;
+    }
+
+    /**
+     * Remove the "Skip muted" toggle
+     */
+    removeSkipMutedToggle() {
+        const existing = document.getElementById('tns-skip-muted-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create an "Audio only" toggle button
+     */
+    createAudioOnlyButton(id) {
+        const button = document.createElement('button');
+        button.id = id;
+        button.className = 'tns-audio-only-btn';
+        button.title = 'Écouter la VOD sans la vidéo';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onToggleAudioOnly) {
+                this.onToggleAudioOnly();
+            }
+        };
+
+        return button;
+    }
+
+    setAudioOnlyButtonState(button, enabled) {
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '🎧 Audio seul : ON' : '🎧 Audio seul : OFF';
+    }
+
+    /**
+     * Create or update the "Audio only" toggle in Twitch controls
+     */
+    updateAudioOnlyToggle(enabled) {
+        let button = document.getElementById('tns-audio-only-btn');
+
+        if (!button) {
+            const controlBar = document.querySelector('.player-controls__right-control-group');
+            if (!controlBar) return null;
+
+            button = this.createAudioOnlyButton('tns-audio-only-btn');
+            controlBar.insertBefore(button, controlBar.firstChild);
+        }
+
+        this.setAudioOnlyButtonState(button, enabled);
+        return button;
+    }
+
+    /**
+     * Create or update the "Audio only" toggle of the VOD overlay
+     */
+    updateOverlayAudioOnlyToggle(overlay, enabled) {
+        let button = document.getElementById('tns-vod-audio-only-btn');
+
+        if (!button) {
+            if (!overlay) return null;
+
+            button = this.createAudioOnlyButton('tns-vod-audio-only-btn');
+            button.classList.add('overlay');
+            overlay.appendChild(button);
+        }
+
+        this.setAudioOnlyButtonState(button, enabled);
+        return button;
+    }
+
+    /**
+     * Create the "Export" button in Twitch controls
+     */
+    updateExportButton() {
+        let button = document.getElementById('tns-export-btn');
+        if (button) return button;
+
+        const controlBar = document.querySelector('.player-controls__right-control-group');
+        if (!controlBar) return null;
+
+        button = document.createElement('button');
+        button.id = 'tns-export-btn';
+        button.className = 'tns-skip-muted-btn';
+        button.title = 'Enregistrer un extrait de la VOD en MP4';
+        button.textContent = '✂️ Exporter';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onToggleExport) {
+                this.onToggleExport();
+            }
+        };
+
+        controlBar.insertBefore(button, controlBar.firstChild);
+        return button;
+    }
+
+    /**
+     * Remove the "Export" button
+     */
+    removeExportButton() {
+        const existing = document.getElementById('tns-export-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the export panel with the range prefilled (formatted times)
+     */
+    showExportPanel(start, end) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        this.removeExportPanel();
+
+        const panel = document.createElement('div');
+        panel.id = 'tns-export-panel';
+        panel.className = 'tns-export-panel';
+
+        const createField = (label, value) => {
+            const field = document.createElement('label');
+            const input = document.createElement('input');
+
+            input.type = 'text';
+            input.value = value;
+            input.placeholder = 'H:MM:SS';
+
+            field.append(label, input);
+            panel.appendChild(field);
+            return input;
+        };
+
+        const startInput = createField('Début', start);
+        const endInput = createField('Fin', end);
+
+        const note = document.createElement('div');
+        note.className = 'tns-export-note';
+        note.textContent = 'Les VODs en fMP4 ne sont pas coupées dans un segment : la plage est arrondie aux segments qui la couvrent.';
+
+        const progress = document.createElement('div');
+        progress.className = 'tns-export-progress';
+        progress.innerHTML = '<div class="tns-export-progress-fill"></div>';
+
+        const status = document.createElement('div');
+        status.className = 'tns-export-status';
+
+        const exportButton = document.createElement('button');
+        exportButton.className = 'tns-export-start';
+        exportButton.textContent = 'Exporter en MP4';
+        exportButton.onclick = (e) => {
+            e.preventDefault();
+            if (this.onExportStart) {
+                this.onExportStart(startInput.value, endInput.value);
+            }
+        };
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'tns-export-cancel';
+        cancelButton.textContent = 'Annuler';
+        cancelButton.onclick = (e) => {
+            e.preventDefault();
+            if (this.onExportCancel) {
+                this.onExportCancel();
+            }
+        };
+
+        panel.append(note, progress, status, exportButton, cancelButton);
+
+        // Keep clicks and key presses from reaching the player
+        panel.onclick = (e) => e.stopPropagation();
+        panel.onkeydown = (e) => e.stopPropagation();
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Update the export panel: running state, progress (0 - 1) and status text
+     */
+    updateExportPanel(running, progress, status) {
+        const panel = document.getElementById('tns-export-panel');
+        if (!panel) return;
+
+        panel.querySelectorAll('input').forEach(input => input.disabled = running);
+        panel.querySelector('.tns-export-start').disabled = running;
+        panel.querySelector('.tns-export-progress-fill').style.width = `${Math.round(progress * 100)}%`;
+        panel.querySelector('.tns-export-status').textContent = status || '';
+    }
+
+    isExportPanelOpen() {
+        return !!document.getElementById('tns-export-panel');
+    }
+
+    /**
+     * Remove the export panel
+     */
+    removeExportPanel() {
+        const existing = document.getElementById('tns-export-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create the "Playlist" button in Twitch controls
+     */
+    updatePlaylistButton() {
+        let button = document.getElementById('tns-playlist-btn');
+        if (button) return button;
+
+        const controlBar = document.querySelector('.player-controls__right-control-group');
+        if (!controlBar) return null;
+
+        button = document.createElement('button');
+        button.id = 'tns-playlist-btn';
+        button.className = 'tns-skip-muted-btn';
+        button.title = 'Copier ou télécharger la playlist m3u8 pour un lecteur externe';
+        button.textContent = '📋 m3u8';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onTogglePlaylist) {
+                this.onTogglePlaylist();
+            }
+        };
+
+        controlBar.insertBefore(button, controlBar.firstChild);
+        return button;
+    }
+
+    /**
+     * Remove the "Playlist" button
+     */
+    removePlaylistButton() {
+        const existing = document.getElementById('tns-playlist-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the playlist panel: quality (a variant or master) and optional start time
+     */
+    showPlaylistPanel(variants, start) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        this.removePlaylistPanel();
+
+        const panel = document.createElement('div');
+        panel.id = 'tns-playlist-panel';
+        panel.className = 'tns-export-panel';
+
+        const qualityField = document.createElement('label');
+        const quality = document.createElement('select');
+        variants.forEach(variant => quality.add(new Option(variant.name, variant.resKey)));
+        quality.add(new Option('Toutes (master)', 'master'));
+        qualityField.append('Qualité', quality);
+
+        // Only a variant export has the muted copies of unmuted segments
+        const masterNote = document.createElement('div');
+        masterNote.className = 'tns-export-note';
+        masterNote.textContent = 'La master renvoie aux playlists de Twitch : mpv et VLC n\'y lisent pas les passages muets. Choisissez une qualité pour ces lecteurs.';
+
+        const updateMasterNote = () => masterNote.hidden = quality.value !== 'master';
+        quality.onchange = updateMasterNote;
+        updateMasterNote();
+
+        const startField = document.createElement('label');
+        const startInput = document.createElement('input');
+        startInput.type = 'text';
+        startInput.value = start;
+        startInput.placeholder = 'optionnel';
+        startField.append('Début', startInput);
+
+        const status = document.createElement('div');
+        status.className = 'tns-playlist-status';
+
+        const createButton = (text, action) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.onclick = (e) => {
+                e.preventDefault();
+
+                const callback = action === 'copy' ? this.onPlaylistCopy : this.onPlaylistDownload;
+                if (callback) {
+                    callback(quality.value, startInput.value);
+                }
+            };
+            return button;
+        };
+
+        panel.append(qualityField, masterNote, startField, status, createButton('Copier', 'copy'), createButton('Télécharger', 'download'));
+
+        // Keep clicks and key presses from reaching the player
+        panel.onclick = (e) => e.stopPropagation();
+        panel.onkeydown = (e) => e.stopPropagation();
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Show a status line in the playlist panel
+     */
+    updatePlaylistStatus(status) {
+        const element = document.querySelector('#tns-playlist-panel .tns-playlist-status');
+        if (element) element.textContent = status || '';
+    }
+
+    isPlaylistPanelOpen() {
+        return !!document.getElementById('tns-playlist-panel');
+    }
+
+    /**
+     * Remove the playlist panel
+     */
+    removePlaylistPanel() {
+        const existing = document.getElementById('tns-playlist-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create or update the unlock diagnostics panel of a VOD
+     */
+    renderDiagnosticsPanel(diagnostics) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer || !diagnostics) return null;
+
+        const key = `${diagnostics.vodId}:${diagnostics.updatedAt}:${this.diagnosticsExpanded}`;
+        let panel = document.getElementById('tns-diagnostics-panel');
+
+        if (panel && panel.dataset.key === key && playerContainer.contains(panel)) return panel;
+        if (panel) panel.remove();
+
+        panel = document.createElement('div');
+        panel.id = 'tns-diagnostics-panel';
+        panel.className = 'tns-diagnostics-panel';
+        panel.dataset.key = key;
+        panel.title = 'Diagnostic TwitchNoSub';
+
+        const summary = document.createElement('div');
+        summary.className = 'tns-diagnostics-summary';
+        summary.textContent = this.getDiagnosticsSummary(diagnostics);
+        summary.onclick = (e) => {
+            e.stopPropagation();
+            this.diagnosticsExpanded = !this.diagnosticsExpanded;
+            this.renderDiagnosticsPanel(diagnostics);
+        };
+        panel.appendChild(summary);
+
+        if (this.diagnosticsExpanded) {
+            const details = document.createElement('div');
+            details.className = 'tns-diagnostics-details';
+
+            for (const [label, value, isError] of this.getDiagnosticsRows(diagnostics)) {
+                const row = document.createElement('div');
+                row.className = isError ? 'tns-diagnostics-row tns-diagnostics-error' : 'tns-diagnostics-row';
+
+                const name = document.createElement('span');
+                name.textContent = `${label} : `;
+
+                const text = document.createElement('span');
+                text.textContent = value;
+
+                row.append(name, text);
+                details.appendChild(row);
+            }
+
+            // Keep clicks on the details from reaching the player
+            details.onclick = (e) => e.stopPropagation();
+            panel.appendChild(details);
+        }
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    getDiagnosticsSummary(diagnostics) {
+        if (diagnostics.failures.length > 0) {
+            return `⚠️ TNS : échec du déblocage ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+        }
+
+        if (diagnostics.variants.length > 0) {
+            const count = diagnostics.variants.length;
+            return `🔓 TNS : VOD débloquée, ${count} qualité${count > 1 ? 's' : ''} ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+        }
+
+        return `⏳ TNS : déblocage en cours ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+    }
+
+    /**
+     * [label, value, isError] rows of the diagnostics panel
+     */
+    getDiagnosticsRows(diagnostics) {
+        const rows = [];
+
+        if (diagnostics.usher) {
+            rows.push(['Usher', `v${diagnostics.usher.version} (HTTP ${diagnostics.usher.status})`]);
+        }
+
+        if (diagnostics.cache) {
+            rows.push(['Cache', diagnostics.cache.hit ? 'oui' : 'non']);
+        }
+
+        if (diagnostics.gql) {
+            const { status, error } = diagnostics.gql;
+            rows.push(['GQL', error ? `${status} (${error})` : status, status !== 'ok']);
+        }
+
+        if (diagnostics.recovery) {
+            rows.push(['Récupération', diagnostics.recovery.status, diagnostics.recovery.status === 'failed']);
+        }
+
+        if (diagnostics.host) {
+            const { host, template, verified, tried } = diagnostics.host;
+            rows.push(['Hôte', `${host} (${template})${verified ? '' : ' non vérifié'}`, !verified]);
+
+            if (tried?.length > 1) {
+                rows.push(['Hôtes essayés', String(tried.length)]);
+            }
+        }
+
+        for (const variant of diagnostics.variants) {
+            const parts = [variant.codecs];
+            if (variant.resolution) parts.push(variant.resolution);
+            if (variant.averageBandwidth) parts.push(`~${(variant.averageBandwidth / 1000000).toFixed(1)} Mb/s (estimé)`);
+
+            rows.push([variant.name, parts.join(' · ')]);
+        }
+
+        if (diagnostics.variantsComplete && diagnostics.variants.length > 0 && !diagnostics.variants[0].bandwidthEstimated) {
+            rows.push(['Débit', 'non mesuré, valeurs par défaut', true]);
+        }
+
+        if (diagnostics.variants.length > 0 && !diagnostics.variantsComplete) {
+            rows.push(['Qualités', 'recherche en cours…']);
+        }
+
+        for (const reason of diagnostics.failures) {
+            rows.push(['Erreur', reason, true]);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Remove the diagnostics panel
+     */
+    removeDiagnosticsPanel() {
+        const existing = document.getElementById('tns-diagnostics-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Remove the "Audio only" toggle from Twitch controls
+     */
+    removeAudioOnlyToggle() {
+        const existing = document.getElementById('tns-audio-only-btn');
+        if (existing) existing.remove();
+    }
+
     /**
      * Attach UI to player
      */
@@ -404,7 +1210,8 @@ class DVRUI {
             behindLive = '0:00',
             bufferDuration = '0:00',
             hasVod = false,
-            isWatchingVod = false
+            isWatchingVod = false,
+            adBreaks = []
         } = data;
 
         this.currentPosition = position;
@@ -428,6 +1235,8 @@ class DVRUI {
         // Update playhead position
         this.playhead.style.left = `${position}%`;
 
+        this.renderAdBreaks(adBreaks);
+
         // Update time displays
         if (isWatchingVod) {
             this.currentTimeEl.textContent = '📺 VOD';
@@ -459,6 +1268,31 @@ class DVRUI {
         }
     }
 
+    /**
+     * Draw the ad breaks, start and end in percent of the seekbar
+     */
+    renderAdBreaks(adBreaks) {
+        const elements = this.adBreaksEl.children;
+
+        while (elements.length > adBreaks.length) {
+            elements[elements.length - 1].remove();
+        }
+
+        adBreaks.forEach((adBreak, index) => {
+            let element = elements[index];
+
+            if (!element) {
+                element = document.createElement('span');
+                element.className = 'tns-dvr-ad-break';
+                element.title = 'Ad';
+                this.adBreaksEl.appendChild(element);
+            }
+
+            element.style.left = `${adBreak.start}%`;
+            element.style.width = `${adBreak.end - adBreak.start}%`;
+        });
+    }
+
     /**
      * Get position from mouse event
      */
@@ -586,6 +1420,15 @@ class DVRUI {
         this.container = null;
         this.isVisible = false;
         this.removeReturnToLiveButton();
+        this.removeMutedRanges();
+        this.removeSkipMutedToggle();
+        this.removeAudioOnlyToggle();
+        this.removeDiagnosticsPanel();
+        this.removeRecoverVodButton();
+        this.removeExportButton();
+        this.removeExportPanel();
+        this.removePlaylistButton();
+        this.removePlaylistPanel();
     }
 }
 
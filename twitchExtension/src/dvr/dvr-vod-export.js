@@ -0,0 +1,281 @@
+/**
+ * TwitchNoSub DVR VOD Export
+ * Saves a time range of a VOD as an MP4 file: downloads the segments of a
+ * variant playlist covering the range and remuxes them in the page.
+ * TS segments go through DVRMP4Remuxer, fMP4 segments are already MP4 and
+ * only need their init segment in front and their decode times moved to
+ * start at 0. They are not cut: the range is rounded to segment boundaries.
+ */
+
+class DVRVodExport {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.maxRetries = options.maxRetries ?? 2;
+
+        this.abortController = null;
+        this.onProgress = null;
+    }
+
+    get running() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * Read the segments of a media playlist with their position in the VOD
+     */
+    parsePlaylist(text, playlistUrl) {
+        const segments = [];
+        let init = null;
+        let duration = 0;
+        let time = 0;
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('#EXTINF:')) {
+                duration = parseFloat(trimmed.substring(8)) || 0;
+            } else if (trimmed.startsWith('#EXT-X-MAP:')) {
+                const uri = trimmed.match(/URI="([^"]+)"/);
+                if (uri) init = new URL(uri[1], playlistUrl).href;
+            } else if (trimmed && !trimmed.startsWith('#')) {
+                // Unmuted segments are gone on restricted VODs, same as the worker does
+                const uri = trimmed.replace(/-unmuted/g, '-muted');
+
+                segments.push({ url: new URL(uri, playlistUrl).href, start: time, duration });
+                time += duration;
+            }
+        }
+
+        return { segments, init, duration: time };
+    }
+
+    /**
+     * Export [start, end] (seconds) of the VOD served by playlistUrl.
+     * Resolves with the MP4 Blob, rejects with an AbortError when cancelled.
+     */
+    async export(playlistUrl, start, end) {
+        if (this.running) {
+            throw new Error('Un export est déjà en cours');
+        }
+
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        try {
+            const response = await fetch(playlistUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`Playlist indisponible (HTTP ${response.status})`);
+            }
+
+            const playlist = this.parsePlaylist(await response.text(), playlistUrl);
+            const segments = playlist.segments.filter(segment =>
+                segment.start + segment.duration > start && segment.start < end
+            );
+
+            if (segments.length === 0) {
+                throw new Error('Aucun segment dans la plage choisie');
+            }
+
+            console.log(`[TNS-DVR] Exporting ${segments.length} segment(s) of ${playlistUrl}`);
+
+            const parts = playlist.init
+                ? await this.exportFragmented(playlist.init, segments, signal)
+                : await this.exportTransportStream(segments, start, end, signal);
+
+            return new Blob(parts, { type: 'video/mp4' });
+        } catch (e) {
+            // Stop the downloads still running
+            this.abortController.abort();
+            throw e;
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * fMP4 segments: init segment followed by the media segments, cut on segment boundaries
+     */
+    async exportFragmented(initUrl, segments, signal) {
+        const init = await this.download(initUrl, signal);
+        const parts = [init];
+        // track_ID -> decode time of its first fragment
+        const origins = new Map();
+
+        await this.downloadAll(segments, signal, (bytes) => {
+            this.rebaseDecodeTimes(bytes, origins);
+            parts.push(bytes);
+        });
+
+        return parts;
+    }
+
+    /**
+     * Move the decode times (tfdt) of a media segment back by the ones of the
+     * first fragment of each track, in place, so the file starts at 0 and not
+     * at the position of the range in the VOD
+     */
+    rebaseDecodeTimes(bytes, origins) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        for (const moof of this.findBoxes(view, 0, bytes.byteLength, 'moof')) {
+            for (const traf of this.findBoxes(view, moof.start, moof.end, 'traf')) {
+                const [tfhd] = this.findBoxes(view, traf.start, traf.end, 'tfhd');
+                const [tfdt] = this.findBoxes(view, traf.start, traf.end, 'tfdt');
+                if (!tfhd || !tfdt) continue;
+
+                // Full boxes: version and flags, then track_ID / baseMediaDecodeTime
+                const trackId = view.getUint32(tfhd.start + 4);
+                const wide = view.getUint8(tfdt.start) === 1;
+                const time = wide ? view.getBigUint64(tfdt.start + 4) : BigInt(view.getUint32(tfdt.start + 4));
+
+                if (!origins.has(trackId)) {
+                    origins.set(trackId, time);
+                }
+
+                const rebased = time > origins.get(trackId) ? time - origins.get(trackId) : 0n;
+
+                if (wide) {
+                    view.setBigUint64(tfdt.start + 4, rebased);
+                } else {
+                    view.setUint32(tfdt.start + 4, Number(rebased));
+                }
+            }
+        }
+    }
+
+    /**
+     * Boxes of a type between two offsets, with the bounds of their payload
+     */
+    findBoxes(view, start, end, type) {
+        const boxes = [];
+
+        for (let offset = start; offset + 8 <= end;) {
+            let size = view.getUint32(offset);
+            let header = 8;
+
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < header || offset + size > end) break;
+
+            const name = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+            if (name === type) {
+                boxes.push({ start: offset + header, end: offset + size });
+            }
+
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * TS segments: remux every segment, then cut to the requested range
+     */
+    async exportTransportStream(segments, start, end, signal) {
+        const remuxer = new window.TNS_DVRMP4Remuxer();
+
+        await this.downloadAll(segments, signal, (bytes, segment) => remuxer.pushSegment(bytes, segment.start));
+
+        return remuxer.finish(start, end);
+    }
+
+    /**
+     * Download segments a few at a time, handing them over in playlist order
+     */
+    async downloadAll(segments, signal, onSegment) {
+        const results = new Array(segments.length);
+        let next = 0;
+        let delivered = 0;
+        let done = 0;
+
+        this.reportProgress(0, segments.length);
+
+        const deliver = () => {
+            while (delivered < segments.length && results[delivered]) {
+                onSegment(results[delivered], segments[delivered]);
+                results[delivered] = null;
+                delivered++;
+            }
+        };
+
+        const worker = async () => {
+            while (next < segments.length) {
+                const index = next++;
+
+                results[index] = await this.download(segments[index].url, signal);
+                deliver();
+
+                this.reportProgress(++done, segments.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, segments.length) }, worker));
+    }
+
+    /**
+     * Download one file, retrying network errors and 5xx
+     */
+    async download(url, signal) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                const response = await fetch(url, { signal });
+
+                if (response.ok) {
+                    return new Uint8Array(await response.arrayBuffer());
+                }
+
+                lastError = new Error(`Segment indisponible (HTTP ${response.status})`);
+                if (response.status < 500) break;
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                lastError = e;
+            }
+        }
+
+        throw lastError;
+    }
+
+    reportProgress(done, total) {
+        if (this.onProgress) {
+            this.onProgress(done, total);
+        }
+    }
+
+    /**
+     * Stop the running export, its promise rejects with an AbortError
+     */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Save a Blob through a temporary download link
+     */
+    save(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRVodExport = DVRVodExport;
+}
@@ -0,0 +1,107 @@
+/**
+ * TwitchNoSub DVR VOD Recovery
+ * Collects the broadcast info needed to rebuild the storage path of a VOD
+ * whose GQL metadata is gone, and saves it for the player worker
+ * (see worker/vod-recovery.js).
+ */
+
+class DVRVodRecovery {
+    constructor() {
+        // Shared with the worker through IndexedDB
+        this.store = new window.TNS_VodPlaylistCache({
+            storeName: 'recovery',
+            ttl: 30 * 24 * 60 * 60 * 1000 // 30 days
+        });
+    }
+
+    /**
+     * Parse a stream tracker URL (TwitchTracker, StreamsCharts, SullyGnome)
+     * or a plain "login broadcastId" string
+     */
+    parseTrackerUrl(input) {
+        const text = (input || '').trim();
+
+        const patterns = [
+            /twitchtracker\.com\/([^/]+)\/streams\/(\d+)/i,
+            /streamscharts\.com\/channels\/([^/]+)\/streams\/(\d+)/i,
+            /sullygnome\.com\/channel\/([^/]+)\/stream\/(\d+)/i,
+            /^([a-z0-9_]+)[\s/]+(\d+)$/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return { login: match[1].toLowerCase(), broadcastId: match[2] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a stream start time, in UTC unless a timezone is given.
+     * Accepts unix seconds, ISO dates and "YYYY-MM-DD HH:MM[:SS]".
+     */
+    parseStartTime(input) {
+        const text = (input || '').trim();
+
+        if (/^\d{9,10}$/.test(text)) {
+            return { startTimestamp: parseInt(text), exact: true };
+        }
+
+        const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (!match) return null;
+
+        const date = new Date(`${match[1]}T${match[2]}${match[3] || ':00'}${match[5] || 'Z'}`);
+        if (isNaN(date.getTime())) return null;
+
+        return {
+            startTimestamp: Math.floor(date.getTime() / 1000),
+            // Without seconds, the worker searches around the given minute
+            exact: !!match[3]
+        };
+    }
+
+    /**
+     * Ask the user for the broadcast info
+     */
+    promptParams() {
+        const trackerInput = window.prompt('Lien du stream (TwitchTracker, StreamsCharts, SullyGnome) ou "chaine idDuBroadcast" :');
+        if (trackerInput === null) return null;
+
+        const broadcast = this.parseTrackerUrl(trackerInput);
+        if (!broadcast) {
+            throw new Error('Lien de stream non reconnu');
+        }
+
+        const timeInput = window.prompt('Début du stream en UTC (AAAA-MM-JJ HH:MM[:SS]) :');
+        if (timeInput === null) return null;
+
+        const start = this.parseStartTime(timeInput);
+        if (!start) {
+            throw new Error('Date de début non reconnue');
+        }
+
+        return { ...broadcast, ...start };
+    }
+
+    /**
+     * Save recovery parameters for a VOD id
+     */
+    async save(vodId, params) {
+        console.log(`[TNS-DVR] Saving recovery info for VOD ${vodId}:`, params);
+        return this.store.set(vodId, params);
+    }
+
+    /**
+     * Forget recovery parameters for a VOD id
+     */
+    async clear(vodId) {
+        return this.store.delete(vodId);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRVodRecovery = DVRVodRecovery;
+}
@@ -0,0 +1,115 @@
+/**
+ * TwitchNoSub DVR Worker Bridge
+ * Receives events posted by the patched player worker (see worker/page-channel.js)
+ * on the channel src/app.js gives to the workers of this page
+ */
+
+class DVRWorkerBridge {
+    constructor(name = null) {
+        // Whichever of app.js and the bridge runs first names the channel of this page
+        window.TNS_WORKER_CHANNEL = window.TNS_WORKER_CHANNEL || `tns-worker-${crypto.randomUUID()}`;
+
+        this.name = name || window.TNS_WORKER_CHANNEL;
+        this.channel = null;
+        this.listeners = {};
+        this.pending = new Map();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('[TNS-DVR] BroadcastChannel not supported, worker events disabled');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.name);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        console.log('[TNS-DVR] Worker bridge initialized');
+    }
+
+    /**
+     * Register an event listener
+     */
+    on(type, callback) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(callback);
+    }
+
+    /**
+     * Send a request to the patched player worker, resolves with its response.
+     * Rejects when no worker answers within the timeout.
+     */
+    request(type, payload = {}, timeout = 30000) {
+        if (!this.channel) {
+            return Promise.reject(new Error('BroadcastChannel not supported'));
+        }
+
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('Le lecteur ne répond pas'));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.channel.postMessage({ source: 'tns-page', channel: this.name, type, id, payload });
+        });
+    }
+
+    /**
+     * Settle the request a worker response belongs to (first answer wins)
+     */
+    handleResponse(response) {
+        const request = this.pending.get(response?.id);
+        if (!request) return;
+
+        this.pending.delete(response.id);
+        clearTimeout(request.timer);
+
+        if (response.error) {
+            request.reject(new Error(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }
+
+    /**
+     * Dispatch a worker message to its listeners
+     */
+    handleMessage(message) {
+        // Only the workers of this page
+        if (!message || message.source !== 'tns-worker' || message.channel !== this.name) return;
+
+        if (message.type === 'response') {
+            this.handleResponse(message.payload);
+            return;
+        }
+
+        (this.listeners[message.type] || []).forEach(callback => {
+            try {
+                callback(message.payload, message);
+            } catch (e) {
+                console.error(`[TNS-DVR] Error in ${message.type} listener:`, e);
+            }
+        });
+    }
+
+    /**
+     * Close the channel
+     */
+    destroy() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.pending.forEach(request => clearTimeout(request.timer));
+        this.pending.clear();
+        this.listeners = {};
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRWorkerBridge = DVRWorkerBridge;
+}
@@ -1 +0,0 @@
-const patch_url = localStorage.getItem("tns_internal_patch_url");
\ No newline at end of file
@@ -1 +1,48 @@
-localStorage.setItem("tns_internal_patch_url", chrome.runtime.getURL("src/patch_amazonworker.js"));
\ No newline at end of file
+// Worker patch and its modules, in load order (see worker_modules in app.js)
+const tns_worker_files = [
+    "src/version.js",
+    "src/gql-client.js",
+    "src/worker/vod-cache.js",
+    "src/worker/mp4-codecs.js",
+    "src/worker/ts-probe.js",
+    "src/worker/page-channel.js",
+    "src/worker/vod-recovery.js",
+    "src/worker/url-templates.js",
+    "src/worker/usher-playlist.js",
+    "src/worker/live-window.js",
+    "src/patch_amazonworker.js"
+];
+
+// Firefox has no MAIN world content scripts: src/app.js is injected inline,
+// which runs it right away, before any page script. Files are read
+// synchronously so the page never waits for them (see twitchnosub.js).
+function readExtensionFile(file) {
+    const request = new XMLHttpRequest();
+    request.open("GET", chrome.runtime.getURL(file), false);
+    request.send();
+
+    if (!request.responseText) {
+        throw new Error(`Unable to read ${file}`);
+    }
+
+    return request.responseText;
+}
+
+// The packaged worker patch, handed to the page with the "tns:init" event
+// and inlined in the player worker: only the code of this extension runs
+// in the worker
+function readWorkerSource() {
+    try {
+        return tns_worker_files.map(readExtensionFile).join("\n");
+    } catch (e) {
+        console.error("[TNS] Unable to read the worker patch", e);
+        return null;
+    }
+}
+
+function injectInlineScript(file) {
+    const s = document.createElement("script");
+    s.textContent = readExtensionFile(file);
+    (document.head || document.documentElement).append(s);
+    s.remove();
+}
@@ -0,0 +1,217 @@
+/**
+ * TwitchNoSub GQL Client
+ * Shared by the player worker and the page. Queries use variables, results
+ * are cached for a short time, identical requests in flight are merged and
+ * 5xx / rate limited responses are retried with backoff.
+ *
+ * Every call resolves (never rejects) with { status, data, error } where
+ * status is one of GQLResult.
+ */
+
+const GQLResult = Object.freeze({
+    OK: "ok",
+    NOT_FOUND: "not_found",
+    OFFLINE: "offline",
+    NETWORK_ERROR: "network_error",
+    ERROR: "error"
+});
+
+const GQL_VIDEO_QUERY = `query TNSVideo($id: ID!) {
+    video(id: $id) {
+        id
+        broadcastType
+        createdAt
+        seekPreviewsURL
+        owner {
+            login
+            displayName
+            stream {
+                id
+                createdAt
+            }
+        }
+    }
+}`;
+
+const GQL_STREAM_QUERY = `query TNSStream($login: String!) {
+    user(login: $login) {
+        id
+        stream {
+            id
+            createdAt
+            archiveVideo {
+                id
+                createdAt
+                lengthSeconds
+                status
+            }
+        }
+    }
+}`;
+
+const GQL_LATEST_VIDEO_QUERY = `query TNSLatestVideo($login: String!) {
+    user(login: $login) {
+        id
+        videos(first: 1) {
+            edges {
+                node {
+                    id
+                    seekPreviewsURL
+                }
+            }
+        }
+    }
+}`;
+
+class TwitchGQLClient {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || "https://gql.twitch.tv/gql";
+        this.clientId = options.clientId || "kimne78kx3ncx6brgo4mv6wki5h1ko";
+        this.cacheTtl = options.cacheTtl ?? 30 * 1000; // 30 seconds
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500; // ms, doubled on each retry
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+
+        this.cache = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Run a query, served from the cache or merged with an identical request in flight
+     */
+    query(query, variables = {}) {
+        const key = JSON.stringify({ query, variables });
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return Promise.resolve(cached.result);
+        }
+        this.cache.delete(key);
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this.request(query, variables).then(result => {
+            this.inFlight.delete(key);
+
+            // Don't keep failures around, the next call should try again
+            if (result.status !== GQLResult.NETWORK_ERROR && result.status !== GQLResult.ERROR) {
+                this.cache.set(key, { result, expiresAt: Date.now() + this.cacheTtl });
+            }
+
+            return result;
+        });
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Send the request, retrying on 5xx, rate limits and network errors
+     */
+    async request(query, variables) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, lastError.retryAfter || this.retryDelay * 2 ** (attempt - 1)));
+            }
+
+            let response;
+
+            try {
+                response = await this.fetch(this.endpoint, {
+                    method: "POST",
+                    body: JSON.stringify({ query, variables }),
+                    headers: {
+                        "Client-Id": this.clientId,
+                        "Accept": "application/json",
+                        "Content-Type": "application/json"
+                    }
+                });
+            } catch (e) {
+                lastError = { status: GQLResult.NETWORK_ERROR, message: e.message };
+                continue;
+            }
+
+            if (response.status === 429 || response.status >= 500) {
+                const retryAfter = parseInt(response.headers.get("Retry-After"));
+
+                lastError = {
+                    status: GQLResult.NETWORK_ERROR,
+                    message: `HTTP ${response.status}`,
+                    retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+                };
+                continue;
+            }
+
+            if (!response.ok) {
+                return { status: GQLResult.ERROR, data: null, error: `HTTP ${response.status}` };
+            }
+
+            try {
+                const body = await response.json();
+
+                if (body.errors?.length && !body.data) {
+                    return { status: GQLResult.ERROR, data: null, error: body.errors.map(e => e.message).join(", ") };
+                }
+
+                return { status: GQLResult.OK, data: body.data, error: null };
+            } catch (e) {
+                return { status: GQLResult.ERROR, data: null, error: `Invalid response: ${e.message}` };
+            }
+        }
+
+        return { status: lastError.status, data: null, error: lastError.message };
+    }
+
+    /**
+     * Get VOD metadata, NOT_FOUND when the video is deleted or hidden
+     */
+    async getVideo(vodId) {
+        const result = await this.query(GQL_VIDEO_QUERY, { id: String(vodId) });
+
+        if (result.status !== GQLResult.OK) return result;
+        if (!result.data?.video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: result.data.video, error: null };
+    }
+
+    /**
+     * Get the latest VOD of a channel, NOT_FOUND for an unknown channel or
+     * one without VODs
+     */
+    async getLatestVideo(login) {
+        const result = await this.query(GQL_LATEST_VIDEO_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const video = result.data?.user?.videos?.edges?.[0]?.node;
+        if (!video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: video, error: null };
+    }
+
+    /**
+     * Get the live stream of a channel, NOT_FOUND for an unknown channel and
+     * OFFLINE when it isn't live
+     */
+    async getStream(login) {
+        const result = await this.query(GQL_STREAM_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const user = result.data?.user;
+        if (!user) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+        if (!user.stream) return { status: GQLResult.OFFLINE, data: user, error: null };
+
+        return { status: GQLResult.OK, data: user.stream, error: null };
+    }
+}
+
+// Export for the page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_TwitchGQLClient = TwitchGQLClient;
+    self.TNS_GQLResult = GQLResult;
+}
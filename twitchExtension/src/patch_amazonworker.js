@@ -1,109 +1,848 @@
-async function fetchTwitchDataGQL(vodID) {
-    const resp = await fetch("https://gql.twitch.tv/gql", {
-        method: 'POST',
-        body: JSON.stringify({
-            "query": "query { video(id: \"" + vodID + "\") { broadcastType, createdAt, seekPreviewsURL, owner { login } }}"
-        }),
-        headers: {
-            'Client-Id': 'kimne78kx3ncx6brgo4mv6wki5h1ko',
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
+// Rendition folders that may exist for a VOD, in playlist order (source first, audio last).
+// Only probed for channels whose quality ladder was never seen (see getRenditionCandidates).
+const renditionCandidates = (() => {
+    const heights = [2160, 1440, 1080, 900, 720, 540, 480, 360, 160];
+    const frameRates = [60, 30];
+
+    const candidates = ["chunked"];
+
+    for (const height of heights) {
+        for (const frameRate of frameRates) {
+            candidates.push(`${height}p${frameRate}`);
+        }
+    }
+
+    candidates.push("audio_only");
+
+    return candidates;
+})();
+
+// Known VOD storage hosts, tried in order when the one from seekPreviewsURL fails.
+// Can be overridden from the page with the "tns-vod-hosts" localStorage key.
+const defaultVodHosts = [
+    "d1m7jfoe9zdc1j.cloudfront.net",
+    "d2nvs31859zcd8.cloudfront.net",
+    "d2aba1wr3818hz.cloudfront.net",
+    "d3c27h4odz752x.cloudfront.net",
+    "dqrpb9wgowsf5.cloudfront.net",
+    "ds0h3roq6wcgc.cloudfront.net",
+    "d2e2de1etea730.cloudfront.net",
+    "dgeft87wbj63p.cloudfront.net",
+    "d3vd9lfkzbru3h.cloudfront.net",
+    "d2vjef5jvl6bfs.cloudfront.net",
+    "d1ymi26ma8va5x.cloudfront.net",
+    "d1mhjrowxxagfy.cloudfront.net",
+    "ddacn6pr5v0tl.cloudfront.net",
+    "d3aqoihi2n8ty8.cloudfront.net",
+    "d1xhnb4ptk05mw.cloudfront.net",
+    "d6tizftlrpuof.cloudfront.net",
+    "d36nr0u3xmc4mm.cloudfront.net",
+    "d6d4ismr40iw.cloudfront.net",
+    "vod-secure.twitch.tv",
+    "vod-metro.twitch.tv",
+    "vod-pop-secure.twitch.tv"
+];
+
+const vodHosts = Array.isArray(self.TNS_VOD_HOSTS) && self.TNS_VOD_HOSTS.length > 0
+    ? self.TNS_VOD_HOSTS
+    : defaultVodHosts;
+
+function isVodHostUrl(url) {
+    try {
+        const host = new URL(url).host;
+        return host.includes("cloudfront") || vodHosts.includes(host);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Quality probing limits
+const probeConcurrency = 3;
+const probeTimeout = 5000; // ms per quality
+const probeWait = 8000; // ms the first playlist waits at most for the source
+
+// Bytes of the first .ts segment needed to find the SPS
+const tsProbeSize = 64 * 1024;
+
+// Segments spread over the VOD whose size is read to estimate the bitrate
+const bandwidthSamples = 4;
+
+/**
+ * Resolution, frame rate and display name of a variant, falling back to the
+ * folder name when the probe could not read them
+ */
+function describeRendition(variant) {
+    if (variant.resKey === "audio_only") {
+        return { resolution: null, frameRate: null, name: "audio_only" };
+    }
+
+    const match = variant.resKey.match(/^(\d+)p(\d+)/);
+
+    const height = variant.height || (match ? parseInt(match[1]) : 1080);
+    const width = variant.width || Math.round(height * 16 / 9 / 2) * 2;
+    const frameRate = variant.frameRate || (match ? parseInt(match[2]) : 60);
+
+    return {
+        resolution: `${width}x${height}`,
+        frameRate: frameRate,
+        name: `${height}p${frameRate >= 50 ? Math.round(frameRate) : ""}`
+    };
+}
+
+async function readResponsePrefix(response, size) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    while (length < size) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        length += value.length;
+    }
+
+    reader.cancel();
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+
+    for (const chunk of chunks) {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    }
+
+    return bytes;
+}
+
+/**
+ * Estimate the average and peak bitrate of a variant from the size (HEAD
+ * content-length) and EXTINF duration of a few segments.
+ * Returns null when no segment size could be read.
+ */
+async function measureBandwidth(url, playlist, signal) {
+    const segments = [];
+    let duration = 0;
+
+    for (const line of playlist.split("\n").map(line => line.trim())) {
+        if (line.startsWith("#EXTINF:")) {
+            duration = parseFloat(line.substring(8)) || 0;
+        } else if (line && !line.startsWith("#")) {
+            if (duration > 0) segments.push({ uri: line, duration });
+            duration = 0;
+        }
+    }
+
+    if (segments.length === 0) return null;
+
+    const count = Math.min(bandwidthSamples, segments.length);
+    const samples = Array.from({ length: count }, (_, i) => segments[Math.floor(i * segments.length / count)]);
+
+    const measured = await Promise.all(samples.map(async segment => {
+        try {
+            const response = await oldFetch(new URL(segment.uri, url).href, { method: "HEAD", signal });
+            const size = parseInt(response.headers.get("Content-Length"));
+
+            return response.ok && size > 0 ? { size, duration: segment.duration } : null;
+        } catch (e) {
+            return null;
+        }
+    }));
+
+    const valid = measured.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const totalBits = valid.reduce((total, sample) => total + sample.size * 8, 0);
+    const totalDuration = valid.reduce((total, sample) => total + sample.duration, 0);
+
+    return {
+        averageBandwidth: Math.round(totalBits / totalDuration),
+        bandwidth: Math.round(Math.max(...valid.map(sample => sample.size * 8 / sample.duration)))
+    };
+}
+
+/**
+ * Read the codecs (and resolution / frame rate when possible) of a variant
+ * from its first segment or init segment
+ */
+async function readVariantCodecs(url, data, audioOnly, signal) {
+    if (data.includes(".ts")) {
+        if (audioOnly) {
+            return { codec: null, audioCodec: "mp4a.40.2" };
+        }
+
+        // Read the real codec and resolution from the first segment
+        const firstSegment = data.split("\n").map(line => line.trim()).find(line => line && !line.startsWith("#"));
+
+        const segmentRequest = await oldFetch(new URL(firstSegment, url).href, {
+            headers: { "Range": `bytes=0-${tsProbeSize - 1}` },
+            signal
+        });
+
+        if (segmentRequest.ok) {
+            const video = new self.TNS_TSVideoProbe(await readResponsePrefix(segmentRequest, tsProbeSize)).parse();
+
+            if (video) {
+                return { ...video, audioCodec: "mp4a.40.2" };
+            }
         }
+
+        // ts files should still use the h264
+        return { codec: "avc1.4D001E", audioCodec: "mp4a.40.2" };
+    }
+
+    if (data.includes(".mp4")) {
+        // Read the real codecs from the init segment
+        const mapMatch = data.match(/#EXT-X-MAP:.*URI="([^"]+)"/);
+        const initUrl = new URL(mapMatch ? mapMatch[1] : "init-0.mp4", url).href;
+
+        const mp4Request = await oldFetch(initUrl, {
+            cache: "force-cache",
+            signal
+        });
+
+        if (mp4Request.ok) {
+            const codecs = new self.TNS_MP4CodecParser(await mp4Request.arrayBuffer()).parse();
+
+            if (audioOnly) {
+                return { codec: null, audioCodec: codecs.audio ? codecs.audio.codec : "mp4a.40.2" };
+            }
+
+            if (codecs.video) {
+                return {
+                    codec: codecs.video.codec,
+                    audioCodec: codecs.audio ? codecs.audio.codec : "mp4a.40.2",
+                    width: codecs.video.width,
+                    height: codecs.video.height,
+                    frameRate: codecs.video.frameRate
+                };
+            }
+        }
+
+        if (audioOnly) {
+            return { codec: null, audioCodec: "mp4a.40.2" };
+        }
+
+        // mp4 file use h265, but sometimes h264
+        return { codec: "hev1.1.6.L93.B0", audioCodec: "mp4a.40.2" };
+    }
+
+    return null;
+}
+
+async function isValidQuality(url, audioOnly = false) {
+    // A hanging CDN response must not stall the whole unlock
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), probeTimeout);
+
+    try {
+        const response = await oldFetch(url, {
+            cache: "force-cache",
+            signal: controller.signal
+        });
+
+        if (response.ok) {
+            const data = (await response.text()).replace(/-unmuted/g, "-muted");
+
+            const [codecs, bandwidth] = await Promise.all([
+                readVariantCodecs(url, data, audioOnly, controller.signal),
+                measureBandwidth(url, data, controller.signal)
+            ]);
+
+            if (codecs) {
+                return { ...codecs, ...bandwidth };
+            }
+        }
+    } catch (e) {
+        console.log(`[TNS] Quality probe failed for ${url}: ${e.name === "AbortError" ? "timeout" : e.message}`);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    return null;
+}
+
+/**
+ * Check that a playlist can be downloaded
+ */
+async function playlistExists(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), probeTimeout);
+
+    try {
+        const response = await oldFetch(url, { signal: controller.signal });
+
+        if (!response.ok) return false;
+
+        return (await response.text()).includes("#EXTINF");
+    } catch (e) {
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Find the first host, in order, that serves the source playlist of a VOD.
+ * Hosts are checked in batches of probeConcurrency.
+ */
+async function findWorkingHost(hosts, buildTemplate) {
+    const tried = [];
+
+    for (let i = 0; i < hosts.length; i += probeConcurrency) {
+        const batch = hosts.slice(i, i + probeConcurrency);
+        const results = await Promise.all(batch.map(host => playlistExists(getPlaylistUrl(buildTemplate(host), "chunked"))));
+
+        for (let j = 0; j < batch.length; j++) {
+            tried.push(batch[j]);
+
+            if (results[j]) {
+                return { host: batch[j], tried };
+            }
+        }
+    }
+
+    return { host: null, tried };
+}
+
+/**
+ * Probe every rendition candidate with a limited number of parallel requests.
+ * `ready` resolves with the variants found so far as soon as the source is
+ * confirmed and audio only was checked, after probeWait when the source
+ * never confirms. `done` resolves once every probe has finished.
+ * Both keep the order of resKeys.
+ */
+function probeQualities(urlTemplate, resKeys) {
+    const results = new Array(resKeys.length).fill(null);
+
+    // Source and audio only are probed first so the first playlist has them
+    const first = ["chunked", "audio_only"].map(resKey => resKeys.indexOf(resKey)).filter(index => index >= 0);
+    const order = [...first, ...resKeys.keys()].filter((index, position, all) => all.indexOf(index) === position);
+    let nextIndex = 0;
+
+    let resolveSource;
+    const sourceFound = new Promise(resolve => resolveSource = resolve);
+
+    let resolveAudio;
+    const audioChecked = new Promise(resolve => resolveAudio = resolve);
+
+    const collect = () => resKeys
+        .map((resKey, index) => results[index] && { resKey, ...results[index] })
+        .filter(Boolean);
+
+    const runProbes = async () => {
+        while (nextIndex < order.length) {
+            const index = order[nextIndex++];
+            const resKey = resKeys[index];
+
+            const result = await isValidQuality(getPlaylistUrl(urlTemplate, resKey), resKey === "audio_only");
+
+            if (result) {
+                console.log(`[TNS] Found quality ${resKey}`);
+
+                results[index] = result;
+
+                if (resKey === "chunked") {
+                    resolveSource();
+                }
+            }
+
+            if (resKey === "audio_only") {
+                resolveAudio();
+            }
+        }
+    };
+
+    const done = Promise.all(Array.from({ length: probeConcurrency }, runProbes)).then(collect);
+    const early = Promise.all([sourceFound, audioChecked]).then(collect);
+    const deadline = new Promise(resolve => setTimeout(resolve, probeWait)).then(collect);
+    const ready = Promise.race([early, done, deadline]);
+
+    return { ready, done };
+}
+
+// Stand-in when the cache module failed to load: VODs are resolved every time
+const noCache = {
+    get: async () => null,
+    set: async (vodId, data) => data,
+    delete: async () => { }
+};
+
+function createCache(options) {
+    try {
+        return new self.TNS_VodPlaylistCache(options);
+    } catch (e) {
+        console.log(`[TNS] VOD cache unavailable: ${e.message}`);
+        return noCache;
+    }
+}
+
+const vodCache = createCache();
+
+// Recovery parameters saved by the page for VODs without GQL metadata
+const recoveryStore = createCache({ storeName: "recovery", ttl: 30 * 24 * 60 * 60 * 1000 });
+
+const pageChannel = new self.TNS_PageChannel();
+
+// The packaged patch and version.js must come from the same build as the manifest
+if (self.TNS_PAGE_VERSION && self.TNS_VERSION !== self.TNS_PAGE_VERSION) {
+    console.log(`[TNS] Worker patch version ${self.TNS_VERSION} doesn't match the extension version ${self.TNS_PAGE_VERSION}`);
+    pageChannel.post("versionMismatch", { page: self.TNS_PAGE_VERSION, worker: self.TNS_VERSION || null });
+}
+
+/**
+ * Report a step of an unlock to the page diagnostics panel
+ */
+function postDiagnostic(vodId, stage, details = {}) {
+    pageChannel.post("diagnostics", { vodId, stage, ...details });
+}
+
+/**
+ * Bitrates estimated from segment sizes are only comparable with each other,
+ * they're used when every variant of the ladder could be measured
+ */
+function hasMeasuredBandwidth(variants) {
+    return variants.length > 0 && variants.every(variant => variant.bandwidth > 0);
+}
+
+/**
+ * Variant summary shown in the diagnostics panel
+ */
+function describeVariants(variants, urlTemplate) {
+    const measured = hasMeasuredBandwidth(variants);
+
+    return variants.map(variant => {
+        const rendition = describeRendition(variant);
+
+        return {
+            resKey: variant.resKey,
+            url: getPlaylistUrl(urlTemplate, variant.resKey),
+            name: rendition.name,
+            codecs: [variant.codec, variant.audioCodec].filter(Boolean).join(","),
+            resolution: rendition.resolution,
+            frameRate: rendition.frameRate,
+            bandwidth: measured ? variant.bandwidth : null,
+            averageBandwidth: measured ? variant.averageBandwidth || null : null,
+            bandwidthEstimated: measured
+        };
     });
+}
+
+// Channel login -> rendition folders of its broadcasts. Twitch transcodes every
+// broadcast of a channel with the same ladder, read from its real usher playlists.
+const renditionStore = createCache({ storeName: "renditions", ttl: 30 * 24 * 60 * 60 * 1000 });
+
+/**
+ * Remember the rendition folders of a channel
+ */
+function rememberRenditions(login, resKeys) {
+    resKeys = resKeys.filter(Boolean);
+
+    if (!login || !resKeys.includes("chunked")) return;
+
+    renditionStore.set(login.toLowerCase(), { resKeys });
+}
 
-    return resp.json();
-}
-
-function createServingID() {
-    const w = "0123456789abcdefghijklmnopqrstuvwxyz".split("");
-    let id = "";
-
-    for (let i = 0; i < 32; i++) {
-        id += w[Math.floor(Math.random() * w.length)];
-    }
-
-    return id;
-}
-
-const defaultResolutions = (() => {
-    const _defaultResolutions = {
-        "160p30": {
-            "name": "160p",
-            "resolution": "284x160",
-            "frameRate": 30
-        },
-        "360p30": {
-            "name": "360p",
-            "resolution": "640x360",
-            "frameRate": 30
-        },
-        "480p30": {
-            "name": "480p",
-            "resolution": "854x480",
-            "frameRate": 30
-        },
-        "720p60": {
-            "name": "720p60",
-            "resolution": "1280x720",
-            "frameRate": 60
-        },
-        "1080p60": {
-            "name": "1080p60",
-            "resolution": "1920x1080",
-            "frameRate": 60
-        },
-        "1440p60": {
-            "name": "1440p60",
-            "resolution": "2560x1440",
-            "frameRate": 60
-        },
-        "chunked": {
-            "name": "chunked",
-            "resolution": "chunked",
-            "frameRate": 60
+/**
+ * Rendition folders to probe for a VOD: the ladder the channel was seen
+ * with, every candidate when it is unknown. `known` tells which.
+ */
+async function getRenditionCandidates(login) {
+    const entry = login ? await renditionStore.get(login.toLowerCase()) : null;
+
+    if (!entry || !Array.isArray(entry.resKeys) || entry.resKeys.length === 0) {
+        return { resKeys: renditionCandidates, known: false };
+    }
+
+    // VODs always have an audio only rendition, even when the ladder didn't list it
+    const resKeys = ["chunked", ...entry.resKeys.filter(resKey => resKey !== "chunked" && resKey !== "audio_only"), "audio_only"];
+
+    return { resKeys, known: true };
+}
+
+/**
+ * Channel login in the storage folder of a VOD variant:
+ * {hash}_{login}_{broadcastId}_{timestamp}
+ */
+function getLoginFromVariantUrl(url) {
+    try {
+        const match = new URL(url).pathname.match(/\/[0-9a-f]+_(\w+)_\d+_\d+\//);
+        return match ? match[1] : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Storage path rules, remembering the one that worked for each channel
+const urlTemplates = new self.TNS_UrlTemplateEngine({
+    store: createCache({ storeName: "templates", ttl: 30 * 24 * 60 * 60 * 1000 })
+});
+
+// GQL requests bypass the fetch hook
+const gqlClient = new self.TNS_TwitchGQLClient({ fetch: (...args) => oldFetch(...args) });
+
+// Variant playlist URL -> VOD id, for playlists that were served from the cache
+const cachedVariantUrls = new Map();
+
+// Variant playlist URL -> VOD id, for every playlist we unlocked
+const unlockedVariantUrls = new Map();
+
+function getPlaylistUrl(urlTemplate, resKey) {
+    return urlTemplate.replace("{quality}", resKey);
+}
+
+/**
+ * Resolve the storage location and working variants of a VOD
+ */
+async function resolveVodPlaylist(vodId) {
+    const location = await resolveVodLocation(vodId) || await recoverVodLocation(vodId);
+
+    if (!location) {
+        return null;
+    }
+
+    const candidates = await getRenditionCandidates(location.login);
+    const probe = probeQualities(location.urlTemplate, candidates.resKeys);
+
+    return {
+        ...location,
+        variants: await probe.ready,
+        // Resolves with every variant once the remaining probes are done
+        complete: probe.done.then(variants => {
+            // Found the ladder of the channel, the next VODs only probe it
+            if (!candidates.known) {
+                rememberRenditions(location.login, variants.map(variant => variant.resKey));
+            }
+
+            return { ...location, variants };
+        })
+    };
+}
+
+/**
+ * Find the storage location of a VOD from its GQL metadata
+ */
+async function resolveVodLocation(vodId) {
+    const result = await gqlClient.getVideo(vodId);
+
+    postDiagnostic(vodId, "gql", { status: result.status, error: result.error });
+
+    if (result.status === self.TNS_GQLResult.NOT_FOUND) {
+        pageChannel.post("gqlMissing", { vodId });
+        return null;
+    }
+
+    if (result.status !== self.TNS_GQLResult.OK) {
+        console.log(`[TNS] GQL request for VOD ${vodId} failed (${result.status}): ${result.error}`);
+        pageChannel.post("gqlError", { vodId, status: result.status, error: result.error });
+        return null;
+    }
+
+    console.log(`[TNS] Found data for VOD ${vodId}`);
+
+    const vodData = result.data;
+    const channelData = vodData.owner;
+
+    const currentURL = new URL(vodData.seekPreviewsURL);
+
+    const previewDomain = currentURL.host;
+    const paths = currentURL.pathname.split("/");
+    const vodSpecialID = paths[paths.findIndex(element => element.includes("storyboards")) - 1];
+
+    const vod = {
+        vodId,
+        specialId: vodSpecialID,
+        login: channelData.login,
+        broadcastType: vodData.broadcastType,
+        createdAt: vodData.createdAt
+    };
+
+    // Host from seekPreviewsURL first, then the known hosts in order
+    const hosts = [previewDomain, ...vodHosts.filter(host => host !== previewDomain)];
+    const { rule, host, tried, buildTemplate } = await urlTemplates.resolve(vod, template => findWorkingHost(hosts, template));
+
+    if (host) {
+        console.log(`[TNS] Using host ${host} and ${rule.name} path for VOD ${vodId}`);
+    } else {
+        console.log(`[TNS] No host serves VOD ${vodId}, falling back to ${previewDomain}`);
+    }
+
+    pageChannel.post("vodHost", { vodId, host, previewHost: previewDomain, tried, template: rule.name });
+    postDiagnostic(vodId, "host", { host: host || previewDomain, verified: !!host, template: rule.name, tried });
+
+    const domain = host || previewDomain;
+
+    return { domain, vodSpecialID, login: channelData.login, urlTemplate: buildTemplate(domain) };
+}
+
+// VOD id -> recovery search running in the background
+const recoveries = new Map();
+
+/**
+ * Storage location of a VOD without GQL metadata, from an earlier recovery.
+ * Starts the search in the background the first time: the usher request
+ * fails right away and the page reloads the player once it is found.
+ */
+async function recoverVodLocation(vodId) {
+    const params = await recoveryStore.get(vodId);
+
+    if (!params) {
+        postDiagnostic(vodId, "recovery", { status: "unavailable" });
+        return null;
+    }
+
+    if (!params.found) {
+        if (!recoveries.has(vodId)) {
+            recoveries.set(vodId, searchVodLocation(vodId, params).finally(() => recoveries.delete(vodId)));
         }
+
+        return null;
+    }
+
+    postDiagnostic(vodId, "host", { host: params.found.domain, verified: true, template: "recovery", tried: [params.found.domain] });
+
+    return {
+        domain: params.found.domain,
+        vodSpecialID: params.found.vodSpecialID,
+        login: params.login,
+        urlTemplate: `https://${params.found.domain}/${params.found.vodSpecialID}/{quality}/index-dvr.m3u8`
     };
+}
 
-    let sorted_dict = Object.keys(_defaultResolutions);
-    sorted_dict = sorted_dict.reverse();
+/**
+ * Host the seek previews of the channel's latest VOD are served from, its
+ * broadcasts are most likely stored there too
+ */
+async function getChannelPreviewHost(login) {
+    const result = await gqlClient.getLatestVideo(login);
 
-    let ordered_resolutions = {};
+    if (result.status !== self.TNS_GQLResult.OK || !result.data.seekPreviewsURL) {
+        return null;
+    }
 
-    for (const key in sorted_dict) {
-        ordered_resolutions[sorted_dict[key]] = _defaultResolutions[sorted_dict[key]];
+    try {
+        return new URL(result.data.seekPreviewsURL).host;
+    } catch {
+        return null;
     }
+}
 
-    return ordered_resolutions;
-})();
+/**
+ * Search the storage location of a VOD from the recovery parameters the
+ * page saved for it, and keep it with them for the next usher request
+ */
+async function searchVodLocation(vodId, params) {
+    console.log(`[TNS] Recovering VOD ${vodId} from broadcast ${params.broadcastId} of ${params.login}`);
+    pageChannel.post("recovery", { vodId, status: "started", params });
+    postDiagnostic(vodId, "recovery", { status: "started" });
+
+    try {
+        const previewHost = await getChannelPreviewHost(params.login);
+        const recovery = new self.TNS_VodRecovery({ hosts: vodHosts, fetch: oldFetch });
+        const found = await recovery.recover(params, previewHost);
+
+        if (!found) {
+            console.log(`[TNS] Unable to recover VOD ${vodId}`);
+            pageChannel.post("recovery", { vodId, status: "failed", params });
+            postDiagnostic(vodId, "recovery", { status: "failed" });
+            return;
+        }
+
+        await recoveryStore.set(vodId, { ...params, found: { domain: found.domain, vodSpecialID: found.vodSpecialID } });
+
+        console.log(`[TNS] Recovered VOD ${vodId} at ${found.domain}/${found.vodSpecialID}`);
+        pageChannel.post("recovery", { vodId, status: "found", params, host: found.domain, vodSpecialID: found.vodSpecialID });
+        postDiagnostic(vodId, "recovery", { status: "found" });
+    } catch (e) {
+        console.log(`[TNS] Recovery of VOD ${vodId} failed: ${e.message}`);
+        pageChannel.post("recovery", { vodId, status: "failed", params });
+        postDiagnostic(vodId, "recovery", { status: "failed" });
+    }
+}
 
-async function isValidQuality(url) {
-    const response = await fetch(url, {
-        cache: "force-cache"
+// Session metadata of the last real usher playlist, copied into the fake ones
+let usherSession = null;
+
+/**
+ * Build the fake usher playlist from a resolved VOD
+ */
+function buildFakePlaylist(resolved, isUsherV2) {
+    // Quality the user picked in the player, source otherwise
+    const preferred = resolved.variants.some(variant => variant.resKey === self.TNS_PREFERRED_QUALITY)
+        ? self.TNS_PREFERRED_QUALITY
+        : "chunked";
+
+    const measured = hasMeasuredBandwidth(resolved.variants);
+
+    const variants = resolved.variants.map((variant, index) => {
+        const rendition = describeRendition(variant);
+
+        return {
+            url: getPlaylistUrl(resolved.urlTemplate, variant.resKey),
+            resKey: variant.resKey,
+            name: rendition.name,
+            // Estimated from segment sizes, decreasing placeholders for the
+            // whole ladder when a variant couldn't be measured
+            bandwidth: measured ? variant.bandwidth : 8534030 - 100 * index,
+            averageBandwidth: measured ? variant.averageBandwidth : undefined,
+            // The audio only rendition has no video codec
+            codecs: [variant.codec, variant.audioCodec || "mp4a.40.2"].filter(Boolean).join(","),
+            resolution: rendition.resolution,
+            frameRate: rendition.frameRate,
+            source: variant.resKey === "chunked",
+            default: variant.resKey === preferred
+        };
     });
 
-    if (response.ok) {
-        const data = await response.text();
+    const builder = new self.TNS_UsherPlaylistBuilder({ version: isUsherV2 ? 2 : 1, session: usherSession });
+
+    return builder.build(variants);
+}
+
+/**
+ * The synthesized master playlist of a VOD, for external players
+ */
+pageChannel.handle("vodPlaylist", async ({ vodId }) => {
+    let resolved = await vodCache.get(vodId);
 
-        if (data.includes(".ts")) {
-            // ts files should still use the h264
-            return { codec: "avc1.4D001E" };
+    if (!resolved) {
+        const pending = await resolveVodPlaylist(vodId);
+        if (!pending) {
+            throw new Error(recoveries.has(vodId) ? "recovering" : "no_location");
         }
 
-        if (data.includes(".mp4")) {
-            // mp4 file use h265, but sometimes h264
-            const mp4Request = await fetch(url.replace("index-dvr.m3u8", "init-0.mp4"), { cache: "force-cache" });
+        // Every quality should be listed, wait for the remaining probes
+        resolved = await pending.complete;
 
-            if (mp4Request.ok) {
-                const content = await mp4Request.text();
+        if (resolved.variants.length > 0) {
+            vodCache.set(vodId, resolved);
+        }
+    }
 
-                return { codec: content.includes("hev1") ? "hev1.1.6.L93.B0" : "avc1.4D001E" };
+    if (resolved.variants.length === 0) throw new Error("no_quality");
+
+    return {
+        vodId,
+        master: buildFakePlaylist(resolved, true),
+        variants: describeVariants(resolved.variants, resolved.urlTemplate)
+    };
+});
+
+/**
+ * Rewrite unmuted segments to their muted copy and collect the muted ranges
+ * (in seconds from the start of the VOD)
+ */
+function patchMutedSegments(body) {
+    const ranges = [];
+    let time = 0;
+    let duration = 0;
+
+    const lines = body.split("\n").map(line => {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith("#EXTINF:")) {
+            duration = parseFloat(trimmed.substring(8)) || 0;
+        } else if (trimmed && !trimmed.startsWith("#")) {
+            if (trimmed.includes("-unmuted") || trimmed.includes("-muted")) {
+                const last = ranges.at(-1);
+
+                // Merge consecutive muted segments into one range
+                if (last && Math.abs(last.end - time) < 0.001) {
+                    last.end = time + duration;
+                } else {
+                    ranges.push({ start: time, end: time + duration });
+                }
+
+                line = line.replace(/-unmuted/g, "-muted");
             }
 
-            return { codec: "hev1.1.6.L93.B0" };
+            time += duration;
         }
+
+        return line;
+    });
+
+    return { body: lines.join("\n"), ranges, duration: time };
+}
+
+/**
+ * Live media playlists are served by the video weaver hosts
+ */
+function isLivePlaylistUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.host.endsWith(".hls.ttvnw.net") && parsed.pathname.endsWith(".m3u8");
+    } catch (e) {
+        return false;
     }
+}
 
-    return null;
+// Live media playlist URL (without query) -> segments kept past the Twitch playlist,
+// least recently refreshed first
+const liveWindows = new Map();
+const maxLiveWindows = 4;
+
+// Live media playlist URL (without query) -> variant and channel login, from the
+// usher playlists. Every player of the page gets the events, the DVR keeps the ones of its channel.
+const liveVariants = new Map();
+
+/**
+ * Remember the variants listed by a live usher playlist and send them to the page
+ */
+function readLiveUsherPlaylist(url, body) {
+    const match = url.match(/\/channel\/hls\/([^/.?]+)\.m3u8/);
+    if (!match) return;
+
+    const channel = match[1].toLowerCase();
+    const variants = new self.TNS_UsherPlaylistBuilder().parseVariants(body, url);
+
+    for (const variant of variants) {
+        liveVariants.set(variant.url.split("?")[0], { channel, ...variant });
+    }
+
+    rememberRenditions(channel, variants.map(variant => variant.resKey));
+
+    pageChannel.post("liveVariants", { channel, variants });
+}
+
+/**
+ * Merge a live media playlist into the window of its variant and build the
+ * longer playlist served to the player
+ */
+function extendLivePlaylist(url, body) {
+    const key = url.split("?")[0];
+    let liveWindow = liveWindows.get(key);
+
+    if (liveWindow) {
+        liveWindows.delete(key);
+    } else {
+        liveWindow = new self.TNS_LivePlaylistWindow({ fetch: oldFetch });
+    }
+
+    // Variants the player stopped refreshing (quality change) are dropped
+    liveWindows.set(key, liveWindow);
+
+    for (const oldKey of liveWindows.keys()) {
+        if (liveWindows.size <= maxLiveWindows) break;
+        liveWindows.delete(oldKey);
+    }
+
+    const variant = liveVariants.get(key) || null;
+    const extended = liveWindow.update(body, url);
+
+    // The page can't see the requests of the worker, it gets the Twitch playlist from here
+    pageChannel.post("livePlaylist", {
+        channel: variant?.channel || null,
+        url,
+        body,
+        variant: variant && { resKey: variant.resKey, name: variant.name, resolution: variant.resolution, bandwidth: variant.bandwidth }
+    });
+
+    if (liveWindow.segments.length > 0) {
+        pageChannel.post("liveWindow", { channel: variant?.channel || null, ...liveWindow.getInfo() });
+    }
+
+    return extended;
 }
 
 const oldFetch = self.fetch;
@@ -113,96 +852,133 @@ self.fetch = async function (input, opt) {
     let response = await oldFetch(input, opt);
 
     // Patch playlist from unmuted to muted segments
-    if (url.includes("cloudfront") && url.includes(".m3u8")) {
-        const body = await response.text();
+    if (isVodHostUrl(url) && url.includes(".m3u8")) {
+        // A variant that was served from the cache is gone, resolve it again next time
+        if (!response.ok && cachedVariantUrls.has(url)) {
+            const vodId = cachedVariantUrls.get(url);
 
-        return new Response(body.replace(/-unmuted/g, "-muted"), { status: 200 });
-    }
+            console.log(`[TNS] Cached variant failed for VOD ${vodId}, invalidating cache`);
 
-    if (url.startsWith("https://usher.ttvnw.net/vod/")) {
-        if (response.status != 200) {
-            const isUsherV2 = url.includes("/vod/v2");
+            cachedVariantUrls.delete(url);
+            await vodCache.delete(vodId);
+        }
 
-            console.log(`[TNS] Detected usher ${isUsherV2 ? 'v2' : 'v1'}`);
+        const patched = patchMutedSegments(await response.text());
 
-            const splitUsher = url.split(".m3u8")[0].split("/");
+        if (patched.duration > 0) {
+            pageChannel.post("mutedSegments", {
+                vodId: unlockedVariantUrls.get(url) || null,
+                url: url,
+                ranges: patched.ranges,
+                duration: patched.duration
+            });
+        }
 
-            const vodId = splitUsher.at(-1);
+        return new Response(patched.body, { status: 200 });
+    }
 
-            const data = await fetchTwitchDataGQL(vodId);
+    if (url.startsWith("https://usher.ttvnw.net/api/") && response.ok) {
+        readLiveUsherPlaylist(url, await response.clone().text());
+    }
 
-            if (!data || !data?.data.video) {
-                console.log("[TNS] Unable to fetch twitch data API");
-                return new Response("Unable to fetch twitch data API", { status: 403 });
-            }
+    // Keep the live segments Twitch no longer lists, for deeper seeks in the player
+    if (isLivePlaylistUrl(url) && response.ok) {
+        const body = extendLivePlaylist(url, await response.text());
 
-            console.log(`[TNS] Found data for VOD ${vodId}`);
+        // The body is decoded and longer than the original one
+        const headers = new Headers(response.headers);
+        headers.delete("Content-Length");
+        headers.delete("Content-Encoding");
 
-            const vodData = data.data.video;
-            const channelData = vodData.owner;
+        return new Response(body, { status: response.status, headers });
+    }
+
+    // A segment kept past the Twitch playlist expired on the CDN
+    if ([403, 404, 410].includes(response.status)) {
+        for (const liveWindow of liveWindows.values()) {
+            if (liveWindow.has(url)) {
+                liveWindow.segmentFailed(url);
+            }
+        }
+    }
+
+    // Playable VODs give real session metadata for the ones we unlock,
+    // and the quality ladder of their channel
+    if (url.startsWith("https://usher.ttvnw.net/vod/") && response.status == 200) {
+        const builder = new self.TNS_UsherPlaylistBuilder();
+        const body = await response.clone().text();
+        const session = builder.parseSessionInfo(body);
 
-            const currentURL = new URL(vodData.seekPreviewsURL);
+        if (session) {
+            usherSession = session;
+        }
 
-            const domain = currentURL.host;
-            const paths = currentURL.pathname.split("/");
-            const vodSpecialID = paths[paths.findIndex(element => element.includes("storyboards")) - 1];
+        const variants = builder.parseVariants(body, url);
 
-            let fakePlaylist = `#EXTM3U
-#EXT-X-TWITCH-INFO:ORIGIN="s3",B="false",REGION="EU",USER-IP="127.0.0.1",SERVING-ID="${createServingID()}",CLUSTER="cloudfront_vod",USER-COUNTRY="BE",MANIFEST-CLUSTER="cloudfront_vod"`;
+        if (variants.length > 0) {
+            rememberRenditions(getLoginFromVariantUrl(variants[0].url), variants.map(variant => variant.resKey));
+        }
+    }
 
-            const now = new Date("2023-02-10");
-            const created = new Date(vodData.createdAt);
+    if (url.startsWith("https://usher.ttvnw.net/vod/")) {
+        if (response.status != 200) {
+            const isUsherV2 = url.includes("/vod/v2");
 
-            const time_difference = now.getTime() - created.getTime();
-            const days_difference = time_difference / (1000 * 3600 * 24);
+            console.log(`[TNS] Detected usher ${isUsherV2 ? 'v2' : 'v1'}`);
 
-            const broadcastType = vodData.broadcastType.toLowerCase();
+            const splitUsher = url.split(".m3u8")[0].split("/");
 
-            let startQuality = 8534030;
+            const vodId = splitUsher.at(-1);
 
-            for (const [resKey, resValue] of Object.entries(defaultResolutions)) {
-                let playlistUrl = undefined;
+            postDiagnostic(vodId, "usher", { version: isUsherV2 ? 2 : 1, status: response.status });
 
-                if (broadcastType === "highlight") {
-                    playlistUrl = `https://${domain}/${vodSpecialID}/${resKey}/highlight-${vodId}.m3u8`;
-                } else if (broadcastType === "upload" && days_difference > 7) {
-                    // Only old uploaded VOD works with this method now
+            let resolved = await vodCache.get(vodId);
 
-                    playlistUrl = `https://${domain}/${channelData.login}/${vodId}/${vodSpecialID}/${resKey}/index-dvr.m3u8`;
-                } else {
-                    playlistUrl = `https://${domain}/${vodSpecialID}/${resKey}/index-dvr.m3u8`;
-                }
+            postDiagnostic(vodId, "cache", { hit: !!resolved });
 
-                if (!playlistUrl) continue;
+            if (resolved) {
+                console.log(`[TNS] Using cached playlist for VOD ${vodId}`);
 
-                const result = await isValidQuality(playlistUrl);
+                pageChannel.post("vodHost", { vodId, host: resolved.domain, cached: true });
 
-                if (result) {
-                    console.log(`[TNS] Found quality ${resKey}`);
+                for (const variant of resolved.variants) {
+                    cachedVariantUrls.set(getPlaylistUrl(resolved.urlTemplate, variant.resKey), vodId);
+                }
+            } else {
+                resolved = await resolveVodPlaylist(vodId);
 
-                    if (isUsherV2) {
-                        const variantSource = resKey == "chunked" ? "source" : "transcode";
+                if (!resolved) {
+                    console.log("[TNS] Unable to fetch twitch data API");
+                    postDiagnostic(vodId, "failure", { reason: recoveries.has(vodId) ? "recovering" : "no_location" });
+                    return new Response("Unable to fetch twitch data API", { status: 403 });
+                }
 
-                        fakePlaylist += `
-#EXT-X-STREAM-INF:BANDWIDTH=${startQuality},CODECS="${result.codec},mp4a.40.2",RESOLUTION=${resValue.resolution},FRAME-RATE=${resValue.frameRate},STABLE-VARIANT-ID="${resKey}",IVS-NAME="${resValue.name}",IVS-VARIANT-SOURCE="${variantSource}"
-${playlistUrl}`;
-                    } else {
-                        const enabled = resKey == "chunked" ? "YES" : "NO";
+                // Only cache once every variant had a chance to fill in
+                resolved.complete.then(complete => {
+                    postDiagnostic(vodId, "variants", { variants: describeVariants(complete.variants, complete.urlTemplate), complete: true });
 
-                        fakePlaylist += `
-#EXT-X-MEDIA:TYPE=VIDEO,GROUP-ID="${resKey}",NAME="${resKey}",AUTOSELECT=${enabled},DEFAULT=${enabled}
-#EXT-X-STREAM-INF:BANDWIDTH=${startQuality},CODECS="${result.codec},mp4a.40.2",RESOLUTION=${resValue.resolution},VIDEO="${resValue.name}",FRAME-RATE=${resValue.frameRate}
-${playlistUrl}`;
+                    if (complete.variants.length > 0) {
+                        return vodCache.set(vodId, complete);
                     }
+                }).catch(e => {
+                    console.log(`[TNS] Unable to save the variants of VOD ${vodId}: ${e.message}`);
+                });
+            }
 
-                    startQuality -= 100;
-                }
+            postDiagnostic(vodId, "variants", { variants: describeVariants(resolved.variants, resolved.urlTemplate), complete: !resolved.complete });
+
+            if (resolved.variants.length === 0) {
+                postDiagnostic(vodId, "failure", { reason: "no_quality" });
+            }
+
+            for (const variant of resolved.variants) {
+                unlockedVariantUrls.set(getPlaylistUrl(resolved.urlTemplate, variant.resKey), vodId);
             }
 
             const header = new Headers();
             header.append('Content-Type', 'application/vnd.apple.mpegurl');
 
-            return new Response(fakePlaylist, { status: 200, headers: header });
+            return new Response(buildFakePlaylist(resolved, isUsherV2), { status: 200, headers: header });
         }
     }
 
@@ -1,13 +1,28 @@
-function injectScript(src) {
-    const s = document.createElement('script');
-    s.src = chrome.runtime.getURL(src);
-    s.onload = () => s.remove();
-    (document.head || document.documentElement).append(s);
-}
-
 const extensionType = window.chrome !== undefined ? "chrome" : "firefox";
 
 console.log("[TNS] Found extension type : " + extensionType);
 
-injectScript(`src/${extensionType}/app.js`);
-injectScript("src/app.js");
\ No newline at end of file
+/**
+ * Hand the worker patch to src/app.js in the page: it asks with "tns:ready"
+ * and keeps the first "tns:init" it gets. Both run before any page script
+ * (app.js is a MAIN world content script on Chrome and an inline script
+ * on Firefox), so the page can't swap the patch loaded in the player worker.
+ */
+function provideWorkerConfig(config) {
+    const detail = JSON.stringify({ version: chrome.runtime.getManifest().version, ...config });
+    const send = () => document.dispatchEvent(new CustomEvent("tns:init", { detail }));
+
+    document.addEventListener("tns:ready", send);
+
+    // app.js may already be waiting
+    send();
+}
+
+if (extensionType === "chrome") {
+    // src/app.js and the DVR modules are MAIN world content scripts (see manifest.json)
+    provideWorkerConfig({ patchUrl: chrome.runtime.getURL("src/patch_amazonworker.js") });
+} else {
+    // Firefox inlines the worker patch in the player worker (see src/firefox/twitchnosub.js)
+    provideWorkerConfig({ workerSource: readWorkerSource() });
+    injectInlineScript("src/app.js");
+}
@@ -0,0 +1,11 @@
+/**
+ * TwitchNoSub version, loaded in the page and in the player worker.
+ * Generated from manifest.json by tools/patch.js, don't edit: the worker
+ * patch compares it with the extension version to detect a patch that
+ * doesn't come from this build.
+ */
+
+// For page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_VERSION = "1.0.0";
+}
@@ -0,0 +1,243 @@
+/**
+ * TwitchNoSub Live Playlist Window
+ * Builds up the live media playlist of a variant as the player refreshes it.
+ * Twitch only lists the last few segments, older ones are kept while the CDN
+ * still serves them so the player can seek back further than that.
+ *
+ * The player gets a plain live playlist without #EXT-X-PLAYLIST-TYPE: old
+ * segments are dropped once the window is full, which an EVENT playlist
+ * doesn't allow.
+ */
+
+// Segment tags, everything before the first of them is the playlist header
+const LIVE_SEGMENT_TAGS = ["#EXTINF:", "#EXT-X-PROGRAM-DATE-TIME:", "#EXT-X-DISCONTINUITY", "#EXT-X-BYTERANGE:"];
+
+class LivePlaylistWindow {
+    constructor(options = {}) {
+        this.maxDuration = options.maxDuration || 15 * 60; // seconds kept behind the live edge
+        this.checkInterval = options.checkInterval || 10000; // ms between checks of the oldest segment
+        this.fetch = options.fetch || self.fetch.bind(self);
+
+        // { sequence, uri, duration, tags } in playlist order
+        this.segments = [];
+        this.uris = new Set();
+        this.header = [];
+        this.url = null;
+
+        // First sequence of the last Twitch playlist, segments before it are ours only
+        this.liveSequence = null;
+        this.lastCheck = 0;
+        this.checking = false;
+    }
+
+    /**
+     * Split a media playlist into header, segments and trailing tags
+     */
+    parse(text) {
+        const header = [];
+        const segments = [];
+        let tags = null;
+        let sequence = 0;
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            if (trimmed.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+                sequence = parseInt(trimmed.substring(22)) || 0;
+            }
+
+            if (trimmed.startsWith("#")) {
+                if (tags === null && !LIVE_SEGMENT_TAGS.some(tag => trimmed.startsWith(tag))) {
+                    header.push(trimmed);
+                } else {
+                    (tags = tags || []).push(trimmed);
+                }
+                continue;
+            }
+
+            const extinf = (tags || []).find(tag => tag.startsWith("#EXTINF:"));
+
+            segments.push({
+                sequence: sequence + segments.length,
+                uri: trimmed,
+                duration: extinf ? parseFloat(extinf.substring(8)) || 0 : 0,
+                tags: tags || []
+            });
+            tags = [];
+        }
+
+        return { header, segments, trailer: tags || [], ended: header.includes("#EXT-X-ENDLIST") || (tags || []).includes("#EXT-X-ENDLIST") };
+    }
+
+    /**
+     * Merge a refreshed Twitch playlist and build the playlist served to the player.
+     * Ended or unreadable playlists are returned untouched.
+     */
+    update(text, url) {
+        const playlist = this.parse(text);
+
+        if (playlist.ended || playlist.segments.length === 0) {
+            return text;
+        }
+
+        const first = playlist.segments[0];
+        const known = this.segments.length > 0 ? this.segments[first.sequence - this.segments[0].sequence] : null;
+        const last = this.segments.at(-1);
+
+        // New stream, or the refreshes stopped long enough to leave a hole
+        if (!last || first.sequence > last.sequence + 1 || (first.sequence <= last.sequence && known?.uri !== first.uri)) {
+            this.reset();
+        }
+
+        for (const segment of playlist.segments) {
+            if (this.segments.length === 0 || segment.sequence > this.segments.at(-1).sequence) {
+                this.segments.push(segment);
+                this.uris.add(segment.uri);
+            }
+        }
+
+        this.url = url;
+        this.header = playlist.header;
+        this.liveSequence = first.sequence;
+
+        this.trim();
+        this.checkOldest();
+
+        return this.build(playlist);
+    }
+
+    reset() {
+        this.segments = [];
+        this.uris.clear();
+    }
+
+    /**
+     * Keep at most maxDuration seconds, never dropping segments Twitch still lists
+     */
+    trim() {
+        let duration = this.getDuration();
+
+        while (this.segments.length > 0 && this.segments[0].sequence < this.liveSequence && duration - this.segments[0].duration >= this.maxDuration) {
+            duration -= this.segments[0].duration;
+            this.dropSegment();
+        }
+    }
+
+    dropSegment() {
+        const segment = this.segments.shift();
+
+        this.uris.delete(segment.uri);
+    }
+
+    /**
+     * The player could not download a segment we kept: it and everything older is gone
+     */
+    segmentFailed(uri) {
+        const index = this.segments.findIndex(segment => segment.uri === uri);
+        if (index < 0) return;
+
+        const count = Math.min(index + 1, this.segments.filter(segment => segment.sequence < this.liveSequence).length);
+
+        console.log(`[TNS] ${count} live segment(s) expired on the CDN`);
+
+        for (let i = 0; i < count; i++) {
+            this.dropSegment();
+        }
+    }
+
+    /**
+     * Check from time to time that the CDN still serves the oldest kept segment.
+     * Segments expire oldest first, so the next one is checked until one answers.
+     */
+    async checkOldest() {
+        if (this.checking || Date.now() - this.lastCheck < this.checkInterval) return;
+
+        this.checking = true;
+        this.lastCheck = Date.now();
+
+        try {
+            while (this.segments.length > 0 && this.segments[0].sequence < this.liveSequence) {
+                const segment = this.segments[0];
+                const response = await this.fetch(new URL(segment.uri, this.url).href, { method: "HEAD" });
+
+                if (response.ok || ![403, 404, 410].includes(response.status)) break;
+
+                // The window may have been reset during the request
+                if (this.segments[0] === segment) {
+                    this.dropSegment();
+                }
+            }
+        } catch (e) {
+            // Network error: keep the segments, the player will tell if they are gone
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Kept segments between the header of the Twitch playlist, with the
+     * sequence and elapsed time of our first segment, and its trailing tags
+     */
+    build(playlist) {
+        const first = this.segments[0];
+        const before = this.getDuration(this.liveSequence);
+        const lines = [];
+
+        // The window grows like an EVENT playlist but must never be declared
+        // one: #EXT-X-PLAYLIST-TYPE:EVENT forbids removing segments, and the
+        // oldest ones are dropped once the window is full. Any playlist type
+        // Twitch sends is left out for the same reason.
+        for (const tag of this.header) {
+            if (tag.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+                lines.push(`#EXT-X-MEDIA-SEQUENCE:${first.sequence}`);
+            } else if (tag.startsWith("#EXT-X-TWITCH-LIVE-SEQUENCE:")) {
+                lines.push(`#EXT-X-TWITCH-LIVE-SEQUENCE:${first.sequence}`);
+            } else if (tag.startsWith("#EXT-X-TWITCH-ELAPSED-SECS:")) {
+                const elapsed = parseFloat(tag.substring(27)) - before;
+                lines.push(`#EXT-X-TWITCH-ELAPSED-SECS:${Math.max(0, elapsed).toFixed(3)}`);
+            } else if (!tag.startsWith("#EXT-X-PLAYLIST-TYPE:")) {
+                lines.push(tag);
+            }
+        }
+
+        for (const segment of this.segments) {
+            lines.push(...segment.tags, segment.uri);
+        }
+
+        lines.push(...playlist.trailer);
+
+        return lines.join("\n") + "\n";
+    }
+
+    has(uri) {
+        return this.uris.has(uri);
+    }
+
+    /**
+     * Duration of the kept segments, or of the ones before a sequence
+     */
+    getDuration(beforeSequence = Infinity) {
+        return this.segments
+            .filter(segment => segment.sequence < beforeSequence)
+            .reduce((total, segment) => total + segment.duration, 0);
+    }
+
+    /**
+     * Summary sent to the page
+     */
+    getInfo() {
+        return {
+            url: this.url,
+            firstSequence: this.segments[0]?.sequence ?? null,
+            segments: this.segments.length,
+            duration: this.getDuration(),
+            extraDuration: this.getDuration(this.liveSequence)
+        };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_LivePlaylistWindow = LivePlaylistWindow;
+}
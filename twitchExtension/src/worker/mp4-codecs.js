@@ -0,0 +1,310 @@
+/**
+ * TwitchNoSub MP4 Codec Parser
+ * Minimal ISO-BMFF reader that extracts RFC 6381 codec strings (and a few
+ * track properties) from the sample descriptions of an fMP4 init segment.
+ */
+
+class MP4CodecParser {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    }
+
+    /**
+     * List the boxes between two offsets
+     */
+    readBoxes(start, end) {
+        const boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = this.view.getUint32(offset);
+            const type = this.readType(offset + 4);
+            let headerSize = 8;
+
+            if (size === 1) {
+                // 64-bit largesize, init segments never need the high word
+                size = this.view.getUint32(offset + 12);
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < headerSize || offset + size > end) break;
+
+            boxes.push({ type, start: offset + headerSize, end: offset + size });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    readType(offset) {
+        return String.fromCharCode(...this.bytes.subarray(offset, offset + 4));
+    }
+
+    /**
+     * Find the first child box of a given type
+     */
+    findBox(parent, type) {
+        return this.readBoxes(parent.start, parent.end).find(box => box.type === type) || null;
+    }
+
+    /**
+     * Follow a path of box types, e.g. ["mdia", "minf", "stbl", "stsd"]
+     */
+    findPath(parent, path) {
+        let box = parent;
+
+        for (const type of path) {
+            box = this.findBox(box, type);
+            if (!box) return null;
+        }
+
+        return box;
+    }
+
+    /**
+     * Parse the whole init segment
+     */
+    parse() {
+        const root = { start: 0, end: this.bytes.length };
+        const moov = this.findBox(root, "moov");
+
+        const result = { video: null, audio: null };
+
+        if (!moov) return result;
+
+        const defaultDurations = this.readTrackExtends(moov);
+
+        for (const trak of this.readBoxes(moov.start, moov.end).filter(box => box.type === "trak")) {
+            const handler = this.findPath(trak, ["mdia", "hdlr"]);
+            const mdhd = this.findPath(trak, ["mdia", "mdhd"]);
+            const stsd = this.findPath(trak, ["mdia", "minf", "stbl", "stsd"]);
+
+            if (!handler || !stsd) continue;
+
+            // Skip version/flags, pre_defined and read handler_type
+            const handlerType = this.readType(handler.start + 8);
+
+            // stsd: version/flags (4) + entry_count (4), then the sample entries
+            const entry = this.readBoxes(stsd.start + 8, stsd.end)[0];
+            if (!entry) continue;
+
+            if (handlerType === "vide" && !result.video) {
+                result.video = this.parseVisualSampleEntry(entry);
+
+                const timescale = mdhd ? this.readTimescale(mdhd) : 0;
+                const defaultDuration = defaultDurations.get(this.readTrackId(trak));
+
+                if (timescale && defaultDuration) {
+                    result.video.frameRate = Math.round(timescale / defaultDuration * 1000) / 1000;
+                }
+            } else if (handlerType === "soun" && !result.audio) {
+                result.audio = this.parseAudioSampleEntry(entry);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Map track id -> default sample duration from mvex/trex
+     */
+    readTrackExtends(moov) {
+        const durations = new Map();
+        const mvex = this.findBox(moov, "mvex");
+
+        if (!mvex) return durations;
+
+        for (const trex of this.readBoxes(mvex.start, mvex.end).filter(box => box.type === "trex")) {
+            durations.set(this.view.getUint32(trex.start + 4), this.view.getUint32(trex.start + 12));
+        }
+
+        return durations;
+    }
+
+    readTrackId(trak) {
+        const tkhd = this.findBox(trak, "tkhd");
+        if (!tkhd) return null;
+
+        const version = this.bytes[tkhd.start];
+        return this.view.getUint32(tkhd.start + (version === 1 ? 20 : 12));
+    }
+
+    readTimescale(mdhd) {
+        const version = this.bytes[mdhd.start];
+        return this.view.getUint32(mdhd.start + (version === 1 ? 20 : 12));
+    }
+
+    /**
+     * Video sample entry (avc1/avc3/hvc1/hev1/av01)
+     */
+    parseVisualSampleEntry(entry) {
+        const info = {
+            codec: entry.type,
+            width: this.view.getUint16(entry.start + 24),
+            height: this.view.getUint16(entry.start + 26)
+        };
+
+        // Child boxes follow the 78 byte VisualSampleEntry header
+        const children = { start: entry.start + 78, end: entry.end };
+
+        if (entry.type === "avc1" || entry.type === "avc3") {
+            const avcC = this.findBox(children, "avcC");
+            if (avcC) info.codec = this.buildAvcCodec(entry.type, avcC);
+        } else if (entry.type === "hvc1" || entry.type === "hev1") {
+            const hvcC = this.findBox(children, "hvcC");
+            if (hvcC) info.codec = this.buildHevcCodec(entry.type, hvcC);
+        } else if (entry.type === "av01") {
+            const av1C = this.findBox(children, "av1C");
+            if (av1C) info.codec = this.buildAv1Codec(av1C);
+        }
+
+        return info;
+    }
+
+    /**
+     * Audio sample entry (mp4a/ac-3/ec-3/Opus/fLaC)
+     */
+    parseAudioSampleEntry(entry) {
+        const info = {
+            codec: entry.type,
+            channels: this.view.getUint16(entry.start + 16),
+            sampleRate: this.view.getUint16(entry.start + 24)
+        };
+
+        if (entry.type === "mp4a") {
+            // Child boxes follow the 28 byte AudioSampleEntry header
+            const esds = this.findBox({ start: entry.start + 28, end: entry.end }, "esds");
+            info.codec = esds ? this.buildMp4aCodec(esds) : "mp4a.40.2";
+        } else if (entry.type === "Opus") {
+            info.codec = "opus";
+        } else if (entry.type === "fLaC") {
+            info.codec = "flac";
+        }
+
+        return info;
+    }
+
+    /**
+     * avc1.PPCCLL from AVCDecoderConfigurationRecord
+     */
+    buildAvcCodec(type, avcC) {
+        const bytes = this.bytes.subarray(avcC.start + 1, avcC.start + 4);
+        return `${type}.${Array.from(bytes, toHex).join("")}`;
+    }
+
+    /**
+     * hvc1.<profile>.<compat>.<tier><level>.<constraints> (ISO/IEC 14496-15 Annex E)
+     */
+    buildHevcCodec(type, hvcC) {
+        const start = hvcC.start;
+        const profileByte = this.bytes[start + 1];
+
+        const profileSpace = profileByte >> 6;
+        const tier = (profileByte >> 5) & 0x1;
+        const profileIdc = profileByte & 0x1f;
+
+        // Compatibility flags are written in reverse bit order
+        const compatFlags = this.view.getUint32(start + 2);
+        let reversed = 0;
+        for (let i = 0; i < 32; i++) {
+            reversed = (reversed << 1) | ((compatFlags >>> i) & 1);
+        }
+
+        const constraints = Array.from(this.bytes.subarray(start + 6, start + 12));
+        while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+            constraints.pop();
+        }
+
+        const levelIdc = this.bytes[start + 12];
+
+        let codec = `${type}.${["", "A", "B", "C"][profileSpace]}${profileIdc}`;
+        codec += `.${(reversed >>> 0).toString(16).toUpperCase()}`;
+        codec += `.${tier ? "H" : "L"}${levelIdc}`;
+
+        if (constraints.length > 0) {
+            codec += `.${constraints.map(byte => byte.toString(16).toUpperCase()).join(".")}`;
+        }
+
+        return codec;
+    }
+
+    /**
+     * av01.P.LLT.DD from AV1CodecConfigurationRecord
+     */
+    buildAv1Codec(av1C) {
+        const byte1 = this.bytes[av1C.start + 1];
+        const byte2 = this.bytes[av1C.start + 2];
+
+        const profile = byte1 >> 5;
+        const level = byte1 & 0x1f;
+        const tier = byte2 >> 7 ? "H" : "M";
+        const highBitDepth = (byte2 >> 6) & 0x1;
+        const twelveBit = (byte2 >> 5) & 0x1;
+
+        const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+
+        return `av01.${profile}.${level.toString().padStart(2, "0")}${tier}.${bitDepth.toString().padStart(2, "0")}`;
+    }
+
+    /**
+     * mp4a.OO.A from the ES descriptor
+     */
+    buildMp4aCodec(esds) {
+        // Skip version/flags of the full box
+        let offset = esds.start + 4;
+
+        const readDescriptor = () => {
+            const tag = this.bytes[offset++];
+            let size = 0;
+
+            // Expandable size, up to 4 bytes
+            for (let i = 0; i < 4; i++) {
+                const byte = this.bytes[offset++];
+                size = (size << 7) | (byte & 0x7f);
+                if (!(byte & 0x80)) break;
+            }
+
+            return { tag, size };
+        };
+
+        if (readDescriptor().tag !== 0x03) return "mp4a.40.2";
+
+        // ES_ID then flags
+        offset += 2;
+        const flags = this.bytes[offset++];
+        if (flags & 0x80) offset += 2;
+        if (flags & 0x40) offset += 1 + this.bytes[offset];
+        if (flags & 0x20) offset += 2;
+
+        if (readDescriptor().tag !== 0x04) return "mp4a.40.2";
+
+        const objectType = this.bytes[offset];
+
+        // objectTypeIndication, streamType, bufferSizeDB, maxBitrate, avgBitrate
+        offset += 13;
+
+        if (offset >= esds.end || readDescriptor().tag !== 0x05) {
+            return `mp4a.${objectType.toString(16)}`;
+        }
+
+        let audioObjectType = this.bytes[offset] >> 3;
+
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((this.bytes[offset] & 0x7) << 3) | (this.bytes[offset + 1] >> 5));
+        }
+
+        return `mp4a.${objectType.toString(16)}.${audioObjectType}`;
+    }
+}
+
+function toHex(byte) {
+    return byte.toString(16).toUpperCase().padStart(2, "0");
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_MP4CodecParser = MP4CodecParser;
+}
@@ -0,0 +1,60 @@
+/**
+ * TwitchNoSub Page Channel
+ * Sends events from the patched player worker to the page. A BroadcastChannel
+ * is used so our messages never reach the IVS player's own worker handler.
+ * The page can also send requests (see DVRWorkerBridge.request), answered
+ * with a "response" event.
+ *
+ * BroadcastChannels reach every tab: the page gives its workers a channel of
+ * its own (self.TNS_WORKER_CHANNEL, see src/app.js), messages carry its name
+ * and the ones without it are dropped. No name, no channel.
+ */
+
+class PageChannel {
+    constructor(name = self.TNS_WORKER_CHANNEL || null) {
+        this.name = name;
+        this.channel = name && typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(name) : null;
+        this.handlers = {};
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleRequest(event.data);
+        }
+    }
+
+    /**
+     * Register the handler of a page request, it returns (or resolves with)
+     * the response payload and throws to report an error
+     */
+    handle(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    async handleRequest(message) {
+        if (!message || message.source !== "tns-page" || message.channel !== this.name || !this.handlers[message.type]) return;
+
+        try {
+            const result = await this.handlers[message.type](message.payload || {});
+            this.post("response", { id: message.id, result });
+        } catch (e) {
+            this.post("response", { id: message.id, error: e.message });
+        }
+    }
+
+    /**
+     * Post an event to the page of this worker
+     */
+    post(type, payload = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ source: "tns-worker", channel: this.name, type, payload, time: Date.now() });
+        } catch (e) {
+            console.log(`[TNS] Unable to post ${type} to page: ${e.message}`);
+        }
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_PageChannel = PageChannel;
+}
@@ -0,0 +1,307 @@
+/**
+ * TwitchNoSub TS Probe
+ * Reads the H.264 sequence parameter set from the start of an MPEG-TS
+ * segment to get the real codec, resolution and frame rate of a rendition.
+ */
+
+const TS_PACKET_SIZE = 188;
+
+// Profiles that carry chroma format / bit depth / scaling lists in the SPS
+const HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+class TSVideoProbe {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+    }
+
+    /**
+     * Parse the probe data, returns null when no H.264 SPS was found
+     */
+    parse() {
+        const payload = this.readVideoPayload();
+        if (!payload) return null;
+
+        const sps = this.findSPS(payload);
+        if (!sps) return null;
+
+        return this.parseSPS(sps);
+    }
+
+    /**
+     * Concatenate the elementary stream payload of the H.264 track
+     */
+    readVideoPayload() {
+        let pmtPid = -1;
+        let videoPid = -1;
+        const chunks = [];
+
+        for (let offset = 0; offset + TS_PACKET_SIZE <= this.bytes.length; offset += TS_PACKET_SIZE) {
+            if (this.bytes[offset] !== 0x47) continue;
+
+            const unitStart = (this.bytes[offset + 1] & 0x40) !== 0;
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const adaptation = (this.bytes[offset + 3] >> 4) & 0x3;
+
+            let start = offset + 4;
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += 1 + this.bytes[start];
+
+            const end = offset + TS_PACKET_SIZE;
+            if (start >= end) continue;
+
+            if (pid === 0 && unitStart) {
+                // PAT, first program only
+                const section = start + 1 + this.bytes[start];
+                pmtPid = ((this.bytes[section + 10] & 0x1f) << 8) | this.bytes[section + 11];
+            } else if (pid === pmtPid && unitStart && videoPid === -1) {
+                videoPid = this.readVideoPid(start + 1 + this.bytes[start]);
+            } else if (pid === videoPid) {
+                if (unitStart) {
+                    // Skip the PES header
+                    start += 9 + this.bytes[start + 8];
+                }
+
+                if (start < end) {
+                    chunks.push(this.bytes.subarray(start, end));
+                }
+            }
+        }
+
+        if (chunks.length === 0) return null;
+
+        const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+        const payload = new Uint8Array(length);
+
+        let position = 0;
+        for (const chunk of chunks) {
+            payload.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Find the H.264 elementary stream in a PMT section
+     */
+    readVideoPid(section) {
+        const sectionLength = ((this.bytes[section + 1] & 0x0f) << 8) | this.bytes[section + 2];
+        const programInfoLength = ((this.bytes[section + 10] & 0x0f) << 8) | this.bytes[section + 11];
+
+        // Stop before the CRC
+        const end = section + 3 + sectionLength - 4;
+        let offset = section + 12 + programInfoLength;
+
+        while (offset + 5 <= end) {
+            const streamType = this.bytes[offset];
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const infoLength = ((this.bytes[offset + 3] & 0x0f) << 8) | this.bytes[offset + 4];
+
+            if (streamType === 0x1b) return pid;
+
+            offset += 5 + infoLength;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Extract the first SPS NAL unit, without emulation prevention bytes
+     */
+    findSPS(payload) {
+        for (let i = 0; i + 4 < payload.length; i++) {
+            if (payload[i] !== 0 || payload[i + 1] !== 0 || payload[i + 2] !== 1) continue;
+            if ((payload[i + 3] & 0x1f) !== 7) continue;
+
+            const nal = [];
+            let zeros = 0;
+
+            for (let j = i + 4; j < payload.length; j++) {
+                const byte = payload[j];
+
+                // Next start code
+                if (zeros >= 2 && byte === 1) break;
+
+                if (zeros >= 2 && byte === 3) {
+                    zeros = 0;
+                    continue;
+                }
+
+                zeros = byte === 0 ? zeros + 1 : 0;
+                nal.push(byte);
+            }
+
+            return new Uint8Array(nal);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the fields needed for codec, resolution and frame rate
+     */
+    parseSPS(sps) {
+        const reader = new BitReader(sps);
+
+        const profileIdc = reader.readBits(8);
+        const constraints = reader.readBits(8);
+        const levelIdc = reader.readBits(8);
+
+        reader.readUE(); // seq_parameter_set_id
+
+        let chromaFormatIdc = 1;
+
+        if (HIGH_PROFILES.includes(profileIdc)) {
+            chromaFormatIdc = reader.readUE();
+            if (chromaFormatIdc === 3) reader.readBits(1);
+
+            reader.readUE(); // bit_depth_luma_minus8
+            reader.readUE(); // bit_depth_chroma_minus8
+            reader.readBits(1); // qpprime_y_zero_transform_bypass_flag
+
+            if (reader.readBits(1)) {
+                const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+
+                for (let i = 0; i < listCount; i++) {
+                    if (reader.readBits(1)) {
+                        reader.skipScalingList(i < 6 ? 16 : 64);
+                    }
+                }
+            }
+        }
+
+        reader.readUE(); // log2_max_frame_num_minus4
+
+        const picOrderCntType = reader.readUE();
+
+        if (picOrderCntType === 0) {
+            reader.readUE();
+        } else if (picOrderCntType === 1) {
+            reader.readBits(1);
+            reader.readSE();
+            reader.readSE();
+
+            const cycle = reader.readUE();
+            for (let i = 0; i < cycle; i++) reader.readSE();
+        }
+
+        reader.readUE(); // max_num_ref_frames
+        reader.readBits(1); // gaps_in_frame_num_value_allowed_flag
+
+        const widthInMbs = reader.readUE() + 1;
+        const heightInMapUnits = reader.readUE() + 1;
+        const frameMbsOnly = reader.readBits(1);
+
+        if (!frameMbsOnly) reader.readBits(1);
+        reader.readBits(1); // direct_8x8_inference_flag
+
+        let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+
+        if (reader.readBits(1)) {
+            crop = {
+                left: reader.readUE(),
+                right: reader.readUE(),
+                top: reader.readUE(),
+                bottom: reader.readUE()
+            };
+        }
+
+        const cropUnitX = chromaFormatIdc === 0 || chromaFormatIdc === 3 ? 1 : 2;
+        const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+        const result = {
+            codec: `avc1.${[profileIdc, constraints, levelIdc].map(byte => byte.toString(16).toUpperCase().padStart(2, "0")).join("")}`,
+            width: widthInMbs * 16 - (crop.left + crop.right) * cropUnitX,
+            height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop.top + crop.bottom) * cropUnitY,
+            frameRate: null
+        };
+
+        // VUI timing info
+        if (reader.readBits(1)) {
+            if (reader.readBits(1)) {
+                if (reader.readBits(8) === 255) reader.readBits(32);
+            }
+
+            if (reader.readBits(1)) reader.readBits(1);
+
+            if (reader.readBits(1)) {
+                reader.readBits(4);
+                if (reader.readBits(1)) reader.readBits(24);
+            }
+
+            if (reader.readBits(1)) {
+                reader.readUE();
+                reader.readUE();
+            }
+
+            if (reader.readBits(1)) {
+                const numUnitsInTick = reader.readBits(32);
+                const timeScale = reader.readBits(32);
+
+                if (numUnitsInTick > 0) {
+                    result.frameRate = Math.round(timeScale / (2 * numUnitsInTick) * 1000) / 1000;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Exp-Golomb capable bit reader
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+
+        for (let i = 0; i < count; i++) {
+            const byte = this.bytes[this.position >> 3];
+            if (byte === undefined) throw new Error("SPS truncated");
+
+            value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
+        }
+
+        return value;
+    }
+
+    readUE() {
+        let leadingZeros = 0;
+
+        while (this.readBits(1) === 0) {
+            leadingZeros++;
+            if (leadingZeros > 31) throw new Error("Invalid Exp-Golomb code");
+        }
+
+        return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+    }
+
+    readSE() {
+        const value = this.readUE();
+        return value & 1 ? (value + 1) / 2 : -value / 2;
+    }
+
+    skipScalingList(size) {
+        let lastScale = 8;
+        let nextScale = 8;
+
+        for (let i = 0; i < size; i++) {
+            if (nextScale !== 0) {
+                nextScale = (lastScale + this.readSE() + 256) % 256;
+            }
+
+            lastScale = nextScale === 0 ? lastScale : nextScale;
+        }
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_TSVideoProbe = TSVideoProbe;
+}
@@ -0,0 +1,151 @@
+/**
+ * TwitchNoSub VOD URL Templates
+ * Ordered rules describing the storage path schemes of VOD playlists.
+ * Every rule whose conditions match a VOD is a candidate, tried in order;
+ * the rule that worked is remembered per channel and tried first next time.
+ *
+ * Placeholders: {domain} {specialId} {vodId} {login} {quality}
+ * ({quality} is left in place for the rendition probes).
+ *
+ * Conditions (all optional):
+ *   broadcastTypes  lower case broadcast types, e.g. ["upload"]
+ *   createdAfter    ISO date, VOD created at or after it
+ *   createdBefore   ISO date, VOD created before it
+ *   channels        lower case channel logins
+ */
+
+const VOD_URL_RULES = [
+    {
+        name: "highlight",
+        broadcastTypes: ["highlight"],
+        template: "https://{domain}/{specialId}/{quality}/highlight-{vodId}.m3u8"
+    },
+    {
+        // Uploads stored before the path change of early February 2023
+        name: "legacy-upload",
+        broadcastTypes: ["upload"],
+        createdBefore: "2023-02-03T00:00:00Z",
+        template: "https://{domain}/{login}/{vodId}/{specialId}/{quality}/index-dvr.m3u8"
+    },
+    {
+        name: "default",
+        template: "https://{domain}/{specialId}/{quality}/index-dvr.m3u8"
+    }
+];
+
+class UrlTemplateEngine {
+    constructor(options = {}) {
+        this.rules = options.rules || VOD_URL_RULES;
+        // Channel login -> rule name, persisted when a store is given
+        this.store = options.store || null;
+        this.remembered = new Map();
+    }
+
+    /**
+     * Check the conditions of a rule against a VOD
+     * vod: { vodId, specialId, login, broadcastType, createdAt }
+     */
+    matches(rule, vod) {
+        const broadcastType = (vod.broadcastType || "").toLowerCase();
+        const created = vod.createdAt ? new Date(vod.createdAt).getTime() : NaN;
+
+        if (rule.broadcastTypes && !rule.broadcastTypes.includes(broadcastType)) return false;
+        if (rule.channels && !rule.channels.includes((vod.login || "").toLowerCase())) return false;
+
+        if (rule.createdAfter && !(created >= new Date(rule.createdAfter).getTime())) return false;
+        if (rule.createdBefore && !(created < new Date(rule.createdBefore).getTime())) return false;
+
+        return true;
+    }
+
+    /**
+     * Fill a rule template for a VOD and host, keeping {quality}
+     */
+    build(rule, vod, domain) {
+        const values = {
+            domain,
+            specialId: vod.specialId,
+            vodId: vod.vodId,
+            login: (vod.login || "").toLowerCase()
+        };
+
+        return rule.template.replace(/\{(domain|specialId|vodId|login)\}/g, (match, key) => values[key]);
+    }
+
+    /**
+     * Matching rules in the order they should be tried
+     */
+    async getCandidates(vod) {
+        const candidates = this.rules.filter(rule => this.matches(rule, vod));
+        const preferred = await this.getRemembered(vod.login);
+
+        const index = candidates.findIndex(rule => rule.name === preferred);
+        if (index > 0) {
+            candidates.unshift(...candidates.splice(index, 1));
+        }
+
+        return candidates;
+    }
+
+    async getRemembered(login) {
+        if (!login) return null;
+
+        const key = login.toLowerCase();
+
+        if (!this.remembered.has(key) && this.store) {
+            const entry = await this.store.get(key);
+            if (entry) this.remembered.set(key, entry.rule);
+        }
+
+        return this.remembered.get(key) || null;
+    }
+
+    /**
+     * Remember the rule that worked for a channel
+     */
+    async remember(login, rule) {
+        if (!login) return;
+
+        const key = login.toLowerCase();
+        if (this.remembered.get(key) === rule.name) return;
+
+        this.remembered.set(key, rule.name);
+
+        if (this.store) {
+            await this.store.set(key, { rule: rule.name });
+        }
+    }
+
+    /**
+     * Try every candidate rule until one is served by a host.
+     * findHost(buildTemplate) resolves with { host, tried } like findWorkingHost.
+     * Returns { rule, host, tried, buildTemplate }, host is null when nothing worked
+     * (the first candidate is returned then).
+     */
+    async resolve(vod, findHost) {
+        const candidates = await this.getCandidates(vod);
+        const tried = [];
+
+        for (const rule of candidates) {
+            const buildTemplate = domain => this.build(rule, vod, domain);
+            const result = await findHost(buildTemplate);
+
+            tried.push(...result.tried.filter(host => !tried.includes(host)));
+
+            if (result.host) {
+                await this.remember(vod.login, rule);
+                return { rule, host: result.host, tried, buildTemplate };
+            }
+        }
+
+        const rule = candidates[0] || this.rules[this.rules.length - 1];
+
+        return { rule, host: null, tried, buildTemplate: domain => this.build(rule, vod, domain) };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_VOD_URL_RULES = VOD_URL_RULES;
+    self.TNS_UrlTemplateEngine = UrlTemplateEngine;
+}
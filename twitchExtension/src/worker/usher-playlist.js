@@ -0,0 +1,187 @@
+/**
+ * TwitchNoSub Usher Playlist Builder
+ * Builds a usher master playlist (v1 or v2 format) from a structured list
+ * of variants. Session metadata (#EXT-X-TWITCH-INFO) is copied from a real
+ * usher response when one is given, the builder doesn't make any up.
+ *
+ * Variant: {
+ *   url, resKey, name, bandwidth, averageBandwidth?, codecs,
+ *   resolution, frameRate, source, default
+ * }
+ *
+ * Has no dependency on the worker, so it can be required from node as well.
+ */
+
+class UsherPlaylistBuilder {
+    constructor(options = {}) {
+        this.version = options.version || 1;
+        // Raw attributes of a real #EXT-X-TWITCH-INFO tag, or null
+        this.session = options.session || null;
+
+        // Attributes written without quotes (numbers and enumerated strings)
+        this.unquoted = ["BANDWIDTH", "AVERAGE-BANDWIDTH", "RESOLUTION", "FRAME-RATE", "TYPE", "AUTOSELECT", "DEFAULT"];
+    }
+
+    /**
+     * Read the #EXT-X-TWITCH-INFO attributes of a usher playlist, or null.
+     * Values are kept as written (quoted or not) so they can be copied as is.
+     */
+    parseSessionInfo(playlist) {
+        const line = playlist.split(/\r?\n/).find(line => line.startsWith("#EXT-X-TWITCH-INFO:"));
+        if (!line) return null;
+
+        return this.parseAttributes(line.substring("#EXT-X-TWITCH-INFO:".length).trim());
+    }
+
+    /**
+     * Read an attribute list, values kept as written
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2];
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Read the variants of a real usher playlist (v1 or v2), with absolute URLs
+     */
+    parseVariants(playlist, baseUrl) {
+        const unquote = value => value?.replace(/^"|"$/g, "");
+        const names = {};
+        const variants = [];
+        let streamInf = null;
+
+        for (const line of playlist.split(/\r?\n/).map(line => line.trim())) {
+            if (line.startsWith("#EXT-X-MEDIA:")) {
+                const media = this.parseAttributes(line.substring("#EXT-X-MEDIA:".length));
+                names[unquote(media["GROUP-ID"])] = unquote(media.NAME);
+            } else if (line.startsWith("#EXT-X-STREAM-INF:")) {
+                streamInf = this.parseAttributes(line.substring("#EXT-X-STREAM-INF:".length));
+            } else if (line && !line.startsWith("#") && streamInf) {
+                const resKey = unquote(streamInf.VIDEO || streamInf["STABLE-VARIANT-ID"]) || null;
+                const name = unquote(streamInf["IVS-NAME"]) || names[resKey] || resKey;
+
+                variants.push({
+                    url: new URL(line, baseUrl).href,
+                    resKey,
+                    name: name ? name.replace(/ \(source\)$/, "") : null,
+                    source: resKey === "chunked" || unquote(streamInf["IVS-VARIANT-SOURCE"]) === "source",
+                    bandwidth: parseInt(streamInf.BANDWIDTH) || null,
+                    codecs: unquote(streamInf.CODECS) || null,
+                    resolution: streamInf.RESOLUTION || null,
+                    frameRate: parseFloat(streamInf["FRAME-RATE"]) || null
+                });
+
+                streamInf = null;
+            }
+        }
+
+        return variants;
+    }
+
+    /**
+     * Serialize an attribute list, skipping empty values
+     */
+    formatAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => this.unquoted.includes(key) ? `${key}=${value}` : `${key}="${value}"`)
+            .join(",");
+    }
+
+    createServingId() {
+        const chars = "0123456789abcdefghijklmnopqrstuvwxyz";
+        let id = "";
+
+        for (let i = 0; i < 32; i++) {
+            id += chars[Math.floor(Math.random() * chars.length)];
+        }
+
+        return id;
+    }
+
+    buildSessionInfo() {
+        const info = this.session
+            ? { ...this.session }
+            : { ORIGIN: '"s3"', B: '"false"', CLUSTER: '"cloudfront_vod"', "MANIFEST-CLUSTER": '"cloudfront_vod"' };
+
+        // A serving id identifies one manifest request
+        info["SERVING-ID"] = `"${this.createServingId()}"`;
+
+        return `#EXT-X-TWITCH-INFO:${Object.entries(info).map(([key, value]) => `${key}=${value}`).join(",")}`;
+    }
+
+    /**
+     * Build the master playlist
+     */
+    build(variants) {
+        const lines = ["#EXTM3U", this.buildSessionInfo()];
+
+        if (this.version === 2) {
+            // v2 has no DEFAULT attribute, players start with the first variant
+            const ordered = [
+                ...variants.filter(variant => variant.default),
+                ...variants.filter(variant => !variant.default)
+            ];
+
+            for (const variant of ordered) {
+                const streamInf = this.formatAttributes({
+                    ...this.getStreamAttributes(variant),
+                    "FRAME-RATE": variant.frameRate,
+                    "STABLE-VARIANT-ID": variant.resKey,
+                    "IVS-NAME": variant.name,
+                    "IVS-VARIANT-SOURCE": variant.source ? "source" : "transcode"
+                });
+
+                lines.push(`#EXT-X-STREAM-INF:${streamInf}`, variant.url);
+            }
+        } else {
+            for (const variant of variants) {
+                const enabled = variant.default ? "YES" : "NO";
+
+                const media = this.formatAttributes({
+                    TYPE: "VIDEO",
+                    "GROUP-ID": variant.resKey,
+                    NAME: variant.source ? `${variant.name} (source)` : variant.name,
+                    AUTOSELECT: enabled,
+                    DEFAULT: enabled
+                });
+
+                const streamInf = this.formatAttributes({
+                    ...this.getStreamAttributes(variant),
+                    VIDEO: variant.resKey,
+                    "FRAME-RATE": variant.frameRate
+                });
+
+                lines.push(`#EXT-X-MEDIA:${media}`, `#EXT-X-STREAM-INF:${streamInf}`, variant.url);
+            }
+        }
+
+        return lines.join("\n");
+    }
+
+    getStreamAttributes(variant) {
+        return {
+            BANDWIDTH: variant.bandwidth,
+            "AVERAGE-BANDWIDTH": variant.averageBandwidth,
+            CODECS: variant.codecs,
+            RESOLUTION: variant.resolution
+        };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_UsherPlaylistBuilder = UsherPlaylistBuilder;
+}
+
+// For node (fixture tests, tools)
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = UsherPlaylistBuilder;
+}
@@ -0,0 +1,163 @@
+/**
+ * TwitchNoSub VOD Cache
+ * Persists resolved sub-only VOD playlists in IndexedDB so a VOD that was
+ * already unlocked can be served again without querying GQL or probing.
+ *
+ * The same database holds the recovery parameters the page saves for VODs
+ * without GQL metadata, so this file is also loaded in the page.
+ */
+
+// Object stores of the database, all keyed by VOD id
+// (by channel login for the storage path rule and renditions of each channel)
+const VOD_CACHE_STORES = ["playlists", "recovery", "templates", "renditions"];
+const VOD_CACHE_VERSION = 4;
+
+// A tab holding an older version blocks the upgrade, don't wait for it forever
+const VOD_CACHE_OPEN_TIMEOUT = 3000; // ms
+
+class VodPlaylistCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || "tns-vod-cache";
+        this.storeName = options.storeName || "playlists";
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours in ms
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (or create) the database. Rejects when another tab blocks the
+     * upgrade for too long, the cache is then skipped until the next call.
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, VOD_CACHE_VERSION);
+            const timeout = setTimeout(() => {
+                // Opened too late, the next call opens it again
+                request.onsuccess = () => request.result.close();
+                reject(new Error("IndexedDB open timed out"));
+            }, VOD_CACHE_OPEN_TIMEOUT);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                for (const storeName of VOD_CACHE_STORES) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: "vodId" });
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                clearTimeout(timeout);
+
+                const db = request.result;
+
+                // Let a newer version in another tab upgrade, reopen on the next request
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                clearTimeout(timeout);
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.log("[TNS] VOD cache upgrade blocked by another tab");
+            };
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached entry, or null if it is missing or expired
+     */
+    async get(vodId) {
+        try {
+            const entry = await this.run("readonly", store => store.get(vodId));
+
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.delete(vodId);
+                return null;
+            }
+
+            return entry;
+        } catch (e) {
+            console.log(`[TNS] Unable to read VOD cache: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a resolved VOD playlist
+     */
+    async set(vodId, data) {
+        const now = Date.now();
+
+        const entry = {
+            ...data,
+            vodId,
+            storedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        try {
+            await this.run("readwrite", store => store.put(entry));
+        } catch (e) {
+            console.log(`[TNS] Unable to write VOD cache: ${e.message}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Remove a cached entry
+     */
+    async delete(vodId) {
+        try {
+            await this.run("readwrite", store => store.delete(vodId));
+        } catch (e) {
+            console.log(`[TNS] Unable to delete VOD cache entry: ${e.message}`);
+        }
+    }
+}
+
+// For worker and page context
+if (typeof self !== "undefined") {
+    self.TNS_VodPlaylistCache = VodPlaylistCache;
+}
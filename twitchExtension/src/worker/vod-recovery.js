@@ -0,0 +1,120 @@
+/**
+ * TwitchNoSub VOD Recovery
+ * Rebuilds the storage path of a VOD whose GQL metadata is gone, from the
+ * channel login, broadcast id and stream start time:
+ *
+ *   <first 20 hex chars of sha1(base)>_<base>   with base = <login>_<broadcastId>_<unix start>
+ *
+ * Stream trackers only give the start time to the minute, so every second
+ * of a window around it is tried on the preferred host (where the channel's
+ * seek previews are). The other known hosts come next and share what is
+ * left of maxProbes, each trying the timestamps closest to the start time.
+ */
+
+class VodRecovery {
+    constructor(options = {}) {
+        this.hosts = options.hosts || [];
+        this.concurrency = options.concurrency || 6;
+        this.timeout = options.timeout || 5000; // ms per request
+        this.windowSeconds = options.windowSeconds ?? 60;
+        this.maxProbes = options.maxProbes ?? 300;
+        this.fetch = options.fetch || self.fetch.bind(self);
+    }
+
+    /**
+     * Build the hashed storage folder of a broadcast
+     */
+    async buildSpecialId(login, broadcastId, timestamp) {
+        const base = `${login.toLowerCase()}_${broadcastId}_${timestamp}`;
+        const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(base));
+        const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+
+        return `${hash.substring(0, 20)}_${base}`;
+    }
+
+    /**
+     * Start timestamps to try, closest to the given one first
+     */
+    getTimestamps(startTimestamp, exact) {
+        const timestamps = [startTimestamp];
+
+        if (exact) return timestamps;
+
+        for (let offset = 1; offset <= this.windowSeconds; offset++) {
+            timestamps.push(startTimestamp + offset, startTimestamp - offset);
+        }
+
+        return timestamps;
+    }
+
+    /**
+     * Check that the source playlist exists
+     */
+    async exists(url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await this.fetch(url, { signal: controller.signal });
+            return response.ok && (await response.text()).includes("#EXTINF");
+        } catch (e) {
+            return false;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Find the storage location of a broadcast.
+     * params: { login, broadcastId, startTimestamp (unix seconds), exact }
+     */
+    async recover(params, preferredHost = null) {
+        const timestamps = [];
+
+        for (const timestamp of this.getTimestamps(params.startTimestamp, params.exact)) {
+            timestamps.push({ timestamp, vodSpecialID: await this.buildSpecialId(params.login, params.broadcastId, timestamp) });
+        }
+
+        const others = this.hosts.filter(host => host !== preferredHost);
+        const hosts = preferredHost ? [preferredHost, ...others] : others;
+
+        // Probes per host: one timestamp at least on every host
+        const preferredProbes = preferredHost ? Math.min(timestamps.length, this.maxProbes) : 0;
+        const otherProbes = Math.max(1, Math.floor((this.maxProbes - preferredProbes) / Math.max(1, others.length)));
+
+        const candidates = [];
+
+        for (const domain of hosts) {
+            const budget = domain === preferredHost ? preferredProbes : otherProbes;
+
+            for (const { timestamp, vodSpecialID } of timestamps.slice(0, budget)) {
+                candidates.push({ domain, vodSpecialID, timestamp });
+            }
+        }
+
+        console.log(`[TNS] Recovery: trying ${candidates.length} storage paths on ${hosts.length} hosts for broadcast ${params.broadcastId}`);
+
+        let nextIndex = 0;
+        let found = null;
+
+        const runChecks = async () => {
+            while (!found && nextIndex < candidates.length) {
+                const candidate = candidates[nextIndex++];
+                const url = `https://${candidate.domain}/${candidate.vodSpecialID}/chunked/index-dvr.m3u8`;
+
+                if (await this.exists(url) && !found) {
+                    found = candidate;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.concurrency }, runChecks));
+
+        return found;
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_VodRecovery = VodRecovery;
+}
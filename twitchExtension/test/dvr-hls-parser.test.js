@@ -0,0 +1,154 @@
+// Tests of the HLS parser of the DVR tracker: TS and fMP4 live playlists,
+// delta updates and low-latency parts
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const baseUrl = "https://video-edge-c2a3b4.fra05.abs.hls.ttvnw.net/v1/segment/";
+
+function createParser() {
+    const context = { console, URL, Date };
+    context.window = context;
+
+    vm.createContext(context);
+
+    const file = path.join(__dirname, "..", "src", "dvr", "dvr-hls-parser.js");
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+
+    return new context.TNS_DVRHLSParser();
+}
+
+const playlist = lines => lines.join("\n") + "\n";
+
+// Values made in the parser's context, to compare with the expected ones
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test("parse reads fMP4 segments with their init section, dates and discontinuities", () => {
+    const parsed = createParser().parse(playlist([
+        "#EXTM3U",
+        "#EXT-X-VERSION:6",
+        "#EXT-X-TARGETDURATION:2",
+        "#EXT-X-MEDIA-SEQUENCE:500",
+        "#EXT-X-DISCONTINUITY-SEQUENCE:3",
+        "#EXT-X-TWITCH-ELAPSED-SECS:1000.000",
+        "#EXT-X-MAP:URI=\"init-0.mp4\"",
+        "#EXT-X-PROGRAM-DATE-TIME:2024-05-01T18:00:00.000Z",
+        "#EXTINF:2.000,live",
+        "seg-500.mp4",
+        "#EXT-X-DISCONTINUITY",
+        "#EXT-X-MAP:URI=\"init-1.mp4\",BYTERANGE=\"720@0\"",
+        "#EXT-X-BYTERANGE:1000@720",
+        "#EXTINF:1.500,Amazon|123456",
+        "seg-501.mp4"
+    ]), baseUrl);
+
+    assert.equal(parsed.version, 6);
+    assert.equal(parsed.targetDuration, 2);
+    assert.equal(parsed.elapsed, 1000);
+    assert.equal(parsed.endList, false);
+
+    const [first, second] = parsed.segments;
+
+    assert.equal(first.sequence, 500);
+    assert.equal(first.uri, `${baseUrl}seg-500.mp4`);
+    assert.equal(first.duration, 2);
+    assert.equal(first.title, "live");
+    assert.equal(first.programDateTime, Date.parse("2024-05-01T18:00:00.000Z"));
+    assert.deepEqual(plain(first.map), { uri: `${baseUrl}init-0.mp4`, byteRange: null });
+    assert.equal(first.discontinuitySequence, 3);
+
+    assert.equal(second.sequence, 501);
+    assert.equal(second.title, "Amazon|123456");
+    assert.equal(second.programDateTime, null);
+    assert.equal(second.discontinuity, true);
+    assert.equal(second.discontinuitySequence, 4);
+    assert.deepEqual(plain(second.map), { uri: `${baseUrl}init-1.mp4`, byteRange: { length: 720, offset: 0 } });
+    assert.deepEqual(plain(second.byteRange), { length: 1000, offset: 720 });
+});
+
+test("parse numbers the segments of a delta update after the skipped ones", () => {
+    const parsed = createParser().parse(playlist([
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:2",
+        "#EXT-X-MEDIA-SEQUENCE:100",
+        "#EXT-X-SKIP:SKIPPED-SEGMENTS=30",
+        "#EXTINF:2.000,live",
+        "seg-130.ts",
+        "#EXTINF:2.000,live",
+        "seg-131.ts"
+    ]), baseUrl);
+
+    assert.deepEqual(plain(parsed.segments.map(segment => [segment.sequence, segment.uri])), [
+        [130, `${baseUrl}seg-130.ts`],
+        [131, `${baseUrl}seg-131.ts`]
+    ]);
+});
+
+test("parse gives the parts to their segment and returns the one being produced", () => {
+    const parsed = createParser().parse(playlist([
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:2",
+        "#EXT-X-PART-INF:PART-TARGET=0.5",
+        "#EXT-X-MEDIA-SEQUENCE:20",
+        "#EXT-X-MAP:URI=\"init.mp4\"",
+        "#EXT-X-PART:DURATION=1.000,URI=\"part-20-0.mp4\",INDEPENDENT=YES",
+        "#EXT-X-PART:DURATION=1.000,URI=\"part-20-1.mp4\"",
+        "#EXTINF:2.000,live",
+        "seg-20.mp4",
+        "#EXT-X-PART:DURATION=0.500,URI=\"part-21-0.mp4\",INDEPENDENT=YES",
+        "#EXT-X-PART:DURATION=0.500,URI=\"part-21-1.mp4\",GAP=YES",
+        "#EXT-X-PRELOAD-HINT:TYPE=PART,URI=\"part-21-2.mp4\""
+    ]), baseUrl);
+
+    assert.equal(parsed.partTargetDuration, 0.5);
+    assert.equal(parsed.segments.length, 1);
+    assert.deepEqual(plain(parsed.segments[0].parts.map(part => [part.uri, part.duration, part.independent])), [
+        [`${baseUrl}part-20-0.mp4`, 1, true],
+        [`${baseUrl}part-20-1.mp4`, 1, false]
+    ]);
+
+    assert.equal(parsed.partial.sequence, 21);
+    assert.equal(parsed.partial.duration, 1);
+    assert.equal(parsed.partial.parts[1].gap, true);
+    assert.equal(parsed.partial.map.uri, `${baseUrl}init.mp4`);
+    assert.deepEqual(plain(parsed.preloadHint), { type: "PART", uri: `${baseUrl}part-21-2.mp4` });
+});
+
+test("parse numbers Twitch's prefetch segments after the last segment", () => {
+    const parsed = createParser().parse(playlist([
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:2",
+        "#EXT-X-MEDIA-SEQUENCE:40",
+        "#EXTINF:2.000,live",
+        "seg-40.ts",
+        "#EXT-X-TWITCH-PREFETCH:seg-41.ts",
+        "#EXT-X-TWITCH-PREFETCH:https://video-edge-other.hls.ttvnw.net/v1/segment/seg-42.ts"
+    ]), baseUrl);
+
+    assert.deepEqual(plain(parsed.prefetch.map(segment => [segment.sequence, segment.uri])), [
+        [41, `${baseUrl}seg-41.ts`],
+        [42, "https://video-edge-other.hls.ttvnw.net/v1/segment/seg-42.ts"]
+    ]);
+    assert.equal(parsed.partial, null);
+});
+
+test("parse reads date ranges with their attributes", () => {
+    const parsed = createParser().parse(playlist([
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:2",
+        "#EXT-X-DATERANGE:ID=\"stitched-ad-1\",CLASS=\"twitch-stitched-ad\",START-DATE=\"2024-05-01T18:00:00.000Z\",DURATION=30.000,X-TV-TWITCH-AD-POD-LENGTH=\"2\"",
+        "#EXT-X-DATERANGE:CLASS=\"ignored\",START-DATE=\"2024-05-01T18:00:00.000Z\"",
+        "#EXTINF:2.000,live",
+        "seg-0.ts"
+    ]), baseUrl);
+
+    assert.equal(parsed.dateRanges.length, 1);
+    assert.equal(parsed.dateRanges[0].id, "stitched-ad-1");
+    assert.equal(parsed.dateRanges[0].class, "twitch-stitched-ad");
+    assert.equal(parsed.dateRanges[0].startDate, Date.parse("2024-05-01T18:00:00.000Z"));
+    assert.equal(parsed.dateRanges[0].duration, 30);
+    assert.equal(parsed.dateRanges[0].attributes["X-TV-TWITCH-AD-POD-LENGTH"], "2");
+});
@@ -0,0 +1,269 @@
+// Tests of the DVR tracker on the live media playlists forwarded by the
+// player worker
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const baseUrl = "https://video-edge-c2a3b4.fra05.abs.hls.ttvnw.net/v1/playlist/";
+
+/**
+ * Load the DVR page modules the way dvr-loader.js does
+ */
+function loadDVR() {
+    const modules = [
+        "dvr/dvr-hls-parser.js",
+        "dvr/dvr-tracker.js"
+    ];
+
+    const context = {
+        console: { log: () => {}, warn: () => {}, error: () => {} },
+        URL, Date, Map
+    };
+    context.window = context;
+
+    vm.createContext(context);
+
+    for (const module of modules) {
+        const file = path.join(__dirname, "..", "src", module);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    }
+
+    return context;
+}
+
+function createTracker() {
+    const tracker = new (loadDVR().TNS_DVRTracker)();
+    tracker.startTracking("examplechannel");
+
+    return tracker;
+}
+
+/**
+ * Live media playlist of 2 second segments, from firstSequence
+ */
+function livePlaylist(firstSequence, count, { prefix = "chunked-", header = [], tags = () => [], title = () => "live" } = {}) {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3", "#EXT-X-TARGETDURATION:2", `#EXT-X-MEDIA-SEQUENCE:${firstSequence}`, ...header];
+
+    for (let sequence = firstSequence; sequence < firstSequence + count; sequence++) {
+        lines.push(...tags(sequence), `#EXTINF:2.000,${title(sequence)}`, `${prefix}${sequence}.ts`);
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+// A minute ago, to the second
+const start = Math.floor(Date.now() / 1000) * 1000 - 60000;
+const date = time => new Date(time).toISOString();
+
+const chunked = { resKey: "chunked", name: "1080p60" };
+const hd = { resKey: "720p60", name: "720p60" };
+
+test("processPlaylist adds each media sequence once, whatever the variant", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(livePlaylist(10, 3), baseUrl, chunked);
+    tracker.processPlaylist(livePlaylist(11, 3, { prefix: "720p-" }), baseUrl, hd);
+
+    const segments = [...tracker.segments];
+
+    assert.deepEqual(segments.map(segment => segment.sequence), [10, 11, 12, 13]);
+    assert.equal(segments[0].url, `${baseUrl}chunked-10.ts`);
+    assert.equal(segments[0].duration, 2000);
+    assert.equal(segments[0].quality, "1080p60");
+    assert.equal(segments[3].url, `${baseUrl}720p-13.ts`);
+    assert.equal(segments[3].quality, "720p60");
+});
+
+test("getState reports the usher variants and the one the player refreshes", () => {
+    const tracker = createTracker();
+
+    tracker.setVariants([chunked, hd]);
+    tracker.processPlaylist(livePlaylist(10, 3, { prefix: "720p-" }), baseUrl, hd);
+
+    const state = tracker.getState();
+    assert.deepEqual(state.variants, [chunked, hd]);
+    assert.equal(state.currentVariant, hd);
+});
+
+test("processPlaylist ignores playlists once tracking stopped", () => {
+    const tracker = createTracker();
+
+    tracker.stopTracking();
+    tracker.processPlaylist(livePlaylist(10, 3), baseUrl, chunked);
+
+    assert.equal(tracker.segments.length, 0);
+});
+
+test("segments are timed from their program date time, carried to the undated ones", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(livePlaylist(10, 4, {
+        header: ["#EXT-X-TWITCH-ELAPSED-SECS:120.000"],
+        tags: sequence => sequence === 11 ? [`#EXT-X-PROGRAM-DATE-TIME:${date(start)}`] : []
+    }), baseUrl, chunked);
+
+    const segments = [...tracker.segments];
+
+    assert.deepEqual(segments.map(segment => segment.timestamp), [start - 2000, start, start + 2000, start + 4000]);
+    assert.ok(segments.every(segment => segment.timeSource === "program-date-time"));
+    assert.equal(tracker.broadcastStartTime, start - 2000 - 120000);
+});
+
+test("undated segments end at the creation date range of the playlist", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(livePlaylist(10, 3, {
+        header: [`#EXT-X-DATERANGE:ID="playlist-creation-1714586553",CLASS="timestamp",START-DATE="${date(start)}",END-ON-NEXT=YES`]
+    }), baseUrl, chunked);
+
+    const segments = [...tracker.segments];
+
+    assert.deepEqual(segments.map(segment => segment.timestamp), [start - 6000, start - 4000, start - 2000]);
+    assert.ok(segments.every(segment => segment.timeSource === "date-range"));
+});
+
+test("fMP4 segments keep their init section and the parts they were produced from", () => {
+    const tracker = createTracker();
+    const header = ["#EXT-X-PART-INF:PART-TARGET=1.000", "#EXT-X-MAP:URI=\"init-0.mp4\""];
+
+    tracker.processPlaylist(livePlaylist(10, 1, {
+        prefix: "seg-",
+        header
+    }) + "#EXT-X-PART:DURATION=1.000,URI=\"part-11-0.mp4\",INDEPENDENT=YES\n", baseUrl, chunked);
+
+    // Next playlist: the parts of segment 11 are no longer listed
+    tracker.processPlaylist(livePlaylist(10, 2, { prefix: "seg-", header }), baseUrl, chunked);
+
+    const segments = [...tracker.segments];
+
+    assert.deepEqual(segments.map(segment => segment.init), [`${baseUrl}init-0.mp4`, `${baseUrl}init-0.mp4`]);
+    assert.deepEqual([...segments[1].parts].map(part => part.uri), [`${baseUrl}part-11-0.mp4`]);
+});
+
+test("DVRSegmentRing keeps segments by sequence, making room for the newest ones", () => {
+    const ring = new (vm.runInContext("DVRSegmentRing", loadDVR()))(8, 4);
+    const segment = sequence => ({ sequence, timestamp: start + sequence * 2000, duration: 2000 });
+
+    for (const sequence of [10, 11, 13, 14, 15]) {
+        assert.equal(ring.set(segment(sequence)), true);
+    }
+
+    // Older than the first segment kept, or already stored
+    assert.equal(ring.set(segment(9)), false);
+    assert.equal(ring.set(segment(11)), false);
+
+    assert.equal(ring.length, 5);
+    assert.equal(ring.has(12), false);
+    assert.equal(ring.get(13).sequence, 13);
+
+    // 8 sequences at most: 10 makes room for 18
+    ring.set(segment(18));
+
+    assert.deepEqual([...ring].map(segment => segment.sequence), [11, 13, 14, 15, 18]);
+    assert.equal(ring.first().sequence, 11);
+    assert.equal(ring.last().sequence, 18);
+});
+
+test("getSegmentAtTime finds a segment by time across missed sequences", () => {
+    const tracker = createTracker();
+    const dated = sequence => [`#EXT-X-PROGRAM-DATE-TIME:${date(start + (sequence - 10) * 2000)}`];
+
+    tracker.processPlaylist(livePlaylist(10, 3, { tags: dated }), baseUrl, chunked);
+    // Segments 13 and 14 were never seen
+    tracker.processPlaylist(livePlaylist(15, 3, { tags: dated }), baseUrl, chunked);
+
+    assert.equal(tracker.getSegmentAtTime(start + 4500).segment.sequence, 12);
+    assert.equal(tracker.getSegmentAtTime(start + 10000).segment.sequence, 15);
+    assert.equal(tracker.getSegmentAtTime(start + 7000), null);
+    assert.equal(tracker.getSegmentAtTime(start - 1), null);
+
+    assert.deepEqual([...tracker.getSegmentsInRange(start + 3000, start + 11000)].map(segment => segment.sequence), [11, 12, 15]);
+});
+
+/**
+ * Segments 10 to 15: 4 seconds of stitched ads (12 and 13) replacing 30
+ * seconds of the stream, with their date range or their own title
+ */
+function adBreakPlaylist({ dateRange = false, adTitle = "live" }) {
+    const range = `#EXT-X-DATERANGE:ID="stitched-ad-1714586553-30",CLASS="twitch-stitched-ad",START-DATE="${date(start + 4000)}",DURATION=30.000`;
+
+    return livePlaylist(10, 6, {
+        header: dateRange ? [range] : [],
+        tags: sequence => ({
+            10: [`#EXT-X-PROGRAM-DATE-TIME:${date(start)}`],
+            12: ["#EXT-X-DISCONTINUITY"],
+            14: ["#EXT-X-DISCONTINUITY", `#EXT-X-PROGRAM-DATE-TIME:${date(start + 34000)}`]
+        })[sequence] || [],
+        title: sequence => sequence === 12 || sequence === 13 ? adTitle : "live"
+    });
+}
+
+test("stitched ads make one break, left out when seeking", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(adBreakPlaylist({ adTitle: "Amazon|1714586553" }), baseUrl, chunked);
+
+    const segments = [...tracker.segments];
+
+    assert.deepEqual(segments.map(segment => segment.ad), [false, false, true, true, false, false]);
+    assert.deepEqual(segments.map(segment => segment.timestamp - start), [0, 2000, 4000, 6000, 34000, 36000]);
+
+    assert.equal(tracker.adBreaks.length, 1);
+    assert.deepEqual({ ...tracker.adBreaks[0] }, {
+        startTime: start + 4000,
+        endTime: start + 34000,
+        startSequence: 12,
+        endSequence: 14,
+        mediaDuration: 4000,
+        ended: true
+    });
+
+    assert.equal(tracker.getSegmentAtTime(start + 5000), null);
+    assert.equal(tracker.getSegmentAtTime(start + 20000), null);
+    assert.equal(tracker.getSegmentAtTime(start + 35000).segment.sequence, 14);
+    assert.deepEqual([...tracker.getSegmentsInRange(start, start + 40000)].map(segment => segment.sequence), [10, 11, 14, 15]);
+
+    // The player has 12 seconds from the first segment to the live edge, ads included
+    assert.equal(Math.round(tracker.getMediaBehindLive(start) / 1000), 12);
+});
+
+test("ad segments titled as stream content are found from their date range", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(adBreakPlaylist({ dateRange: true }), baseUrl, chunked);
+
+    assert.deepEqual([...tracker.segments].map(segment => segment.ad), [false, false, true, true, false, false]);
+    assert.equal(tracker.adBreaks.length, 1);
+});
+
+test("a restarted media sequence drops the stream timeline", () => {
+    const tracker = createTracker();
+    const dated = offset => sequence => [`#EXT-X-PROGRAM-DATE-TIME:${date(start + offset + sequence * 2000)}`];
+
+    tracker.processPlaylist(livePlaylist(500, 3, { tags: dated(-1000000) }), baseUrl, chunked);
+    // Encoder restart: numbers start again, with other segments
+    tracker.processPlaylist(livePlaylist(0, 2, { prefix: "restarted-", tags: dated(0) }), baseUrl, chunked);
+
+    assert.deepEqual([...tracker.segments].map(segment => [segment.sequence, segment.url]), [
+        [0, `${baseUrl}restarted-0.ts`],
+        [1, `${baseUrl}restarted-1.ts`]
+    ]);
+    assert.equal(tracker.earliestAvailableTime, start);
+
+    // Same numbers as the segments kept, other segments
+    tracker.processPlaylist(livePlaylist(1, 2, { prefix: "again-", tags: dated(10000) }), baseUrl, chunked);
+
+    assert.deepEqual([...tracker.segments].map(segment => segment.url), [`${baseUrl}again-1.ts`, `${baseUrl}again-2.ts`]);
+});
+
+test("only titles with Twitch's ad prefix flag segments as ads", () => {
+    const tracker = createTracker();
+
+    tracker.processPlaylist(adBreakPlaylist({ adTitle: "live-lowlatency" }), baseUrl, chunked);
+
+    assert.ok([...tracker.segments].every(segment => !segment.ad));
+    assert.equal(tracker.adBreaks.length, 0);
+});
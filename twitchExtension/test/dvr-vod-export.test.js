@@ -0,0 +1,138 @@
+// Tests of the VOD export: reading the variant playlist and exporting fMP4
+// segments
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const vodUrl = "https://d2nvs31859zcd8.cloudfront.net/0a1b2c3d4e5f6a7b8c9d_examplechannel_41234567890_1714586553/chunked";
+
+/**
+ * Load the export module with a fetch serving `files` (URL -> bytes or text)
+ */
+function createExport(files = {}) {
+    const fetch = async url => files[url] !== undefined
+        ? new Response(files[url])
+        : new Response("<Error>AccessDenied</Error>", { status: 403 });
+
+    const context = {
+        console: { log: () => {}, warn: () => {}, error: () => {} },
+        URL, Response, Blob, AbortController, DataView, Uint8Array, BigInt, String, Map, fetch
+    };
+    context.window = context;
+
+    vm.createContext(context);
+
+    const file = path.join(__dirname, "..", "src", "dvr", "dvr-vod-export.js");
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+
+    return new context.TNS_DVRVodExport();
+}
+
+function box(type, ...payloads) {
+    const size = 8 + payloads.reduce((total, payload) => total + payload.length, 0);
+    const bytes = new Uint8Array(size);
+
+    new DataView(bytes.buffer).setUint32(0, size);
+    bytes.set(Buffer.from(type, "latin1"), 4);
+
+    let offset = 8;
+    for (const payload of payloads) {
+        bytes.set(payload, offset);
+        offset += payload.length;
+    }
+
+    return bytes;
+}
+
+function uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+}
+
+function uint64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+    return bytes;
+}
+
+/**
+ * Media segment of a video track (64 bit tfdt) and an audio track (32 bit tfdt)
+ */
+function mediaSegment(videoTime, audioTime) {
+    const traf = (trackId, tfdt) => box("traf", box("tfhd", uint32(0), uint32(trackId)), tfdt);
+
+    return Buffer.concat([
+        box("styp", Buffer.from("msdh", "latin1")),
+        box("moof",
+            box("mfhd", uint32(0), uint32(1)),
+            traf(1, box("tfdt", Uint8Array.of(1, 0, 0, 0), uint64(videoTime))),
+            traf(2, box("tfdt", uint32(0), uint32(audioTime)))
+        ),
+        box("mdat", new Uint8Array(16))
+    ]);
+}
+
+/**
+ * Decode times of the tracks of a media segment
+ */
+function readDecodeTimes(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const times = [];
+
+    for (let offset = 0; offset + 8 <= bytes.length; offset++) {
+        if (Buffer.from(bytes.subarray(offset + 4, offset + 8)).toString("latin1") !== "tfdt") continue;
+
+        const wide = view.getUint8(offset + 8) === 1;
+        times.push(wide ? Number(view.getBigUint64(offset + 12)) : view.getUint32(offset + 12));
+    }
+
+    return times;
+}
+
+test("parsePlaylist times the segments and plays muted copies of unmuted ones", () => {
+    const playlist = createExport().parsePlaylist([
+        "#EXTM3U",
+        "#EXT-X-TARGETDURATION:10",
+        "#EXT-X-MAP:URI=\"init-0.mp4\"",
+        "#EXTINF:10.000,",
+        "0.mp4",
+        "#EXTINF:10.000,",
+        "1-unmuted.mp4",
+        "#EXTINF:4.500,",
+        "2.mp4",
+        "#EXT-X-ENDLIST"
+    ].join("\n"), `${vodUrl}/index-dvr.m3u8`);
+
+    assert.equal(playlist.init, `${vodUrl}/init-0.mp4`);
+    assert.equal(playlist.duration, 24.5);
+    assert.deepEqual([...playlist.segments].map(segment => [segment.url, segment.start, segment.duration]), [
+        [`${vodUrl}/0.mp4`, 0, 10],
+        [`${vodUrl}/1-muted.mp4`, 10, 10],
+        [`${vodUrl}/2.mp4`, 20, 4.5]
+    ]);
+});
+
+test("export of an fMP4 range starts its decode times at 0", async () => {
+    // An hour into the VOD, 90 kHz video and 48 kHz audio, 10 second segments
+    const files = {
+        [`${vodUrl}/index-dvr.m3u8`]: ["#EXTM3U", "#EXT-X-MAP:URI=\"init-0.mp4\""]
+            .concat(...Array.from({ length: 400 }, (_, index) => ["#EXTINF:10.000,", `${index}.mp4`]))
+            .join("\n"),
+        [`${vodUrl}/init-0.mp4`]: box("ftyp", Buffer.from("iso6", "latin1"))
+    };
+
+    for (const index of [360, 361, 362]) {
+        files[`${vodUrl}/${index}.mp4`] = mediaSegment(index * 900000, index * 480000 + 1024);
+    }
+
+    const blob = await createExport(files).export(`${vodUrl}/index-dvr.m3u8`, 3605, 3625);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    // Init segment, then segments 360 to 362 whole
+    assert.equal(bytes.length, files[`${vodUrl}/init-0.mp4`].length + 3 * files[`${vodUrl}/360.mp4`].length);
+    assert.deepEqual(readDecodeTimes(bytes), [0, 0, 900000, 480000, 1800000, 960000]);
+});
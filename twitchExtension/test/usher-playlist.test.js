@@ -0,0 +1,203 @@
+// Fixture tests for the usher playlists: parsing real ones and building the
+// fake ones served for unlocked VODs
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const UsherPlaylistBuilder = require("../src/worker/usher-playlist.js");
+
+const fixture = name => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+const usherV1 = fixture("usher-v1.m3u8");
+const usherV2 = fixture("usher-v2.m3u8");
+const mediaPlaylist = fixture("media-vod.m3u8");
+
+const vodUrl = "https://d2nvs31859zcd8.cloudfront.net/0a1b2c3d4e5f6a7b8c9d_examplechannel_41234567890_1714586553";
+const ladder = ["chunked", "720p60", "480p30", "audio_only"];
+// Segment sizes (bytes) of each rendition, 10 second segments at the
+// bandwidth of the usher fixtures
+const segmentSizes = { chunked: 7790700, "720p60": 4278750, "480p30": 1785000, audio_only: 200000 };
+
+/**
+ * Load the worker modules and the patch the way the player worker does,
+ * with a fetch serving the fixture VOD (after `wait` for the URL)
+ */
+function loadWorker(sizes = segmentSizes, wait = () => null) {
+    const modules = [
+        "version.js",
+        "gql-client.js",
+        "worker/vod-cache.js",
+        "worker/mp4-codecs.js",
+        "worker/ts-probe.js",
+        "worker/page-channel.js",
+        "worker/vod-recovery.js",
+        "worker/url-templates.js",
+        "worker/usher-playlist.js",
+        "worker/live-window.js",
+        "patch_amazonworker.js"
+    ];
+
+    const fetch = async (input, options = {}) => {
+        const url = new URL(input instanceof Request ? input.url : String(input));
+        await wait(url);
+
+        const resKey = ladder.find(resKey => url.pathname.includes(`/${resKey}/`));
+
+        if (!url.href.startsWith(vodUrl) || !resKey) {
+            return new Response("<Error>AccessDenied</Error>", { status: 403 });
+        }
+
+        if (url.pathname.endsWith("/index-dvr.m3u8")) {
+            return new Response(mediaPlaylist);
+        }
+
+        const headers = sizes[resKey] ? { "Content-Length": String(sizes[resKey]) } : {};
+        return new Response(options.method === "HEAD" ? null : new Uint8Array(188), { headers });
+    };
+
+    const context = {
+        console: { log: () => {}, warn: () => {}, error: () => {} },
+        URL, Headers, Request, Response, AbortController, TextDecoder, TextEncoder, Blob, crypto,
+        // Pending probe deadlines shouldn't keep the test running
+        setTimeout: (callback, delay) => {
+            const timer = setTimeout(callback, delay);
+            timer.unref();
+            return timer;
+        },
+        clearTimeout,
+        fetch,
+        BroadcastChannel: class {
+            postMessage() {}
+            close() {}
+        },
+        TNS_WORKER_CHANNEL: "tns-worker-test"
+    };
+    context.self = context;
+
+    vm.createContext(context);
+
+    for (const module of modules) {
+        const file = path.join(__dirname, "..", "src", module);
+        vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    }
+
+    return context;
+}
+
+async function buildFake(isUsherV2, session = null, sizes = segmentSizes) {
+    const worker = loadWorker(sizes);
+    worker.session = session;
+
+    vm.runInContext("usherSession = self.session", worker);
+
+    const variants = await worker.probeQualities(`${vodUrl}/{quality}/index-dvr.m3u8`, ladder).done;
+
+    return worker.buildFakePlaylist({ urlTemplate: `${vodUrl}/{quality}/index-dvr.m3u8`, variants }, isUsherV2);
+}
+
+test("parseVariants reads usher v1 and v2 playlists alike", () => {
+    const builder = new UsherPlaylistBuilder();
+    const v1 = builder.parseVariants(usherV1, "https://usher.ttvnw.net/vod/2134567890.m3u8");
+    const v2 = builder.parseVariants(usherV2, "https://usher.ttvnw.net/vod/v2/2134567890.m3u8");
+
+    assert.deepEqual(v1.map(variant => variant.resKey), ladder);
+    assert.deepEqual(v2, v1);
+
+    assert.deepEqual(v1[0], {
+        url: `${vodUrl}/chunked/index-dvr.m3u8`,
+        resKey: "chunked",
+        name: "1080p60",
+        source: true,
+        bandwidth: 6232560,
+        codecs: "avc1.64002A,mp4a.40.2",
+        resolution: "1920x1080",
+        frameRate: 60
+    });
+
+    assert.equal(v1[2].name, "480p");
+    assert.equal(v1[3].resolution, null);
+    assert.equal(v1.filter(variant => variant.source).length, 1);
+});
+
+test("parseSessionInfo keeps the values as written", () => {
+    const session = new UsherPlaylistBuilder().parseSessionInfo(usherV1);
+
+    assert.equal(session.ORIGIN, '"s3"');
+    assert.equal(session.REGION, '"EU"');
+    assert.equal(session.CLUSTER, '"cloudfront_vod"');
+});
+
+for (const version of [1, 2]) {
+    test(`buildFakePlaylist serves the fixture VOD as a usher v${version} playlist`, async () => {
+        const real = version === 2 ? usherV2 : usherV1;
+        const builder = new UsherPlaylistBuilder();
+        const session = builder.parseSessionInfo(real);
+
+        const fake = await buildFake(version === 2, session);
+        const fakeVariants = builder.parseVariants(fake, "https://usher.ttvnw.net/");
+        const realVariants = builder.parseVariants(real, "https://usher.ttvnw.net/");
+
+        // Same renditions at the same URLs, source first unless the player picks another
+        assert.deepEqual(
+            [...fakeVariants].sort((a, b) => a.url.localeCompare(b.url)).map(variant => [variant.resKey, variant.url, variant.source]),
+            [...realVariants].sort((a, b) => a.url.localeCompare(b.url)).map(variant => [variant.resKey, variant.url, variant.source])
+        );
+        assert.equal(fakeVariants[0].resKey, "chunked");
+
+        for (const variant of fakeVariants) {
+            const realVariant = realVariants.find(other => other.resKey === variant.resKey);
+
+            // Measured from the segment sizes, picked to match the real playlist
+            assert.equal(variant.bandwidth, realVariant.bandwidth);
+
+            // Twitch names the audio only rendition "Audio Only"
+            if (variant.resKey === "audio_only") continue;
+
+            assert.equal(variant.name, realVariant.name);
+            assert.equal(variant.frameRate, realVariant.frameRate);
+            assert.equal(variant.resolution.split("x")[1], realVariant.resolution.split("x")[1]);
+        }
+
+        // Session metadata copied from the real playlist, with a new serving id
+        const fakeSession = builder.parseSessionInfo(fake);
+        assert.equal(fakeSession.REGION, session.REGION);
+        assert.equal(fakeSession["USER-COUNTRY"], session["USER-COUNTRY"]);
+        assert.notEqual(fakeSession["SERVING-ID"], session["SERVING-ID"]);
+    });
+}
+
+test("buildFakePlaylist doesn't make up session metadata", async () => {
+    const session = new UsherPlaylistBuilder().parseSessionInfo(await buildFake(false));
+
+    assert.equal(session.REGION, undefined);
+    assert.equal(session["USER-IP"], undefined);
+    assert.equal(session.CLUSTER, '"cloudfront_vod"');
+});
+
+test("buildFakePlaylist uses placeholders for the whole ladder when a variant isn't measured", async () => {
+    const fake = await buildFake(true, null, { ...segmentSizes, audio_only: null });
+    const variants = new UsherPlaylistBuilder().parseVariants(fake, "https://usher.ttvnw.net/");
+
+    assert.deepEqual(variants.map(variant => variant.bandwidth), [8534030, 8533930, 8533830, 8533730]);
+    assert.ok(!fake.includes("AVERAGE-BANDWIDTH"));
+});
+
+test("probeQualities is ready once the source and audio only are checked", async () => {
+    let release;
+    const held = new Promise(resolve => release = resolve);
+
+    // The other qualities answer once the first playlist was served
+    const worker = loadWorker(segmentSizes, url => /\/(720p60|480p30)\//.test(url.pathname) ? held : null);
+    const probe = worker.probeQualities(`${vodUrl}/{quality}/index-dvr.m3u8`, ladder);
+
+    const ready = await probe.ready;
+    assert.deepEqual(ready.map(variant => variant.resKey), ["chunked", "audio_only"]);
+
+    release();
+
+    const done = await probe.done;
+    assert.deepEqual(done.map(variant => variant.resKey), ladder);
+});
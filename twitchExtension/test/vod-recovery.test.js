@@ -0,0 +1,72 @@
+// Tests of the VOD recovery: storage paths tried on every known host
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const hosts = Array.from({ length: 21 }, (_, index) => `host${index}.cloudfront.net`);
+const broadcast = { login: "examplechannel", broadcastId: "41234567890", startTimestamp: 1714586520, exact: false };
+
+/**
+ * Recovery with a fetch answering only `location` (host and timestamp)
+ */
+function createRecovery(location = null) {
+    const context = {
+        console: { log: () => {}, warn: () => {}, error: () => {} },
+        URL, Response, AbortController, TextEncoder, crypto, setTimeout, clearTimeout
+    };
+    context.self = context;
+
+    vm.createContext(context);
+
+    const file = path.join(__dirname, "..", "src", "worker", "vod-recovery.js");
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+
+    const probed = [];
+    const fetch = async url => {
+        const [, host, specialId] = url.match(/^https:\/\/([^/]+)\/([^/]+)\//);
+        probed.push({ host, timestamp: parseInt(specialId.split("_").at(-1)) });
+
+        const found = location && host === location.host && specialId.endsWith(`_${location.timestamp}`);
+        return new Response(found ? "#EXTM3U\n#EXTINF:10.000,\n0.ts\n" : "", { status: found ? 200 : 403 });
+    };
+
+    return { recovery: new context.TNS_VodRecovery({ hosts, fetch, concurrency: 1 }), probed };
+}
+
+test("recover tries the whole window on the preferred host and every other host after it", async () => {
+    const { recovery, probed } = createRecovery();
+
+    assert.equal(await recovery.recover(broadcast, hosts[3]), null);
+
+    // 121 timestamps on the preferred host, the 179 probes left shared by the 20 others
+    const preferred = probed.filter(probe => probe.host === hosts[3]);
+    assert.equal(preferred.length, 121);
+    assert.ok(probed.slice(0, 121).every(probe => probe.host === hosts[3]));
+
+    for (const host of hosts.filter(host => host !== hosts[3])) {
+        assert.deepEqual(probed.filter(probe => probe.host === host).map(probe => probe.timestamp - broadcast.startTimestamp), [0, 1, -1, 2, -2, 3, -3, 4]);
+    }
+
+    assert.ok(probed.length <= recovery.maxProbes);
+});
+
+test("recover finds a VOD on the last known host", async () => {
+    const { recovery } = createRecovery({ host: hosts[20], timestamp: broadcast.startTimestamp - 2 });
+    const found = await recovery.recover(broadcast, hosts[0]);
+
+    assert.equal(found.domain, hosts[20]);
+    assert.equal(found.timestamp, broadcast.startTimestamp - 2);
+    assert.match(found.vodSpecialID, /^[0-9a-f]{20}_examplechannel_41234567890_1714586518$/);
+});
+
+test("recover shares the probes between every host without a preferred one", async () => {
+    const { recovery, probed } = createRecovery();
+
+    await recovery.recover(broadcast);
+
+    assert.deepEqual(new Set(probed.map(probe => probe.host)), new Set(hosts));
+    assert.ok(probed.every(probe => Math.abs(probe.timestamp - broadcast.startTimestamp) <= 7));
+});
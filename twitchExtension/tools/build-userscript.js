@@ -0,0 +1,131 @@
+// Build the userscript from the extension sources: page modules, DVR and the
+// worker patch inlined in the player worker
+
+const fs = require("fs");
+const { buildVersionModule } = require("./version.js");
+
+const version = JSON.parse(fs.readFileSync("manifest.json")).version;
+
+// Run in the player worker, same order as worker_modules in src/app.js
+const worker_modules = [
+    "src/version.js",
+    "src/gql-client.js",
+    "src/worker/vod-cache.js",
+    "src/worker/mp4-codecs.js",
+    "src/worker/ts-probe.js",
+    "src/worker/page-channel.js",
+    "src/worker/vod-recovery.js",
+    "src/worker/url-templates.js",
+    "src/worker/usher-playlist.js",
+    "src/worker/live-window.js",
+    "src/patch_amazonworker.js"
+];
+
+// Run in the page of every frame, same order as the content scripts of manifest.json
+const page_modules = [
+    "src/restriction-remover.js",
+    "src/app.js"
+];
+
+// Run in the top frame only, same order as the MAIN world content scripts of manifest.json
+const dvr_modules = [
+    "src/gql-client.js",
+    "src/worker/vod-cache.js",
+    "src/worker/ts-probe.js",
+    "src/dvr/dvr-hls-parser.js",
+    "src/dvr/dvr-tracker.js",
+    "src/dvr/dvr-ui.js",
+    "src/dvr/dvr-worker-bridge.js",
+    "src/dvr/dvr-vod-recovery.js",
+    "src/dvr/dvr-mp4-remuxer.js",
+    "src/dvr/dvr-vod-export.js",
+    "src/dvr/dvr-playlist-export.js",
+    "src/dvr/dvr-controller.js",
+    "src/dvr/dvr-inject.js"
+];
+
+// Userscript menu commands: label and DVR controller method
+const menu_commands = [
+    ["🔇 Passer les sections muettes (ON/OFF)", "toggleSkipMuted"],
+    ["🎧 Audio seul (ON/OFF)", "toggleAudioOnly"],
+    ["🛠️ Récupérer une VOD…", "recoverVod"]
+];
+
+// Modules generated at build time instead of read from src/
+const generated_modules = {
+    "src/version.js": buildVersionModule()
+};
+
+function readModules(modules) {
+    return modules.map(module => {
+        const source = generated_modules[module] ?? fs.readFileSync(module, "utf8");
+        return `// ---- ${module} ----\n${source.replace(/\r\n/g, "\n").trim()}\n`;
+    }).join("\n");
+}
+
+const userscript = `// ==UserScript==
+// @name         TwitchNoSub + DVR
+// @namespace    https://github.com/besuper/TwitchNoSub
+// @version      ${version}
+// @description  Watch sub only VODs and rewind live streams on Twitch
+// @author       besuper
+// @icon         https://raw.githubusercontent.com/besuper/TwitchNoSub/master/assets/icons/icon.png
+// @match        *://*.twitch.tv/*
+// @run-at       document-start
+// @grant        GM_registerMenuCommand
+// ==/UserScript==
+
+// Generated by tools/build-userscript.js from src/, run "npm run build:userscript" instead of editing it
+
+(function () {
+    'use strict';
+
+    // Player worker: patch and its modules
+    function tnsWorker() {
+${readModules(worker_modules)}
+    }
+
+    // Page: worker hook, restriction remover and DVR
+    function tnsPage(tnsWorker) {
+// Answer the handshake of src/app.js like src/twitchnosub.js does, with the
+// worker patch inlined: nothing is loaded from outside the userscript
+document.addEventListener("tns:ready", () => {
+    document.dispatchEvent(new CustomEvent("tns:init", {
+        detail: JSON.stringify({ version: ${JSON.stringify(version)}, workerSource: \`(\${tnsWorker})();\` })
+    }));
+});
+
+${readModules(page_modules)}
+if (window === window.top) {
+${readModules(dvr_modules)}
+}
+
+// Userscript menu commands
+document.addEventListener("tns:menu", (event) => {
+    const controller = window.TNS_DVR;
+
+    if (controller && typeof controller[event.detail] === "function") {
+        controller[event.detail]();
+    }
+});
+    }
+
+    // The page code needs the page context (player worker, Twitch player internals)
+    const script = document.createElement('script');
+    script.textContent = \`(\${tnsPage})(\${tnsWorker});\`;
+    (document.head || document.documentElement).appendChild(script);
+    script.remove();
+
+    if (typeof GM_registerMenuCommand !== 'undefined') {
+        for (const [label, action] of ${JSON.stringify(menu_commands)}) {
+            GM_registerMenuCommand(label, () => {
+                document.dispatchEvent(new CustomEvent('tns:menu', { detail: action }));
+            });
+        }
+    }
+})();
+`;
+
+fs.writeFileSync("userscript/twitchnosub.user.js", userscript.replace(/\n/g, "\r\n"));
+
+console.log("Userscript built!");
@@ -1,10 +1,27 @@
 // Build patched amazon worker
 
 const fs = require("fs");
+const { buildVersionModule } = require("./version.js");
+
+// Also loaded as is by the page and by workers taking the modules from the
+// extension (see src/app.js)
+fs.writeFileSync("src/version.js", buildVersionModule().replace(/\n/g, "\r\n"));
 
 const amazon_worker = fs.readFileSync("node_modules/amazon-ivs-player/dist/assets/amazon-ivs-worker.min.js");
+const modules = [
+    "src/version.js",
+    "src/gql-client.js",
+    "src/worker/vod-cache.js",
+    "src/worker/mp4-codecs.js",
+    "src/worker/ts-probe.js",
+    "src/worker/page-channel.js",
+    "src/worker/vod-recovery.js",
+    "src/worker/url-templates.js",
+    "src/worker/usher-playlist.js",
+    "src/worker/live-window.js"
+].map(module => fs.readFileSync(module));
 const patch = fs.readFileSync("src/patch_amazonworker.js");
 
-fs.writeFileSync('src/amazon-ivs-worker.min.js', patch + amazon_worker);
+fs.writeFileSync('src/amazon-ivs-worker.min.js', [...modules, patch].join("\n") + amazon_worker);
 
 console.log("Worker patched!");
\ No newline at end of file
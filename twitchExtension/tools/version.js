@@ -0,0 +1,23 @@
+// Source of src/version.js, generated from the manifest version so the worker
+// patch and the extension it is packaged with always agree
+
+const fs = require("fs");
+
+function buildVersionModule() {
+    const version = JSON.parse(fs.readFileSync("manifest.json")).version;
+
+    return `/**
+ * TwitchNoSub version, loaded in the page and in the player worker.
+ * Generated from manifest.json by tools/patch.js, don't edit: the worker
+ * patch compares it with the extension version to detect a patch that
+ * doesn't come from this build.
+ */
+
+// For page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_VERSION = ${JSON.stringify(version)};
+}
+`;
+}
+
+module.exports = { buildVersionModule };
@@ -1,90 +1,9217 @@
 // ==UserScript==
-// @name         TwitchNoSub
+// @name         TwitchNoSub + DVR
 // @namespace    https://github.com/besuper/TwitchNoSub
-// @version      1.2.1
-// @description  Watch sub only VODs on Twitch
+// @version      1.0.0
+// @description  Watch sub only VODs and rewind live streams on Twitch
 // @author       besuper
-// @updateURL    https://raw.githubusercontent.com/besuper/TwitchNoSub/master/userscript/twitchnosub.user.js
-// @downloadURL  https://raw.githubusercontent.com/besuper/TwitchNoSub/master/userscript/twitchnosub.user.js
 // @icon         https://raw.githubusercontent.com/besuper/TwitchNoSub/master/assets/icons/icon.png
 // @match        *://*.twitch.tv/*
-// @run-at       document-end
-// @inject-into  page
-// @grant        none
-
+// @run-at       document-start
+// @grant        GM_registerMenuCommand
 // ==/UserScript==
+
+// Generated by tools/build-userscript.js from src/, run "npm run build:userscript" instead of editing it
+
 (function () {
     'use strict';
 
-    // From vaft script (https://github.com/pixeltris/TwitchAdSolutions/blob/master/vaft/vaft.user.js#L299)
-    function getWasmWorkerJs(twitchBlobUrl) {
-        var req = new XMLHttpRequest();
-        req.open('GET', twitchBlobUrl, false);
-        req.overrideMimeType("text/javascript");
-        req.send();
-        return req.responseText;
-    }
+    // Player worker: patch and its modules
+    function tnsWorker() {
+// ---- src/version.js ----
+/**
+ * TwitchNoSub version, loaded in the page and in the player worker.
+ * Generated from manifest.json by tools/patch.js, don't edit: the worker
+ * patch compares it with the extension version to detect a patch that
+ * doesn't come from this build.
+ */
 
-    const oldWorker = window.Worker;
+// For page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_VERSION = "1.0.0";
+}
 
-    window.Worker = class Worker extends oldWorker {
-        constructor(twitchBlobUrl) {
-            var workerString = getWasmWorkerJs(`${twitchBlobUrl.replaceAll("'", "%27")}`);
+// ---- src/gql-client.js ----
+/**
+ * TwitchNoSub GQL Client
+ * Shared by the player worker and the page. Queries use variables, results
+ * are cached for a short time, identical requests in flight are merged and
+ * 5xx / rate limited responses are retried with backoff.
+ *
+ * Every call resolves (never rejects) with { status, data, error } where
+ * status is one of GQLResult.
+ */
 
-            const blobUrl = URL.createObjectURL(new Blob([`
-                importScripts(
-                    'https://cdn.jsdelivr.net/gh/besuper/TwitchNoSub@master/src/patch_amazonworker.js',
-                );
-                ${workerString}
-            `]));
-            super(blobUrl);
+const GQLResult = Object.freeze({
+    OK: "ok",
+    NOT_FOUND: "not_found",
+    OFFLINE: "offline",
+    NETWORK_ERROR: "network_error",
+    ERROR: "error"
+});
+
+const GQL_VIDEO_QUERY = `query TNSVideo($id: ID!) {
+    video(id: $id) {
+        id
+        broadcastType
+        createdAt
+        seekPreviewsURL
+        owner {
+            login
+            displayName
+            stream {
+                id
+                createdAt
+            }
         }
     }
+}`;
 
-    class RestrictionRemover {
-        constructor() {
-            this.observer = null;
+const GQL_STREAM_QUERY = `query TNSStream($login: String!) {
+    user(login: $login) {
+        id
+        stream {
+            id
+            createdAt
+            archiveVideo {
+                id
+                createdAt
+                lengthSeconds
+                status
+            }
+        }
+    }
+}`;
 
-            this.removeExistingRestrictions();
-            this.createObserver();
+const GQL_LATEST_VIDEO_QUERY = `query TNSLatestVideo($login: String!) {
+    user(login: $login) {
+        id
+        videos(first: 1) {
+            edges {
+                node {
+                    id
+                    seekPreviewsURL
+                }
+            }
         }
+    }
+}`;
 
-        removeExistingRestrictions() {
-            document.querySelectorAll('.video-preview-card-restriction').forEach(element => {
-                element.remove();
-            });
+class TwitchGQLClient {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || "https://gql.twitch.tv/gql";
+        this.clientId = options.clientId || "kimne78kx3ncx6brgo4mv6wki5h1ko";
+        this.cacheTtl = options.cacheTtl ?? 30 * 1000; // 30 seconds
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500; // ms, doubled on each retry
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+
+        this.cache = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Run a query, served from the cache or merged with an identical request in flight
+     */
+    query(query, variables = {}) {
+        const key = JSON.stringify({ query, variables });
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return Promise.resolve(cached.result);
         }
+        this.cache.delete(key);
 
-        createObserver() {
-            this.observer = new MutationObserver((mutations) => {
-                mutations.forEach(mutation => {
-                    mutation.addedNodes.forEach(node => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            this.processNode(node);
-                        }
-                    });
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this.request(query, variables).then(result => {
+            this.inFlight.delete(key);
+
+            // Don't keep failures around, the next call should try again
+            if (result.status !== GQLResult.NETWORK_ERROR && result.status !== GQLResult.ERROR) {
+                this.cache.set(key, { result, expiresAt: Date.now() + this.cacheTtl });
+            }
+
+            return result;
+        });
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Send the request, retrying on 5xx, rate limits and network errors
+     */
+    async request(query, variables) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, lastError.retryAfter || this.retryDelay * 2 ** (attempt - 1)));
+            }
+
+            let response;
+
+            try {
+                response = await this.fetch(this.endpoint, {
+                    method: "POST",
+                    body: JSON.stringify({ query, variables }),
+                    headers: {
+                        "Client-Id": this.clientId,
+                        "Accept": "application/json",
+                        "Content-Type": "application/json"
+                    }
                 });
-            });
+            } catch (e) {
+                lastError = { status: GQLResult.NETWORK_ERROR, message: e.message };
+                continue;
+            }
 
-            this.observer.observe(document.body, {
-                childList: true,
-                subtree: true,
-                attributes: false,
-                characterData: false
-            });
+            if (response.status === 429 || response.status >= 500) {
+                const retryAfter = parseInt(response.headers.get("Retry-After"));
+
+                lastError = {
+                    status: GQLResult.NETWORK_ERROR,
+                    message: `HTTP ${response.status}`,
+                    retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+                };
+                continue;
+            }
+
+            if (!response.ok) {
+                return { status: GQLResult.ERROR, data: null, error: `HTTP ${response.status}` };
+            }
+
+            try {
+                const body = await response.json();
+
+                if (body.errors?.length && !body.data) {
+                    return { status: GQLResult.ERROR, data: null, error: body.errors.map(e => e.message).join(", ") };
+                }
+
+                return { status: GQLResult.OK, data: body.data, error: null };
+            } catch (e) {
+                return { status: GQLResult.ERROR, data: null, error: `Invalid response: ${e.message}` };
+            }
         }
 
-        processNode(node) {
-            if (node.classList && node.classList.contains('video-preview-card-restriction')) {
-                node.remove();
+        return { status: lastError.status, data: null, error: lastError.message };
+    }
+
+    /**
+     * Get VOD metadata, NOT_FOUND when the video is deleted or hidden
+     */
+    async getVideo(vodId) {
+        const result = await this.query(GQL_VIDEO_QUERY, { id: String(vodId) });
+
+        if (result.status !== GQLResult.OK) return result;
+        if (!result.data?.video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: result.data.video, error: null };
+    }
+
+    /**
+     * Get the latest VOD of a channel, NOT_FOUND for an unknown channel or
+     * one without VODs
+     */
+    async getLatestVideo(login) {
+        const result = await this.query(GQL_LATEST_VIDEO_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const video = result.data?.user?.videos?.edges?.[0]?.node;
+        if (!video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: video, error: null };
+    }
+
+    /**
+     * Get the live stream of a channel, NOT_FOUND for an unknown channel and
+     * OFFLINE when it isn't live
+     */
+    async getStream(login) {
+        const result = await this.query(GQL_STREAM_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const user = result.data?.user;
+        if (!user) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+        if (!user.stream) return { status: GQLResult.OFFLINE, data: user, error: null };
+
+        return { status: GQLResult.OK, data: user.stream, error: null };
+    }
+}
+
+// Export for the page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_TwitchGQLClient = TwitchGQLClient;
+    self.TNS_GQLResult = GQLResult;
+}
+
+// ---- src/worker/vod-cache.js ----
+/**
+ * TwitchNoSub VOD Cache
+ * Persists resolved sub-only VOD playlists in IndexedDB so a VOD that was
+ * already unlocked can be served again without querying GQL or probing.
+ *
+ * The same database holds the recovery parameters the page saves for VODs
+ * without GQL metadata, so this file is also loaded in the page.
+ */
+
+// Object stores of the database, all keyed by VOD id
+// (by channel login for the storage path rule and renditions of each channel)
+const VOD_CACHE_STORES = ["playlists", "recovery", "templates", "renditions"];
+const VOD_CACHE_VERSION = 4;
+
+// A tab holding an older version blocks the upgrade, don't wait for it forever
+const VOD_CACHE_OPEN_TIMEOUT = 3000; // ms
+
+class VodPlaylistCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || "tns-vod-cache";
+        this.storeName = options.storeName || "playlists";
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours in ms
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (or create) the database. Rejects when another tab blocks the
+     * upgrade for too long, the cache is then skipped until the next call.
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
                 return;
             }
 
-            node.querySelectorAll('.video-preview-card-restriction').forEach(restriction => {
-                restriction.remove();
-            });
+            const request = indexedDB.open(this.dbName, VOD_CACHE_VERSION);
+            const timeout = setTimeout(() => {
+                // Opened too late, the next call opens it again
+                request.onsuccess = () => request.result.close();
+                reject(new Error("IndexedDB open timed out"));
+            }, VOD_CACHE_OPEN_TIMEOUT);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                for (const storeName of VOD_CACHE_STORES) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: "vodId" });
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                clearTimeout(timeout);
+
+                const db = request.result;
+
+                // Let a newer version in another tab upgrade, reopen on the next request
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                clearTimeout(timeout);
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.log("[TNS] VOD cache upgrade blocked by another tab");
+            };
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached entry, or null if it is missing or expired
+     */
+    async get(vodId) {
+        try {
+            const entry = await this.run("readonly", store => store.get(vodId));
+
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.delete(vodId);
+                return null;
+            }
+
+            return entry;
+        } catch (e) {
+            console.log(`[TNS] Unable to read VOD cache: ${e.message}`);
+            return null;
         }
     }
 
-    new RestrictionRemover();
-})();
\ No newline at end of file
+    /**
+     * Store a resolved VOD playlist
+     */
+    async set(vodId, data) {
+        const now = Date.now();
+
+        const entry = {
+            ...data,
+            vodId,
+            storedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        try {
+            await this.run("readwrite", store => store.put(entry));
+        } catch (e) {
+            console.log(`[TNS] Unable to write VOD cache: ${e.message}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Remove a cached entry
+     */
+    async delete(vodId) {
+        try {
+            await this.run("readwrite", store => store.delete(vodId));
+        } catch (e) {
+            console.log(`[TNS] Unable to delete VOD cache entry: ${e.message}`);
+        }
+    }
+}
+
+// For worker and page context
+if (typeof self !== "undefined") {
+    self.TNS_VodPlaylistCache = VodPlaylistCache;
+}
+
+// ---- src/worker/mp4-codecs.js ----
+/**
+ * TwitchNoSub MP4 Codec Parser
+ * Minimal ISO-BMFF reader that extracts RFC 6381 codec strings (and a few
+ * track properties) from the sample descriptions of an fMP4 init segment.
+ */
+
+class MP4CodecParser {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    }
+
+    /**
+     * List the boxes between two offsets
+     */
+    readBoxes(start, end) {
+        const boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = this.view.getUint32(offset);
+            const type = this.readType(offset + 4);
+            let headerSize = 8;
+
+            if (size === 1) {
+                // 64-bit largesize, init segments never need the high word
+                size = this.view.getUint32(offset + 12);
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < headerSize || offset + size > end) break;
+
+            boxes.push({ type, start: offset + headerSize, end: offset + size });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    readType(offset) {
+        return String.fromCharCode(...this.bytes.subarray(offset, offset + 4));
+    }
+
+    /**
+     * Find the first child box of a given type
+     */
+    findBox(parent, type) {
+        return this.readBoxes(parent.start, parent.end).find(box => box.type === type) || null;
+    }
+
+    /**
+     * Follow a path of box types, e.g. ["mdia", "minf", "stbl", "stsd"]
+     */
+    findPath(parent, path) {
+        let box = parent;
+
+        for (const type of path) {
+            box = this.findBox(box, type);
+            if (!box) return null;
+        }
+
+        return box;
+    }
+
+    /**
+     * Parse the whole init segment
+     */
+    parse() {
+        const root = { start: 0, end: this.bytes.length };
+        const moov = this.findBox(root, "moov");
+
+        const result = { video: null, audio: null };
+
+        if (!moov) return result;
+
+        const defaultDurations = this.readTrackExtends(moov);
+
+        for (const trak of this.readBoxes(moov.start, moov.end).filter(box => box.type === "trak")) {
+            const handler = this.findPath(trak, ["mdia", "hdlr"]);
+            const mdhd = this.findPath(trak, ["mdia", "mdhd"]);
+            const stsd = this.findPath(trak, ["mdia", "minf", "stbl", "stsd"]);
+
+            if (!handler || !stsd) continue;
+
+            // Skip version/flags, pre_defined and read handler_type
+            const handlerType = this.readType(handler.start + 8);
+
+            // stsd: version/flags (4) + entry_count (4), then the sample entries
+            const entry = this.readBoxes(stsd.start + 8, stsd.end)[0];
+            if (!entry) continue;
+
+            if (handlerType === "vide" && !result.video) {
+                result.video = this.parseVisualSampleEntry(entry);
+
+                const timescale = mdhd ? this.readTimescale(mdhd) : 0;
+                const defaultDuration = defaultDurations.get(this.readTrackId(trak));
+
+                if (timescale && defaultDuration) {
+                    result.video.frameRate = Math.round(timescale / defaultDuration * 1000) / 1000;
+                }
+            } else if (handlerType === "soun" && !result.audio) {
+                result.audio = this.parseAudioSampleEntry(entry);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Map track id -> default sample duration from mvex/trex
+     */
+    readTrackExtends(moov) {
+        const durations = new Map();
+        const mvex = this.findBox(moov, "mvex");
+
+        if (!mvex) return durations;
+
+        for (const trex of this.readBoxes(mvex.start, mvex.end).filter(box => box.type === "trex")) {
+            durations.set(this.view.getUint32(trex.start + 4), this.view.getUint32(trex.start + 12));
+        }
+
+        return durations;
+    }
+
+    readTrackId(trak) {
+        const tkhd = this.findBox(trak, "tkhd");
+        if (!tkhd) return null;
+
+        const version = this.bytes[tkhd.start];
+        return this.view.getUint32(tkhd.start + (version === 1 ? 20 : 12));
+    }
+
+    readTimescale(mdhd) {
+        const version = this.bytes[mdhd.start];
+        return this.view.getUint32(mdhd.start + (version === 1 ? 20 : 12));
+    }
+
+    /**
+     * Video sample entry (avc1/avc3/hvc1/hev1/av01)
+     */
+    parseVisualSampleEntry(entry) {
+        const info = {
+            codec: entry.type,
+            width: this.view.getUint16(entry.start + 24),
+            height: this.view.getUint16(entry.start + 26)
+        };
+
+        // Child boxes follow the 78 byte VisualSampleEntry header
+        const children = { start: entry.start + 78, end: entry.end };
+
+        if (entry.type === "avc1" || entry.type === "avc3") {
+            const avcC = this.findBox(children, "avcC");
+            if (avcC) info.codec = this.buildAvcCodec(entry.type, avcC);
+        } else if (entry.type === "hvc1" || entry.type === "hev1") {
+            const hvcC = this.findBox(children, "hvcC");
+            if (hvcC) info.codec = this.buildHevcCodec(entry.type, hvcC);
+        } else if (entry.type === "av01") {
+            const av1C = this.findBox(children, "av1C");
+            if (av1C) info.codec = this.buildAv1Codec(av1C);
+        }
+
+        return info;
+    }
+
+    /**
+     * Audio sample entry (mp4a/ac-3/ec-3/Opus/fLaC)
+     */
+    parseAudioSampleEntry(entry) {
+        const info = {
+            codec: entry.type,
+            channels: this.view.getUint16(entry.start + 16),
+            sampleRate: this.view.getUint16(entry.start + 24)
+        };
+
+        if (entry.type === "mp4a") {
+            // Child boxes follow the 28 byte AudioSampleEntry header
+            const esds = this.findBox({ start: entry.start + 28, end: entry.end }, "esds");
+            info.codec = esds ? this.buildMp4aCodec(esds) : "mp4a.40.2";
+        } else if (entry.type === "Opus") {
+            info.codec = "opus";
+        } else if (entry.type === "fLaC") {
+            info.codec = "flac";
+        }
+
+        return info;
+    }
+
+    /**
+     * avc1.PPCCLL from AVCDecoderConfigurationRecord
+     */
+    buildAvcCodec(type, avcC) {
+        const bytes = this.bytes.subarray(avcC.start + 1, avcC.start + 4);
+        return `${type}.${Array.from(bytes, toHex).join("")}`;
+    }
+
+    /**
+     * hvc1.<profile>.<compat>.<tier><level>.<constraints> (ISO/IEC 14496-15 Annex E)
+     */
+    buildHevcCodec(type, hvcC) {
+        const start = hvcC.start;
+        const profileByte = this.bytes[start + 1];
+
+        const profileSpace = profileByte >> 6;
+        const tier = (profileByte >> 5) & 0x1;
+        const profileIdc = profileByte & 0x1f;
+
+        // Compatibility flags are written in reverse bit order
+        const compatFlags = this.view.getUint32(start + 2);
+        let reversed = 0;
+        for (let i = 0; i < 32; i++) {
+            reversed = (reversed << 1) | ((compatFlags >>> i) & 1);
+        }
+
+        const constraints = Array.from(this.bytes.subarray(start + 6, start + 12));
+        while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+            constraints.pop();
+        }
+
+        const levelIdc = this.bytes[start + 12];
+
+        let codec = `${type}.${["", "A", "B", "C"][profileSpace]}${profileIdc}`;
+        codec += `.${(reversed >>> 0).toString(16).toUpperCase()}`;
+        codec += `.${tier ? "H" : "L"}${levelIdc}`;
+
+        if (constraints.length > 0) {
+            codec += `.${constraints.map(byte => byte.toString(16).toUpperCase()).join(".")}`;
+        }
+
+        return codec;
+    }
+
+    /**
+     * av01.P.LLT.DD from AV1CodecConfigurationRecord
+     */
+    buildAv1Codec(av1C) {
+        const byte1 = this.bytes[av1C.start + 1];
+        const byte2 = this.bytes[av1C.start + 2];
+
+        const profile = byte1 >> 5;
+        const level = byte1 & 0x1f;
+        const tier = byte2 >> 7 ? "H" : "M";
+        const highBitDepth = (byte2 >> 6) & 0x1;
+        const twelveBit = (byte2 >> 5) & 0x1;
+
+        const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+
+        return `av01.${profile}.${level.toString().padStart(2, "0")}${tier}.${bitDepth.toString().padStart(2, "0")}`;
+    }
+
+    /**
+     * mp4a.OO.A from the ES descriptor
+     */
+    buildMp4aCodec(esds) {
+        // Skip version/flags of the full box
+        let offset = esds.start + 4;
+
+        const readDescriptor = () => {
+            const tag = this.bytes[offset++];
+            let size = 0;
+
+            // Expandable size, up to 4 bytes
+            for (let i = 0; i < 4; i++) {
+                const byte = this.bytes[offset++];
+                size = (size << 7) | (byte & 0x7f);
+                if (!(byte & 0x80)) break;
+            }
+
+            return { tag, size };
+        };
+
+        if (readDescriptor().tag !== 0x03) return "mp4a.40.2";
+
+        // ES_ID then flags
+        offset += 2;
+        const flags = this.bytes[offset++];
+        if (flags & 0x80) offset += 2;
+        if (flags & 0x40) offset += 1 + this.bytes[offset];
+        if (flags & 0x20) offset += 2;
+
+        if (readDescriptor().tag !== 0x04) return "mp4a.40.2";
+
+        const objectType = this.bytes[offset];
+
+        // objectTypeIndication, streamType, bufferSizeDB, maxBitrate, avgBitrate
+        offset += 13;
+
+        if (offset >= esds.end || readDescriptor().tag !== 0x05) {
+            return `mp4a.${objectType.toString(16)}`;
+        }
+
+        let audioObjectType = this.bytes[offset] >> 3;
+
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((this.bytes[offset] & 0x7) << 3) | (this.bytes[offset + 1] >> 5));
+        }
+
+        return `mp4a.${objectType.toString(16)}.${audioObjectType}`;
+    }
+}
+
+function toHex(byte) {
+    return byte.toString(16).toUpperCase().padStart(2, "0");
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_MP4CodecParser = MP4CodecParser;
+}
+
+// ---- src/worker/ts-probe.js ----
+/**
+ * TwitchNoSub TS Probe
+ * Reads the H.264 sequence parameter set from the start of an MPEG-TS
+ * segment to get the real codec, resolution and frame rate of a rendition.
+ */
+
+const TS_PACKET_SIZE = 188;
+
+// Profiles that carry chroma format / bit depth / scaling lists in the SPS
+const HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+class TSVideoProbe {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+    }
+
+    /**
+     * Parse the probe data, returns null when no H.264 SPS was found
+     */
+    parse() {
+        const payload = this.readVideoPayload();
+        if (!payload) return null;
+
+        const sps = this.findSPS(payload);
+        if (!sps) return null;
+
+        return this.parseSPS(sps);
+    }
+
+    /**
+     * Concatenate the elementary stream payload of the H.264 track
+     */
+    readVideoPayload() {
+        let pmtPid = -1;
+        let videoPid = -1;
+        const chunks = [];
+
+        for (let offset = 0; offset + TS_PACKET_SIZE <= this.bytes.length; offset += TS_PACKET_SIZE) {
+            if (this.bytes[offset] !== 0x47) continue;
+
+            const unitStart = (this.bytes[offset + 1] & 0x40) !== 0;
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const adaptation = (this.bytes[offset + 3] >> 4) & 0x3;
+
+            let start = offset + 4;
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += 1 + this.bytes[start];
+
+            const end = offset + TS_PACKET_SIZE;
+            if (start >= end) continue;
+
+            if (pid === 0 && unitStart) {
+                // PAT, first program only
+                const section = start + 1 + this.bytes[start];
+                pmtPid = ((this.bytes[section + 10] & 0x1f) << 8) | this.bytes[section + 11];
+            } else if (pid === pmtPid && unitStart && videoPid === -1) {
+                videoPid = this.readVideoPid(start + 1 + this.bytes[start]);
+            } else if (pid === videoPid) {
+                if (unitStart) {
+                    // Skip the PES header
+                    start += 9 + this.bytes[start + 8];
+                }
+
+                if (start < end) {
+                    chunks.push(this.bytes.subarray(start, end));
+                }
+            }
+        }
+
+        if (chunks.length === 0) return null;
+
+        const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+        const payload = new Uint8Array(length);
+
+        let position = 0;
+        for (const chunk of chunks) {
+            payload.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Find the H.264 elementary stream in a PMT section
+     */
+    readVideoPid(section) {
+        const sectionLength = ((this.bytes[section + 1] & 0x0f) << 8) | this.bytes[section + 2];
+        const programInfoLength = ((this.bytes[section + 10] & 0x0f) << 8) | this.bytes[section + 11];
+
+        // Stop before the CRC
+        const end = section + 3 + sectionLength - 4;
+        let offset = section + 12 + programInfoLength;
+
+        while (offset + 5 <= end) {
+            const streamType = this.bytes[offset];
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const infoLength = ((this.bytes[offset + 3] & 0x0f) << 8) | this.bytes[offset + 4];
+
+            if (streamType === 0x1b) return pid;
+
+            offset += 5 + infoLength;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Extract the first SPS NAL unit, without emulation prevention bytes
+     */
+    findSPS(payload) {
+        for (let i = 0; i + 4 < payload.length; i++) {
+            if (payload[i] !== 0 || payload[i + 1] !== 0 || payload[i + 2] !== 1) continue;
+            if ((payload[i + 3] & 0x1f) !== 7) continue;
+
+            const nal = [];
+            let zeros = 0;
+
+            for (let j = i + 4; j < payload.length; j++) {
+                const byte = payload[j];
+
+                // Next start code
+                if (zeros >= 2 && byte === 1) break;
+
+                if (zeros >= 2 && byte === 3) {
+                    zeros = 0;
+                    continue;
+                }
+
+                zeros = byte === 0 ? zeros + 1 : 0;
+                nal.push(byte);
+            }
+
+            return new Uint8Array(nal);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the fields needed for codec, resolution and frame rate
+     */
+    parseSPS(sps) {
+        const reader = new BitReader(sps);
+
+        const profileIdc = reader.readBits(8);
+        const constraints = reader.readBits(8);
+        const levelIdc = reader.readBits(8);
+
+        reader.readUE(); // seq_parameter_set_id
+
+        let chromaFormatIdc = 1;
+
+        if (HIGH_PROFILES.includes(profileIdc)) {
+            chromaFormatIdc = reader.readUE();
+            if (chromaFormatIdc === 3) reader.readBits(1);
+
+            reader.readUE(); // bit_depth_luma_minus8
+            reader.readUE(); // bit_depth_chroma_minus8
+            reader.readBits(1); // qpprime_y_zero_transform_bypass_flag
+
+            if (reader.readBits(1)) {
+                const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+
+                for (let i = 0; i < listCount; i++) {
+                    if (reader.readBits(1)) {
+                        reader.skipScalingList(i < 6 ? 16 : 64);
+                    }
+                }
+            }
+        }
+
+        reader.readUE(); // log2_max_frame_num_minus4
+
+        const picOrderCntType = reader.readUE();
+
+        if (picOrderCntType === 0) {
+            reader.readUE();
+        } else if (picOrderCntType === 1) {
+            reader.readBits(1);
+            reader.readSE();
+            reader.readSE();
+
+            const cycle = reader.readUE();
+            for (let i = 0; i < cycle; i++) reader.readSE();
+        }
+
+        reader.readUE(); // max_num_ref_frames
+        reader.readBits(1); // gaps_in_frame_num_value_allowed_flag
+
+        const widthInMbs = reader.readUE() + 1;
+        const heightInMapUnits = reader.readUE() + 1;
+        const frameMbsOnly = reader.readBits(1);
+
+        if (!frameMbsOnly) reader.readBits(1);
+        reader.readBits(1); // direct_8x8_inference_flag
+
+        let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+
+        if (reader.readBits(1)) {
+            crop = {
+                left: reader.readUE(),
+                right: reader.readUE(),
+                top: reader.readUE(),
+                bottom: reader.readUE()
+            };
+        }
+
+        const cropUnitX = chromaFormatIdc === 0 || chromaFormatIdc === 3 ? 1 : 2;
+        const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+        const result = {
+            codec: `avc1.${[profileIdc, constraints, levelIdc].map(byte => byte.toString(16).toUpperCase().padStart(2, "0")).join("")}`,
+            width: widthInMbs * 16 - (crop.left + crop.right) * cropUnitX,
+            height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop.top + crop.bottom) * cropUnitY,
+            frameRate: null
+        };
+
+        // VUI timing info
+        if (reader.readBits(1)) {
+            if (reader.readBits(1)) {
+                if (reader.readBits(8) === 255) reader.readBits(32);
+            }
+
+            if (reader.readBits(1)) reader.readBits(1);
+
+            if (reader.readBits(1)) {
+                reader.readBits(4);
+                if (reader.readBits(1)) reader.readBits(24);
+            }
+
+            if (reader.readBits(1)) {
+                reader.readUE();
+                reader.readUE();
+            }
+
+            if (reader.readBits(1)) {
+                const numUnitsInTick = reader.readBits(32);
+                const timeScale = reader.readBits(32);
+
+                if (numUnitsInTick > 0) {
+                    result.frameRate = Math.round(timeScale / (2 * numUnitsInTick) * 1000) / 1000;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Exp-Golomb capable bit reader
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+
+        for (let i = 0; i < count; i++) {
+            const byte = this.bytes[this.position >> 3];
+            if (byte === undefined) throw new Error("SPS truncated");
+
+            value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
+        }
+
+        return value;
+    }
+
+    readUE() {
+        let leadingZeros = 0;
+
+        while (this.readBits(1) === 0) {
+            leadingZeros++;
+            if (leadingZeros > 31) throw new Error("Invalid Exp-Golomb code");
+        }
+
+        return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+    }
+
+    readSE() {
+        const value = this.readUE();
+        return value & 1 ? (value + 1) / 2 : -value / 2;
+    }
+
+    skipScalingList(size) {
+        let lastScale = 8;
+        let nextScale = 8;
+
+        for (let i = 0; i < size; i++) {
+            if (nextScale !== 0) {
+                nextScale = (lastScale + this.readSE() + 256) % 256;
+            }
+
+            lastScale = nextScale === 0 ? lastScale : nextScale;
+        }
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_TSVideoProbe = TSVideoProbe;
+}
+
+// ---- src/worker/page-channel.js ----
+/**
+ * TwitchNoSub Page Channel
+ * Sends events from the patched player worker to the page. A BroadcastChannel
+ * is used so our messages never reach the IVS player's own worker handler.
+ * The page can also send requests (see DVRWorkerBridge.request), answered
+ * with a "response" event.
+ *
+ * BroadcastChannels reach every tab: the page gives its workers a channel of
+ * its own (self.TNS_WORKER_CHANNEL, see src/app.js), messages carry its name
+ * and the ones without it are dropped. No name, no channel.
+ */
+
+class PageChannel {
+    constructor(name = self.TNS_WORKER_CHANNEL || null) {
+        this.name = name;
+        this.channel = name && typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(name) : null;
+        this.handlers = {};
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.handleRequest(event.data);
+        }
+    }
+
+    /**
+     * Register the handler of a page request, it returns (or resolves with)
+     * the response payload and throws to report an error
+     */
+    handle(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    async handleRequest(message) {
+        if (!message || message.source !== "tns-page" || message.channel !== this.name || !this.handlers[message.type]) return;
+
+        try {
+            const result = await this.handlers[message.type](message.payload || {});
+            this.post("response", { id: message.id, result });
+        } catch (e) {
+            this.post("response", { id: message.id, error: e.message });
+        }
+    }
+
+    /**
+     * Post an event to the page of this worker
+     */
+    post(type, payload = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ source: "tns-worker", channel: this.name, type, payload, time: Date.now() });
+        } catch (e) {
+            console.log(`[TNS] Unable to post ${type} to page: ${e.message}`);
+        }
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_PageChannel = PageChannel;
+}
+
+// ---- src/worker/vod-recovery.js ----
+/**
+ * TwitchNoSub VOD Recovery
+ * Rebuilds the storage path of a VOD whose GQL metadata is gone, from the
+ * channel login, broadcast id and stream start time:
+ *
+ *   <first 20 hex chars of sha1(base)>_<base>   with base = <login>_<broadcastId>_<unix start>
+ *
+ * Stream trackers only give the start time to the minute, so every second
+ * of a window around it is tried on the preferred host (where the channel's
+ * seek previews are). The other known hosts come next and share what is
+ * left of maxProbes, each trying the timestamps closest to the start time.
+ */
+
+class VodRecovery {
+    constructor(options = {}) {
+        this.hosts = options.hosts || [];
+        this.concurrency = options.concurrency || 6;
+        this.timeout = options.timeout || 5000; // ms per request
+        this.windowSeconds = options.windowSeconds ?? 60;
+        this.maxProbes = options.maxProbes ?? 300;
+        this.fetch = options.fetch || self.fetch.bind(self);
+    }
+
+    /**
+     * Build the hashed storage folder of a broadcast
+     */
+    async buildSpecialId(login, broadcastId, timestamp) {
+        const base = `${login.toLowerCase()}_${broadcastId}_${timestamp}`;
+        const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(base));
+        const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+
+        return `${hash.substring(0, 20)}_${base}`;
+    }
+
+    /**
+     * Start timestamps to try, closest to the given one first
+     */
+    getTimestamps(startTimestamp, exact) {
+        const timestamps = [startTimestamp];
+
+        if (exact) return timestamps;
+
+        for (let offset = 1; offset <= this.windowSeconds; offset++) {
+            timestamps.push(startTimestamp + offset, startTimestamp - offset);
+        }
+
+        return timestamps;
+    }
+
+    /**
+     * Check that the source playlist exists
+     */
+    async exists(url) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await this.fetch(url, { signal: controller.signal });
+            return response.ok && (await response.text()).includes("#EXTINF");
+        } catch (e) {
+            return false;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Find the storage location of a broadcast.
+     * params: { login, broadcastId, startTimestamp (unix seconds), exact }
+     */
+    async recover(params, preferredHost = null) {
+        const timestamps = [];
+
+        for (const timestamp of this.getTimestamps(params.startTimestamp, params.exact)) {
+            timestamps.push({ timestamp, vodSpecialID: await this.buildSpecialId(params.login, params.broadcastId, timestamp) });
+        }
+
+        const others = this.hosts.filter(host => host !== preferredHost);
+        const hosts = preferredHost ? [preferredHost, ...others] : others;
+
+        // Probes per host: one timestamp at least on every host
+        const preferredProbes = preferredHost ? Math.min(timestamps.length, this.maxProbes) : 0;
+        const otherProbes = Math.max(1, Math.floor((this.maxProbes - preferredProbes) / Math.max(1, others.length)));
+
+        const candidates = [];
+
+        for (const domain of hosts) {
+            const budget = domain === preferredHost ? preferredProbes : otherProbes;
+
+            for (const { timestamp, vodSpecialID } of timestamps.slice(0, budget)) {
+                candidates.push({ domain, vodSpecialID, timestamp });
+            }
+        }
+
+        console.log(`[TNS] Recovery: trying ${candidates.length} storage paths on ${hosts.length} hosts for broadcast ${params.broadcastId}`);
+
+        let nextIndex = 0;
+        let found = null;
+
+        const runChecks = async () => {
+            while (!found && nextIndex < candidates.length) {
+                const candidate = candidates[nextIndex++];
+                const url = `https://${candidate.domain}/${candidate.vodSpecialID}/chunked/index-dvr.m3u8`;
+
+                if (await this.exists(url) && !found) {
+                    found = candidate;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.concurrency }, runChecks));
+
+        return found;
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_VodRecovery = VodRecovery;
+}
+
+// ---- src/worker/url-templates.js ----
+/**
+ * TwitchNoSub VOD URL Templates
+ * Ordered rules describing the storage path schemes of VOD playlists.
+ * Every rule whose conditions match a VOD is a candidate, tried in order;
+ * the rule that worked is remembered per channel and tried first next time.
+ *
+ * Placeholders: {domain} {specialId} {vodId} {login} {quality}
+ * ({quality} is left in place for the rendition probes).
+ *
+ * Conditions (all optional):
+ *   broadcastTypes  lower case broadcast types, e.g. ["upload"]
+ *   createdAfter    ISO date, VOD created at or after it
+ *   createdBefore   ISO date, VOD created before it
+ *   channels        lower case channel logins
+ */
+
+const VOD_URL_RULES = [
+    {
+        name: "highlight",
+        broadcastTypes: ["highlight"],
+        template: "https://{domain}/{specialId}/{quality}/highlight-{vodId}.m3u8"
+    },
+    {
+        // Uploads stored before the path change of early February 2023
+        name: "legacy-upload",
+        broadcastTypes: ["upload"],
+        createdBefore: "2023-02-03T00:00:00Z",
+        template: "https://{domain}/{login}/{vodId}/{specialId}/{quality}/index-dvr.m3u8"
+    },
+    {
+        name: "default",
+        template: "https://{domain}/{specialId}/{quality}/index-dvr.m3u8"
+    }
+];
+
+class UrlTemplateEngine {
+    constructor(options = {}) {
+        this.rules = options.rules || VOD_URL_RULES;
+        // Channel login -> rule name, persisted when a store is given
+        this.store = options.store || null;
+        this.remembered = new Map();
+    }
+
+    /**
+     * Check the conditions of a rule against a VOD
+     * vod: { vodId, specialId, login, broadcastType, createdAt }
+     */
+    matches(rule, vod) {
+        const broadcastType = (vod.broadcastType || "").toLowerCase();
+        const created = vod.createdAt ? new Date(vod.createdAt).getTime() : NaN;
+
+        if (rule.broadcastTypes && !rule.broadcastTypes.includes(broadcastType)) return false;
+        if (rule.channels && !rule.channels.includes((vod.login || "").toLowerCase())) return false;
+
+        if (rule.createdAfter && !(created >= new Date(rule.createdAfter).getTime())) return false;
+        if (rule.createdBefore && !(created < new Date(rule.createdBefore).getTime())) return false;
+
+        return true;
+    }
+
+    /**
+     * Fill a rule template for a VOD and host, keeping {quality}
+     */
+    build(rule, vod, domain) {
+        const values = {
+            domain,
+            specialId: vod.specialId,
+            vodId: vod.vodId,
+            login: (vod.login || "").toLowerCase()
+        };
+
+        return rule.template.replace(/\{(domain|specialId|vodId|login)\}/g, (match, key) => values[key]);
+    }
+
+    /**
+     * Matching rules in the order they should be tried
+     */
+    async getCandidates(vod) {
+        const candidates = this.rules.filter(rule => this.matches(rule, vod));
+        const preferred = await this.getRemembered(vod.login);
+
+        const index = candidates.findIndex(rule => rule.name === preferred);
+        if (index > 0) {
+            candidates.unshift(...candidates.splice(index, 1));
+        }
+
+        return candidates;
+    }
+
+    async getRemembered(login) {
+        if (!login) return null;
+
+        const key = login.toLowerCase();
+
+        if (!this.remembered.has(key) && this.store) {
+            const entry = await this.store.get(key);
+            if (entry) this.remembered.set(key, entry.rule);
+        }
+
+        return this.remembered.get(key) || null;
+    }
+
+    /**
+     * Remember the rule that worked for a channel
+     */
+    async remember(login, rule) {
+        if (!login) return;
+
+        const key = login.toLowerCase();
+        if (this.remembered.get(key) === rule.name) return;
+
+        this.remembered.set(key, rule.name);
+
+        if (this.store) {
+            await this.store.set(key, { rule: rule.name });
+        }
+    }
+
+    /**
+     * Try every candidate rule until one is served by a host.
+     * findHost(buildTemplate) resolves with { host, tried } like findWorkingHost.
+     * Returns { rule, host, tried, buildTemplate }, host is null when nothing worked
+     * (the first candidate is returned then).
+     */
+    async resolve(vod, findHost) {
+        const candidates = await this.getCandidates(vod);
+        const tried = [];
+
+        for (const rule of candidates) {
+            const buildTemplate = domain => this.build(rule, vod, domain);
+            const result = await findHost(buildTemplate);
+
+            tried.push(...result.tried.filter(host => !tried.includes(host)));
+
+            if (result.host) {
+                await this.remember(vod.login, rule);
+                return { rule, host: result.host, tried, buildTemplate };
+            }
+        }
+
+        const rule = candidates[0] || this.rules[this.rules.length - 1];
+
+        return { rule, host: null, tried, buildTemplate: domain => this.build(rule, vod, domain) };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_VOD_URL_RULES = VOD_URL_RULES;
+    self.TNS_UrlTemplateEngine = UrlTemplateEngine;
+}
+
+// ---- src/worker/usher-playlist.js ----
+/**
+ * TwitchNoSub Usher Playlist Builder
+ * Builds a usher master playlist (v1 or v2 format) from a structured list
+ * of variants. Session metadata (#EXT-X-TWITCH-INFO) is copied from a real
+ * usher response when one is given, the builder doesn't make any up.
+ *
+ * Variant: {
+ *   url, resKey, name, bandwidth, averageBandwidth?, codecs,
+ *   resolution, frameRate, source, default
+ * }
+ *
+ * Has no dependency on the worker, so it can be required from node as well.
+ */
+
+class UsherPlaylistBuilder {
+    constructor(options = {}) {
+        this.version = options.version || 1;
+        // Raw attributes of a real #EXT-X-TWITCH-INFO tag, or null
+        this.session = options.session || null;
+
+        // Attributes written without quotes (numbers and enumerated strings)
+        this.unquoted = ["BANDWIDTH", "AVERAGE-BANDWIDTH", "RESOLUTION", "FRAME-RATE", "TYPE", "AUTOSELECT", "DEFAULT"];
+    }
+
+    /**
+     * Read the #EXT-X-TWITCH-INFO attributes of a usher playlist, or null.
+     * Values are kept as written (quoted or not) so they can be copied as is.
+     */
+    parseSessionInfo(playlist) {
+        const line = playlist.split(/\r?\n/).find(line => line.startsWith("#EXT-X-TWITCH-INFO:"));
+        if (!line) return null;
+
+        return this.parseAttributes(line.substring("#EXT-X-TWITCH-INFO:".length).trim());
+    }
+
+    /**
+     * Read an attribute list, values kept as written
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2];
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Read the variants of a real usher playlist (v1 or v2), with absolute URLs
+     */
+    parseVariants(playlist, baseUrl) {
+        const unquote = value => value?.replace(/^"|"$/g, "");
+        const names = {};
+        const variants = [];
+        let streamInf = null;
+
+        for (const line of playlist.split(/\r?\n/).map(line => line.trim())) {
+            if (line.startsWith("#EXT-X-MEDIA:")) {
+                const media = this.parseAttributes(line.substring("#EXT-X-MEDIA:".length));
+                names[unquote(media["GROUP-ID"])] = unquote(media.NAME);
+            } else if (line.startsWith("#EXT-X-STREAM-INF:")) {
+                streamInf = this.parseAttributes(line.substring("#EXT-X-STREAM-INF:".length));
+            } else if (line && !line.startsWith("#") && streamInf) {
+                const resKey = unquote(streamInf.VIDEO || streamInf["STABLE-VARIANT-ID"]) || null;
+                const name = unquote(streamInf["IVS-NAME"]) || names[resKey] || resKey;
+
+                variants.push({
+                    url: new URL(line, baseUrl).href,
+                    resKey,
+                    name: name ? name.replace(/ \(source\)$/, "") : null,
+                    source: resKey === "chunked" || unquote(streamInf["IVS-VARIANT-SOURCE"]) === "source",
+                    bandwidth: parseInt(streamInf.BANDWIDTH) || null,
+                    codecs: unquote(streamInf.CODECS) || null,
+                    resolution: streamInf.RESOLUTION || null,
+                    frameRate: parseFloat(streamInf["FRAME-RATE"]) || null
+                });
+
+                streamInf = null;
+            }
+        }
+
+        return variants;
+    }
+
+    /**
+     * Serialize an attribute list, skipping empty values
+     */
+    formatAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => this.unquoted.includes(key) ? `${key}=${value}` : `${key}="${value}"`)
+            .join(",");
+    }
+
+    createServingId() {
+        const chars = "0123456789abcdefghijklmnopqrstuvwxyz";
+        let id = "";
+
+        for (let i = 0; i < 32; i++) {
+            id += chars[Math.floor(Math.random() * chars.length)];
+        }
+
+        return id;
+    }
+
+    buildSessionInfo() {
+        const info = this.session
+            ? { ...this.session }
+            : { ORIGIN: '"s3"', B: '"false"', CLUSTER: '"cloudfront_vod"', "MANIFEST-CLUSTER": '"cloudfront_vod"' };
+
+        // A serving id identifies one manifest request
+        info["SERVING-ID"] = `"${this.createServingId()}"`;
+
+        return `#EXT-X-TWITCH-INFO:${Object.entries(info).map(([key, value]) => `${key}=${value}`).join(",")}`;
+    }
+
+    /**
+     * Build the master playlist
+     */
+    build(variants) {
+        const lines = ["#EXTM3U", this.buildSessionInfo()];
+
+        if (this.version === 2) {
+            // v2 has no DEFAULT attribute, players start with the first variant
+            const ordered = [
+                ...variants.filter(variant => variant.default),
+                ...variants.filter(variant => !variant.default)
+            ];
+
+            for (const variant of ordered) {
+                const streamInf = this.formatAttributes({
+                    ...this.getStreamAttributes(variant),
+                    "FRAME-RATE": variant.frameRate,
+                    "STABLE-VARIANT-ID": variant.resKey,
+                    "IVS-NAME": variant.name,
+                    "IVS-VARIANT-SOURCE": variant.source ? "source" : "transcode"
+                });
+
+                lines.push(`#EXT-X-STREAM-INF:${streamInf}`, variant.url);
+            }
+        } else {
+            for (const variant of variants) {
+                const enabled = variant.default ? "YES" : "NO";
+
+                const media = this.formatAttributes({
+                    TYPE: "VIDEO",
+                    "GROUP-ID": variant.resKey,
+                    NAME: variant.source ? `${variant.name} (source)` : variant.name,
+                    AUTOSELECT: enabled,
+                    DEFAULT: enabled
+                });
+
+                const streamInf = this.formatAttributes({
+                    ...this.getStreamAttributes(variant),
+                    VIDEO: variant.resKey,
+                    "FRAME-RATE": variant.frameRate
+                });
+
+                lines.push(`#EXT-X-MEDIA:${media}`, `#EXT-X-STREAM-INF:${streamInf}`, variant.url);
+            }
+        }
+
+        return lines.join("\n");
+    }
+
+    getStreamAttributes(variant) {
+        return {
+            BANDWIDTH: variant.bandwidth,
+            "AVERAGE-BANDWIDTH": variant.averageBandwidth,
+            CODECS: variant.codecs,
+            RESOLUTION: variant.resolution
+        };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_UsherPlaylistBuilder = UsherPlaylistBuilder;
+}
+
+// For node (fixture tests, tools)
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = UsherPlaylistBuilder;
+}
+
+// ---- src/worker/live-window.js ----
+/**
+ * TwitchNoSub Live Playlist Window
+ * Builds up the live media playlist of a variant as the player refreshes it.
+ * Twitch only lists the last few segments, older ones are kept while the CDN
+ * still serves them so the player can seek back further than that.
+ *
+ * The player gets a plain live playlist without #EXT-X-PLAYLIST-TYPE: old
+ * segments are dropped once the window is full, which an EVENT playlist
+ * doesn't allow.
+ */
+
+// Segment tags, everything before the first of them is the playlist header
+const LIVE_SEGMENT_TAGS = ["#EXTINF:", "#EXT-X-PROGRAM-DATE-TIME:", "#EXT-X-DISCONTINUITY", "#EXT-X-BYTERANGE:"];
+
+class LivePlaylistWindow {
+    constructor(options = {}) {
+        this.maxDuration = options.maxDuration || 15 * 60; // seconds kept behind the live edge
+        this.checkInterval = options.checkInterval || 10000; // ms between checks of the oldest segment
+        this.fetch = options.fetch || self.fetch.bind(self);
+
+        // { sequence, uri, duration, tags } in playlist order
+        this.segments = [];
+        this.uris = new Set();
+        this.header = [];
+        this.url = null;
+
+        // First sequence of the last Twitch playlist, segments before it are ours only
+        this.liveSequence = null;
+        this.lastCheck = 0;
+        this.checking = false;
+    }
+
+    /**
+     * Split a media playlist into header, segments and trailing tags
+     */
+    parse(text) {
+        const header = [];
+        const segments = [];
+        let tags = null;
+        let sequence = 0;
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            if (trimmed.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+                sequence = parseInt(trimmed.substring(22)) || 0;
+            }
+
+            if (trimmed.startsWith("#")) {
+                if (tags === null && !LIVE_SEGMENT_TAGS.some(tag => trimmed.startsWith(tag))) {
+                    header.push(trimmed);
+                } else {
+                    (tags = tags || []).push(trimmed);
+                }
+                continue;
+            }
+
+            const extinf = (tags || []).find(tag => tag.startsWith("#EXTINF:"));
+
+            segments.push({
+                sequence: sequence + segments.length,
+                uri: trimmed,
+                duration: extinf ? parseFloat(extinf.substring(8)) || 0 : 0,
+                tags: tags || []
+            });
+            tags = [];
+        }
+
+        return { header, segments, trailer: tags || [], ended: header.includes("#EXT-X-ENDLIST") || (tags || []).includes("#EXT-X-ENDLIST") };
+    }
+
+    /**
+     * Merge a refreshed Twitch playlist and build the playlist served to the player.
+     * Ended or unreadable playlists are returned untouched.
+     */
+    update(text, url) {
+        const playlist = this.parse(text);
+
+        if (playlist.ended || playlist.segments.length === 0) {
+            return text;
+        }
+
+        const first = playlist.segments[0];
+        const known = this.segments.length > 0 ? this.segments[first.sequence - this.segments[0].sequence] : null;
+        const last = this.segments.at(-1);
+
+        // New stream, or the refreshes stopped long enough to leave a hole
+        if (!last || first.sequence > last.sequence + 1 || (first.sequence <= last.sequence && known?.uri !== first.uri)) {
+            this.reset();
+        }
+
+        for (const segment of playlist.segments) {
+            if (this.segments.length === 0 || segment.sequence > this.segments.at(-1).sequence) {
+                this.segments.push(segment);
+                this.uris.add(segment.uri);
+            }
+        }
+
+        this.url = url;
+        this.header = playlist.header;
+        this.liveSequence = first.sequence;
+
+        this.trim();
+        this.checkOldest();
+
+        return this.build(playlist);
+    }
+
+    reset() {
+        this.segments = [];
+        this.uris.clear();
+    }
+
+    /**
+     * Keep at most maxDuration seconds, never dropping segments Twitch still lists
+     */
+    trim() {
+        let duration = this.getDuration();
+
+        while (this.segments.length > 0 && this.segments[0].sequence < this.liveSequence && duration - this.segments[0].duration >= this.maxDuration) {
+            duration -= this.segments[0].duration;
+            this.dropSegment();
+        }
+    }
+
+    dropSegment() {
+        const segment = this.segments.shift();
+
+        this.uris.delete(segment.uri);
+    }
+
+    /**
+     * The player could not download a segment we kept: it and everything older is gone
+     */
+    segmentFailed(uri) {
+        const index = this.segments.findIndex(segment => segment.uri === uri);
+        if (index < 0) return;
+
+        const count = Math.min(index + 1, this.segments.filter(segment => segment.sequence < this.liveSequence).length);
+
+        console.log(`[TNS] ${count} live segment(s) expired on the CDN`);
+
+        for (let i = 0; i < count; i++) {
+            this.dropSegment();
+        }
+    }
+
+    /**
+     * Check from time to time that the CDN still serves the oldest kept segment.
+     * Segments expire oldest first, so the next one is checked until one answers.
+     */
+    async checkOldest() {
+        if (this.checking || Date.now() - this.lastCheck < this.checkInterval) return;
+
+        this.checking = true;
+        this.lastCheck = Date.now();
+
+        try {
+            while (this.segments.length > 0 && this.segments[0].sequence < this.liveSequence) {
+                const segment = this.segments[0];
+                const response = await this.fetch(new URL(segment.uri, this.url).href, { method: "HEAD" });
+
+                if (response.ok || ![403, 404, 410].includes(response.status)) break;
+
+                // The window may have been reset during the request
+                if (this.segments[0] === segment) {
+                    this.dropSegment();
+                }
+            }
+        } catch (e) {
+            // Network error: keep the segments, the player will tell if they are gone
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Kept segments between the header of the Twitch playlist, with the
+     * sequence and elapsed time of our first segment, and its trailing tags
+     */
+    build(playlist) {
+        const first = this.segments[0];
+        const before = this.getDuration(this.liveSequence);
+        const lines = [];
+
+        // The window grows like an EVENT playlist but must never be declared
+        // one: #EXT-X-PLAYLIST-TYPE:EVENT forbids removing segments, and the
+        // oldest ones are dropped once the window is full. Any playlist type
+        // Twitch sends is left out for the same reason.
+        for (const tag of this.header) {
+            if (tag.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+                lines.push(`#EXT-X-MEDIA-SEQUENCE:${first.sequence}`);
+            } else if (tag.startsWith("#EXT-X-TWITCH-LIVE-SEQUENCE:")) {
+                lines.push(`#EXT-X-TWITCH-LIVE-SEQUENCE:${first.sequence}`);
+            } else if (tag.startsWith("#EXT-X-TWITCH-ELAPSED-SECS:")) {
+                const elapsed = parseFloat(tag.substring(27)) - before;
+                lines.push(`#EXT-X-TWITCH-ELAPSED-SECS:${Math.max(0, elapsed).toFixed(3)}`);
+            } else if (!tag.startsWith("#EXT-X-PLAYLIST-TYPE:")) {
+                lines.push(tag);
+            }
+        }
+
+        for (const segment of this.segments) {
+            lines.push(...segment.tags, segment.uri);
+        }
+
+        lines.push(...playlist.trailer);
+
+        return lines.join("\n") + "\n";
+    }
+
+    has(uri) {
+        return this.uris.has(uri);
+    }
+
+    /**
+     * Duration of the kept segments, or of the ones before a sequence
+     */
+    getDuration(beforeSequence = Infinity) {
+        return this.segments
+            .filter(segment => segment.sequence < beforeSequence)
+            .reduce((total, segment) => total + segment.duration, 0);
+    }
+
+    /**
+     * Summary sent to the page
+     */
+    getInfo() {
+        return {
+            url: this.url,
+            firstSequence: this.segments[0]?.sequence ?? null,
+            segments: this.segments.length,
+            duration: this.getDuration(),
+            extraDuration: this.getDuration(this.liveSequence)
+        };
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_LivePlaylistWindow = LivePlaylistWindow;
+}
+
+// ---- src/patch_amazonworker.js ----
+// Rendition folders that may exist for a VOD, in playlist order (source first, audio last).
+// Only probed for channels whose quality ladder was never seen (see getRenditionCandidates).
+const renditionCandidates = (() => {
+    const heights = [2160, 1440, 1080, 900, 720, 540, 480, 360, 160];
+    const frameRates = [60, 30];
+
+    const candidates = ["chunked"];
+
+    for (const height of heights) {
+        for (const frameRate of frameRates) {
+            candidates.push(`${height}p${frameRate}`);
+        }
+    }
+
+    candidates.push("audio_only");
+
+    return candidates;
+})();
+
+// Known VOD storage hosts, tried in order when the one from seekPreviewsURL fails.
+// Can be overridden from the page with the "tns-vod-hosts" localStorage key.
+const defaultVodHosts = [
+    "d1m7jfoe9zdc1j.cloudfront.net",
+    "d2nvs31859zcd8.cloudfront.net",
+    "d2aba1wr3818hz.cloudfront.net",
+    "d3c27h4odz752x.cloudfront.net",
+    "dqrpb9wgowsf5.cloudfront.net",
+    "ds0h3roq6wcgc.cloudfront.net",
+    "d2e2de1etea730.cloudfront.net",
+    "dgeft87wbj63p.cloudfront.net",
+    "d3vd9lfkzbru3h.cloudfront.net",
+    "d2vjef5jvl6bfs.cloudfront.net",
+    "d1ymi26ma8va5x.cloudfront.net",
+    "d1mhjrowxxagfy.cloudfront.net",
+    "ddacn6pr5v0tl.cloudfront.net",
+    "d3aqoihi2n8ty8.cloudfront.net",
+    "d1xhnb4ptk05mw.cloudfront.net",
+    "d6tizftlrpuof.cloudfront.net",
+    "d36nr0u3xmc4mm.cloudfront.net",
+    "d6d4ismr40iw.cloudfront.net",
+    "vod-secure.twitch.tv",
+    "vod-metro.twitch.tv",
+    "vod-pop-secure.twitch.tv"
+];
+
+const vodHosts = Array.isArray(self.TNS_VOD_HOSTS) && self.TNS_VOD_HOSTS.length > 0
+    ? self.TNS_VOD_HOSTS
+    : defaultVodHosts;
+
+function isVodHostUrl(url) {
+    try {
+        const host = new URL(url).host;
+        return host.includes("cloudfront") || vodHosts.includes(host);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Quality probing limits
+const probeConcurrency = 3;
+const probeTimeout = 5000; // ms per quality
+const probeWait = 8000; // ms the first playlist waits at most for the source
+
+// Bytes of the first .ts segment needed to find the SPS
+const tsProbeSize = 64 * 1024;
+
+// Segments spread over the VOD whose size is read to estimate the bitrate
+const bandwidthSamples = 4;
+
+/**
+ * Resolution, frame rate and display name of a variant, falling back to the
+ * folder name when the probe could not read them
+ */
+function describeRendition(variant) {
+    if (variant.resKey === "audio_only") {
+        return { resolution: null, frameRate: null, name: "audio_only" };
+    }
+
+    const match = variant.resKey.match(/^(\d+)p(\d+)/);
+
+    const height = variant.height || (match ? parseInt(match[1]) : 1080);
+    const width = variant.width || Math.round(height * 16 / 9 / 2) * 2;
+    const frameRate = variant.frameRate || (match ? parseInt(match[2]) : 60);
+
+    return {
+        resolution: `${width}x${height}`,
+        frameRate: frameRate,
+        name: `${height}p${frameRate >= 50 ? Math.round(frameRate) : ""}`
+    };
+}
+
+async function readResponsePrefix(response, size) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    while (length < size) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        chunks.push(value);
+        length += value.length;
+    }
+
+    reader.cancel();
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+
+    for (const chunk of chunks) {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    }
+
+    return bytes;
+}
+
+/**
+ * Estimate the average and peak bitrate of a variant from the size (HEAD
+ * content-length) and EXTINF duration of a few segments.
+ * Returns null when no segment size could be read.
+ */
+async function measureBandwidth(url, playlist, signal) {
+    const segments = [];
+    let duration = 0;
+
+    for (const line of playlist.split("\n").map(line => line.trim())) {
+        if (line.startsWith("#EXTINF:")) {
+            duration = parseFloat(line.substring(8)) || 0;
+        } else if (line && !line.startsWith("#")) {
+            if (duration > 0) segments.push({ uri: line, duration });
+            duration = 0;
+        }
+    }
+
+    if (segments.length === 0) return null;
+
+    const count = Math.min(bandwidthSamples, segments.length);
+    const samples = Array.from({ length: count }, (_, i) => segments[Math.floor(i * segments.length / count)]);
+
+    const measured = await Promise.all(samples.map(async segment => {
+        try {
+            const response = await oldFetch(new URL(segment.uri, url).href, { method: "HEAD", signal });
+            const size = parseInt(response.headers.get("Content-Length"));
+
+            return response.ok && size > 0 ? { size, duration: segment.duration } : null;
+        } catch (e) {
+            return null;
+        }
+    }));
+
+    const valid = measured.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const totalBits = valid.reduce((total, sample) => total + sample.size * 8, 0);
+    const totalDuration = valid.reduce((total, sample) => total + sample.duration, 0);
+
+    return {
+        averageBandwidth: Math.round(totalBits / totalDuration),
+        bandwidth: Math.round(Math.max(...valid.map(sample => sample.size * 8 / sample.duration)))
+    };
+}
+
+/**
+ * Read the codecs (and resolution / frame rate when possible) of a variant
+ * from its first segment or init segment
+ */
+async function readVariantCodecs(url, data, audioOnly, signal) {
+    if (data.includes(".ts")) {
+        if (audioOnly) {
+            return { codec: null, audioCodec: "mp4a.40.2" };
+        }
+
+        // Read the real codec and resolution from the first segment
+        const firstSegment = data.split("\n").map(line => line.trim()).find(line => line && !line.startsWith("#"));
+
+        const segmentRequest = await oldFetch(new URL(firstSegment, url).href, {
+            headers: { "Range": `bytes=0-${tsProbeSize - 1}` },
+            signal
+        });
+
+        if (segmentRequest.ok) {
+            const video = new self.TNS_TSVideoProbe(await readResponsePrefix(segmentRequest, tsProbeSize)).parse();
+
+            if (video) {
+                return { ...video, audioCodec: "mp4a.40.2" };
+            }
+        }
+
+        // ts files should still use the h264
+        return { codec: "avc1.4D001E", audioCodec: "mp4a.40.2" };
+    }
+
+    if (data.includes(".mp4")) {
+        // Read the real codecs from the init segment
+        const mapMatch = data.match(/#EXT-X-MAP:.*URI="([^"]+)"/);
+        const initUrl = new URL(mapMatch ? mapMatch[1] : "init-0.mp4", url).href;
+
+        const mp4Request = await oldFetch(initUrl, {
+            cache: "force-cache",
+            signal
+        });
+
+        if (mp4Request.ok) {
+            const codecs = new self.TNS_MP4CodecParser(await mp4Request.arrayBuffer()).parse();
+
+            if (audioOnly) {
+                return { codec: null, audioCodec: codecs.audio ? codecs.audio.codec : "mp4a.40.2" };
+            }
+
+            if (codecs.video) {
+                return {
+                    codec: codecs.video.codec,
+                    audioCodec: codecs.audio ? codecs.audio.codec : "mp4a.40.2",
+                    width: codecs.video.width,
+                    height: codecs.video.height,
+                    frameRate: codecs.video.frameRate
+                };
+            }
+        }
+
+        if (audioOnly) {
+            return { codec: null, audioCodec: "mp4a.40.2" };
+        }
+
+        // mp4 file use h265, but sometimes h264
+        return { codec: "hev1.1.6.L93.B0", audioCodec: "mp4a.40.2" };
+    }
+
+    return null;
+}
+
+async function isValidQuality(url, audioOnly = false) {
+    // A hanging CDN response must not stall the whole unlock
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), probeTimeout);
+
+    try {
+        const response = await oldFetch(url, {
+            cache: "force-cache",
+            signal: controller.signal
+        });
+
+        if (response.ok) {
+            const data = (await response.text()).replace(/-unmuted/g, "-muted");
+
+            const [codecs, bandwidth] = await Promise.all([
+                readVariantCodecs(url, data, audioOnly, controller.signal),
+                measureBandwidth(url, data, controller.signal)
+            ]);
+
+            if (codecs) {
+                return { ...codecs, ...bandwidth };
+            }
+        }
+    } catch (e) {
+        console.log(`[TNS] Quality probe failed for ${url}: ${e.name === "AbortError" ? "timeout" : e.message}`);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    return null;
+}
+
+/**
+ * Check that a playlist can be downloaded
+ */
+async function playlistExists(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), probeTimeout);
+
+    try {
+        const response = await oldFetch(url, { signal: controller.signal });
+
+        if (!response.ok) return false;
+
+        return (await response.text()).includes("#EXTINF");
+    } catch (e) {
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Find the first host, in order, that serves the source playlist of a VOD.
+ * Hosts are checked in batches of probeConcurrency.
+ */
+async function findWorkingHost(hosts, buildTemplate) {
+    const tried = [];
+
+    for (let i = 0; i < hosts.length; i += probeConcurrency) {
+        const batch = hosts.slice(i, i + probeConcurrency);
+        const results = await Promise.all(batch.map(host => playlistExists(getPlaylistUrl(buildTemplate(host), "chunked"))));
+
+        for (let j = 0; j < batch.length; j++) {
+            tried.push(batch[j]);
+
+            if (results[j]) {
+                return { host: batch[j], tried };
+            }
+        }
+    }
+
+    return { host: null, tried };
+}
+
+/**
+ * Probe every rendition candidate with a limited number of parallel requests.
+ * `ready` resolves with the variants found so far as soon as the source is
+ * confirmed and audio only was checked, after probeWait when the source
+ * never confirms. `done` resolves once every probe has finished.
+ * Both keep the order of resKeys.
+ */
+function probeQualities(urlTemplate, resKeys) {
+    const results = new Array(resKeys.length).fill(null);
+
+    // Source and audio only are probed first so the first playlist has them
+    const first = ["chunked", "audio_only"].map(resKey => resKeys.indexOf(resKey)).filter(index => index >= 0);
+    const order = [...first, ...resKeys.keys()].filter((index, position, all) => all.indexOf(index) === position);
+    let nextIndex = 0;
+
+    let resolveSource;
+    const sourceFound = new Promise(resolve => resolveSource = resolve);
+
+    let resolveAudio;
+    const audioChecked = new Promise(resolve => resolveAudio = resolve);
+
+    const collect = () => resKeys
+        .map((resKey, index) => results[index] && { resKey, ...results[index] })
+        .filter(Boolean);
+
+    const runProbes = async () => {
+        while (nextIndex < order.length) {
+            const index = order[nextIndex++];
+            const resKey = resKeys[index];
+
+            const result = await isValidQuality(getPlaylistUrl(urlTemplate, resKey), resKey === "audio_only");
+
+            if (result) {
+                console.log(`[TNS] Found quality ${resKey}`);
+
+                results[index] = result;
+
+                if (resKey === "chunked") {
+                    resolveSource();
+                }
+            }
+
+            if (resKey === "audio_only") {
+                resolveAudio();
+            }
+        }
+    };
+
+    const done = Promise.all(Array.from({ length: probeConcurrency }, runProbes)).then(collect);
+    const early = Promise.all([sourceFound, audioChecked]).then(collect);
+    const deadline = new Promise(resolve => setTimeout(resolve, probeWait)).then(collect);
+    const ready = Promise.race([early, done, deadline]);
+
+    return { ready, done };
+}
+
+// Stand-in when the cache module failed to load: VODs are resolved every time
+const noCache = {
+    get: async () => null,
+    set: async (vodId, data) => data,
+    delete: async () => { }
+};
+
+function createCache(options) {
+    try {
+        return new self.TNS_VodPlaylistCache(options);
+    } catch (e) {
+        console.log(`[TNS] VOD cache unavailable: ${e.message}`);
+        return noCache;
+    }
+}
+
+const vodCache = createCache();
+
+// Recovery parameters saved by the page for VODs without GQL metadata
+const recoveryStore = createCache({ storeName: "recovery", ttl: 30 * 24 * 60 * 60 * 1000 });
+
+const pageChannel = new self.TNS_PageChannel();
+
+// The packaged patch and version.js must come from the same build as the manifest
+if (self.TNS_PAGE_VERSION && self.TNS_VERSION !== self.TNS_PAGE_VERSION) {
+    console.log(`[TNS] Worker patch version ${self.TNS_VERSION} doesn't match the extension version ${self.TNS_PAGE_VERSION}`);
+    pageChannel.post("versionMismatch", { page: self.TNS_PAGE_VERSION, worker: self.TNS_VERSION || null });
+}
+
+/**
+ * Report a step of an unlock to the page diagnostics panel
+ */
+function postDiagnostic(vodId, stage, details = {}) {
+    pageChannel.post("diagnostics", { vodId, stage, ...details });
+}
+
+/**
+ * Bitrates estimated from segment sizes are only comparable with each other,
+ * they're used when every variant of the ladder could be measured
+ */
+function hasMeasuredBandwidth(variants) {
+    return variants.length > 0 && variants.every(variant => variant.bandwidth > 0);
+}
+
+/**
+ * Variant summary shown in the diagnostics panel
+ */
+function describeVariants(variants, urlTemplate) {
+    const measured = hasMeasuredBandwidth(variants);
+
+    return variants.map(variant => {
+        const rendition = describeRendition(variant);
+
+        return {
+            resKey: variant.resKey,
+            url: getPlaylistUrl(urlTemplate, variant.resKey),
+            name: rendition.name,
+            codecs: [variant.codec, variant.audioCodec].filter(Boolean).join(","),
+            resolution: rendition.resolution,
+            frameRate: rendition.frameRate,
+            bandwidth: measured ? variant.bandwidth : null,
+            averageBandwidth: measured ? variant.averageBandwidth || null : null,
+            bandwidthEstimated: measured
+        };
+    });
+}
+
+// Channel login -> rendition folders of its broadcasts. Twitch transcodes every
+// broadcast of a channel with the same ladder, read from its real usher playlists.
+const renditionStore = createCache({ storeName: "renditions", ttl: 30 * 24 * 60 * 60 * 1000 });
+
+/**
+ * Remember the rendition folders of a channel
+ */
+function rememberRenditions(login, resKeys) {
+    resKeys = resKeys.filter(Boolean);
+
+    if (!login || !resKeys.includes("chunked")) return;
+
+    renditionStore.set(login.toLowerCase(), { resKeys });
+}
+
+/**
+ * Rendition folders to probe for a VOD: the ladder the channel was seen
+ * with, every candidate when it is unknown. `known` tells which.
+ */
+async function getRenditionCandidates(login) {
+    const entry = login ? await renditionStore.get(login.toLowerCase()) : null;
+
+    if (!entry || !Array.isArray(entry.resKeys) || entry.resKeys.length === 0) {
+        return { resKeys: renditionCandidates, known: false };
+    }
+
+    // VODs always have an audio only rendition, even when the ladder didn't list it
+    const resKeys = ["chunked", ...entry.resKeys.filter(resKey => resKey !== "chunked" && resKey !== "audio_only"), "audio_only"];
+
+    return { resKeys, known: true };
+}
+
+/**
+ * Channel login in the storage folder of a VOD variant:
+ * {hash}_{login}_{broadcastId}_{timestamp}
+ */
+function getLoginFromVariantUrl(url) {
+    try {
+        const match = new URL(url).pathname.match(/\/[0-9a-f]+_(\w+)_\d+_\d+\//);
+        return match ? match[1] : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Storage path rules, remembering the one that worked for each channel
+const urlTemplates = new self.TNS_UrlTemplateEngine({
+    store: createCache({ storeName: "templates", ttl: 30 * 24 * 60 * 60 * 1000 })
+});
+
+// GQL requests bypass the fetch hook
+const gqlClient = new self.TNS_TwitchGQLClient({ fetch: (...args) => oldFetch(...args) });
+
+// Variant playlist URL -> VOD id, for playlists that were served from the cache
+const cachedVariantUrls = new Map();
+
+// Variant playlist URL -> VOD id, for every playlist we unlocked
+const unlockedVariantUrls = new Map();
+
+function getPlaylistUrl(urlTemplate, resKey) {
+    return urlTemplate.replace("{quality}", resKey);
+}
+
+/**
+ * Resolve the storage location and working variants of a VOD
+ */
+async function resolveVodPlaylist(vodId) {
+    const location = await resolveVodLocation(vodId) || await recoverVodLocation(vodId);
+
+    if (!location) {
+        return null;
+    }
+
+    const candidates = await getRenditionCandidates(location.login);
+    const probe = probeQualities(location.urlTemplate, candidates.resKeys);
+
+    return {
+        ...location,
+        variants: await probe.ready,
+        // Resolves with every variant once the remaining probes are done
+        complete: probe.done.then(variants => {
+            // Found the ladder of the channel, the next VODs only probe it
+            if (!candidates.known) {
+                rememberRenditions(location.login, variants.map(variant => variant.resKey));
+            }
+
+            return { ...location, variants };
+        })
+    };
+}
+
+/**
+ * Find the storage location of a VOD from its GQL metadata
+ */
+async function resolveVodLocation(vodId) {
+    const result = await gqlClient.getVideo(vodId);
+
+    postDiagnostic(vodId, "gql", { status: result.status, error: result.error });
+
+    if (result.status === self.TNS_GQLResult.NOT_FOUND) {
+        pageChannel.post("gqlMissing", { vodId });
+        return null;
+    }
+
+    if (result.status !== self.TNS_GQLResult.OK) {
+        console.log(`[TNS] GQL request for VOD ${vodId} failed (${result.status}): ${result.error}`);
+        pageChannel.post("gqlError", { vodId, status: result.status, error: result.error });
+        return null;
+    }
+
+    console.log(`[TNS] Found data for VOD ${vodId}`);
+
+    const vodData = result.data;
+    const channelData = vodData.owner;
+
+    const currentURL = new URL(vodData.seekPreviewsURL);
+
+    const previewDomain = currentURL.host;
+    const paths = currentURL.pathname.split("/");
+    const vodSpecialID = paths[paths.findIndex(element => element.includes("storyboards")) - 1];
+
+    const vod = {
+        vodId,
+        specialId: vodSpecialID,
+        login: channelData.login,
+        broadcastType: vodData.broadcastType,
+        createdAt: vodData.createdAt
+    };
+
+    // Host from seekPreviewsURL first, then the known hosts in order
+    const hosts = [previewDomain, ...vodHosts.filter(host => host !== previewDomain)];
+    const { rule, host, tried, buildTemplate } = await urlTemplates.resolve(vod, template => findWorkingHost(hosts, template));
+
+    if (host) {
+        console.log(`[TNS] Using host ${host} and ${rule.name} path for VOD ${vodId}`);
+    } else {
+        console.log(`[TNS] No host serves VOD ${vodId}, falling back to ${previewDomain}`);
+    }
+
+    pageChannel.post("vodHost", { vodId, host, previewHost: previewDomain, tried, template: rule.name });
+    postDiagnostic(vodId, "host", { host: host || previewDomain, verified: !!host, template: rule.name, tried });
+
+    const domain = host || previewDomain;
+
+    return { domain, vodSpecialID, login: channelData.login, urlTemplate: buildTemplate(domain) };
+}
+
+// VOD id -> recovery search running in the background
+const recoveries = new Map();
+
+/**
+ * Storage location of a VOD without GQL metadata, from an earlier recovery.
+ * Starts the search in the background the first time: the usher request
+ * fails right away and the page reloads the player once it is found.
+ */
+async function recoverVodLocation(vodId) {
+    const params = await recoveryStore.get(vodId);
+
+    if (!params) {
+        postDiagnostic(vodId, "recovery", { status: "unavailable" });
+        return null;
+    }
+
+    if (!params.found) {
+        if (!recoveries.has(vodId)) {
+            recoveries.set(vodId, searchVodLocation(vodId, params).finally(() => recoveries.delete(vodId)));
+        }
+
+        return null;
+    }
+
+    postDiagnostic(vodId, "host", { host: params.found.domain, verified: true, template: "recovery", tried: [params.found.domain] });
+
+    return {
+        domain: params.found.domain,
+        vodSpecialID: params.found.vodSpecialID,
+        login: params.login,
+        urlTemplate: `https://${params.found.domain}/${params.found.vodSpecialID}/{quality}/index-dvr.m3u8`
+    };
+}
+
+/**
+ * Host the seek previews of the channel's latest VOD are served from, its
+ * broadcasts are most likely stored there too
+ */
+async function getChannelPreviewHost(login) {
+    const result = await gqlClient.getLatestVideo(login);
+
+    if (result.status !== self.TNS_GQLResult.OK || !result.data.seekPreviewsURL) {
+        return null;
+    }
+
+    try {
+        return new URL(result.data.seekPreviewsURL).host;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Search the storage location of a VOD from the recovery parameters the
+ * page saved for it, and keep it with them for the next usher request
+ */
+async function searchVodLocation(vodId, params) {
+    console.log(`[TNS] Recovering VOD ${vodId} from broadcast ${params.broadcastId} of ${params.login}`);
+    pageChannel.post("recovery", { vodId, status: "started", params });
+    postDiagnostic(vodId, "recovery", { status: "started" });
+
+    try {
+        const previewHost = await getChannelPreviewHost(params.login);
+        const recovery = new self.TNS_VodRecovery({ hosts: vodHosts, fetch: oldFetch });
+        const found = await recovery.recover(params, previewHost);
+
+        if (!found) {
+            console.log(`[TNS] Unable to recover VOD ${vodId}`);
+            pageChannel.post("recovery", { vodId, status: "failed", params });
+            postDiagnostic(vodId, "recovery", { status: "failed" });
+            return;
+        }
+
+        await recoveryStore.set(vodId, { ...params, found: { domain: found.domain, vodSpecialID: found.vodSpecialID } });
+
+        console.log(`[TNS] Recovered VOD ${vodId} at ${found.domain}/${found.vodSpecialID}`);
+        pageChannel.post("recovery", { vodId, status: "found", params, host: found.domain, vodSpecialID: found.vodSpecialID });
+        postDiagnostic(vodId, "recovery", { status: "found" });
+    } catch (e) {
+        console.log(`[TNS] Recovery of VOD ${vodId} failed: ${e.message}`);
+        pageChannel.post("recovery", { vodId, status: "failed", params });
+        postDiagnostic(vodId, "recovery", { status: "failed" });
+    }
+}
+
+// Session metadata of the last real usher playlist, copied into the fake ones
+let usherSession = null;
+
+/**
+ * Build the fake usher playlist from a resolved VOD
+ */
+function buildFakePlaylist(resolved, isUsherV2) {
+    // Quality the user picked in the player, source otherwise
+    const preferred = resolved.variants.some(variant => variant.resKey === self.TNS_PREFERRED_QUALITY)
+        ? self.TNS_PREFERRED_QUALITY
+        : "chunked";
+
+    const measured = hasMeasuredBandwidth(resolved.variants);
+
+    const variants = resolved.variants.map((variant, index) => {
+        const rendition = describeRendition(variant);
+
+        return {
+            url: getPlaylistUrl(resolved.urlTemplate, variant.resKey),
+            resKey: variant.resKey,
+            name: rendition.name,
+            // Estimated from segment sizes, decreasing placeholders for the
+            // whole ladder when a variant couldn't be measured
+            bandwidth: measured ? variant.bandwidth : 8534030 - 100 * index,
+            averageBandwidth: measured ? variant.averageBandwidth : undefined,
+            // The audio only rendition has no video codec
+            codecs: [variant.codec, variant.audioCodec || "mp4a.40.2"].filter(Boolean).join(","),
+            resolution: rendition.resolution,
+            frameRate: rendition.frameRate,
+            source: variant.resKey === "chunked",
+            default: variant.resKey === preferred
+        };
+    });
+
+    const builder = new self.TNS_UsherPlaylistBuilder({ version: isUsherV2 ? 2 : 1, session: usherSession });
+
+    return builder.build(variants);
+}
+
+/**
+ * The synthesized master playlist of a VOD, for external players
+ */
+pageChannel.handle("vodPlaylist", async ({ vodId }) => {
+    let resolved = await vodCache.get(vodId);
+
+    if (!resolved) {
+        const pending = await resolveVodPlaylist(vodId);
+        if (!pending) {
+            throw new Error(recoveries.has(vodId) ? "recovering" : "no_location");
+        }
+
+        // Every quality should be listed, wait for the remaining probes
+        resolved = await pending.complete;
+
+        if (resolved.variants.length > 0) {
+            vodCache.set(vodId, resolved);
+        }
+    }
+
+    if (resolved.variants.length === 0) throw new Error("no_quality");
+
+    return {
+        vodId,
+        master: buildFakePlaylist(resolved, true),
+        variants: describeVariants(resolved.variants, resolved.urlTemplate)
+    };
+});
+
+/**
+ * Rewrite unmuted segments to their muted copy and collect the muted ranges
+ * (in seconds from the start of the VOD)
+ */
+function patchMutedSegments(body) {
+    const ranges = [];
+    let time = 0;
+    let duration = 0;
+
+    const lines = body.split("\n").map(line => {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith("#EXTINF:")) {
+            duration = parseFloat(trimmed.substring(8)) || 0;
+        } else if (trimmed && !trimmed.startsWith("#")) {
+            if (trimmed.includes("-unmuted") || trimmed.includes("-muted")) {
+                const last = ranges.at(-1);
+
+                // Merge consecutive muted segments into one range
+                if (last && Math.abs(last.end - time) < 0.001) {
+                    last.end = time + duration;
+                } else {
+                    ranges.push({ start: time, end: time + duration });
+                }
+
+                line = line.replace(/-unmuted/g, "-muted");
+            }
+
+            time += duration;
+        }
+
+        return line;
+    });
+
+    return { body: lines.join("\n"), ranges, duration: time };
+}
+
+/**
+ * Live media playlists are served by the video weaver hosts
+ */
+function isLivePlaylistUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.host.endsWith(".hls.ttvnw.net") && parsed.pathname.endsWith(".m3u8");
+    } catch (e) {
+        return false;
+    }
+}
+
+// Live media playlist URL (without query) -> segments kept past the Twitch playlist,
+// least recently refreshed first
+const liveWindows = new Map();
+const maxLiveWindows = 4;
+
+// Live media playlist URL (without query) -> variant and channel login, from the
+// usher playlists. Every player of the page gets the events, the DVR keeps the ones of its channel.
+const liveVariants = new Map();
+
+/**
+ * Remember the variants listed by a live usher playlist and send them to the page
+ */
+function readLiveUsherPlaylist(url, body) {
+    const match = url.match(/\/channel\/hls\/([^/.?]+)\.m3u8/);
+    if (!match) return;
+
+    const channel = match[1].toLowerCase();
+    const variants = new self.TNS_UsherPlaylistBuilder().parseVariants(body, url);
+
+    for (const variant of variants) {
+        liveVariants.set(variant.url.split("?")[0], { channel, ...variant });
+    }
+
+    rememberRenditions(channel, variants.map(variant => variant.resKey));
+
+    pageChannel.post("liveVariants", { channel, variants });
+}
+
+/**
+ * Merge a live media playlist into the window of its variant and build the
+ * longer playlist served to the player
+ */
+function extendLivePlaylist(url, body) {
+    const key = url.split("?")[0];
+    let liveWindow = liveWindows.get(key);
+
+    if (liveWindow) {
+        liveWindows.delete(key);
+    } else {
+        liveWindow = new self.TNS_LivePlaylistWindow({ fetch: oldFetch });
+    }
+
+    // Variants the player stopped refreshing (quality change) are dropped
+    liveWindows.set(key, liveWindow);
+
+    for (const oldKey of liveWindows.keys()) {
+        if (liveWindows.size <= maxLiveWindows) break;
+        liveWindows.delete(oldKey);
+    }
+
+    const variant = liveVariants.get(key) || null;
+    const extended = liveWindow.update(body, url);
+
+    // The page can't see the requests of the worker, it gets the Twitch playlist from here
+    pageChannel.post("livePlaylist", {
+        channel: variant?.channel || null,
+        url,
+        body,
+        variant: variant && { resKey: variant.resKey, name: variant.name, resolution: variant.resolution, bandwidth: variant.bandwidth }
+    });
+
+    if (liveWindow.segments.length > 0) {
+        pageChannel.post("liveWindow", { channel: variant?.channel || null, ...liveWindow.getInfo() });
+    }
+
+    return extended;
+}
+
+const oldFetch = self.fetch;
+
+self.fetch = async function (input, opt) {
+    let url = input instanceof Request ? input.url : input.toString();
+    let response = await oldFetch(input, opt);
+
+    // Patch playlist from unmuted to muted segments
+    if (isVodHostUrl(url) && url.includes(".m3u8")) {
+        // A variant that was served from the cache is gone, resolve it again next time
+        if (!response.ok && cachedVariantUrls.has(url)) {
+            const vodId = cachedVariantUrls.get(url);
+
+            console.log(`[TNS] Cached variant failed for VOD ${vodId}, invalidating cache`);
+
+            cachedVariantUrls.delete(url);
+            await vodCache.delete(vodId);
+        }
+
+        const patched = patchMutedSegments(await response.text());
+
+        if (patched.duration > 0) {
+            pageChannel.post("mutedSegments", {
+                vodId: unlockedVariantUrls.get(url) || null,
+                url: url,
+                ranges: patched.ranges,
+                duration: patched.duration
+            });
+        }
+
+        return new Response(patched.body, { status: 200 });
+    }
+
+    if (url.startsWith("https://usher.ttvnw.net/api/") && response.ok) {
+        readLiveUsherPlaylist(url, await response.clone().text());
+    }
+
+    // Keep the live segments Twitch no longer lists, for deeper seeks in the player
+    if (isLivePlaylistUrl(url) && response.ok) {
+        const body = extendLivePlaylist(url, await response.text());
+
+        // The body is decoded and longer than the original one
+        const headers = new Headers(response.headers);
+        headers.delete("Content-Length");
+        headers.delete("Content-Encoding");
+
+        return new Response(body, { status: response.status, headers });
+    }
+
+    // A segment kept past the Twitch playlist expired on the CDN
+    if ([403, 404, 410].includes(response.status)) {
+        for (const liveWindow of liveWindows.values()) {
+            if (liveWindow.has(url)) {
+                liveWindow.segmentFailed(url);
+            }
+        }
+    }
+
+    // Playable VODs give real session metadata for the ones we unlock,
+    // and the quality ladder of their channel
+    if (url.startsWith("https://usher.ttvnw.net/vod/") && response.status == 200) {
+        const builder = new self.TNS_UsherPlaylistBuilder();
+        const body = await response.clone().text();
+        const session = builder.parseSessionInfo(body);
+
+        if (session) {
+            usherSession = session;
+        }
+
+        const variants = builder.parseVariants(body, url);
+
+        if (variants.length > 0) {
+            rememberRenditions(getLoginFromVariantUrl(variants[0].url), variants.map(variant => variant.resKey));
+        }
+    }
+
+    if (url.startsWith("https://usher.ttvnw.net/vod/")) {
+        if (response.status != 200) {
+            const isUsherV2 = url.includes("/vod/v2");
+
+            console.log(`[TNS] Detected usher ${isUsherV2 ? 'v2' : 'v1'}`);
+
+            const splitUsher = url.split(".m3u8")[0].split("/");
+
+            const vodId = splitUsher.at(-1);
+
+            postDiagnostic(vodId, "usher", { version: isUsherV2 ? 2 : 1, status: response.status });
+
+            let resolved = await vodCache.get(vodId);
+
+            postDiagnostic(vodId, "cache", { hit: !!resolved });
+
+            if (resolved) {
+                console.log(`[TNS] Using cached playlist for VOD ${vodId}`);
+
+                pageChannel.post("vodHost", { vodId, host: resolved.domain, cached: true });
+
+                for (const variant of resolved.variants) {
+                    cachedVariantUrls.set(getPlaylistUrl(resolved.urlTemplate, variant.resKey), vodId);
+                }
+            } else {
+                resolved = await resolveVodPlaylist(vodId);
+
+                if (!resolved) {
+                    console.log("[TNS] Unable to fetch twitch data API");
+                    postDiagnostic(vodId, "failure", { reason: recoveries.has(vodId) ? "recovering" : "no_location" });
+                    return new Response("Unable to fetch twitch data API", { status: 403 });
+                }
+
+                // Only cache once every variant had a chance to fill in
+                resolved.complete.then(complete => {
+                    postDiagnostic(vodId, "variants", { variants: describeVariants(complete.variants, complete.urlTemplate), complete: true });
+
+                    if (complete.variants.length > 0) {
+                        return vodCache.set(vodId, complete);
+                    }
+                }).catch(e => {
+                    console.log(`[TNS] Unable to save the variants of VOD ${vodId}: ${e.message}`);
+                });
+            }
+
+            postDiagnostic(vodId, "variants", { variants: describeVariants(resolved.variants, resolved.urlTemplate), complete: !resolved.complete });
+
+            if (resolved.variants.length === 0) {
+                postDiagnostic(vodId, "failure", { reason: "no_quality" });
+            }
+
+            for (const variant of resolved.variants) {
+                unlockedVariantUrls.set(getPlaylistUrl(resolved.urlTemplate, variant.resKey), vodId);
+            }
+
+            const header = new Headers();
+            header.append('Content-Type', 'application/vnd.apple.mpegurl');
+
+            return new Response(buildFakePlaylist(resolved, isUsherV2), { status: 200, headers: header });
+        }
+    }
+
+    return response;
+}
+
+    }
+
+    // Page: worker hook, restriction remover and DVR
+    function tnsPage(tnsWorker) {
+// Answer the handshake of src/app.js like src/twitchnosub.js does, with the
+// worker patch inlined: nothing is loaded from outside the userscript
+document.addEventListener("tns:ready", () => {
+    document.dispatchEvent(new CustomEvent("tns:init", {
+        detail: JSON.stringify({ version: "1.0.0", workerSource: `(${tnsWorker})();` })
+    }));
+});
+
+// ---- src/restriction-remover.js ----
+class RestrictionRemover {
+    constructor() {
+        this.observer = null;
+
+        this.removeExistingRestrictions();
+        this.createObserver();
+    }
+
+    removeExistingRestrictions() {
+        document.querySelectorAll('.video-preview-card-restriction').forEach(element => {
+            element.remove();
+        });
+    }
+
+    createObserver() {
+        this.observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.processNode(node);
+                    }
+                });
+            });
+        });
+
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: false,
+            characterData: false
+        });
+    }
+
+    processNode(node) {
+        if (node.classList && node.classList.contains('video-preview-card-restriction')) {
+            node.remove();
+            return;
+        }
+
+        node.querySelectorAll('.video-preview-card-restriction').forEach(restriction => {
+            restriction.remove();
+        });
+    }
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    new RestrictionRemover();
+});
+
+// ---- src/app.js ----
+// Modules the worker patch depends on, relative to the patch itself
+const worker_modules = [
+    "version.js",
+    "gql-client.js",
+    "worker/vod-cache.js",
+    "worker/mp4-codecs.js",
+    "worker/ts-probe.js",
+    "worker/page-channel.js",
+    "worker/vod-recovery.js",
+    "worker/url-templates.js",
+    "worker/usher-playlist.js",
+    "worker/live-window.js"
+];
+
+// Worker patch given by the content script (see src/twitchnosub.js):
+// { version, patchUrl } or { version, workerSource } when the patch is inlined
+let worker_config = null;
+
+// Events are dispatched synchronously: the content script answers before any
+// page script runs, and only the first answer is taken
+function onWorkerConfig(event) {
+    try {
+        worker_config = JSON.parse(event.detail);
+    } catch (e) {
+        console.log("[TNS] Invalid worker config");
+        return;
+    }
+
+    document.removeEventListener("tns:init", onWorkerConfig);
+
+    if (worker_config.workerSource) {
+        worker_config.patchUrl = URL.createObjectURL(new Blob([worker_config.workerSource], { type: "text/javascript" }));
+    }
+}
+
+document.addEventListener("tns:init", onWorkerConfig);
+document.dispatchEvent(new CustomEvent("tns:ready"));
+
+// BroadcastChannel between the player workers of this page and the DVR (see
+// DVRWorkerBridge): each tab has its own, the workers of other tabs can't reach it
+window.TNS_WORKER_CHANNEL = window.TNS_WORKER_CHANNEL || `tns-worker-${crypto.randomUUID()}`;
+
+// Ordered VOD storage hosts override, e.g. ["d1m7jfoe9zdc1j.cloudfront.net", ...]
+function getVodHosts() {
+    try {
+        return JSON.parse(localStorage.getItem("tns-vod-hosts"));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Quality selected in the Twitch player, the worker can't read localStorage
+function getPreferredQuality() {
+    try {
+        return JSON.parse(localStorage.getItem("video-quality"))?.default || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+const oldWorker = window.Worker;
+
+// Start the worker from a small shim that loads the patch, then the original
+// worker script with importScripts, so the page never downloads the worker itself
+window.Worker = class Worker extends oldWorker {
+    constructor(twitchBlobUrl, options) {
+        // importScripts is not available in module workers
+        if (options?.type === "module" || !worker_config?.patchUrl) {
+            if (!worker_config?.patchUrl) console.log("[TNS] No worker patch, starting the player worker unpatched");
+
+            super(twitchBlobUrl, options);
+            return;
+        }
+
+        const patchUrl = worker_config.patchUrl;
+
+        // An inlined patch already contains its modules
+        const workerModules = worker_config.workerSource ? [] : worker_modules.map(module => new URL(module, patchUrl).href);
+
+        const blobUrl = URL.createObjectURL(new Blob([`
+            self.TNS_PREFERRED_QUALITY = ${JSON.stringify(getPreferredQuality())};
+            self.TNS_VOD_HOSTS = ${JSON.stringify(getVodHosts())};
+            self.TNS_PAGE_VERSION = ${JSON.stringify(worker_config.version || null)};
+            self.TNS_WORKER_CHANNEL = ${JSON.stringify(window.TNS_WORKER_CHANNEL)};
+            for (const module of ${JSON.stringify(workerModules)}) {
+                try {
+                    importScripts(module);
+                } catch (e) {
+                    console.log("[TNS] Unable to load worker module " + module);
+                }
+            }
+            importScripts(${JSON.stringify(patchUrl)});
+            importScripts(${JSON.stringify(new URL(twitchBlobUrl, location.href).href)});
+        `], { type: "text/javascript" }));
+
+        super(blobUrl, options);
+    }
+}
+
+if (window === window.top) {
+// ---- src/gql-client.js ----
+/**
+ * TwitchNoSub GQL Client
+ * Shared by the player worker and the page. Queries use variables, results
+ * are cached for a short time, identical requests in flight are merged and
+ * 5xx / rate limited responses are retried with backoff.
+ *
+ * Every call resolves (never rejects) with { status, data, error } where
+ * status is one of GQLResult.
+ */
+
+const GQLResult = Object.freeze({
+    OK: "ok",
+    NOT_FOUND: "not_found",
+    OFFLINE: "offline",
+    NETWORK_ERROR: "network_error",
+    ERROR: "error"
+});
+
+const GQL_VIDEO_QUERY = `query TNSVideo($id: ID!) {
+    video(id: $id) {
+        id
+        broadcastType
+        createdAt
+        seekPreviewsURL
+        owner {
+            login
+            displayName
+            stream {
+                id
+                createdAt
+            }
+        }
+    }
+}`;
+
+const GQL_STREAM_QUERY = `query TNSStream($login: String!) {
+    user(login: $login) {
+        id
+        stream {
+            id
+            createdAt
+            archiveVideo {
+                id
+                createdAt
+                lengthSeconds
+                status
+            }
+        }
+    }
+}`;
+
+const GQL_LATEST_VIDEO_QUERY = `query TNSLatestVideo($login: String!) {
+    user(login: $login) {
+        id
+        videos(first: 1) {
+            edges {
+                node {
+                    id
+                    seekPreviewsURL
+                }
+            }
+        }
+    }
+}`;
+
+class TwitchGQLClient {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || "https://gql.twitch.tv/gql";
+        this.clientId = options.clientId || "kimne78kx3ncx6brgo4mv6wki5h1ko";
+        this.cacheTtl = options.cacheTtl ?? 30 * 1000; // 30 seconds
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryDelay = options.retryDelay ?? 500; // ms, doubled on each retry
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+
+        this.cache = new Map();
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Run a query, served from the cache or merged with an identical request in flight
+     */
+    query(query, variables = {}) {
+        const key = JSON.stringify({ query, variables });
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return Promise.resolve(cached.result);
+        }
+        this.cache.delete(key);
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this.request(query, variables).then(result => {
+            this.inFlight.delete(key);
+
+            // Don't keep failures around, the next call should try again
+            if (result.status !== GQLResult.NETWORK_ERROR && result.status !== GQLResult.ERROR) {
+                this.cache.set(key, { result, expiresAt: Date.now() + this.cacheTtl });
+            }
+
+            return result;
+        });
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Send the request, retrying on 5xx, rate limits and network errors
+     */
+    async request(query, variables) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, lastError.retryAfter || this.retryDelay * 2 ** (attempt - 1)));
+            }
+
+            let response;
+
+            try {
+                response = await this.fetch(this.endpoint, {
+                    method: "POST",
+                    body: JSON.stringify({ query, variables }),
+                    headers: {
+                        "Client-Id": this.clientId,
+                        "Accept": "application/json",
+                        "Content-Type": "application/json"
+                    }
+                });
+            } catch (e) {
+                lastError = { status: GQLResult.NETWORK_ERROR, message: e.message };
+                continue;
+            }
+
+            if (response.status === 429 || response.status >= 500) {
+                const retryAfter = parseInt(response.headers.get("Retry-After"));
+
+                lastError = {
+                    status: GQLResult.NETWORK_ERROR,
+                    message: `HTTP ${response.status}`,
+                    retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+                };
+                continue;
+            }
+
+            if (!response.ok) {
+                return { status: GQLResult.ERROR, data: null, error: `HTTP ${response.status}` };
+            }
+
+            try {
+                const body = await response.json();
+
+                if (body.errors?.length && !body.data) {
+                    return { status: GQLResult.ERROR, data: null, error: body.errors.map(e => e.message).join(", ") };
+                }
+
+                return { status: GQLResult.OK, data: body.data, error: null };
+            } catch (e) {
+                return { status: GQLResult.ERROR, data: null, error: `Invalid response: ${e.message}` };
+            }
+        }
+
+        return { status: lastError.status, data: null, error: lastError.message };
+    }
+
+    /**
+     * Get VOD metadata, NOT_FOUND when the video is deleted or hidden
+     */
+    async getVideo(vodId) {
+        const result = await this.query(GQL_VIDEO_QUERY, { id: String(vodId) });
+
+        if (result.status !== GQLResult.OK) return result;
+        if (!result.data?.video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: result.data.video, error: null };
+    }
+
+    /**
+     * Get the latest VOD of a channel, NOT_FOUND for an unknown channel or
+     * one without VODs
+     */
+    async getLatestVideo(login) {
+        const result = await this.query(GQL_LATEST_VIDEO_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const video = result.data?.user?.videos?.edges?.[0]?.node;
+        if (!video) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+
+        return { status: GQLResult.OK, data: video, error: null };
+    }
+
+    /**
+     * Get the live stream of a channel, NOT_FOUND for an unknown channel and
+     * OFFLINE when it isn't live
+     */
+    async getStream(login) {
+        const result = await this.query(GQL_STREAM_QUERY, { login: String(login).toLowerCase() });
+
+        if (result.status !== GQLResult.OK) return result;
+
+        const user = result.data?.user;
+        if (!user) return { status: GQLResult.NOT_FOUND, data: null, error: null };
+        if (!user.stream) return { status: GQLResult.OFFLINE, data: user, error: null };
+
+        return { status: GQLResult.OK, data: user.stream, error: null };
+    }
+}
+
+// Export for the page and worker context
+if (typeof self !== "undefined") {
+    self.TNS_TwitchGQLClient = TwitchGQLClient;
+    self.TNS_GQLResult = GQLResult;
+}
+
+// ---- src/worker/vod-cache.js ----
+/**
+ * TwitchNoSub VOD Cache
+ * Persists resolved sub-only VOD playlists in IndexedDB so a VOD that was
+ * already unlocked can be served again without querying GQL or probing.
+ *
+ * The same database holds the recovery parameters the page saves for VODs
+ * without GQL metadata, so this file is also loaded in the page.
+ */
+
+// Object stores of the database, all keyed by VOD id
+// (by channel login for the storage path rule and renditions of each channel)
+const VOD_CACHE_STORES = ["playlists", "recovery", "templates", "renditions"];
+const VOD_CACHE_VERSION = 4;
+
+// A tab holding an older version blocks the upgrade, don't wait for it forever
+const VOD_CACHE_OPEN_TIMEOUT = 3000; // ms
+
+class VodPlaylistCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || "tns-vod-cache";
+        this.storeName = options.storeName || "playlists";
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours in ms
+
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (or create) the database. Rejects when another tab blocks the
+     * upgrade for too long, the cache is then skipped until the next call.
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === "undefined") {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, VOD_CACHE_VERSION);
+            const timeout = setTimeout(() => {
+                // Opened too late, the next call opens it again
+                request.onsuccess = () => request.result.close();
+                reject(new Error("IndexedDB open timed out"));
+            }, VOD_CACHE_OPEN_TIMEOUT);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                for (const storeName of VOD_CACHE_STORES) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: "vodId" });
+                    }
+                }
+            };
+
+            request.onsuccess = () => {
+                clearTimeout(timeout);
+
+                const db = request.result;
+
+                // Let a newer version in another tab upgrade, reopen on the next request
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                clearTimeout(timeout);
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.log("[TNS] VOD cache upgrade blocked by another tab");
+            };
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached entry, or null if it is missing or expired
+     */
+    async get(vodId) {
+        try {
+            const entry = await this.run("readonly", store => store.get(vodId));
+
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.delete(vodId);
+                return null;
+            }
+
+            return entry;
+        } catch (e) {
+            console.log(`[TNS] Unable to read VOD cache: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a resolved VOD playlist
+     */
+    async set(vodId, data) {
+        const now = Date.now();
+
+        const entry = {
+            ...data,
+            vodId,
+            storedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        try {
+            await this.run("readwrite", store => store.put(entry));
+        } catch (e) {
+            console.log(`[TNS] Unable to write VOD cache: ${e.message}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Remove a cached entry
+     */
+    async delete(vodId) {
+        try {
+            await this.run("readwrite", store => store.delete(vodId));
+        } catch (e) {
+            console.log(`[TNS] Unable to delete VOD cache entry: ${e.message}`);
+        }
+    }
+}
+
+// For worker and page context
+if (typeof self !== "undefined") {
+    self.TNS_VodPlaylistCache = VodPlaylistCache;
+}
+
+// ---- src/worker/ts-probe.js ----
+/**
+ * TwitchNoSub TS Probe
+ * Reads the H.264 sequence parameter set from the start of an MPEG-TS
+ * segment to get the real codec, resolution and frame rate of a rendition.
+ */
+
+const TS_PACKET_SIZE = 188;
+
+// Profiles that carry chroma format / bit depth / scaling lists in the SPS
+const HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+class TSVideoProbe {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+    }
+
+    /**
+     * Parse the probe data, returns null when no H.264 SPS was found
+     */
+    parse() {
+        const payload = this.readVideoPayload();
+        if (!payload) return null;
+
+        const sps = this.findSPS(payload);
+        if (!sps) return null;
+
+        return this.parseSPS(sps);
+    }
+
+    /**
+     * Concatenate the elementary stream payload of the H.264 track
+     */
+    readVideoPayload() {
+        let pmtPid = -1;
+        let videoPid = -1;
+        const chunks = [];
+
+        for (let offset = 0; offset + TS_PACKET_SIZE <= this.bytes.length; offset += TS_PACKET_SIZE) {
+            if (this.bytes[offset] !== 0x47) continue;
+
+            const unitStart = (this.bytes[offset + 1] & 0x40) !== 0;
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const adaptation = (this.bytes[offset + 3] >> 4) & 0x3;
+
+            let start = offset + 4;
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += 1 + this.bytes[start];
+
+            const end = offset + TS_PACKET_SIZE;
+            if (start >= end) continue;
+
+            if (pid === 0 && unitStart) {
+                // PAT, first program only
+                const section = start + 1 + this.bytes[start];
+                pmtPid = ((this.bytes[section + 10] & 0x1f) << 8) | this.bytes[section + 11];
+            } else if (pid === pmtPid && unitStart && videoPid === -1) {
+                videoPid = this.readVideoPid(start + 1 + this.bytes[start]);
+            } else if (pid === videoPid) {
+                if (unitStart) {
+                    // Skip the PES header
+                    start += 9 + this.bytes[start + 8];
+                }
+
+                if (start < end) {
+                    chunks.push(this.bytes.subarray(start, end));
+                }
+            }
+        }
+
+        if (chunks.length === 0) return null;
+
+        const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+        const payload = new Uint8Array(length);
+
+        let position = 0;
+        for (const chunk of chunks) {
+            payload.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Find the H.264 elementary stream in a PMT section
+     */
+    readVideoPid(section) {
+        const sectionLength = ((this.bytes[section + 1] & 0x0f) << 8) | this.bytes[section + 2];
+        const programInfoLength = ((this.bytes[section + 10] & 0x0f) << 8) | this.bytes[section + 11];
+
+        // Stop before the CRC
+        const end = section + 3 + sectionLength - 4;
+        let offset = section + 12 + programInfoLength;
+
+        while (offset + 5 <= end) {
+            const streamType = this.bytes[offset];
+            const pid = ((this.bytes[offset + 1] & 0x1f) << 8) | this.bytes[offset + 2];
+            const infoLength = ((this.bytes[offset + 3] & 0x0f) << 8) | this.bytes[offset + 4];
+
+            if (streamType === 0x1b) return pid;
+
+            offset += 5 + infoLength;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Extract the first SPS NAL unit, without emulation prevention bytes
+     */
+    findSPS(payload) {
+        for (let i = 0; i + 4 < payload.length; i++) {
+            if (payload[i] !== 0 || payload[i + 1] !== 0 || payload[i + 2] !== 1) continue;
+            if ((payload[i + 3] & 0x1f) !== 7) continue;
+
+            const nal = [];
+            let zeros = 0;
+
+            for (let j = i + 4; j < payload.length; j++) {
+                const byte = payload[j];
+
+                // Next start code
+                if (zeros >= 2 && byte === 1) break;
+
+                if (zeros >= 2 && byte === 3) {
+                    zeros = 0;
+                    continue;
+                }
+
+                zeros = byte === 0 ? zeros + 1 : 0;
+                nal.push(byte);
+            }
+
+            return new Uint8Array(nal);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the fields needed for codec, resolution and frame rate
+     */
+    parseSPS(sps) {
+        const reader = new BitReader(sps);
+
+        const profileIdc = reader.readBits(8);
+        const constraints = reader.readBits(8);
+        const levelIdc = reader.readBits(8);
+
+        reader.readUE(); // seq_parameter_set_id
+
+        let chromaFormatIdc = 1;
+
+        if (HIGH_PROFILES.includes(profileIdc)) {
+            chromaFormatIdc = reader.readUE();
+            if (chromaFormatIdc === 3) reader.readBits(1);
+
+            reader.readUE(); // bit_depth_luma_minus8
+            reader.readUE(); // bit_depth_chroma_minus8
+            reader.readBits(1); // qpprime_y_zero_transform_bypass_flag
+
+            if (reader.readBits(1)) {
+                const listCount = chromaFormatIdc !== 3 ? 8 : 12;
+
+                for (let i = 0; i < listCount; i++) {
+                    if (reader.readBits(1)) {
+                        reader.skipScalingList(i < 6 ? 16 : 64);
+                    }
+                }
+            }
+        }
+
+        reader.readUE(); // log2_max_frame_num_minus4
+
+        const picOrderCntType = reader.readUE();
+
+        if (picOrderCntType === 0) {
+            reader.readUE();
+        } else if (picOrderCntType === 1) {
+            reader.readBits(1);
+            reader.readSE();
+            reader.readSE();
+
+            const cycle = reader.readUE();
+            for (let i = 0; i < cycle; i++) reader.readSE();
+        }
+
+        reader.readUE(); // max_num_ref_frames
+        reader.readBits(1); // gaps_in_frame_num_value_allowed_flag
+
+        const widthInMbs = reader.readUE() + 1;
+        const heightInMapUnits = reader.readUE() + 1;
+        const frameMbsOnly = reader.readBits(1);
+
+        if (!frameMbsOnly) reader.readBits(1);
+        reader.readBits(1); // direct_8x8_inference_flag
+
+        let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+
+        if (reader.readBits(1)) {
+            crop = {
+                left: reader.readUE(),
+                right: reader.readUE(),
+                top: reader.readUE(),
+                bottom: reader.readUE()
+            };
+        }
+
+        const cropUnitX = chromaFormatIdc === 0 || chromaFormatIdc === 3 ? 1 : 2;
+        const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+        const result = {
+            codec: `avc1.${[profileIdc, constraints, levelIdc].map(byte => byte.toString(16).toUpperCase().padStart(2, "0")).join("")}`,
+            width: widthInMbs * 16 - (crop.left + crop.right) * cropUnitX,
+            height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop.top + crop.bottom) * cropUnitY,
+            frameRate: null
+        };
+
+        // VUI timing info
+        if (reader.readBits(1)) {
+            if (reader.readBits(1)) {
+                if (reader.readBits(8) === 255) reader.readBits(32);
+            }
+
+            if (reader.readBits(1)) reader.readBits(1);
+
+            if (reader.readBits(1)) {
+                reader.readBits(4);
+                if (reader.readBits(1)) reader.readBits(24);
+            }
+
+            if (reader.readBits(1)) {
+                reader.readUE();
+                reader.readUE();
+            }
+
+            if (reader.readBits(1)) {
+                const numUnitsInTick = reader.readBits(32);
+                const timeScale = reader.readBits(32);
+
+                if (numUnitsInTick > 0) {
+                    result.frameRate = Math.round(timeScale / (2 * numUnitsInTick) * 1000) / 1000;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Exp-Golomb capable bit reader
+ */
+class BitReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+
+        for (let i = 0; i < count; i++) {
+            const byte = this.bytes[this.position >> 3];
+            if (byte === undefined) throw new Error("SPS truncated");
+
+            value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+            this.position++;
+        }
+
+        return value;
+    }
+
+    readUE() {
+        let leadingZeros = 0;
+
+        while (this.readBits(1) === 0) {
+            leadingZeros++;
+            if (leadingZeros > 31) throw new Error("Invalid Exp-Golomb code");
+        }
+
+        return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+    }
+
+    readSE() {
+        const value = this.readUE();
+        return value & 1 ? (value + 1) / 2 : -value / 2;
+    }
+
+    skipScalingList(size) {
+        let lastScale = 8;
+        let nextScale = 8;
+
+        for (let i = 0; i < size; i++) {
+            if (nextScale !== 0) {
+                nextScale = (lastScale + this.readSE() + 256) % 256;
+            }
+
+            lastScale = nextScale === 0 ? lastScale : nextScale;
+        }
+    }
+}
+
+// For worker context
+if (typeof self !== "undefined") {
+    self.TNS_TSVideoProbe = TSVideoProbe;
+}
+
+// ---- src/dvr/dvr-hls-parser.js ----
+/**
+ * TwitchNoSub DVR HLS Parser
+ * Reads a live media playlist for DVRTracker: TS and fMP4 segments with
+ * their #EXT-X-MAP init section, dates, discontinuities and the parts of
+ * low-latency HLS (#EXT-X-PART, #EXT-X-PRELOAD-HINT and Twitch's
+ * #EXT-X-TWITCH-PREFETCH).
+ *
+ * Parts listed before a segment belong to it; parts after the last segment
+ * are the segment being produced, returned as `partial`.
+ */
+
+class DVRHLSParser {
+    /**
+     * Read an attribute list, quotes removed
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+
+        return attributes;
+    }
+
+    /**
+     * #EXT-X-BYTERANGE / BYTERANGE value: "length[@offset]"
+     */
+    parseByteRange(value) {
+        if (!value) return null;
+
+        const [length, offset] = value.split('@');
+
+        return { length: parseInt(length), offset: offset !== undefined ? parseInt(offset) : null };
+    }
+
+    parseDate(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Parse a media playlist, URIs made absolute against baseUrl.
+     * Durations are in seconds, dates in ms.
+     */
+    parse(text, baseUrl) {
+        const playlist = {
+            version: null,
+            targetDuration: null,
+            partTargetDuration: null,
+            mediaSequence: 0,
+            discontinuitySequence: 0,
+            playlistType: null,
+            endList: false,
+            // Twitch: seconds since the broadcast started, at the first segment
+            elapsed: null,
+            dateRanges: [],
+            segments: [],
+            partial: null,
+            prefetch: [],
+            preloadHint: null
+        };
+
+        const resolve = uri => new URL(uri, baseUrl).href;
+
+        // Tags of the next segment
+        let next = this.createSegmentState();
+        let map = null;
+        let parts = [];
+        const prefetch = [];
+        let sequence = null;
+        let discontinuity = 0;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (!line.startsWith('#')) {
+                if (sequence === null) sequence = playlist.mediaSequence;
+
+                playlist.segments.push({
+                    sequence: sequence++,
+                    uri: resolve(line),
+                    duration: next.duration,
+                    title: next.title,
+                    programDateTime: next.programDateTime,
+                    discontinuity: next.discontinuity,
+                    discontinuitySequence: playlist.discontinuitySequence + discontinuity,
+                    gap: next.gap,
+                    byteRange: next.byteRange,
+                    map,
+                    parts
+                });
+
+                next = this.createSegmentState();
+                parts = [];
+                continue;
+            }
+
+            const colon = line.indexOf(':');
+            const tag = colon < 0 ? line : line.substring(0, colon);
+            const value = colon < 0 ? '' : line.substring(colon + 1);
+
+            switch (tag) {
+                case '#EXT-X-VERSION':
+                    playlist.version = parseInt(value);
+                    break;
+                case '#EXT-X-TARGETDURATION':
+                    playlist.targetDuration = parseFloat(value);
+                    break;
+                case '#EXT-X-PART-INF':
+                    playlist.partTargetDuration = parseFloat(this.parseAttributes(value)['PART-TARGET']) || null;
+                    break;
+                case '#EXT-X-MEDIA-SEQUENCE':
+                    playlist.mediaSequence = parseInt(value) || 0;
+                    break;
+                case '#EXT-X-DISCONTINUITY-SEQUENCE':
+                    playlist.discontinuitySequence = parseInt(value) || 0;
+                    break;
+                case '#EXT-X-SKIP':
+                    // Delta update: the first segments are left out
+                    sequence = playlist.mediaSequence + (parseInt(this.parseAttributes(value)['SKIPPED-SEGMENTS']) || 0);
+                    break;
+                case '#EXT-X-PLAYLIST-TYPE':
+                    playlist.playlistType = value;
+                    break;
+                case '#EXT-X-ENDLIST':
+                    playlist.endList = true;
+                    break;
+                case '#EXT-X-TWITCH-ELAPSED-SECS':
+                    playlist.elapsed = parseFloat(value);
+                    if (isNaN(playlist.elapsed)) playlist.elapsed = null;
+                    break;
+                case '#EXTINF': {
+                    const comma = value.indexOf(',');
+                    next.duration = parseFloat(comma < 0 ? value : value.substring(0, comma)) || 0;
+                    next.title = comma < 0 ? '' : value.substring(comma + 1);
+                    break;
+                }
+                case '#EXT-X-PROGRAM-DATE-TIME':
+                    next.programDateTime = this.parseDate(value);
+                    break;
+                case '#EXT-X-DISCONTINUITY':
+                    next.discontinuity = true;
+                    discontinuity++;
+                    break;
+                case '#EXT-X-GAP':
+                    next.gap = true;
+                    break;
+                case '#EXT-X-BYTERANGE':
+                    next.byteRange = this.parseByteRange(value);
+                    break;
+                case '#EXT-X-MAP': {
+                    const attributes = this.parseAttributes(value);
+                    map = attributes.URI ? { uri: resolve(attributes.URI), byteRange: this.parseByteRange(attributes.BYTERANGE) } : null;
+                    break;
+                }
+                case '#EXT-X-PART': {
+                    const attributes = this.parseAttributes(value);
+                    if (!attributes.URI) break;
+
+                    parts.push({
+                        uri: resolve(attributes.URI),
+                        duration: parseFloat(attributes.DURATION) || 0,
+                        independent: attributes.INDEPENDENT === 'YES',
+                        gap: attributes.GAP === 'YES',
+                        byteRange: this.parseByteRange(attributes.BYTERANGE)
+                    });
+                    break;
+                }
+                case '#EXT-X-PRELOAD-HINT': {
+                    const attributes = this.parseAttributes(value);
+                    if (attributes.URI) {
+                        playlist.preloadHint = { type: attributes.TYPE || null, uri: resolve(attributes.URI) };
+                    }
+                    break;
+                }
+                case '#EXT-X-TWITCH-PREFETCH':
+                    prefetch.push(resolve(value));
+                    break;
+                case '#EXT-X-DATERANGE': {
+                    const attributes = this.parseAttributes(value);
+                    if (!attributes.ID) break;
+
+                    const duration = parseFloat(attributes.DURATION || attributes['PLANNED-DURATION']);
+
+                    playlist.dateRanges.push({
+                        id: attributes.ID,
+                        class: attributes.CLASS || null,
+                        startDate: this.parseDate(attributes['START-DATE']),
+                        duration: isNaN(duration) ? null : duration,
+                        attributes
+                    });
+                    break;
+                }
+            }
+        }
+
+        const last = playlist.segments.at(-1);
+        const partialSequence = last ? last.sequence + 1 : (sequence ?? playlist.mediaSequence);
+
+        // Parts of the segment being produced
+        if (parts.length > 0) {
+            playlist.partial = {
+                sequence: partialSequence,
+                parts,
+                duration: parts.reduce((total, part) => total + part.duration, 0),
+                programDateTime: next.programDateTime,
+                map
+            };
+        }
+
+        // Twitch lists whole upcoming segments instead of parts, with no duration yet
+        playlist.prefetch = prefetch.map((uri, index) => ({ sequence: partialSequence + index, uri, map }));
+
+        return playlist;
+    }
+
+    createSegmentState() {
+        return { duration: 0, title: '', programDateTime: null, discontinuity: false, gap: false, byteRange: null };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRHLSParser = DVRHLSParser;
+}
+
+// For worker context, next to DVRTracker
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+    self.TNS_DVRHLSParser = DVRHLSParser;
+}
+
+// ---- src/dvr/dvr-tracker.js ----
+/**
+ * TwitchNoSub DVR Tracker
+ * Tracks live stream segments for DVR functionality (like YouTube)
+ * 
+ * The patched player worker forwards the live media playlists it fetches
+ * (see DVRController.handleLivePlaylist), this module keeps the timeline
+ * of available content for rewinding during live streams.
+ *
+ * Playlists are read by DVRHLSParser (TS or fMP4, low-latency parts).
+ * `segments` is the stream timeline, one entry per media sequence whatever
+ * the quality; `timelines` keeps the segments of every variant played, with
+ * their URIs, init section and parts. Both are DVRSegmentRing: a segment is
+ * found by sequence in constant time, by time with a binary search.
+ *
+ * Segment timestamps are broadcast time (ms), read from
+ * #EXT-X-PROGRAM-DATE-TIME, or from Twitch's playlist creation date range
+ * when a playlist has none. The local clock is only the last resort.
+ *
+ * Twitch stitches mid-roll ads into the playlist between discontinuities.
+ * Their segments are kept, the player plays them, but flagged `ad`: they
+ * are no stream content, `adBreaks` lists the broadcast time they cover.
+ */
+
+// Date range classes of the ads Twitch stitches into live playlists
+const DVR_AD_DATERANGE_CLASSES = ['twitch-stitched-ad'];
+
+// Segment title prefixes of those ads, stream segments are titled "live"
+const DVR_AD_SEGMENT_TITLES = ['Amazon|'];
+
+/**
+ * Segments by media sequence number in a ring buffer, the slot of a
+ * sequence is its number modulo the capacity. Sequences only grow with
+ * time, so a time is found by binary search. Sequences missed between two
+ * playlists are empty slots.
+ */
+class DVRSegmentRing {
+    constructor(maxCapacity, capacity = 256) {
+        this.maxCapacity = maxCapacity;
+        this.slots = new Array(Math.min(capacity, maxCapacity)).fill(null);
+        // Sequence of the oldest segment, sequence after the newest one
+        this.firstSequence = null;
+        this.endSequence = null;
+        this.length = 0;
+    }
+
+    get(sequence) {
+        if (this.length === 0 || sequence < this.firstSequence || sequence >= this.endSequence) return null;
+        return this.slots[sequence % this.slots.length];
+    }
+
+    has(sequence) {
+        return this.get(sequence) !== null;
+    }
+
+    first() {
+        return this.get(this.firstSequence);
+    }
+
+    last() {
+        return this.get(this.endSequence - 1);
+    }
+
+    /**
+     * Store a segment in the slot of its sequence. Segments older than the
+     * first one kept, or already stored, are refused.
+     */
+    set(segment) {
+        const sequence = segment.sequence;
+
+        // Too far ahead: the oldest segments make room
+        while (this.length > 0 && sequence - this.firstSequence >= this.maxCapacity) {
+            this.shift();
+        }
+
+        if (this.length === 0) {
+            this.firstSequence = sequence;
+            this.endSequence = sequence;
+        } else if (sequence < this.firstSequence || this.has(sequence)) {
+            return false;
+        }
+
+        if (sequence >= this.endSequence) {
+            if (sequence - this.firstSequence >= this.slots.length) {
+                this.grow(sequence - this.firstSequence + 1);
+            }
+            this.endSequence = sequence + 1;
+        }
+
+        this.slots[sequence % this.slots.length] = segment;
+        this.length++;
+        return true;
+    }
+
+    /**
+     * Remove the oldest segment, skipping the empty slots after it
+     */
+    shift() {
+        const segment = this.first();
+        if (!segment) return null;
+
+        this.slots[this.firstSequence % this.slots.length] = null;
+        this.length--;
+
+        if (this.length === 0) {
+            this.firstSequence = null;
+            this.endSequence = null;
+        } else {
+            do {
+                this.firstSequence++;
+            } while (this.slots[this.firstSequence % this.slots.length] === null);
+        }
+
+        return segment;
+    }
+
+    grow(span) {
+        const capacity = Math.min(Math.max(this.slots.length * 2, span), this.maxCapacity);
+        const slots = new Array(capacity).fill(null);
+
+        for (let sequence = this.firstSequence; sequence < this.endSequence; sequence++) {
+            slots[sequence % capacity] = this.slots[sequence % this.slots.length];
+        }
+
+        this.slots = slots;
+    }
+
+    clear() {
+        this.slots.fill(null);
+        this.firstSequence = null;
+        this.endSequence = null;
+        this.length = 0;
+    }
+
+    /**
+     * First segment stored from a sequence up to another one
+     */
+    nextFrom(sequence, lastSequence) {
+        for (; sequence <= lastSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (segment) return segment;
+        }
+        return null;
+    }
+
+    /**
+     * Last segment starting at or before a time
+     */
+    findByTime(timestamp) {
+        if (this.length === 0) return null;
+
+        let low = this.firstSequence;
+        let high = this.endSequence - 1;
+        let found = null;
+
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            const segment = this.nextFrom(middle, high);
+
+            if (segment && segment.timestamp <= timestamp) {
+                found = segment;
+                low = segment.sequence + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Segments overlapping a time range
+     */
+    getRange(startTime, endTime) {
+        const segments = [];
+        if (this.length === 0) return segments;
+
+        const start = this.findByTime(startTime);
+
+        for (let sequence = start ? start.sequence : this.firstSequence; sequence < this.endSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (!segment) continue;
+            if (segment.timestamp >= endTime) break;
+
+            if (segment.timestamp + segment.duration > startTime) {
+                segments.push(segment);
+            }
+        }
+
+        return segments;
+    }
+
+    *[Symbol.iterator]() {
+        for (let sequence = this.firstSequence; this.length > 0 && sequence < this.endSequence; sequence++) {
+            const segment = this.slots[sequence % this.slots.length];
+            if (segment) yield segment;
+        }
+    }
+}
+
+class DVRTracker {
+    constructor() {
+        // Configuration
+        this.maxBufferDuration = 4 * 60 * 60 * 1000; // 4 hours max buffer in ms
+        this.segmentDuration = 2000; // Typical Twitch segment duration in ms
+        this.maxSegments = Math.ceil(this.maxBufferDuration / 1000); // Ring capacity, segments of 1s at least
+        
+        // State
+        this.isLive = false;
+        this.channelName = null;
+        this.streamStartTime = null;
+        this.segments = new DVRSegmentRing(this.maxSegments);
+        this.currentSegmentIndex = -1;
+        this.isEnabled = true;
+
+        // Variants of the live usher playlist, and the one the player refreshes
+        this.variants = [];
+        this.currentVariant = null;
+
+        // Variant key -> { key, variant, segments, partial, prefetch }
+        this.parser = new (typeof window !== 'undefined' ? window : self).TNS_DVRHLSParser();
+        this.timelines = new Map();
+        this.currentTimelineKey = null;
+
+        // Date ranges of the playlists by ID, broadcast start from
+        // #EXT-X-TWITCH-ELAPSED-SECS, local time the last playlist was read
+        this.dateRanges = new Map();
+        this.broadcastStartTime = null;
+        this.lastPlaylistTime = null;
+
+        // Stitched ad breaks: { startTime, endTime, startSequence, endSequence, mediaDuration, ended }
+        this.adBreaks = [];
+        
+        // Timeline info
+        this.earliestAvailableTime = null;
+        this.latestAvailableTime = null;
+        
+        // Event listeners
+        this.listeners = {
+            'segmentAdded': [],
+            'timelineUpdated': [],
+            'streamStarted': [],
+            'streamEnded': [],
+            'seekAvailable': []
+        };
+        
+        console.log('[TNS-DVR] DVR Tracker initialized');
+    }
+
+    /**
+     * Register an event listener
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Emit an event to all listeners
+     */
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (e) {
+                    console.error(`[TNS-DVR] Error in ${event} listener:`, e);
+                }
+            });
+        }
+    }
+
+    /**
+     * Start tracking a live stream
+     */
+    startTracking(channelName) {
+        this.reset();
+        this.isLive = true;
+        this.channelName = channelName;
+        this.streamStartTime = Date.now();
+        this.earliestAvailableTime = this.streamStartTime;
+        this.latestAvailableTime = this.streamStartTime;
+        
+        console.log(`[TNS-DVR] Started tracking stream for: ${channelName}`);
+        this.emit('streamStarted', { channelName, startTime: this.streamStartTime });
+    }
+
+    /**
+     * Stop tracking the current stream
+     */
+    stopTracking() {
+        if (this.isLive) {
+            console.log(`[TNS-DVR] Stopped tracking stream for: ${this.channelName}`);
+            this.emit('streamEnded', { channelName: this.channelName });
+        }
+        this.isLive = false;
+    }
+
+    /**
+     * Reset all tracking data
+     */
+    reset() {
+        this.segments.clear();
+        this.variants = [];
+        this.currentVariant = null;
+        this.timelines.clear();
+        this.currentTimelineKey = null;
+        this.dateRanges.clear();
+        this.broadcastStartTime = null;
+        this.lastPlaylistTime = null;
+        this.adBreaks = [];
+        this.currentSegmentIndex = -1;
+        this.streamStartTime = null;
+        this.earliestAvailableTime = null;
+        this.latestAvailableTime = null;
+        this.channelName = null;
+        this.isLive = false;
+    }
+
+    /**
+     * Add a new segment to the tracker
+     * Called when a new HLS segment is detected
+     */
+    addSegment(segmentInfo) {
+        if (!this.isLive || !this.isEnabled) return;
+
+        if (this.insertSegment(segmentInfo)) {
+            this.cleanupOldSegments();
+            this.emitTimelineUpdate();
+        }
+    }
+
+    /**
+     * Store a segment in the stream timeline, without cleanup nor timeline
+     * update so a playlist is handled in one go. False when already known.
+     */
+    insertSegment(segmentInfo) {
+        const sequence = segmentInfo.sequence ?? this.segments.endSequence ?? 0;
+        const previous = this.segments.get(sequence - 1) || this.segments.last();
+
+        const segment = {
+            url: segmentInfo.url,
+            // Broadcast time, arrival time when the playlist gave none
+            timestamp: segmentInfo.timestamp || Date.now(),
+            timeSource: segmentInfo.timeSource || 'arrival',
+            arrivalTime: Date.now(),
+            duration: segmentInfo.duration || this.segmentDuration,
+            sequence,
+            quality: segmentInfo.quality || 'source',
+            // fMP4 init section, low-latency parts the segment was made of
+            init: segmentInfo.init || null,
+            parts: segmentInfo.parts || [],
+            discontinuity: !!segmentInfo.discontinuity,
+            ad: !!segmentInfo.ad,
+            // Media time (ms) the player has before it, ads included
+            mediaTime: previous ? previous.mediaTime + previous.duration : 0
+        };
+
+        if (!this.segments.set(segment)) return false;
+
+        this.updateAdBreaks(segment);
+
+        const last = this.segments.last();
+        this.latestAvailableTime = last.timestamp + last.duration;
+        this.earliestAvailableTime = this.segments.first().timestamp;
+
+        this.emit('segmentAdded', segment);
+        return true;
+    }
+
+    /**
+     * Variants listed by the live usher playlist
+     */
+    setVariants(variants) {
+        this.variants = variants;
+    }
+
+    /**
+     * Process an HLS playlist and extract segment information.
+     * Variants share their media sequence numbers, a segment already seen in
+     * another quality is not added again to the stream timeline.
+     */
+    processPlaylist(playlistContent, baseUrl, variant = null) {
+        if (!this.isLive || !this.isEnabled) return;
+
+        if (variant) {
+            this.currentVariant = variant;
+        }
+
+        const playlist = this.parsePlaylist(playlistContent, baseUrl);
+
+        if (this.isSequenceRestart(playlist.segments, variant, baseUrl)) {
+            console.log('[TNS-DVR] Media sequence restarted, dropping the stream timeline');
+            this.restartTimeline();
+        }
+
+        const timeline = this.getTimeline(variant, baseUrl);
+
+        this.lastPlaylistTime = Date.now();
+        this.currentTimelineKey = timeline.key;
+
+        let added = 0;
+
+        for (const entry of playlist.segments) {
+            this.addToTimeline(timeline, entry);
+
+            if (!this.segments.has(entry.sequence) && this.insertSegment({ ...entry, quality: variant ? variant.name : undefined })) {
+                added++;
+            }
+        }
+
+        timeline.partial = playlist.partial;
+        timeline.prefetch = playlist.prefetch;
+
+        // One cleanup and one timeline update per refresh
+        if (added > 0) {
+            this.cleanupOldSegments();
+            this.emitTimelineUpdate();
+        }
+    }
+
+    /**
+     * The stream restarted its media sequence numbers (encoder restart): the
+     * playlist starts before the segments kept, or the variant has another
+     * segment at its first sequence
+     */
+    isSequenceRestart(segments, variant, baseUrl) {
+        if (segments.length === 0 || this.segments.length === 0) return false;
+
+        const first = segments[0];
+        if (first.sequence < this.segments.firstSequence) return true;
+
+        const known = this.timelines.get(variant?.resKey || baseUrl.split('?')[0])?.segments.get(first.sequence);
+        return !!known && known.url !== first.url;
+    }
+
+    /**
+     * Forget the segments of the stream, keeping the stream itself tracked
+     */
+    restartTimeline() {
+        this.segments.clear();
+        this.timelines.clear();
+        this.currentTimelineKey = null;
+        this.adBreaks = [];
+        this.currentSegmentIndex = -1;
+        this.earliestAvailableTime = null;
+        this.latestAvailableTime = null;
+    }
+
+    /**
+     * Timeline of a variant, by quality when the worker knows it
+     */
+    getTimeline(variant, baseUrl) {
+        const key = variant?.resKey || baseUrl.split('?')[0];
+
+        if (!this.timelines.has(key)) {
+            this.timelines.set(key, { key, variant, segments: new DVRSegmentRing(this.maxSegments), partial: null, prefetch: [] });
+        }
+
+        return this.timelines.get(key);
+    }
+
+    /**
+     * Add a completed segment to a variant timeline, with the parts seen
+     * while it was being produced when the playlist no longer lists them
+     */
+    addToTimeline(timeline, entry) {
+        if (timeline.partial && timeline.partial.sequence === entry.sequence) {
+            if (entry.parts.length === 0) {
+                entry.parts = timeline.partial.parts;
+            }
+            timeline.partial = null;
+        }
+
+        const existing = timeline.segments.get(entry.sequence);
+
+        if (!existing) {
+            timeline.segments.set(entry);
+        } else if (entry.parts.length > 0) {
+            existing.parts = entry.parts;
+        }
+    }
+
+    /**
+     * Read the segments of a live media playlist with their broadcast time
+     * (durations in ms), and the segment being produced
+     */
+    parsePlaylist(playlistContent, baseUrl) {
+        const playlist = this.parser.parse(playlistContent, baseUrl);
+
+        for (const range of playlist.dateRanges) {
+            this.addDateRange(range);
+        }
+
+        const segments = playlist.segments.map(segment => ({
+            url: segment.uri,
+            title: segment.title,
+            ad: this.isAdTitle(segment.title),
+            duration: segment.duration * 1000 || this.segmentDuration,
+            sequence: segment.sequence,
+            timestamp: segment.programDateTime,
+            timeSource: segment.programDateTime !== null ? 'program-date-time' : null,
+            init: segment.map?.uri || null,
+            parts: segment.parts,
+            discontinuity: segment.discontinuity
+        }));
+
+        this.fillTimestamps(segments);
+        this.markAdSegments(segments);
+
+        if (segments.length > 0 && playlist.elapsed !== null && segments[0].timeSource !== 'arrival') {
+            this.broadcastStartTime = segments[0].timestamp - playlist.elapsed * 1000;
+        }
+
+        return { segments, partial: playlist.partial, prefetch: playlist.prefetch };
+    }
+
+    /**
+     * Give a time to the segments without their own date: from the closest
+     * dated segment, else from the playlist creation date of Twitch (end of
+     * the last segment), else from the local clock.
+     * A stitched ad does not last as long as the stream it replaces, so
+     * times are first carried within a run of segments between two
+     * discontinuities, then across them.
+     */
+    fillTimestamps(segments) {
+        const dated = segments.findIndex(segment => segment.timestamp !== null);
+
+        if (dated < 0) {
+            const created = this.getPlaylistCreationTime();
+            let time = created || Date.now();
+
+            for (let i = segments.length - 1; i >= 0; i--) {
+                time -= segments[i].duration;
+                segments[i].timestamp = time;
+                segments[i].timeSource = created ? 'date-range' : 'arrival';
+            }
+            return;
+        }
+
+        for (const acrossDiscontinuities of [false, true]) {
+            for (let i = 1; i < segments.length; i++) {
+                const previous = segments[i - 1];
+
+                if (segments[i].timestamp === null && previous.timestamp !== null && (acrossDiscontinuities || !segments[i].discontinuity)) {
+                    segments[i].timestamp = previous.timestamp + previous.duration;
+                    segments[i].timeSource = previous.timeSource;
+                }
+            }
+
+            for (let i = segments.length - 2; i >= 0; i--) {
+                const next = segments[i + 1];
+
+                if (segments[i].timestamp === null && next.timestamp !== null && (acrossDiscontinuities || !next.discontinuity)) {
+                    segments[i].timestamp = next.timestamp - segments[i].duration;
+                    segments[i].timeSource = next.timeSource;
+                }
+            }
+        }
+    }
+
+    /**
+     * Segment title of a stitched ad. Other titles are stream content, the
+     * ads without one are found from their date range (markAdSegments).
+     */
+    isAdTitle(title) {
+        return !!title && DVR_AD_SEGMENT_TITLES.some(prefix => title.startsWith(prefix));
+    }
+
+    /**
+     * Flag the segments starting during a stitched ad date range
+     */
+    markAdSegments(segments) {
+        const ranges = Array.from(this.dateRanges.values()).filter(range =>
+            range.startDate !== null && range.duration !== null &&
+            (DVR_AD_DATERANGE_CLASSES.includes(range.class) || range.id.startsWith('stitched-ad'))
+        );
+
+        for (const segment of segments) {
+            if (ranges.some(range => segment.timestamp >= range.startDate && segment.timestamp < range.startDate + range.duration)) {
+                segment.ad = true;
+            }
+        }
+    }
+
+    /**
+     * Ad segments following each other make one break, lasting in broadcast
+     * time until the stream content after the last one
+     */
+    updateAdBreaks(segment) {
+        const last = this.adBreaks.at(-1);
+        const follows = last && last.endSequence === segment.sequence;
+
+        if (segment.ad && follows) {
+            last.endSequence = segment.sequence + 1;
+            last.endTime = Math.max(last.endTime, segment.timestamp + segment.duration);
+            last.mediaDuration += segment.duration;
+        } else if (segment.ad) {
+            console.log(`[TNS-DVR] Ad break at sequence ${segment.sequence}`);
+
+            this.adBreaks.push({
+                startTime: segment.timestamp,
+                endTime: segment.timestamp + segment.duration,
+                startSequence: segment.sequence,
+                endSequence: segment.sequence + 1,
+                mediaDuration: segment.duration,
+                ended: false
+            });
+        } else if (follows && !last.ended) {
+            last.endTime = Math.max(last.endTime, segment.timestamp);
+            last.ended = true;
+        }
+    }
+
+    /**
+     * Ad break covering a broadcast time
+     */
+    getAdBreakAt(timestamp) {
+        return this.adBreaks.find(adBreak => timestamp >= adBreak.startTime && timestamp < adBreak.endTime) || null;
+    }
+
+    /**
+     * Total broadcast time of the ad breaks kept, in ms
+     */
+    getAdDuration() {
+        return this.adBreaks.reduce((total, adBreak) => total + adBreak.endTime - adBreak.startTime, 0);
+    }
+
+    /**
+     * Remember an #EXT-X-DATERANGE tag by ID (dates in ms)
+     */
+    addDateRange(range) {
+        // Every playlist has its own creation date, only the last one is useful
+        if (range.class === 'timestamp') {
+            for (const [id, existing] of this.dateRanges) {
+                if (existing.class === 'timestamp') this.dateRanges.delete(id);
+            }
+        }
+
+        this.dateRanges.set(range.id, {
+            ...range,
+            duration: range.duration !== null ? range.duration * 1000 : null
+        });
+    }
+
+    /**
+     * Creation date of the last playlist, from Twitch's "timestamp" date range
+     */
+    getPlaylistCreationTime() {
+        let latest = null;
+
+        for (const range of this.dateRanges.values()) {
+            if (range.class === 'timestamp' && range.startDate && (!latest || range.startDate > latest)) {
+                latest = range.startDate;
+            }
+        }
+
+        return latest;
+    }
+
+    /**
+     * Broadcast time at the live edge now: end of the last segment, moved
+     * forward by the time since its playlist was read
+     */
+    getLiveEdgeTime() {
+        if (!this.latestAvailableTime || !this.lastPlaylistTime) return null;
+
+        // Playlists are refreshed every segment, don't run ahead when they stop
+        const sinceRefresh = Math.min(Date.now() - this.lastPlaylistTime, 2 * this.segmentDuration);
+
+        // Low-latency playlists already list the parts of the next segment
+        const partial = this.timelines.get(this.currentTimelineKey)?.partial;
+        const partialDuration = partial ? partial.duration * 1000 : 0;
+
+        return this.latestAvailableTime + Math.max(partialDuration, sinceRefresh);
+    }
+
+    /**
+     * Media time (ms) the player has from a broadcast time to the live edge.
+     * Not the broadcast time between them when ads were stitched in.
+     */
+    getMediaBehindLive(timestamp) {
+        const segment = this.segments.findByTime(timestamp);
+        const last = this.segments.last();
+
+        if (!segment || !last) return null;
+
+        const offset = Math.min(timestamp - segment.timestamp, segment.duration);
+        const sinceLast = (this.getLiveEdgeTime() || this.latestAvailableTime) - this.latestAvailableTime;
+
+        return last.mediaTime + last.duration - (segment.mediaTime + offset) + sinceLast;
+    }
+
+    /**
+     * Remove segments that are older than maxBufferDuration, oldest first
+     */
+    cleanupOldSegments() {
+        const now = Date.now();
+        const cutoffTime = now - this.maxBufferDuration;
+
+        const oldLength = this.segments.length;
+
+        for (const ring of [this.segments, ...Array.from(this.timelines.values(), timeline => timeline.segments)]) {
+            while (ring.length > 0 && ring.first().timestamp <= cutoffTime) {
+                ring.shift();
+            }
+        }
+
+        if (this.segments.length > 0) {
+            this.earliestAvailableTime = this.segments.first().timestamp;
+        }
+
+        this.adBreaks = this.adBreaks.filter(adBreak => adBreak.endTime > this.earliestAvailableTime);
+
+        // Date ranges that ended before the timeline
+        for (const [id, range] of this.dateRanges) {
+            if (range.startDate !== null && range.startDate + (range.duration || 0) < this.earliestAvailableTime) {
+                this.dateRanges.delete(id);
+            }
+        }
+
+        if (oldLength !== this.segments.length) {
+            console.log(`[TNS-DVR] Cleaned up ${oldLength - this.segments.length} old segments`);
+        }
+    }
+
+    /**
+     * Emit timeline update event with current state
+     */
+    emitTimelineUpdate() {
+        this.emit('timelineUpdated', {
+            isLive: this.isLive,
+            streamStartTime: this.streamStartTime,
+            earliestAvailable: this.earliestAvailableTime,
+            latestAvailable: this.latestAvailableTime,
+            bufferDuration: this.getBufferDuration(),
+            segmentCount: this.segments.length,
+            canSeekBack: this.canSeekBack(),
+            adBreaks: this.adBreaks
+        });
+    }
+
+    /**
+     * Get the total duration of buffered content in milliseconds
+     */
+    getBufferDuration() {
+        if (!this.earliestAvailableTime || !this.latestAvailableTime) return 0;
+        return this.latestAvailableTime - this.earliestAvailableTime;
+    }
+
+    /**
+     * Check if seeking backwards is possible
+     */
+    canSeekBack() {
+        return this.segments.length > 1 && this.getBufferDuration() > 5000;
+    }
+
+    /**
+     * Get the stream segment at a specific timestamp, none during an ad
+     */
+    getSegmentAtTime(timestamp) {
+        const seg = this.segments.findByTime(timestamp);
+
+        if (seg && !seg.ad && timestamp < seg.timestamp + seg.duration) {
+            // Index in the ring, from the oldest sequence kept
+            return { segment: seg, index: seg.sequence - this.segments.firstSequence };
+        }
+        return null;
+    }
+
+    /**
+     * Get a range of stream segments for seeking, ads left out
+     */
+    getSegmentsInRange(startTime, endTime) {
+        return this.segments.getRange(startTime, endTime).filter(seg => !seg.ad);
+    }
+
+    /**
+     * Calculate the current position as a percentage of the buffer
+     */
+    getPositionPercentage(currentTimestamp) {
+        const duration = this.getBufferDuration();
+        if (duration === 0) return 100;
+        
+        const position = currentTimestamp - this.earliestAvailableTime;
+        return Math.min(100, Math.max(0, (position / duration) * 100));
+    }
+
+    /**
+     * Get timestamp from percentage position
+     */
+    getTimestampFromPercentage(percentage) {
+        const duration = this.getBufferDuration();
+        return this.earliestAvailableTime + (duration * percentage / 100);
+    }
+
+    /**
+     * Format duration for display (HH:MM:SS)
+     */
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        if (hours > 0) {
+            return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        }
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Get a summary of the current DVR state
+     */
+    getState() {
+        return {
+            isLive: this.isLive,
+            isEnabled: this.isEnabled,
+            channelName: this.channelName,
+            streamStartTime: this.streamStartTime,
+            earliestAvailable: this.earliestAvailableTime,
+            latestAvailable: this.latestAvailableTime,
+            bufferDuration: this.getBufferDuration(),
+            bufferDurationFormatted: this.formatDuration(this.getBufferDuration()),
+            segmentCount: this.segments.length,
+            canSeekBack: this.canSeekBack(),
+            broadcastStartTime: this.broadcastStartTime,
+            liveEdgeTime: this.getLiveEdgeTime(),
+            timeSource: this.segments.last()?.timeSource || null,
+            adBreaks: this.adBreaks,
+            adDuration: this.getAdDuration(),
+            variants: this.variants,
+            currentVariant: this.currentVariant,
+            timelines: Array.from(this.timelines.values(), timeline => ({
+                key: timeline.key,
+                segmentCount: timeline.segments.length,
+                init: timeline.segments.last()?.init || null,
+                partialParts: timeline.partial ? timeline.partial.parts.length : 0
+            }))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.TNS_DVRTracker = DVRTracker;
+}
+
+// For worker context
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+    self.TNS_DVRTracker = DVRTracker;
+}
+
+// ---- src/dvr/dvr-ui.js ----
+/**
+ * TwitchNoSub DVR UI
+ * Exact replica of Twitch's native VOD seekbar
+ */
+
+class DVRUI {
+    constructor() {
+        this.container = null;
+        this.seekbar = null;
+        this.progressSegment = null;
+        this.bufferSegment = null;
+        this.adBreaksEl = null;
+        this.playhead = null;
+        this.currentTimeEl = null;
+        this.durationEl = null;
+        this.seekPreview = null;
+
+        this.isVisible = false;
+        this.isDragging = false;
+        this.currentPosition = 100;
+        this.isAtLive = true;
+
+        // Callbacks
+        this.onSeek = null;
+        this.onGoLive = null;
+        this.onPreview = null;
+        this.onReturnToLive = null;
+        this.onToggleSkipMuted = null;
+        this.onRecoverVod = null;
+        this.onToggleAudioOnly = null;
+        this.onToggleExport = null;
+        this.onExportStart = null;
+        this.onExportCancel = null;
+        this.onTogglePlaylist = null;
+        this.onPlaylistCopy = null;
+        this.onPlaylistDownload = null;
+
+        this.diagnosticsExpanded = false;
+
+        this.lastMouseMoveTime = 0;
+
+        this.injectStyles();
+        console.log('[TNS-DVR] UI module initialized');
+    }
+
+    /**
+     * Inject CSS styles - exact Twitch VOD seekbar styling
+     */
+    injectStyles() {
+        if (document.getElementById('tns-dvr-styles')) return;
+
+        const styles = document.createElement('style');
+        styles.id = 'tns-dvr-styles';
+        styles.textContent = `
+            /* Main DVR controls container */
+            .tns-dvr-controls {
+                position: absolute;
+                bottom: 50px;
+                left: 0;
+                right: 0;
+                z-index: 100;
+                opacity: 0;
+                visibility: hidden;
+                transition: opacity 0.2s ease, visibility 0.2s ease;
+                pointer-events: none;
+            }
+
+            .tns-dvr-controls.visible {
+                opacity: 1;
+                visibility: visible;
+                pointer-events: auto;
+            }
+
+            /* Time labels row - matches .vod-seekbar-time-labels */
+            .tns-dvr-time-labels {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 0 10px;
+                margin-bottom: 5px;
+            }
+
+            .tns-dvr-time-text {
+                font-family: 'Roobert', 'Inter', 'Helvetica Neue', Helvetica, Arial, sans-serif;
+                font-size: 13px;
+                font-weight: 400;
+                color: #fff;
+                text-shadow: 0 0 2px rgba(0,0,0,0.8);
+            }
+
+            /* Live indicator badge */
+            .tns-dvr-live-badge {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                padding: 2px 6px;
+                background: #eb0400;
+                border-radius: 2px;
+                font-size: 11px;
+                font-weight: 700;
+                text-transform: uppercase;
+                cursor: pointer;
+                transition: background 0.2s ease;
+            }
+
+            .tns-dvr-live-badge:hover {
+                background: #ff3333;
+            }
+
+            .tns-dvr-live-badge.at-live {
+                background: #00ad03;
+            }
+
+            .tns-dvr-live-dot {
+                width: 6px;
+                height: 6px;
+                background: #fff;
+                border-radius: 50%;
+            }
+
+            /* DVR status badge */
+            .tns-dvr-status {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                padding: 2px 6px;
+                background: rgba(145, 71, 255, 0.9);
+                border-radius: 2px;
+                font-size: 10px;
+                font-weight: 700;
+                text-transform: uppercase;
+                margin-left: 8px;
+            }
+
+            .tns-dvr-status.watching-vod {
+                background: rgba(235, 4, 0, 0.9);
+            }
+
+            /* Seekbar interaction area - matches .seekbar-interaction-area */
+            .tns-dvr-seekbar-area {
+                position: relative;
+                height: 20px;
+                padding: 0 10px;
+                cursor: pointer;
+                display: flex;
+                align-items: center;
+            }
+
+            /* The actual seekbar - matches .seekbar-bar */
+            .tns-dvr-seekbar {
+                position: relative;
+                width: 100%;
+                height: 5px;
+                background: rgba(255, 255, 255, 0.2);
+                border-radius: 2px;
+                transition: height 0.1s ease;
+            }
+
+            .tns-dvr-seekbar-area:hover .tns-dvr-seekbar {
+                height: 10px;
+            }
+
+            /* Buffer segment - purple transparent */
+            .tns-dvr-segment-buffer {
+                position: absolute;
+                top: 0;
+                left: 0;
+                height: 100%;
+                background: rgba(169, 112, 255, 0.4);
+                border-radius: 2px;
+                transition: width 0.1s linear;
+            }
+
+            /* Progress segment - Twitch purple #a970ff = rgb(169, 112, 255) */
+            .tns-dvr-segment-progress {
+                position: absolute;
+                top: 0;
+                left: 0;
+                height: 100%;
+                background: rgb(169, 112, 255);
+                border-radius: 2px;
+                transition: width 0.1s linear;
+            }
+
+            /* Stitched ad breaks, skipped when seeking */
+            .tns-dvr-ad-break {
+                position: absolute;
+                top: 0;
+                height: 100%;
+                background: rgba(255, 214, 0, 0.85);
+                pointer-events: none;
+            }
+
+            /* Playhead/scrubber - matches the white indicator */
+            .tns-dvr-playhead {
+                position: absolute;
+                top: 50%;
+                transform: translate(-50%, -50%);
+                width: 12px;
+                height: 12px;
+                background: rgba(255, 255, 255, 0.95);
+                border-radius: 50%;
+                box-shadow: 0 0 4px rgba(0,0,0,0.5);
+                opacity: 0;
+                transition: opacity 0.1s ease;
+            }
+
+            .tns-dvr-seekbar-area:hover .tns-dvr-playhead,
+            .tns-dvr-controls.dragging .tns-dvr-playhead {
+                opacity: 1;
+            }
+
+            /* Seek preview tooltip */
+            .tns-dvr-preview {
+                position: absolute;
+                bottom: 100%;
+                left: 0;
+                transform: translateX(-50%);
+                margin-bottom: 8px;
+                padding: 4px 8px;
+                background: rgba(0, 0, 0, 0.85);
+                border-radius: 4px;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 600;
+                color: #fff;
+                white-space: nowrap;
+                pointer-events: none;
+                opacity: 0;
+                transition: opacity 0.1s ease;
+                z-index: 10;
+            }
+
+            .tns-dvr-preview.visible {
+                opacity: 1;
+            }
+
+            /* Return to Live button - integrated in Twitch controls */
+            .tns-return-live-btn {
+                display: inline-flex !important;
+                align-items: center;
+                gap: 4px;
+                padding: 5px 10px;
+                margin-right: 8px;
+                background: linear-gradient(135deg, #eb0400 0%, #cc0000 100%);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 700;
+                cursor: pointer;
+                transition: all 0.15s ease;
+                text-decoration: none;
+            }
+
+            .tns-return-live-btn:hover {
+                background: linear-gradient(135deg, #ff3333 0%, #eb0400 100%);
+                transform: scale(1.02);
+            }
+
+            /* Recover VOD button - shown over the player when a VOD has no metadata */
+            .tns-recover-vod-btn {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                z-index: 100;
+                padding: 8px 16px;
+                background: linear-gradient(135deg, rgba(145, 71, 255, 0.95) 0%, rgba(102, 51, 153, 0.95) 100%);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 13px;
+                font-weight: 700;
+                cursor: pointer;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            }
+
+            /* Muted ranges drawn over Twitch's native VOD seekbar */
+            .tns-muted-ranges {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                pointer-events: none;
+                z-index: 1;
+            }
+
+            .tns-muted-range {
+                position: absolute;
+                top: 0;
+                height: 100%;
+                background: repeating-linear-gradient(135deg, rgba(255, 255, 255, 0.55) 0 3px, rgba(255, 255, 255, 0.2) 3px 6px);
+            }
+
+            /* Skip muted sections toggle - integrated in Twitch controls */
+            .tns-skip-muted-btn {
+                display: inline-flex !important;
+                align-items: center;
+                gap: 4px;
+                padding: 5px 10px;
+                margin-right: 8px;
+                background: rgba(255, 255, 255, 0.15);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 700;
+                cursor: pointer;
+                transition: background 0.15s ease;
+            }
+
+            .tns-skip-muted-btn:hover {
+                background: rgba(255, 255, 255, 0.25);
+            }
+
+            .tns-skip-muted-btn.active {
+                background: rgb(145, 71, 255);
+            }
+
+            /* Audio only toggle - Twitch controls on VOD pages, top left of the VOD overlay */
+            .tns-audio-only-btn {
+                display: inline-flex !important;
+                align-items: center;
+                padding: 5px 10px;
+                margin-right: 8px;
+                background: rgba(255, 255, 255, 0.15);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                font-weight: 700;
+                cursor: pointer;
+                transition: background 0.15s ease;
+            }
+
+            .tns-audio-only-btn:hover {
+                background: rgba(255, 255, 255, 0.25);
+            }
+
+            .tns-audio-only-btn.active {
+                background: rgb(145, 71, 255);
+            }
+
+            /* Unlock diagnostics panel on VOD pages */
+            .tns-diagnostics-panel {
+                position: absolute;
+                bottom: 60px;
+                left: 10px;
+                z-index: 100;
+                max-width: 420px;
+                padding: 6px 10px;
+                background: rgba(0, 0, 0, 0.75);
+                border-radius: 4px;
+                color: #efeff1;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                line-height: 1.5;
+                pointer-events: auto;
+            }
+
+            .tns-diagnostics-summary {
+                font-weight: 700;
+                cursor: pointer;
+            }
+
+            .tns-diagnostics-details {
+                margin-top: 4px;
+                cursor: text;
+                user-select: text;
+            }
+
+            .tns-diagnostics-row span:first-child {
+                color: #adadb8;
+            }
+
+            .tns-diagnostics-error {
+                color: #ff8280;
+            }
+
+            .tns-audio-only-btn.overlay {
+                position: absolute;
+                top: 10px;
+                left: 10px;
+                z-index: 100;
+                padding: 8px 16px;
+                margin: 0;
+                background: rgba(0, 0, 0, 0.6);
+                font-size: 13px;
+            }
+
+            /* Export range panel on VOD pages */
+            .tns-export-panel {
+                position: absolute;
+                bottom: 60px;
+                right: 10px;
+                z-index: 100;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                width: 240px;
+                padding: 10px;
+                background: rgba(0, 0, 0, 0.85);
+                border-radius: 4px;
+                color: #efeff1;
+                font-family: 'Roobert', 'Inter', sans-serif;
+                font-size: 12px;
+                pointer-events: auto;
+            }
+
+            .tns-export-panel label {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+            }
+
+            .tns-export-panel input,
+            .tns-export-panel select {
+                width: 100px;
+                padding: 3px 6px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-family: inherit;
+            }
+
+            .tns-export-panel button {
+                padding: 5px 10px;
+                background: rgb(145, 71, 255);
+                border: none;
+                border-radius: 4px;
+                color: white;
+                font-family: inherit;
+                font-weight: 700;
+                cursor: pointer;
+            }
+
+            .tns-export-panel select option {
+                background: #18181b;
+            }
+
+            .tns-export-panel button:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .tns-export-note {
+                color: #adadb8;
+                font-size: 11px;
+                line-height: 1.3;
+            }
+
+            .tns-export-progress {
+                height: 4px;
+                background: rgba(255, 255, 255, 0.2);
+                border-radius: 2px;
+                overflow: hidden;
+            }
+
+            .tns-export-progress-fill {
+                height: 100%;
+                width: 0%;
+                background: rgb(145, 71, 255);
+                transition: width 0.2s ease;
+            }
+        `;
+
+        document.head.appendChild(styles);
+    }
+
+    /**
+     * Create the DVR UI - exact Twitch VOD seekbar structure
+     */
+    create() {
+        if (this.container) return;
+
+        this.container = document.createElement('div');
+        this.container.className = 'tns-dvr-controls';
+        this.container.innerHTML = `
+            <div class="tns-dvr-time-labels">
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span class="tns-dvr-time-text tns-dvr-current">0:00</span>
+                    <span class="tns-dvr-status">DVR</span>
+                </div>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <span class="tns-dvr-time-text tns-dvr-duration">0:00</span>
+                    <span class="tns-dvr-live-badge at-live">
+                        <span class="tns-dvr-live-dot"></span>
+                        LIVE
+                    </span>
+                </div>
+            </div>
+            <div class="tns-dvr-seekbar-area">
+                <div class="tns-dvr-seekbar">
+                    <span class="tns-dvr-segment-buffer"></span>
+                    <span class="tns-dvr-segment-progress"></span>
+                    <span class="tns-dvr-ad-breaks"></span>
+                    <span class="tns-dvr-playhead"></span>
+                </div>
+                <div class="tns-dvr-preview"></div>
+            </div>
+        `;
+
+        // Get references
+        this.seekbar = this.container.querySelector('.tns-dvr-seekbar');
+        this.seekbarArea = this.container.querySelector('.tns-dvr-seekbar-area');
+        this.progressSegment = this.container.querySelector('.tns-dvr-segment-progress');
+        this.bufferSegment = this.container.querySelector('.tns-dvr-segment-buffer');
+        this.adBreaksEl = this.container.querySelector('.tns-dvr-ad-breaks');
+        this.playhead = this.container.querySelector('.tns-dvr-playhead');
+        this.currentTimeEl = this.container.querySelector('.tns-dvr-current');
+        this.durationEl = this.container.querySelector('.tns-dvr-duration');
+        this.statusBadge = this.container.querySelector('.tns-dvr-status');
+        this.liveBadge = this.container.querySelector('.tns-dvr-live-badge');
+        this.seekPreview = this.container.querySelector('.tns-dvr-preview');
+
+        // Setup event listeners
+        this.setupEventListeners();
+
+        console.log('[TNS-DVR] UI created');
+    }
+
+    /**
+     * Setup mouse and touch event listeners
+     */
+    setupEventListeners() {
+        // Seekbar events
+        this.seekbarArea.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.seekbarArea.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.seekbarArea.addEventListener('mouseleave', this.handleMouseLeave.bind(this));
+
+        document.addEventListener('mousemove', this.handleDocumentMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+
+        // Live badge click
+        this.liveBadge.addEventListener('click', this.handleGoLive.bind(this));
+
+        // Touch events
+        this.seekbarArea.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
+        this.seekbarArea.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
+        this.seekbarArea.addEventListener('touchend', this.handleTouchEnd.bind(this));
+    }
+
+    /**
+     * Create Return to Live button in Twitch controls
+     */
+    createReturnToLiveButton(channelLogin, channelName) {
+        this.removeReturnToLiveButton();
+
+        const controlBar = document.querySelector('.player-controls__right-control-group');
+        if (!controlBar) {
+            console.warn('[TNS-DVR] Could not find Twitch control bar');
+            return null;
+        }
+
+        const button = document.createElement('a');
+        button.id = 'tns-return-live-btn';
+        button.className = 'tns-return-live-btn';
+        button.href = `/${channelLogin}`;
+        button.innerHTML = `<span class="tns-dvr-live-dot"></span> Retour au Live`;
+
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onReturnToLive) {
+                this.onReturnToLive(channelLogin);
+            }
+        };
+
+        controlBar.insertBefore(button, controlBar.firstChild);
+        console.log('[TNS-DVR] Return to Live button created');
+        return button;
+    }
+
+    /**
+     * Remove Return to Live button
+     */
+    removeReturnToLiveButton() {
+        const existing = document.getElementById('tns-return-live-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the "Recover VOD" button over the player
+     */
+    createRecoverVodButton() {
+        this.removeRecoverVodButton();
+
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        const button = document.createElement('button');
+        button.id = 'tns-recover-vod-btn';
+        button.className = 'tns-recover-vod-btn';
+        button.textContent = '🛠️ Récupérer la VOD';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onRecoverVod) {
+                this.onRecoverVod();
+            }
+        };
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Remove the "Recover VOD" button
+     */
+    removeRecoverVodButton() {
+        const existing = document.getElementById('tns-recover-vod-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Draw muted ranges (in seconds) over Twitch's native VOD seekbar
+     */
+    renderMutedRanges(ranges, duration) {
+        const seekbar = document.querySelector('[data-a-target="player-seekbar"] .seekbar-bar') ||
+            document.querySelector('.seekbar-bar');
+
+        if (!seekbar || !duration) return false;
+
+        const key = `${duration}:${ranges.length}`;
+        const existing = seekbar.querySelector('.tns-muted-ranges');
+
+        // Twitch re-renders the seekbar, only redraw when it is missing or stale
+        if (existing && existing.dataset.key === key) return true;
+        if (existing) existing.remove();
+
+        const container = document.createElement('div');
+        container.className = 'tns-muted-ranges';
+        container.dataset.key = key;
+
+        ranges.forEach(range => {
+            const element = document.createElement('span');
+            element.className = 'tns-muted-range';
+            element.style.left = `${(range.start / duration) * 100}%`;
+            element.style.width = `${((range.end - range.start) / duration) * 100}%`;
+            element.title = 'Muted';
+            container.appendChild(element);
+        });
+
+        if (getComputedStyle(seekbar).position === 'static') {
+            seekbar.style.position = 'relative';
+        }
+        seekbar.appendChild(container);
+        return true;
+    }
+
+    /**
+     * Remove muted ranges from the native seekbar
+     */
+    removeMutedRanges() {
+        document.querySelectorAll('.tns-muted-ranges').forEach(element => element.remove());
+    }
+
+    /**
+     * Create or update the "Skip muted" toggle in Twitch controls
+     */
+    updateSkipMutedToggle(enabled) {
+        let button = document.getElementById('tns-skip-muted-btn');
+
+        if (!button) {
+            const controlBar = document.querySelector('.player-controls__right-control-group');
+            if (!controlBar) return null;
+
+            button = document.createElement('button');
+            button.id = 'tns-skip-muted-btn';
+            button.className = 'tns-skip-muted-btn';
+            button.title = 'Passer les sections muettes';
+            button.onclick = (e) => {
+                e.preventDefault();
+                if (this.onToggleSkipMuted) {
+                    this.onToggleSkipMuted();
+                }
+            };
+
+            controlBar.insertBefore(button, controlBar.firstChild);
+        }
+
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '🔇 Passer muets : ON' : '🔇 Passer muets : OFF';
+        return button;
+    }
+
+    /**
+     * Remove the "Skip muted" toggle
+     */
+    removeSkipMutedToggle() {
+        const existing = document.getElementById('tns-skip-muted-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create an "Audio only" toggle button
+     */
+    createAudioOnlyButton(id) {
+        const button = document.createElement('button');
+        button.id = id;
+        button.className = 'tns-audio-only-btn';
+        button.title = 'Écouter la VOD sans la vidéo';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onToggleAudioOnly) {
+                this.onToggleAudioOnly();
+            }
+        };
+
+        return button;
+    }
+
+    setAudioOnlyButtonState(button, enabled) {
+        button.classList.toggle('active', enabled);
+        button.textContent = enabled ? '🎧 Audio seul : ON' : '🎧 Audio seul : OFF';
+    }
+
+    /**
+     * Create or update the "Audio only" toggle in Twitch controls
+     */
+    updateAudioOnlyToggle(enabled) {
+        let button = document.getElementById('tns-audio-only-btn');
+
+        if (!button) {
+            const controlBar = document.querySelector('.player-controls__right-control-group');
+            if (!controlBar) return null;
+
+            button = this.createAudioOnlyButton('tns-audio-only-btn');
+            controlBar.insertBefore(button, controlBar.firstChild);
+        }
+
+        this.setAudioOnlyButtonState(button, enabled);
+        return button;
+    }
+
+    /**
+     * Create or update the "Audio only" toggle of the VOD overlay
+     */
+    updateOverlayAudioOnlyToggle(overlay, enabled) {
+        let button = document.getElementById('tns-vod-audio-only-btn');
+
+        if (!button) {
+            if (!overlay) return null;
+
+            button = this.createAudioOnlyButton('tns-vod-audio-only-btn');
+            button.classList.add('overlay');
+            overlay.appendChild(button);
+        }
+
+        this.setAudioOnlyButtonState(button, enabled);
+        return button;
+    }
+
+    /**
+     * Create the "Export" button in Twitch controls
+     */
+    updateExportButton() {
+        let button = document.getElementById('tns-export-btn');
+        if (button) return button;
+
+        const controlBar = document.querySelector('.player-controls__right-control-group');
+        if (!controlBar) return null;
+
+        button = document.createElement('button');
+        button.id = 'tns-export-btn';
+        button.className = 'tns-skip-muted-btn';
+        button.title = 'Enregistrer un extrait de la VOD en MP4';
+        button.textContent = '✂️ Exporter';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onToggleExport) {
+                this.onToggleExport();
+            }
+        };
+
+        controlBar.insertBefore(button, controlBar.firstChild);
+        return button;
+    }
+
+    /**
+     * Remove the "Export" button
+     */
+    removeExportButton() {
+        const existing = document.getElementById('tns-export-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the export panel with the range prefilled (formatted times)
+     */
+    showExportPanel(start, end) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        this.removeExportPanel();
+
+        const panel = document.createElement('div');
+        panel.id = 'tns-export-panel';
+        panel.className = 'tns-export-panel';
+
+        const createField = (label, value) => {
+            const field = document.createElement('label');
+            const input = document.createElement('input');
+
+            input.type = 'text';
+            input.value = value;
+            input.placeholder = 'H:MM:SS';
+
+            field.append(label, input);
+            panel.appendChild(field);
+            return input;
+        };
+
+        const startInput = createField('Début', start);
+        const endInput = createField('Fin', end);
+
+        const note = document.createElement('div');
+        note.className = 'tns-export-note';
+        note.textContent = 'Les VODs en fMP4 ne sont pas coupées dans un segment : la plage est arrondie aux segments qui la couvrent.';
+
+        const progress = document.createElement('div');
+        progress.className = 'tns-export-progress';
+        progress.innerHTML = '<div class="tns-export-progress-fill"></div>';
+
+        const status = document.createElement('div');
+        status.className = 'tns-export-status';
+
+        const exportButton = document.createElement('button');
+        exportButton.className = 'tns-export-start';
+        exportButton.textContent = 'Exporter en MP4';
+        exportButton.onclick = (e) => {
+            e.preventDefault();
+            if (this.onExportStart) {
+                this.onExportStart(startInput.value, endInput.value);
+            }
+        };
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'tns-export-cancel';
+        cancelButton.textContent = 'Annuler';
+        cancelButton.onclick = (e) => {
+            e.preventDefault();
+            if (this.onExportCancel) {
+                this.onExportCancel();
+            }
+        };
+
+        panel.append(note, progress, status, exportButton, cancelButton);
+
+        // Keep clicks and key presses from reaching the player
+        panel.onclick = (e) => e.stopPropagation();
+        panel.onkeydown = (e) => e.stopPropagation();
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Update the export panel: running state, progress (0 - 1) and status text
+     */
+    updateExportPanel(running, progress, status) {
+        const panel = document.getElementById('tns-export-panel');
+        if (!panel) return;
+
+        panel.querySelectorAll('input').forEach(input => input.disabled = running);
+        panel.querySelector('.tns-export-start').disabled = running;
+        panel.querySelector('.tns-export-progress-fill').style.width = `${Math.round(progress * 100)}%`;
+        panel.querySelector('.tns-export-status').textContent = status || '';
+    }
+
+    isExportPanelOpen() {
+        return !!document.getElementById('tns-export-panel');
+    }
+
+    /**
+     * Remove the export panel
+     */
+    removeExportPanel() {
+        const existing = document.getElementById('tns-export-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create the "Playlist" button in Twitch controls
+     */
+    updatePlaylistButton() {
+        let button = document.getElementById('tns-playlist-btn');
+        if (button) return button;
+
+        const controlBar = document.querySelector('.player-controls__right-control-group');
+        if (!controlBar) return null;
+
+        button = document.createElement('button');
+        button.id = 'tns-playlist-btn';
+        button.className = 'tns-skip-muted-btn';
+        button.title = 'Copier ou télécharger la playlist m3u8 pour un lecteur externe';
+        button.textContent = '📋 m3u8';
+        button.onclick = (e) => {
+            e.preventDefault();
+            if (this.onTogglePlaylist) {
+                this.onTogglePlaylist();
+            }
+        };
+
+        controlBar.insertBefore(button, controlBar.firstChild);
+        return button;
+    }
+
+    /**
+     * Remove the "Playlist" button
+     */
+    removePlaylistButton() {
+        const existing = document.getElementById('tns-playlist-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Show the playlist panel: quality (a variant or master) and optional start time
+     */
+    showPlaylistPanel(variants, start) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer) return null;
+
+        this.removePlaylistPanel();
+
+        const panel = document.createElement('div');
+        panel.id = 'tns-playlist-panel';
+        panel.className = 'tns-export-panel';
+
+        const qualityField = document.createElement('label');
+        const quality = document.createElement('select');
+        variants.forEach(variant => quality.add(new Option(variant.name, variant.resKey)));
+        quality.add(new Option('Toutes (master)', 'master'));
+        qualityField.append('Qualité', quality);
+
+        // Only a variant export has the muted copies of unmuted segments
+        const masterNote = document.createElement('div');
+        masterNote.className = 'tns-export-note';
+        masterNote.textContent = 'La master renvoie aux playlists de Twitch : mpv et VLC n\'y lisent pas les passages muets. Choisissez une qualité pour ces lecteurs.';
+
+        const updateMasterNote = () => masterNote.hidden = quality.value !== 'master';
+        quality.onchange = updateMasterNote;
+        updateMasterNote();
+
+        const startField = document.createElement('label');
+        const startInput = document.createElement('input');
+        startInput.type = 'text';
+        startInput.value = start;
+        startInput.placeholder = 'optionnel';
+        startField.append('Début', startInput);
+
+        const status = document.createElement('div');
+        status.className = 'tns-playlist-status';
+
+        const createButton = (text, action) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.onclick = (e) => {
+                e.preventDefault();
+
+                const callback = action === 'copy' ? this.onPlaylistCopy : this.onPlaylistDownload;
+                if (callback) {
+                    callback(quality.value, startInput.value);
+                }
+            };
+            return button;
+        };
+
+        panel.append(qualityField, masterNote, startField, status, createButton('Copier', 'copy'), createButton('Télécharger', 'download'));
+
+        // Keep clicks and key presses from reaching the player
+        panel.onclick = (e) => e.stopPropagation();
+        panel.onkeydown = (e) => e.stopPropagation();
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Show a status line in the playlist panel
+     */
+    updatePlaylistStatus(status) {
+        const element = document.querySelector('#tns-playlist-panel .tns-playlist-status');
+        if (element) element.textContent = status || '';
+    }
+
+    isPlaylistPanelOpen() {
+        return !!document.getElementById('tns-playlist-panel');
+    }
+
+    /**
+     * Remove the playlist panel
+     */
+    removePlaylistPanel() {
+        const existing = document.getElementById('tns-playlist-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Create or update the unlock diagnostics panel of a VOD
+     */
+    renderDiagnosticsPanel(diagnostics) {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (!playerContainer || !diagnostics) return null;
+
+        const key = `${diagnostics.vodId}:${diagnostics.updatedAt}:${this.diagnosticsExpanded}`;
+        let panel = document.getElementById('tns-diagnostics-panel');
+
+        if (panel && panel.dataset.key === key && playerContainer.contains(panel)) return panel;
+        if (panel) panel.remove();
+
+        panel = document.createElement('div');
+        panel.id = 'tns-diagnostics-panel';
+        panel.className = 'tns-diagnostics-panel';
+        panel.dataset.key = key;
+        panel.title = 'Diagnostic TwitchNoSub';
+
+        const summary = document.createElement('div');
+        summary.className = 'tns-diagnostics-summary';
+        summary.textContent = this.getDiagnosticsSummary(diagnostics);
+        summary.onclick = (e) => {
+            e.stopPropagation();
+            this.diagnosticsExpanded = !this.diagnosticsExpanded;
+            this.renderDiagnosticsPanel(diagnostics);
+        };
+        panel.appendChild(summary);
+
+        if (this.diagnosticsExpanded) {
+            const details = document.createElement('div');
+            details.className = 'tns-diagnostics-details';
+
+            for (const [label, value, isError] of this.getDiagnosticsRows(diagnostics)) {
+                const row = document.createElement('div');
+                row.className = isError ? 'tns-diagnostics-row tns-diagnostics-error' : 'tns-diagnostics-row';
+
+                const name = document.createElement('span');
+                name.textContent = `${label} : `;
+
+                const text = document.createElement('span');
+                text.textContent = value;
+
+                row.append(name, text);
+                details.appendChild(row);
+            }
+
+            // Keep clicks on the details from reaching the player
+            details.onclick = (e) => e.stopPropagation();
+            panel.appendChild(details);
+        }
+
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(panel);
+        return panel;
+    }
+
+    getDiagnosticsSummary(diagnostics) {
+        if (diagnostics.failures.length > 0) {
+            return `⚠️ TNS : échec du déblocage ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+        }
+
+        if (diagnostics.variants.length > 0) {
+            const count = diagnostics.variants.length;
+            return `🔓 TNS : VOD débloquée, ${count} qualité${count > 1 ? 's' : ''} ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+        }
+
+        return `⏳ TNS : déblocage en cours ${this.diagnosticsExpanded ? '▾' : '▸'}`;
+    }
+
+    /**
+     * [label, value, isError] rows of the diagnostics panel
+     */
+    getDiagnosticsRows(diagnostics) {
+        const rows = [];
+
+        if (diagnostics.usher) {
+            rows.push(['Usher', `v${diagnostics.usher.version} (HTTP ${diagnostics.usher.status})`]);
+        }
+
+        if (diagnostics.cache) {
+            rows.push(['Cache', diagnostics.cache.hit ? 'oui' : 'non']);
+        }
+
+        if (diagnostics.gql) {
+            const { status, error } = diagnostics.gql;
+            rows.push(['GQL', error ? `${status} (${error})` : status, status !== 'ok']);
+        }
+
+        if (diagnostics.recovery) {
+            rows.push(['Récupération', diagnostics.recovery.status, diagnostics.recovery.status === 'failed']);
+        }
+
+        if (diagnostics.host) {
+            const { host, template, verified, tried } = diagnostics.host;
+            rows.push(['Hôte', `${host} (${template})${verified ? '' : ' non vérifié'}`, !verified]);
+
+            if (tried?.length > 1) {
+                rows.push(['Hôtes essayés', String(tried.length)]);
+            }
+        }
+
+        for (const variant of diagnostics.variants) {
+            const parts = [variant.codecs];
+            if (variant.resolution) parts.push(variant.resolution);
+            if (variant.averageBandwidth) parts.push(`~${(variant.averageBandwidth / 1000000).toFixed(1)} Mb/s (estimé)`);
+
+            rows.push([variant.name, parts.join(' · ')]);
+        }
+
+        if (diagnostics.variantsComplete && diagnostics.variants.length > 0 && !diagnostics.variants[0].bandwidthEstimated) {
+            rows.push(['Débit', 'non mesuré, valeurs par défaut', true]);
+        }
+
+        if (diagnostics.variants.length > 0 && !diagnostics.variantsComplete) {
+            rows.push(['Qualités', 'recherche en cours…']);
+        }
+
+        for (const reason of diagnostics.failures) {
+            rows.push(['Erreur', reason, true]);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Remove the diagnostics panel
+     */
+    removeDiagnosticsPanel() {
+        const existing = document.getElementById('tns-diagnostics-panel');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Remove the "Audio only" toggle from Twitch controls
+     */
+    removeAudioOnlyToggle() {
+        const existing = document.getElementById('tns-audio-only-btn');
+        if (existing) existing.remove();
+    }
+
+    /**
+     * Attach UI to player
+     */
+    attach() {
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+
+        if (playerContainer && !playerContainer.contains(this.container)) {
+            playerContainer.style.position = 'relative';
+            playerContainer.appendChild(this.container);
+            playerContainer.classList.add('tns-dvr-attached'); // Mark container
+            console.log('[TNS-DVR] UI attached to player');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Show UI
+     */
+    show() {
+        if (!this.container) this.create();
+        if (!this.container.parentElement) this.attach();
+        this.container.classList.add('visible');
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide UI
+     */
+    hide() {
+        if (this.container) {
+            this.container.classList.remove('visible');
+        }
+        this.isVisible = false;
+    }
+
+    /**
+     * Update progress display
+     */
+    updateProgress(data) {
+        if (!this.container) return;
+
+        const {
+            position = 100,
+            bufferPosition = 100,
+            currentTime = '0:00',
+            duration = '0:00',
+            isAtLive = true,
+            behindLive = '0:00',
+            bufferDuration = '0:00',
+            hasVod = false,
+            isWatchingVod = false,
+            adBreaks = []
+        } = data;
+
+        this.currentPosition = position;
+        this.isAtLive = isAtLive;
+
+        // NEW: If watching VOD overlay, hide OUR custom bar so users use the VOD player's native bar
+        if (isWatchingVod) {
+            this.container.style.opacity = '0';
+            this.container.style.pointerEvents = 'none';
+        } else {
+            this.container.style.opacity = '';
+            this.container.style.pointerEvents = '';
+        }
+
+        // Update progress segment
+        this.progressSegment.style.width = `${position}%`;
+
+        // Update buffer segment (always 100% for now)
+        this.bufferSegment.style.width = `${bufferPosition}%`;
+
+        // Update playhead position
+        this.playhead.style.left = `${position}%`;
+
+        this.renderAdBreaks(adBreaks);
+
+        // Update time displays
+        if (isWatchingVod) {
+            this.currentTimeEl.textContent = '📺 VOD';
+        } else if (isAtLive) {
+            this.currentTimeEl.textContent = currentTime;
+        } else {
+            this.currentTimeEl.textContent = `-${behindLive}`;
+        }
+
+        this.durationEl.textContent = duration;
+
+        // Update status badge
+        if (isWatchingVod) {
+            this.statusBadge.textContent = '⏪ VOD';
+            this.statusBadge.classList.add('watching-vod');
+        } else if (hasVod) {
+            this.statusBadge.textContent = 'Full DVR';
+            this.statusBadge.classList.remove('watching-vod');
+        } else {
+            this.statusBadge.textContent = 'Buffer';
+            this.statusBadge.classList.remove('watching-vod');
+        }
+
+        // Update live badge
+        if (isWatchingVod || !isAtLive) {
+            this.liveBadge.classList.remove('at-live');
+        } else {
+            this.liveBadge.classList.add('at-live');
+        }
+    }
+
+    /**
+     * Draw the ad breaks, start and end in percent of the seekbar
+     */
+    renderAdBreaks(adBreaks) {
+        const elements = this.adBreaksEl.children;
+
+        while (elements.length > adBreaks.length) {
+            elements[elements.length - 1].remove();
+        }
+
+        adBreaks.forEach((adBreak, index) => {
+            let element = elements[index];
+
+            if (!element) {
+                element = document.createElement('span');
+                element.className = 'tns-dvr-ad-break';
+                element.title = 'Ad';
+                this.adBreaksEl.appendChild(element);
+            }
+
+            element.style.left = `${adBreak.start}%`;
+            element.style.width = `${adBreak.end - adBreak.start}%`;
+        });
+    }
+
+    /**
+     * Get position from mouse event
+     */
+    getPositionFromEvent(event) {
+        const rect = this.seekbar.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        return Math.max(0, Math.min(100, (x / rect.width) * 100));
+    }
+
+    /**
+     * Handle mouse down
+     */
+    handleMouseDown(event) {
+        event.preventDefault();
+        this.isDragging = true;
+        this.container.classList.add('dragging');
+
+        const position = this.getPositionFromEvent(event);
+        this.progressSegment.style.width = `${position}%`;
+        this.playhead.style.left = `${position}%`;
+    }
+
+    /**
+     * Handle mouse move on seekbar (for preview)
+     */
+    handleMouseMove(event) {
+        const now = Date.now();
+        if (now - this.lastMouseMoveTime < 50) return;
+        this.lastMouseMoveTime = now;
+
+        const position = this.getPositionFromEvent(event);
+
+        // Show preview tooltip
+        this.seekPreview.classList.add('visible');
+        this.seekPreview.style.left = `${position}%`;
+
+        if (this.onPreview) {
+            const timeText = this.onPreview(position);
+            this.seekPreview.textContent = timeText;
+        }
+    }
+
+    /**
+     * Handle mouse leave
+     */
+    handleMouseLeave() {
+        if (!this.isDragging) {
+            this.seekPreview.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Handle document mouse move (for dragging)
+     */
+    handleDocumentMouseMove(event) {
+        if (!this.isDragging) return;
+
+        const position = this.getPositionFromEvent(event);
+        this.progressSegment.style.width = `${position}%`;
+        this.playhead.style.left = `${position}%`;
+
+        this.seekPreview.classList.add('visible');
+        this.seekPreview.style.left = `${position}%`;
+
+        if (this.onPreview) {
+            const timeText = this.onPreview(position);
+            this.seekPreview.textContent = timeText;
+        }
+    }
+
+    /**
+     * Handle mouse up
+     */
+    handleMouseUp(event) {
+        if (!this.isDragging) return;
+
+        this.isDragging = false;
+        this.container.classList.remove('dragging');
+        this.seekPreview.classList.remove('visible');
+
+        const position = this.getPositionFromEvent(event);
+
+        if (this.onSeek) {
+            this.onSeek(position);
+        }
+    }
+
+    /**
+     * Handle go live
+     */
+    handleGoLive() {
+        if (this.onGoLive) {
+            this.onGoLive();
+        }
+    }
+
+    /**
+     * Touch handlers
+     */
+    handleTouchStart(event) {
+        event.preventDefault();
+        const touch = event.touches[0];
+        this.handleMouseDown({ clientX: touch.clientX, preventDefault: () => { } });
+    }
+
+    handleTouchMove(event) {
+        event.preventDefault();
+        const touch = event.touches[0];
+        this.handleDocumentMouseMove({ clientX: touch.clientX });
+    }
+
+    handleTouchEnd(event) {
+        const touch = event.changedTouches[0];
+        this.handleMouseUp({ clientX: touch.clientX });
+    }
+
+    /**
+     * Destroy UI
+     */
+    destroy() {
+        if (this.container?.parentElement) {
+            this.container.parentElement.classList.remove('tns-dvr-attached');
+            this.container.parentElement.removeChild(this.container);
+        }
+        this.container = null;
+        this.isVisible = false;
+        this.removeReturnToLiveButton();
+        this.removeMutedRanges();
+        this.removeSkipMutedToggle();
+        this.removeAudioOnlyToggle();
+        this.removeDiagnosticsPanel();
+        this.removeRecoverVodButton();
+        this.removeExportButton();
+        this.removeExportPanel();
+        this.removePlaylistButton();
+        this.removePlaylistPanel();
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRUI = DVRUI;
+}
+
+// ---- src/dvr/dvr-worker-bridge.js ----
+/**
+ * TwitchNoSub DVR Worker Bridge
+ * Receives events posted by the patched player worker (see worker/page-channel.js)
+ * on the channel src/app.js gives to the workers of this page
+ */
+
+class DVRWorkerBridge {
+    constructor(name = null) {
+        // Whichever of app.js and the bridge runs first names the channel of this page
+        window.TNS_WORKER_CHANNEL = window.TNS_WORKER_CHANNEL || `tns-worker-${crypto.randomUUID()}`;
+
+        this.name = name || window.TNS_WORKER_CHANNEL;
+        this.channel = null;
+        this.listeners = {};
+        this.pending = new Map();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('[TNS-DVR] BroadcastChannel not supported, worker events disabled');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.name);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        console.log('[TNS-DVR] Worker bridge initialized');
+    }
+
+    /**
+     * Register an event listener
+     */
+    on(type, callback) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(callback);
+    }
+
+    /**
+     * Send a request to the patched player worker, resolves with its response.
+     * Rejects when no worker answers within the timeout.
+     */
+    request(type, payload = {}, timeout = 30000) {
+        if (!this.channel) {
+            return Promise.reject(new Error('BroadcastChannel not supported'));
+        }
+
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('Le lecteur ne répond pas'));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.channel.postMessage({ source: 'tns-page', channel: this.name, type, id, payload });
+        });
+    }
+
+    /**
+     * Settle the request a worker response belongs to (first answer wins)
+     */
+    handleResponse(response) {
+        const request = this.pending.get(response?.id);
+        if (!request) return;
+
+        this.pending.delete(response.id);
+        clearTimeout(request.timer);
+
+        if (response.error) {
+            request.reject(new Error(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }
+
+    /**
+     * Dispatch a worker message to its listeners
+     */
+    handleMessage(message) {
+        // Only the workers of this page
+        if (!message || message.source !== 'tns-worker' || message.channel !== this.name) return;
+
+        if (message.type === 'response') {
+            this.handleResponse(message.payload);
+            return;
+        }
+
+        (this.listeners[message.type] || []).forEach(callback => {
+            try {
+                callback(message.payload, message);
+            } catch (e) {
+                console.error(`[TNS-DVR] Error in ${message.type} listener:`, e);
+            }
+        });
+    }
+
+    /**
+     * Close the channel
+     */
+    destroy() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.pending.forEach(request => clearTimeout(request.timer));
+        this.pending.clear();
+        this.listeners = {};
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRWorkerBridge = DVRWorkerBridge;
+}
+
+// ---- src/dvr/dvr-vod-recovery.js ----
+/**
+ * TwitchNoSub DVR VOD Recovery
+ * Collects the broadcast info needed to rebuild the storage path of a VOD
+ * whose GQL metadata is gone, and saves it for the player worker
+ * (see worker/vod-recovery.js).
+ */
+
+class DVRVodRecovery {
+    constructor() {
+        // Shared with the worker through IndexedDB
+        this.store = new window.TNS_VodPlaylistCache({
+            storeName: 'recovery',
+            ttl: 30 * 24 * 60 * 60 * 1000 // 30 days
+        });
+    }
+
+    /**
+     * Parse a stream tracker URL (TwitchTracker, StreamsCharts, SullyGnome)
+     * or a plain "login broadcastId" string
+     */
+    parseTrackerUrl(input) {
+        const text = (input || '').trim();
+
+        const patterns = [
+            /twitchtracker\.com\/([^/]+)\/streams\/(\d+)/i,
+            /streamscharts\.com\/channels\/([^/]+)\/streams\/(\d+)/i,
+            /sullygnome\.com\/channel\/([^/]+)\/stream\/(\d+)/i,
+            /^([a-z0-9_]+)[\s/]+(\d+)$/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                return { login: match[1].toLowerCase(), broadcastId: match[2] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a stream start time, in UTC unless a timezone is given.
+     * Accepts unix seconds, ISO dates and "YYYY-MM-DD HH:MM[:SS]".
+     */
+    parseStartTime(input) {
+        const text = (input || '').trim();
+
+        if (/^\d{9,10}$/.test(text)) {
+            return { startTimestamp: parseInt(text), exact: true };
+        }
+
+        const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (!match) return null;
+
+        const date = new Date(`${match[1]}T${match[2]}${match[3] || ':00'}${match[5] || 'Z'}`);
+        if (isNaN(date.getTime())) return null;
+
+        return {
+            startTimestamp: Math.floor(date.getTime() / 1000),
+            // Without seconds, the worker searches around the given minute
+            exact: !!match[3]
+        };
+    }
+
+    /**
+     * Ask the user for the broadcast info
+     */
+    promptParams() {
+        const trackerInput = window.prompt('Lien du stream (TwitchTracker, StreamsCharts, SullyGnome) ou "chaine idDuBroadcast" :');
+        if (trackerInput === null) return null;
+
+        const broadcast = this.parseTrackerUrl(trackerInput);
+        if (!broadcast) {
+            throw new Error('Lien de stream non reconnu');
+        }
+
+        const timeInput = window.prompt('Début du stream en UTC (AAAA-MM-JJ HH:MM[:SS]) :');
+        if (timeInput === null) return null;
+
+        const start = this.parseStartTime(timeInput);
+        if (!start) {
+            throw new Error('Date de début non reconnue');
+        }
+
+        return { ...broadcast, ...start };
+    }
+
+    /**
+     * Save recovery parameters for a VOD id
+     */
+    async save(vodId, params) {
+        console.log(`[TNS-DVR] Saving recovery info for VOD ${vodId}:`, params);
+        return this.store.set(vodId, params);
+    }
+
+    /**
+     * Forget recovery parameters for a VOD id
+     */
+    async clear(vodId) {
+        return this.store.delete(vodId);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRVodRecovery = DVRVodRecovery;
+}
+
+// ---- src/dvr/dvr-mp4-remuxer.js ----
+/**
+ * TwitchNoSub DVR MP4 Remuxer
+ * Turns MPEG-TS segments (H.264 + ADTS AAC) into a fragmented MP4 file,
+ * one fragment per source segment, without re-encoding.
+ *
+ * Usage:
+ *   const remuxer = new DVRMP4Remuxer();
+ *   remuxer.pushSegment(bytes, vodStartTime);   // for every segment, in order
+ *   const parts = remuxer.finish(start, end);   // Uint8Array parts of the file
+ */
+
+class DVRMP4Remuxer {
+    constructor() {
+        this.video = [];
+        this.audio = [];
+        this.sps = null;
+        this.pps = null;
+        this.audioConfig = null;
+        this.segmentCount = 0;
+    }
+
+    /**
+     * Demux one TS segment. vodStartTime is the position of the segment in
+     * the VOD (seconds), used to trim the output to the requested range.
+     */
+    pushSegment(bytes, vodStartTime) {
+        const { videoPes, audioPes } = this.demux(bytes);
+        const segment = this.segmentCount++;
+
+        const firstPts = videoPes[0]?.pts ?? audioPes[0]?.pts;
+        if (firstPts === undefined) return;
+
+        // Position in the VOD = PTS relative to the segment start
+        const toVodTime = (timestamp) => vodStartTime + (timestamp - firstPts) / 90000;
+
+        for (const pes of videoPes) {
+            const sample = this.readVideoSample(pes.data);
+            if (!sample) continue;
+
+            this.video.push({
+                ...sample,
+                segment,
+                time: toVodTime(pes.pts),
+                decodeTime: toVodTime(pes.dts ?? pes.pts),
+                compositionOffset: pes.dts === null ? 0 : pes.pts - pes.dts
+            });
+        }
+
+        for (const pes of audioPes) {
+            for (const frame of this.readAdtsFrames(pes.data, pes.pts)) {
+                this.audio.push({ ...frame, segment, time: toVodTime(frame.pts) });
+            }
+        }
+    }
+
+    /**
+     * Split a TS segment into the PES packets of its H.264 and AAC streams
+     */
+    demux(bytes) {
+        const packetSize = 188;
+        const streams = {};
+        let pmtPid = -1;
+        let videoPid = -1;
+        let audioPid = -1;
+
+        const flush = (pid) => {
+            const stream = streams[pid];
+            if (!stream || stream.chunks.length === 0) return;
+
+            const pes = this.parsePes(this.concat(stream.chunks));
+            if (pes) stream.packets.push(pes);
+
+            stream.chunks = [];
+        };
+
+        for (let offset = 0; offset + packetSize <= bytes.length; offset += packetSize) {
+            if (bytes[offset] !== 0x47) continue;
+
+            const unitStart = (bytes[offset + 1] & 0x40) !== 0;
+            const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+            const adaptation = (bytes[offset + 3] >> 4) & 0x3;
+
+            let start = offset + 4;
+            if (adaptation === 2) continue;
+            if (adaptation === 3) start += 1 + bytes[start];
+
+            const end = offset + packetSize;
+            if (start >= end) continue;
+
+            if (pid === 0 && unitStart) {
+                const section = start + 1 + bytes[start];
+                pmtPid = ((bytes[section + 10] & 0x1f) << 8) | bytes[section + 11];
+            } else if (pid === pmtPid && unitStart) {
+                const section = start + 1 + bytes[start];
+                const sectionLength = ((bytes[section + 1] & 0x0f) << 8) | bytes[section + 2];
+                const programInfoLength = ((bytes[section + 10] & 0x0f) << 8) | bytes[section + 11];
+                const sectionEnd = section + 3 + sectionLength - 4;
+
+                for (let entry = section + 12 + programInfoLength; entry + 5 <= sectionEnd;) {
+                    const streamType = bytes[entry];
+                    const streamPid = ((bytes[entry + 1] & 0x1f) << 8) | bytes[entry + 2];
+
+                    if (streamType === 0x1b && videoPid === -1) videoPid = streamPid;
+                    if (streamType === 0x0f && audioPid === -1) audioPid = streamPid;
+
+                    entry += 5 + (((bytes[entry + 3] & 0x0f) << 8) | bytes[entry + 4]);
+                }
+
+                for (const streamPid of [videoPid, audioPid]) {
+                    if (streamPid !== -1 && !streams[streamPid]) {
+                        streams[streamPid] = { chunks: [], packets: [] };
+                    }
+                }
+            } else if (streams[pid]) {
+                if (unitStart) flush(pid);
+                streams[pid].chunks.push(bytes.subarray(start, end));
+            }
+        }
+
+        flush(videoPid);
+        flush(audioPid);
+
+        return {
+            videoPes: streams[videoPid]?.packets || [],
+            audioPes: streams[audioPid]?.packets || []
+        };
+    }
+
+    /**
+     * Read the timestamps and payload of a PES packet
+     */
+    parsePes(data) {
+        if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return null;
+
+        const flags = data[7];
+        const headerLength = data[8];
+
+        const readTimestamp = (at) =>
+            (data[at] & 0x0e) * 536870912 +
+            (data[at + 1] & 0xff) * 4194304 +
+            (data[at + 2] & 0xfe) * 16384 +
+            (data[at + 3] & 0xff) * 128 +
+            (data[at + 4] & 0xfe) / 2;
+
+        if (!(flags & 0x80)) return null;
+
+        const pts = readTimestamp(9);
+        const dts = flags & 0x40 ? readTimestamp(14) : null;
+
+        return { pts, dts, data: data.subarray(9 + headerLength) };
+    }
+
+    /**
+     * Convert an Annex B access unit to a length prefixed sample
+     */
+    readVideoSample(data) {
+        const units = [];
+        let keyframe = false;
+
+        for (const nal of this.splitNalUnits(data)) {
+            const type = nal[0] & 0x1f;
+
+            if (type === 7) {
+                this.sps = this.sps || nal;
+            } else if (type === 8) {
+                this.pps = this.pps || nal;
+            } else if (type !== 9) {
+                // Access unit delimiters are not needed in MP4
+                if (type === 5) keyframe = true;
+                units.push(nal);
+            }
+        }
+
+        if (units.length === 0) return null;
+
+        const sample = new Uint8Array(units.reduce((total, nal) => total + 4 + nal.length, 0));
+        const view = new DataView(sample.buffer);
+        let position = 0;
+
+        for (const nal of units) {
+            view.setUint32(position, nal.length);
+            sample.set(nal, position + 4);
+            position += 4 + nal.length;
+        }
+
+        return { data: sample, keyframe };
+    }
+
+    splitNalUnits(data) {
+        const units = [];
+        let start = -1;
+
+        for (let i = 0; i + 2 < data.length; i++) {
+            if (data[i] !== 0 || data[i + 1] !== 0 || data[i + 2] !== 1) continue;
+
+            if (start !== -1) {
+                // A 4 byte start code leaves a trailing zero on the previous unit
+                const end = data[i - 1] === 0 ? i - 1 : i;
+                units.push(data.subarray(start, end));
+            }
+
+            start = i + 3;
+            i += 2;
+        }
+
+        if (start !== -1 && start < data.length) {
+            units.push(data.subarray(start));
+        }
+
+        return units;
+    }
+
+    /**
+     * Split a PES payload into raw AAC frames
+     */
+    readAdtsFrames(data, pts) {
+        const sampleRates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+        const frames = [];
+        let offset = 0;
+
+        while (offset + 7 <= data.length) {
+            if (data[offset] !== 0xff || (data[offset + 1] & 0xf0) !== 0xf0) {
+                offset++;
+                continue;
+            }
+
+            const headerLength = data[offset + 1] & 0x01 ? 7 : 9;
+            const objectType = ((data[offset + 2] >> 6) & 0x3) + 1;
+            const rateIndex = (data[offset + 2] >> 2) & 0xf;
+            const channels = ((data[offset + 2] & 0x1) << 2) | (data[offset + 3] >> 6);
+            const frameLength = ((data[offset + 3] & 0x3) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5);
+
+            if (frameLength <= headerLength || offset + frameLength > data.length) break;
+
+            const sampleRate = sampleRates[rateIndex];
+
+            if (!this.audioConfig) {
+                this.audioConfig = {
+                    sampleRate,
+                    channels,
+                    // AudioSpecificConfig
+                    config: new Uint8Array([
+                        (objectType << 3) | (rateIndex >> 1),
+                        ((rateIndex & 0x1) << 7) | (channels << 3)
+                    ])
+                };
+            }
+
+            frames.push({
+                pts: pts + frames.length * 1024 * 90000 / sampleRate,
+                data: data.subarray(offset + headerLength, offset + frameLength)
+            });
+
+            offset += frameLength;
+        }
+
+        return frames;
+    }
+
+    /**
+     * Build the MP4 file for the range [start, end] (VOD seconds).
+     * Video starts at the last keyframe before start.
+     */
+    finish(start = 0, end = Infinity) {
+        let video = [];
+
+        if (this.sps && this.pps) {
+            const firstKeyframe = this.video.findIndex(sample => sample.keyframe);
+            let first = firstKeyframe;
+
+            this.video.forEach((sample, index) => {
+                if (sample.keyframe && sample.time <= start) first = index;
+            });
+
+            if (first !== -1) {
+                video = this.video.slice(first).filter(sample => sample.time < end);
+            }
+        }
+
+        const origin = video.length > 0 ? video[0].decodeTime : start;
+        const audio = this.audioConfig
+            ? this.audio.filter(sample => sample.time >= origin && sample.time < end)
+            : [];
+
+        if (video.length === 0 && audio.length === 0) {
+            throw new Error('Aucune donnée dans la plage choisie');
+        }
+
+        const tracks = [];
+
+        if (video.length > 0) {
+            tracks.push({
+                id: 1,
+                type: 'video',
+                timescale: 90000,
+                samples: this.buildTiming(video, 90000, origin, 3000)
+            });
+        }
+
+        if (audio.length > 0) {
+            tracks.push({
+                id: tracks.length + 1,
+                type: 'audio',
+                timescale: this.audioConfig.sampleRate,
+                samples: this.buildTiming(audio, this.audioConfig.sampleRate, origin, 1024)
+            });
+        }
+
+        const parts = [this.buildInitSegment(tracks)];
+        const segments = [...new Set([...video, ...audio].map(sample => sample.segment))].sort((a, b) => a - b);
+
+        segments.forEach((segment, index) => {
+            parts.push(...this.buildFragment(index + 1, tracks.map(track => ({
+                ...track,
+                samples: track.samples.filter(sample => sample.segment === segment)
+            }))));
+        });
+
+        return parts;
+    }
+
+    /**
+     * Decode times and durations in the track timescale, from the first sample
+     */
+    buildTiming(samples, timescale, origin, defaultDuration) {
+        const timed = samples.map(sample => ({
+            ...sample,
+            dts: Math.max(0, Math.round(((sample.decodeTime ?? sample.time) - origin) * timescale)),
+            cts: sample.compositionOffset ? Math.round(sample.compositionOffset * timescale / 90000) : 0
+        }));
+
+        timed.forEach((sample, index) => {
+            const next = timed[index + 1];
+            const previous = timed[index - 1];
+
+            sample.duration = next
+                ? Math.max(0, next.dts - sample.dts)
+                : (previous ? previous.duration : defaultDuration);
+        });
+
+        return timed;
+    }
+
+    // ---- MP4 boxes ----
+
+    concat(chunks) {
+        const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+
+        for (const chunk of chunks) {
+            result.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return result;
+    }
+
+    box(type, ...payloads) {
+        const content = this.concat(payloads);
+        const result = new Uint8Array(8 + content.length);
+
+        new DataView(result.buffer).setUint32(0, result.length);
+        result.set([...type].map(char => char.charCodeAt(0)), 4);
+        result.set(content, 8);
+
+        return result;
+    }
+
+    /**
+     * Big endian fields: [bytes, value] pairs
+     */
+    fields(...values) {
+        const result = new Uint8Array(values.reduce((total, [size]) => total + size, 0));
+        const view = new DataView(result.buffer);
+        let position = 0;
+
+        for (const [size, value] of values) {
+            if (size === 1) view.setUint8(position, value);
+            else if (size === 2) view.setUint16(position, value);
+            else if (size === 4) view.setUint32(position, value);
+            else if (size === 8) {
+                view.setUint32(position, Math.floor(value / 4294967296));
+                view.setUint32(position + 4, value >>> 0);
+            }
+
+            position += size;
+        }
+
+        return result;
+    }
+
+    matrix() {
+        return this.fields([4, 0x00010000], [4, 0], [4, 0], [4, 0], [4, 0x00010000], [4, 0], [4, 0], [4, 0], [4, 0x40000000]);
+    }
+
+    buildInitSegment(tracks) {
+        const ftyp = this.box('ftyp', new TextEncoder().encode('isom'), this.fields([4, 0x200]), new TextEncoder().encode('isomiso6avc1mp41'));
+
+        const mvhd = this.box('mvhd',
+            this.fields([4, 0], [4, 0], [4, 0], [4, 1000], [4, 0], [4, 0x00010000], [2, 0x0100], [2, 0], [8, 0]),
+            this.matrix(),
+            new Uint8Array(24),
+            this.fields([4, tracks.length + 1])
+        );
+
+        const traks = tracks.map(track => this.buildTrack(track));
+        const mvex = this.box('mvex', ...tracks.map(track =>
+            this.box('trex', this.fields([4, 0], [4, track.id], [4, 1], [4, 0], [4, 0], [4, 0]))
+        ));
+
+        return this.concat([ftyp, this.box('moov', mvhd, ...traks, mvex)]);
+    }
+
+    buildTrack(track) {
+        const isVideo = track.type === 'video';
+        const size = isVideo ? this.readVideoSize() : { width: 0, height: 0 };
+
+        const tkhd = this.box('tkhd',
+            this.fields([4, 0x000003], [4, 0], [4, 0], [4, track.id], [4, 0], [4, 0], [8, 0], [2, 0], [2, 0], [2, isVideo ? 0 : 0x0100], [2, 0]),
+            this.matrix(),
+            this.fields([4, size.width * 65536], [4, size.height * 65536])
+        );
+
+        const mdhd = this.box('mdhd', this.fields([4, 0], [4, 0], [4, 0], [4, track.timescale], [4, 0], [2, 0x55c4], [2, 0]));
+
+        const hdlr = this.box('hdlr',
+            this.fields([4, 0], [4, 0]),
+            new TextEncoder().encode(isVideo ? 'vide' : 'soun'),
+            new Uint8Array(12),
+            new TextEncoder().encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+        );
+
+        const mediaHeader = isVideo
+            ? this.box('vmhd', this.fields([4, 1], [2, 0], [2, 0], [2, 0], [2, 0]))
+            : this.box('smhd', this.fields([4, 0], [2, 0], [2, 0]));
+
+        const dinf = this.box('dinf', this.box('dref', this.fields([4, 0], [4, 1]), this.box('url ', this.fields([4, 1]))));
+
+        const stbl = this.box('stbl',
+            this.box('stsd', this.fields([4, 0], [4, 1]), isVideo ? this.buildAvc1(size) : this.buildMp4a()),
+            this.box('stts', this.fields([4, 0], [4, 0])),
+            this.box('stsc', this.fields([4, 0], [4, 0])),
+            this.box('stsz', this.fields([4, 0], [4, 0], [4, 0])),
+            this.box('stco', this.fields([4, 0], [4, 0]))
+        );
+
+        return this.box('trak', tkhd, this.box('mdia', mdhd, hdlr, this.box('minf', mediaHeader, dinf, stbl)));
+    }
+
+    /**
+     * Width and height from the SPS (see worker/ts-probe.js)
+     */
+    readVideoSize() {
+        try {
+            // The probe expects the SPS without its header byte and emulation prevention bytes
+            const rbsp = [];
+            let zeros = 0;
+
+            for (const byte of this.sps.subarray(1)) {
+                if (zeros >= 2 && byte === 3) {
+                    zeros = 0;
+                    continue;
+                }
+
+                zeros = byte === 0 ? zeros + 1 : 0;
+                rbsp.push(byte);
+            }
+
+            const info = new window.TNS_TSVideoProbe(new Uint8Array(0)).parseSPS(new Uint8Array(rbsp));
+            return { width: info.width, height: info.height };
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not read video size from SPS:', e);
+            return { width: 1920, height: 1080 };
+        }
+    }
+
+    buildAvc1(size) {
+        const avcC = this.box('avcC',
+            this.fields([1, 1], [1, this.sps[1]], [1, this.sps[2]], [1, this.sps[3]], [1, 0xff], [1, 0xe1], [2, this.sps.length]),
+            this.sps,
+            this.fields([1, 1], [2, this.pps.length]),
+            this.pps
+        );
+
+        return this.box('avc1',
+            this.fields([4, 0], [2, 0], [2, 1], [2, 0], [2, 0], [4, 0], [4, 0], [4, 0]),
+            this.fields([2, size.width], [2, size.height], [4, 0x00480000], [4, 0x00480000], [4, 0], [2, 1]),
+            new Uint8Array(32),
+            this.fields([2, 0x0018], [2, 0xffff]),
+            avcC
+        );
+    }
+
+    buildMp4a() {
+        const { sampleRate, channels, config } = this.audioConfig;
+
+        const decoderSpecificInfo = this.concat([this.fields([1, 0x05], [1, config.length]), config]);
+        const decoderConfig = this.concat([
+            this.fields([1, 0x04], [1, 13 + decoderSpecificInfo.length], [1, 0x40], [1, 0x15], [1, 0], [2, 0], [4, 0], [4, 0]),
+            decoderSpecificInfo
+        ]);
+        const slConfig = this.fields([1, 0x06], [1, 1], [1, 0x02]);
+        const esDescriptor = this.concat([
+            this.fields([1, 0x03], [1, 3 + decoderConfig.length + slConfig.length], [2, 0], [1, 0]),
+            decoderConfig,
+            slConfig
+        ]);
+
+        return this.box('mp4a',
+            this.fields([4, 0], [2, 0], [2, 1], [8, 0], [2, channels], [2, 16], [2, 0], [2, 0], [4, sampleRate * 65536]),
+            this.box('esds', this.fields([4, 0]), esDescriptor)
+        );
+    }
+
+    /**
+     * moof + mdat for the samples of every track in one source segment
+     */
+    buildFragment(sequence, tracks) {
+        const present = tracks.filter(track => track.samples.length > 0);
+
+        const buildMoof = (dataOffsets) => this.box('moof',
+            this.box('mfhd', this.fields([4, 0], [4, sequence])),
+            ...present.map((track, index) => this.box('traf',
+                this.box('tfhd', this.fields([4, 0x020000], [4, track.id])),
+                this.box('tfdt', this.fields([4, 0x01000000], [8, track.samples[0].dts])),
+                this.box('trun',
+                    this.fields([4, 0x01000f01], [4, track.samples.length], [4, dataOffsets[index]]),
+                    ...track.samples.map(sample => this.fields(
+                        [4, sample.duration],
+                        [4, sample.data.length],
+                        [4, track.type === 'audio' || sample.keyframe ? 0x02000000 : 0x01010000],
+                        [4, sample.cts >>> 0]
+                    ))
+                )
+            ))
+        );
+
+        // The moof size doesn't depend on the offsets, build it once to measure it
+        const moofSize = buildMoof(present.map(() => 0)).length;
+        const dataOffsets = [];
+        let offset = moofSize + 8;
+
+        for (const track of present) {
+            dataOffsets.push(offset);
+            offset += track.samples.reduce((total, sample) => total + sample.data.length, 0);
+        }
+
+        const mdatData = present.flatMap(track => track.samples.map(sample => sample.data));
+        const mdatHeader = this.fields([4, offset - moofSize], [4, 0x6d646174]);
+
+        return [buildMoof(dataOffsets), mdatHeader, ...mdatData];
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRMP4Remuxer = DVRMP4Remuxer;
+}
+
+// ---- src/dvr/dvr-vod-export.js ----
+/**
+ * TwitchNoSub DVR VOD Export
+ * Saves a time range of a VOD as an MP4 file: downloads the segments of a
+ * variant playlist covering the range and remuxes them in the page.
+ * TS segments go through DVRMP4Remuxer, fMP4 segments are already MP4 and
+ * only need their init segment in front and their decode times moved to
+ * start at 0. They are not cut: the range is rounded to segment boundaries.
+ */
+
+class DVRVodExport {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.maxRetries = options.maxRetries ?? 2;
+
+        this.abortController = null;
+        this.onProgress = null;
+    }
+
+    get running() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * Read the segments of a media playlist with their position in the VOD
+     */
+    parsePlaylist(text, playlistUrl) {
+        const segments = [];
+        let init = null;
+        let duration = 0;
+        let time = 0;
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('#EXTINF:')) {
+                duration = parseFloat(trimmed.substring(8)) || 0;
+            } else if (trimmed.startsWith('#EXT-X-MAP:')) {
+                const uri = trimmed.match(/URI="([^"]+)"/);
+                if (uri) init = new URL(uri[1], playlistUrl).href;
+            } else if (trimmed && !trimmed.startsWith('#')) {
+                // Unmuted segments are gone on restricted VODs, same as the worker does
+                const uri = trimmed.replace(/-unmuted/g, '-muted');
+
+                segments.push({ url: new URL(uri, playlistUrl).href, start: time, duration });
+                time += duration;
+            }
+        }
+
+        return { segments, init, duration: time };
+    }
+
+    /**
+     * Export [start, end] (seconds) of the VOD served by playlistUrl.
+     * Resolves with the MP4 Blob, rejects with an AbortError when cancelled.
+     */
+    async export(playlistUrl, start, end) {
+        if (this.running) {
+            throw new Error('Un export est déjà en cours');
+        }
+
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        try {
+            const response = await fetch(playlistUrl, { signal });
+            if (!response.ok) {
+                throw new Error(`Playlist indisponible (HTTP ${response.status})`);
+            }
+
+            const playlist = this.parsePlaylist(await response.text(), playlistUrl);
+            const segments = playlist.segments.filter(segment =>
+                segment.start + segment.duration > start && segment.start < end
+            );
+
+            if (segments.length === 0) {
+                throw new Error('Aucun segment dans la plage choisie');
+            }
+
+            console.log(`[TNS-DVR] Exporting ${segments.length} segment(s) of ${playlistUrl}`);
+
+            const parts = playlist.init
+                ? await this.exportFragmented(playlist.init, segments, signal)
+                : await this.exportTransportStream(segments, start, end, signal);
+
+            return new Blob(parts, { type: 'video/mp4' });
+        } catch (e) {
+            // Stop the downloads still running
+            this.abortController.abort();
+            throw e;
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * fMP4 segments: init segment followed by the media segments, cut on segment boundaries
+     */
+    async exportFragmented(initUrl, segments, signal) {
+        const init = await this.download(initUrl, signal);
+        const parts = [init];
+        // track_ID -> decode time of its first fragment
+        const origins = new Map();
+
+        await this.downloadAll(segments, signal, (bytes) => {
+            this.rebaseDecodeTimes(bytes, origins);
+            parts.push(bytes);
+        });
+
+        return parts;
+    }
+
+    /**
+     * Move the decode times (tfdt) of a media segment back by the ones of the
+     * first fragment of each track, in place, so the file starts at 0 and not
+     * at the position of the range in the VOD
+     */
+    rebaseDecodeTimes(bytes, origins) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        for (const moof of this.findBoxes(view, 0, bytes.byteLength, 'moof')) {
+            for (const traf of this.findBoxes(view, moof.start, moof.end, 'traf')) {
+                const [tfhd] = this.findBoxes(view, traf.start, traf.end, 'tfhd');
+                const [tfdt] = this.findBoxes(view, traf.start, traf.end, 'tfdt');
+                if (!tfhd || !tfdt) continue;
+
+                // Full boxes: version and flags, then track_ID / baseMediaDecodeTime
+                const trackId = view.getUint32(tfhd.start + 4);
+                const wide = view.getUint8(tfdt.start) === 1;
+                const time = wide ? view.getBigUint64(tfdt.start + 4) : BigInt(view.getUint32(tfdt.start + 4));
+
+                if (!origins.has(trackId)) {
+                    origins.set(trackId, time);
+                }
+
+                const rebased = time > origins.get(trackId) ? time - origins.get(trackId) : 0n;
+
+                if (wide) {
+                    view.setBigUint64(tfdt.start + 4, rebased);
+                } else {
+                    view.setUint32(tfdt.start + 4, Number(rebased));
+                }
+            }
+        }
+    }
+
+    /**
+     * Boxes of a type between two offsets, with the bounds of their payload
+     */
+    findBoxes(view, start, end, type) {
+        const boxes = [];
+
+        for (let offset = start; offset + 8 <= end;) {
+            let size = view.getUint32(offset);
+            let header = 8;
+
+            if (size === 1) {
+                size = Number(view.getBigUint64(offset + 8));
+                header = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < header || offset + size > end) break;
+
+            const name = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+            if (name === type) {
+                boxes.push({ start: offset + header, end: offset + size });
+            }
+
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * TS segments: remux every segment, then cut to the requested range
+     */
+    async exportTransportStream(segments, start, end, signal) {
+        const remuxer = new window.TNS_DVRMP4Remuxer();
+
+        await this.downloadAll(segments, signal, (bytes, segment) => remuxer.pushSegment(bytes, segment.start));
+
+        return remuxer.finish(start, end);
+    }
+
+    /**
+     * Download segments a few at a time, handing them over in playlist order
+     */
+    async downloadAll(segments, signal, onSegment) {
+        const results = new Array(segments.length);
+        let next = 0;
+        let delivered = 0;
+        let done = 0;
+
+        this.reportProgress(0, segments.length);
+
+        const deliver = () => {
+            while (delivered < segments.length && results[delivered]) {
+                onSegment(results[delivered], segments[delivered]);
+                results[delivered] = null;
+                delivered++;
+            }
+        };
+
+        const worker = async () => {
+            while (next < segments.length) {
+                const index = next++;
+
+                results[index] = await this.download(segments[index].url, signal);
+                deliver();
+
+                this.reportProgress(++done, segments.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, segments.length) }, worker));
+    }
+
+    /**
+     * Download one file, retrying network errors and 5xx
+     */
+    async download(url, signal) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                const response = await fetch(url, { signal });
+
+                if (response.ok) {
+                    return new Uint8Array(await response.arrayBuffer());
+                }
+
+                lastError = new Error(`Segment indisponible (HTTP ${response.status})`);
+                if (response.status < 500) break;
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                lastError = e;
+            }
+        }
+
+        throw lastError;
+    }
+
+    reportProgress(done, total) {
+        if (this.onProgress) {
+            this.onProgress(done, total);
+        }
+    }
+
+    /**
+     * Stop the running export, its promise rejects with an AbortError
+     */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Save a Blob through a temporary download link
+     */
+    save(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRVodExport = DVRVodExport;
+}
+
+// ---- src/dvr/dvr-playlist-export.js ----
+/**
+ * TwitchNoSub DVR Playlist Export
+ * Copies or downloads the playlist the patched worker built for a VOD, so it
+ * can be opened in an external player (mpv, VLC...). Either one variant or
+ * the master playlist, with an optional start offset.
+ *
+ * Only a variant export plays the muted sections in those players: the
+ * master lists Twitch's own variant playlists, whose unmuted segments the
+ * CDN refuses.
+ */
+
+class DVRPlaylistExport {
+    constructor(workerBridge) {
+        this.workerBridge = workerBridge;
+        // vodId -> { master, variants } answered by the worker
+        this.playlists = new Map();
+    }
+
+    /**
+     * Master playlist and variants of a VOD, resolved by the worker
+     */
+    async getPlaylist(vodId) {
+        if (!this.playlists.has(vodId)) {
+            const playlist = await this.workerBridge.request('vodPlaylist', { vodId });
+            this.playlists.set(vodId, playlist);
+        }
+
+        return this.playlists.get(vodId);
+    }
+
+    /**
+     * Build the playlist text: quality is "master" or a variant resKey,
+     * startOffset (seconds) adds an EXT-X-START tag when set
+     */
+    async build(vodId, quality, startOffset = null) {
+        const playlist = await this.getPlaylist(vodId);
+        let text;
+        let suffix = '';
+
+        if (quality === 'master') {
+            text = playlist.master;
+        } else {
+            const variant = playlist.variants.find(v => v.resKey === quality);
+            if (!variant) throw new Error('Qualité introuvable');
+
+            text = await this.buildVariant(variant.url);
+            suffix = `-${variant.name}`;
+        }
+
+        if (startOffset) {
+            text = this.withStartOffset(text, startOffset);
+        }
+
+        return { text, filename: `twitch-${vodId}${suffix}.m3u8` };
+    }
+
+    /**
+     * Variant playlist with absolute segment URLs and muted copies of unmuted
+     * segments (the same rewrite the worker does for the player)
+     */
+    async buildVariant(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Playlist indisponible (HTTP ${response.status})`);
+        }
+
+        const text = await response.text();
+
+        return text.split(/\r?\n/).map(line => {
+            const trimmed = line.trim();
+
+            if (trimmed.startsWith('#EXT-X-MAP:')) {
+                return trimmed.replace(/URI="([^"]+)"/, (match, uri) => `URI="${new URL(uri, url).href}"`);
+            }
+
+            if (trimmed && !trimmed.startsWith('#')) {
+                return new URL(trimmed.replace(/-unmuted/g, '-muted'), url).href;
+            }
+
+            return line;
+        }).join('\n');
+    }
+
+    /**
+     * Add (or replace) the EXT-X-START tag of a playlist
+     */
+    withStartOffset(text, seconds) {
+        const lines = text.split('\n').filter(line => !line.startsWith('#EXT-X-START:'));
+        lines.splice(1, 0, `#EXT-X-START:TIME-OFFSET=${seconds.toFixed(3)},PRECISE=YES`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Copy text to the clipboard, with a fallback for pages without clipboard access
+     */
+    async copy(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (e) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.cssText = 'position: fixed; opacity: 0;';
+
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            textarea.remove();
+
+            if (!copied) throw new Error('Presse-papiers inaccessible');
+        }
+    }
+
+    /**
+     * Save the playlist through a temporary download link
+     */
+    download(text, filename) {
+        const url = URL.createObjectURL(new Blob([text], { type: 'application/vnd.apple.mpegurl' }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRPlaylistExport = DVRPlaylistExport;
+}
+
+// ---- src/dvr/dvr-controller.js ----
+/**
+ * TwitchNoSub DVR Controller
+ * Uses an overlay VOD player for seamless seeking beyond live buffer
+ * 
+ * Features:
+ * - Uses the live player for short seeks: its buffer, and the longer live
+ *   playlist the worker serves (see worker/live-window.js)
+ * - Overlays VOD player for longer seeks (no page navigation!)
+ * - Seamless swap between Live and VOD players
+ */
+
+// Unlock failure reasons sent by the worker, in diagnostics and as the error
+// of vodPlaylist requests
+const DVR_FAILURE_MESSAGES = {
+    no_location: 'Aucun emplacement de stockage trouvé pour cette VOD',
+    recovering: 'Récupération de la VOD en cours, le lecteur se rechargera',
+    no_quality: 'Aucune qualité lisible trouvée'
+};
+
+class DVRController {
+    constructor() {
+        this.tracker = null;
+        this.ui = null;
+        this.playerElement = null;
+
+        this.isActive = false;
+        this.currentChannel = null;
+        this.streamStartTime = null;
+        this.currentVodId = null;
+        this.updateInterval = null;
+        this.playerCheckInterval = null;
+
+        // VOD Overlay system
+        this.vodOverlay = null;
+        this.vodPlayer = null;
+        this.isWatchingVod = false;
+        this.vodEmbedLoaded = false;
+
+        this.gql = new window.TNS_TwitchGQLClient();
+
+        // Worker events (unlocked VODs)
+        this.workerBridge = null;
+        this.currentPageVodId = null;
+        this.mutedSegments = null;
+        this.vodPageInterval = null;
+        this.vodHosts = {};
+        this.diagnostics = {};
+        this.vodRecovery = null;
+
+        // Live playlist window the worker serves the player, and the live
+        // variants it read (channel login -> variants, they can come before startDVR)
+        this.liveWindow = null;
+        this.liveVariants = {};
+
+        // Audio only mode
+        this.audioOnlyAppliedTo = null;
+        this.qualityBeforeAudioOnly = null;
+
+        // Export of a VOD range to MP4, and of playlists for external players
+        this.vodExport = null;
+        this.playlistExport = null;
+
+        // Settings
+        this.settings = {
+            enabled: true,
+            showOnHover: true,
+            autoHideDelay: 3000,
+            skipMuted: false,
+            audioOnly: false
+        };
+        this.loadSettings();
+
+        this.hideTimeout = null;
+        this.lastInteractionTime = Date.now();
+
+        console.log('[TNS-DVR] Controller initialized');
+    }
+
+    /**
+     * Initialize the DVR system
+     */
+    async initialize() {
+        // Create tracker and UI
+        this.tracker = new (window.TNS_DVRTracker || self.TNS_DVRTracker)();
+        this.ui = new window.TNS_DVRUI();
+
+        // Setup tracker event listeners
+        this.tracker.on('streamStarted', this.handleStreamStarted.bind(this));
+        this.tracker.on('streamEnded', this.handleStreamEnded.bind(this));
+
+        // Setup UI callbacks
+        this.ui.onSeek = this.handleSeek.bind(this);
+        this.ui.onGoLive = this.handleGoLive.bind(this);
+        this.ui.onPreview = this.handlePreview.bind(this);
+        this.ui.onToggleSkipMuted = this.toggleSkipMuted.bind(this);
+        this.ui.onRecoverVod = () => this.recoverVod();
+        this.ui.onToggleAudioOnly = this.toggleAudioOnly.bind(this);
+        this.ui.onToggleExport = this.toggleExportPanel.bind(this);
+        this.ui.onExportStart = this.exportRange.bind(this);
+        this.ui.onExportCancel = this.cancelExport.bind(this);
+        this.ui.onTogglePlaylist = this.togglePlaylistPanel.bind(this);
+        this.ui.onPlaylistCopy = (quality, start) => this.exportPlaylist('copy', quality, start);
+        this.ui.onPlaylistDownload = (quality, start) => this.exportPlaylist('download', quality, start);
+
+        this.vodRecovery = new window.TNS_DVRVodRecovery();
+        this.vodExport = new window.TNS_DVRVodExport();
+
+        // Listen to events from the patched player worker
+        this.workerBridge = new window.TNS_DVRWorkerBridge();
+        this.workerBridge.on('mutedSegments', this.handleMutedSegments.bind(this));
+        this.workerBridge.on('vodHost', this.handleVodHost.bind(this));
+        this.workerBridge.on('gqlMissing', this.handleGqlMissing.bind(this));
+        this.workerBridge.on('recovery', this.handleRecovery.bind(this));
+        this.workerBridge.on('diagnostics', this.handleDiagnostics.bind(this));
+        this.workerBridge.on('versionMismatch', this.handleVersionMismatch.bind(this));
+        this.workerBridge.on('liveWindow', this.handleLiveWindow.bind(this));
+        this.workerBridge.on('liveVariants', this.handleLiveVariants.bind(this));
+        this.workerBridge.on('livePlaylist', this.handleLivePlaylist.bind(this));
+
+        this.playlistExport = new window.TNS_DVRPlaylistExport(this.workerBridge);
+
+        // Watch for URL changes (SPA navigation)
+        this.setupNavigationObserver();
+
+        // Check current page
+        this.checkCurrentPage();
+
+        // Setup player hover detection
+        this.setupHoverDetection();
+
+        // Load Twitch Embed API
+        this.loadTwitchEmbedAPI();
+
+        console.log('[TNS-DVR] Controller fully initialized');
+    }
+
+    /**
+     * Load Twitch Embed API script
+     */
+    loadTwitchEmbedAPI() {
+        if (window.Twitch?.Embed) {
+            console.log('[TNS-DVR] Twitch Embed API already loaded');
+            return;
+        }
+
+        const script = document.createElement('script');
+        script.src = 'https://embed.twitch.tv/embed/v1.js';
+        script.onload = () => {
+            console.log('[TNS-DVR] Twitch Embed API loaded');
+        };
+        document.head.appendChild(script);
+    }
+
+    /**
+     * Check if we're on a live stream page or VOD
+     */
+    checkCurrentPage() {
+        const pathParts = window.location.pathname.split('/').filter(Boolean);
+
+        // Check if watching VOD
+        if (pathParts[0] === 'videos') {
+            const vodId = pathParts[1];
+            this.handleVodPage(vodId);
+            return;
+        }
+
+        // Remove return to live button if exists
+        this.removeReturnToLiveButton();
+        this.stopVodPageLoop();
+
+        // Check if this is a channel page (live stream)
+        if (pathParts.length === 1 && !['directory', 'videos', 'clips', 'settings', 'subscriptions', 'inventory', 'drops', 'wallet'].includes(pathParts[0])) {
+            const channelName = pathParts[0];
+
+            // Check if stream is actually live and get VOD info
+            this.checkStreamInfo(channelName).then(info => {
+                if (info.isLive) {
+                    this.startDVR(channelName, info);
+                } else if (info.failed && this.currentChannel === channelName) {
+                    // Keep the DVR running through a failed request
+                    console.warn(`[TNS-DVR] Could not check stream info for ${channelName}: ${info.error}`);
+                } else {
+                    this.stopDVR();
+                }
+            });
+        } else {
+            this.stopDVR();
+        }
+    }
+
+    /**
+     * Handle VOD page - check if stream is still live and show return button
+     */
+    async handleVodPage(vodId) {
+        this.stopDVR();
+
+        if (this.currentPageVodId !== vodId) {
+            this.currentPageVodId = vodId;
+            this.mutedSegments = null;
+            this.ui?.removeMutedRanges();
+            this.ui?.removeRecoverVodButton();
+            this.ui?.removeDiagnosticsPanel();
+            this.vodExport?.cancel();
+            this.ui?.removeExportPanel();
+        }
+        this.startVodPageLoop();
+
+        const result = await this.gql.getVideo(vodId);
+
+        if (result.status !== window.TNS_GQLResult.OK) {
+            if (result.status !== window.TNS_GQLResult.NOT_FOUND) {
+                console.error(`[TNS-DVR] Error checking VOD info (${result.status}):`, result.error);
+            }
+            this.removeReturnToLiveButton();
+            return;
+        }
+
+        const video = result.data;
+
+        if (video.owner?.stream) {
+            const channelLogin = video.owner.login;
+            const channelName = video.owner.displayName;
+            console.log(`[TNS-DVR] VOD owner ${channelName} is still live!`);
+            this.showReturnToLiveButton(channelLogin, channelName);
+        } else {
+            this.removeReturnToLiveButton();
+        }
+    }
+
+    /**
+     * Handle muted ranges reported by the worker for the VOD being played
+     */
+    handleMutedSegments(data) {
+        if (!this.currentPageVodId) return;
+
+        // Ignore playlists of another VOD (only known for unlocked VODs)
+        if (data.vodId && data.vodId !== this.currentPageVodId) return;
+
+        this.mutedSegments = {
+            vodId: this.currentPageVodId,
+            // Variant playlist being played
+            url: data.url,
+            ranges: data.ranges,
+            duration: data.duration
+        };
+
+        if (data.ranges.length > 0) {
+            console.log(`[TNS-DVR] VOD ${this.currentPageVodId} has ${data.ranges.length} muted section(s)`);
+        }
+    }
+
+    /**
+     * Remember which storage host the worker used for an unlocked VOD
+     */
+    handleVodHost(data) {
+        this.vodHosts[data.vodId] = data;
+
+        if (data.host) {
+            console.log(`[TNS-DVR] VOD ${data.vodId} served from ${data.host}${data.cached ? ' (cached)' : ''}`);
+        } else {
+            console.warn(`[TNS-DVR] No storage host found for VOD ${data.vodId}, tried:`, data.tried);
+        }
+    }
+
+    /**
+     * Collect the unlock steps reported by the worker for a VOD
+     */
+    handleDiagnostics(data) {
+        const { vodId, stage, ...details } = data;
+        if (!vodId) return;
+
+        // A new usher request starts a new unlock
+        if (stage === 'usher' || !this.diagnostics[vodId]) {
+            this.diagnostics[vodId] = {
+                vodId,
+                usher: null,
+                cache: null,
+                gql: null,
+                host: null,
+                recovery: null,
+                variants: [],
+                variantsComplete: false,
+                failures: []
+            };
+        }
+
+        const entry = this.diagnostics[vodId];
+
+        if (stage === 'variants') {
+            entry.variants = details.variants;
+            entry.variantsComplete = details.complete;
+        } else if (stage === 'failure') {
+            entry.failures.push(this.describeFailure(details.reason));
+            console.warn(`[TNS-DVR] Unlock of VOD ${vodId} failed: ${details.reason}`);
+        } else {
+            entry[stage] = details;
+        }
+
+        entry.updatedAt = Date.now();
+
+        if (vodId === this.currentPageVodId) {
+            this.ui?.renderDiagnosticsPanel(entry);
+        }
+    }
+
+    /**
+     * French message of a failure reason from the worker, page side errors
+     * are already French
+     */
+    describeFailure(reason) {
+        return DVR_FAILURE_MESSAGES[reason] || reason;
+    }
+
+    /**
+     * The player worker runs a patch from another version than the extension
+     */
+    handleVersionMismatch(data) {
+        console.warn(`[TNS-DVR] Worker patch version ${data.worker} doesn't match the extension version ${data.page}`);
+        this.showNotification(`⚠️ Patch du lecteur (${data.worker || 'inconnu'}) différent de l'extension (${data.page})`);
+    }
+
+    /**
+     * Live worker events of this tab's stream, not of the other players of the
+     * page (previews). Playlists whose channel the worker doesn't know are dropped.
+     */
+    isCurrentLiveEvent(data) {
+        return this.isActive && !!data.channel && data.channel === this.currentChannel?.toLowerCase();
+    }
+
+    /**
+     * The worker extended the live playlist of the variant being played
+     */
+    handleLiveWindow(data) {
+        if (!this.isCurrentLiveEvent(data)) return;
+
+        this.liveWindow = { ...data, receivedAt: Date.now() };
+    }
+
+    /**
+     * Variants of the live usher playlist the worker read
+     */
+    handleLiveVariants(data) {
+        this.liveVariants[data.channel] = data.variants;
+
+        if (this.isCurrentLiveEvent(data)) {
+            this.tracker.setVariants(data.variants);
+        }
+    }
+
+    /**
+     * Live media playlist the player fetched from the worker
+     */
+    handleLivePlaylist(data) {
+        if (!this.isCurrentLiveEvent(data)) return;
+
+        this.tracker.processPlaylist(data.body, data.url, data.variant);
+    }
+
+    /**
+     * The worker found no GQL metadata for the VOD being opened
+     */
+    handleGqlMissing(data) {
+        if (data.vodId !== this.currentPageVodId) return;
+
+        console.warn(`[TNS-DVR] No metadata for VOD ${data.vodId}, recovery available`);
+        this.ui.createRecoverVodButton();
+    }
+
+    /**
+     * Progress of a VOD recovery in the worker. The search runs in the
+     * background, the player is reloaded to play the VOD once found.
+     */
+    handleRecovery(data) {
+        if (data.vodId !== this.currentPageVodId) return;
+
+        if (data.status === 'found') {
+            this.ui.removeRecoverVodButton();
+            this.showNotification('✅ VOD récupérée, rechargement...');
+            setTimeout(() => window.location.reload(), 1500);
+        } else if (data.status === 'failed') {
+            this.showNotification('⚠️ Impossible de retrouver cette VOD');
+        } else {
+            this.showNotification('🛠️ Recherche de la VOD...');
+        }
+    }
+
+    /**
+     * Recover a VOD without metadata from its broadcast info.
+     * Without arguments the user is prompted; trackerUrl is a stream tracker
+     * URL (or "login broadcastId"), startTime a UTC date or unix timestamp.
+     * On a VOD page the current VOD is recovered, elsewhere the broadcast id
+     * is opened as the VOD id.
+     */
+    async recoverVod(trackerUrl, startTime) {
+        let params;
+
+        try {
+            if (trackerUrl) {
+                const broadcast = this.vodRecovery.parseTrackerUrl(trackerUrl);
+                const start = this.vodRecovery.parseStartTime(String(startTime ?? ''));
+
+                if (!broadcast || !start) {
+                    throw new Error('Lien ou date de début non reconnu');
+                }
+
+                params = { ...broadcast, ...start };
+            } else {
+                params = this.vodRecovery.promptParams();
+            }
+        } catch (error) {
+            this.showNotification(`⚠️ ${error.message}`);
+            return;
+        }
+
+        if (!params) return;
+
+        const vodId = this.currentPageVodId || params.broadcastId;
+        await this.vodRecovery.save(vodId, params);
+
+        // The player only asks usher for the VOD on load
+        if (this.currentPageVodId) {
+            window.location.reload();
+        } else {
+            window.location.href = `https://www.twitch.tv/videos/${vodId}`;
+        }
+    }
+
+    /**
+     * Start the VOD page loop (muted ranges and skipping)
+     */
+    startVodPageLoop() {
+        if (this.vodPageInterval) return;
+
+        this.vodPageInterval = setInterval(() => this.updateVodPage(), 500);
+    }
+
+    /**
+     * Stop the VOD page loop and clean up its UI
+     */
+    stopVodPageLoop() {
+        if (this.vodPageInterval) {
+            clearInterval(this.vodPageInterval);
+            this.vodPageInterval = null;
+        }
+
+        this.currentPageVodId = null;
+        this.mutedSegments = null;
+        this.audioOnlyAppliedTo = null;
+
+        if (this.ui) {
+            this.ui.removeMutedRanges();
+            this.ui.removeSkipMutedToggle();
+            this.ui.removeAudioOnlyToggle();
+            this.ui.removeDiagnosticsPanel();
+            this.ui.removeExportButton();
+            this.ui.removeExportPanel();
+            this.ui.removePlaylistButton();
+            this.ui.removePlaylistPanel();
+        }
+
+        this.vodExport?.cancel();
+    }
+
+    /**
+     * Keep the audio only mode applied, muted ranges drawn and skip them when enabled
+     */
+    updateVodPage() {
+        if (!this.ui) return;
+
+        this.ui.updateAudioOnlyToggle(this.settings.audioOnly);
+
+        // Twitch re-renders the player, keep the panel of unlocked VODs in place
+        if (this.diagnostics[this.currentPageVodId]) {
+            this.ui.renderDiagnosticsPanel(this.diagnostics[this.currentPageVodId]);
+        }
+
+        if (this.getExportPlaylistUrl()) {
+            this.ui.updateExportButton();
+        }
+
+        this.ui.updatePlaylistButton();
+
+        // Once per VOD, so the user can still pick another quality in the player
+        if (this.settings.audioOnly && this.audioOnlyAppliedTo !== this.currentPageVodId) {
+            const player = this.getPageMediaPlayer();
+
+            if (player && this.setPlayerAudioOnly(player, true, false)) {
+                this.audioOnlyAppliedTo = this.currentPageVodId;
+            }
+        }
+
+        if (!this.mutedSegments || this.mutedSegments.ranges.length === 0) return;
+
+        const { ranges, duration } = this.mutedSegments;
+
+        this.ui.renderMutedRanges(ranges, duration);
+        this.ui.updateSkipMutedToggle(this.settings.skipMuted);
+
+        if (!this.settings.skipMuted) return;
+
+        const video = document.querySelector('video');
+        if (!video || video.paused || video.seeking) return;
+
+        const range = ranges.find(r => video.currentTime >= r.start && video.currentTime < r.end - 0.5);
+        if (range) {
+            console.log(`[TNS-DVR] Skipping muted section ${this.formatTime(range.start)} - ${this.formatTime(range.end)}`);
+            video.currentTime = Math.min(range.end, duration);
+        }
+    }
+
+    /**
+     * Toggle the "skip muted sections" mode
+     */
+    toggleSkipMuted() {
+        this.settings.skipMuted = !this.settings.skipMuted;
+        this.saveSettings();
+        this.ui.updateSkipMutedToggle(this.settings.skipMuted);
+        this.showNotification(this.settings.skipMuted ? '🔇 Sections muettes ignorées' : '🔇 Sections muettes lues');
+    }
+
+    /**
+     * Variant playlist to export from: the one being played, or the best
+     * variant the worker resolved for an unlocked VOD
+     */
+    getExportPlaylistUrl() {
+        if (this.mutedSegments?.url && this.mutedSegments.vodId === this.currentPageVodId) {
+            return this.mutedSegments.url;
+        }
+
+        return this.diagnostics[this.currentPageVodId]?.variants[0]?.url || null;
+    }
+
+    /**
+     * Open the export panel with a minute from the current position, or close it
+     */
+    toggleExportPanel() {
+        if (this.ui.isExportPanelOpen()) {
+            if (!this.vodExport.running) this.ui.removeExportPanel();
+            return;
+        }
+
+        const video = document.querySelector('video');
+        const current = video ? video.currentTime : 0;
+
+        this.ui.showExportPanel(this.formatTime(current), this.formatTime(current + 60));
+    }
+
+    /**
+     * Export a range of the current VOD (times as typed in the panel) to an MP4 file
+     */
+    async exportRange(startText, endText) {
+        const vodId = this.currentPageVodId;
+        const playlistUrl = this.getExportPlaylistUrl();
+        const start = this.parseTime(startText);
+        const end = this.parseTime(endText);
+
+        if (!playlistUrl) {
+            this.ui.updateExportPanel(false, 0, 'Playlist de la VOD introuvable');
+            return;
+        }
+
+        if (start === null || end === null || end <= start) {
+            this.ui.updateExportPanel(false, 0, 'Plage invalide');
+            return;
+        }
+
+        this.vodExport.onProgress = (done, total) => {
+            const status = done < total ? `Téléchargement ${done}/${total}` : 'Conversion en MP4…';
+            this.ui.updateExportPanel(true, done / total, status);
+        };
+
+        this.ui.updateExportPanel(true, 0, 'Chargement de la playlist…');
+
+        try {
+            const blob = await this.vodExport.export(playlistUrl, start, end);
+            const filename = `twitch-${vodId}-${this.formatVodTimestamp(start)}-${this.formatVodTimestamp(end)}.mp4`;
+
+            this.vodExport.save(blob, filename);
+            this.ui.updateExportPanel(false, 1, `Terminé (${(blob.size / 1048576).toFixed(1)} Mo)`);
+            this.showNotification('✂️ Extrait enregistré');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.ui.updateExportPanel(false, 0, 'Export annulé');
+                return;
+            }
+
+            console.error('[TNS-DVR] Export failed:', error);
+            this.ui.updateExportPanel(false, 0, `Échec : ${error.message}`);
+        }
+    }
+
+    /**
+     * Cancel the running export, or close the panel when idle
+     */
+    cancelExport() {
+        if (this.vodExport.running) {
+            this.vodExport.cancel();
+        } else {
+            this.ui.removeExportPanel();
+        }
+    }
+
+    /**
+     * VOD the playlist panel exports, with the current position in it:
+     * the VOD page, or the archive VOD of the live stream
+     */
+    getPlaylistTarget() {
+        if (this.currentPageVodId) {
+            const video = document.querySelector('video');
+            return { vodId: this.currentPageVodId, position: video ? video.currentTime : 0 };
+        }
+
+        if (this.isActive && this.currentVodId) {
+            const player = this.isWatchingVod ? this.getVodEmbedPlayer() : null;
+            const position = player?.getCurrentTime
+                ? player.getCurrentTime()
+                : this.getElapsedTime() - this.getBufferInfo().behindLive;
+
+            return { vodId: this.currentVodId, position };
+        }
+
+        return null;
+    }
+
+    /**
+     * Open the playlist panel once the worker resolved the playlist, or close it
+     */
+    async togglePlaylistPanel() {
+        if (this.ui.isPlaylistPanelOpen()) {
+            this.ui.removePlaylistPanel();
+            return;
+        }
+
+        const target = this.getPlaylistTarget();
+        if (!target) return;
+
+        this.showNotification('📋 Préparation de la playlist...');
+
+        try {
+            const playlist = await this.playlistExport.getPlaylist(target.vodId);
+            this.ui.showPlaylistPanel(playlist.variants, this.formatTime(target.position));
+        } catch (error) {
+            console.error('[TNS-DVR] Could not get the VOD playlist:', error);
+            this.showNotification(`⚠️ Playlist indisponible : ${this.describeFailure(error.message)}`);
+        }
+    }
+
+    /**
+     * Copy or download the playlist picked in the panel
+     */
+    async exportPlaylist(action, quality, startText) {
+        const target = this.getPlaylistTarget();
+        if (!target) return;
+
+        let start = null;
+
+        if (startText.trim()) {
+            start = this.parseTime(startText);
+
+            if (start === null) {
+                this.ui.updatePlaylistStatus('Début invalide');
+                return;
+            }
+        }
+
+        try {
+            const { text, filename } = await this.playlistExport.build(target.vodId, quality, start);
+
+            if (action === 'copy') {
+                await this.playlistExport.copy(text);
+                this.ui.updatePlaylistStatus('Playlist copiée');
+            } else {
+                this.playlistExport.download(text, filename);
+                this.ui.updatePlaylistStatus('Playlist téléchargée');
+            }
+        } catch (error) {
+            console.error('[TNS-DVR] Playlist export failed:', error);
+            this.ui.updatePlaylistStatus(`Échec : ${this.describeFailure(error.message)}`);
+        }
+    }
+
+    /**
+     * Toggle the audio only mode, on the VOD page player and the VOD overlay
+     */
+    toggleAudioOnly() {
+        const enabled = !this.settings.audioOnly;
+
+        this.settings.audioOnly = enabled;
+        this.saveSettings();
+
+        let applied = false;
+
+        if (this.currentPageVodId) {
+            const player = this.getPageMediaPlayer();
+            applied = !!player && this.setPlayerAudioOnly(player, enabled, false);
+            this.audioOnlyAppliedTo = enabled && applied ? this.currentPageVodId : null;
+            this.ui.updateAudioOnlyToggle(enabled);
+        }
+
+        if (this.isWatchingVod) {
+            const player = this.getVodEmbedPlayer();
+            applied = (!!player && this.setPlayerAudioOnly(player, enabled, true)) || applied;
+        }
+
+        if (this.vodOverlay) {
+            this.ui.updateOverlayAudioOnlyToggle(this.vodOverlay, enabled);
+        }
+
+        if (enabled && !applied && (this.currentPageVodId || this.isWatchingVod)) {
+            this.showNotification('⚠️ Pas de version audio seule pour cette VOD');
+        } else {
+            this.showNotification(enabled ? '🎧 Audio seul activé' : '🎧 Audio seul désactivé');
+        }
+    }
+
+    /**
+     * Switch a player to the audio_only rendition, or back to the quality it had.
+     * The page player takes quality objects, the embed player group names.
+     * Returns false when the player has no audio only rendition.
+     */
+    setPlayerAudioOnly(player, enabled, useGroupNames) {
+        try {
+            const qualities = player.getQualities?.() || [];
+            const current = player.getQuality?.();
+            const currentGroup = typeof current === 'string' ? current : current?.group;
+
+            const select = (quality) => player.setQuality(useGroupNames ? quality.group : quality);
+
+            if (enabled) {
+                const audio = qualities.find(quality => quality.group === 'audio_only');
+                if (!audio) return false;
+
+                if (currentGroup !== 'audio_only') {
+                    this.qualityBeforeAudioOnly = {
+                        group: currentGroup || null,
+                        auto: !!player.isAutoQualityMode?.()
+                    };
+                    select(audio);
+                }
+
+                return true;
+            }
+
+            if (currentGroup !== 'audio_only') return true;
+
+            const before = this.qualityBeforeAudioOnly;
+            const previous = qualities.find(quality => quality.group === before?.group) ||
+                qualities.find(quality => quality.group !== 'audio_only' && quality.group !== 'auto');
+
+            if (before?.auto && player.setAutoQualityMode) {
+                player.setAutoQualityMode(true);
+            } else if (previous) {
+                select(previous);
+            }
+
+            return true;
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not change player quality:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Find the Twitch media player of the page through the React tree
+     */
+    getPageMediaPlayer() {
+        const element = document.querySelector('[data-a-target="video-player"]') ||
+            document.querySelector('.video-player');
+        if (!element) return null;
+
+        const fiberKey = Object.keys(element).find(key => key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'));
+        let fiber = fiberKey ? element[fiberKey] : null;
+
+        for (let depth = 0; fiber && depth < 50; depth++) {
+            const instance = fiber.memoizedProps?.mediaPlayerInstance || fiber.stateNode?.props?.mediaPlayerInstance;
+            if (instance) {
+                return instance.core || instance;
+            }
+
+            fiber = fiber.return;
+        }
+
+        return null;
+    }
+
+    /**
+     * Player of the VOD overlay embed
+     */
+    getVodEmbedPlayer() {
+        if (!this.vodPlayer) return null;
+
+        return this.vodPlayer.getPlayer ? this.vodPlayer.getPlayer() : this.vodPlayer;
+    }
+
+    /**
+     * Load persisted settings
+     */
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('tns-dvr-settings'));
+            if (saved) {
+                Object.assign(this.settings, saved);
+            }
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not load settings:', e);
+        }
+    }
+
+    /**
+     * Persist settings
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem('tns-dvr-settings', JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('[TNS-DVR] Could not save settings:', e);
+        }
+    }
+
+    /**
+     * Show the "Return to Live" button
+     */
+    showReturnToLiveButton(channelLogin, channelName) {
+        this.removeReturnToLiveButton();
+
+        const waitForControls = () => {
+            if (!this.ui) {
+                this.ui = new window.TNS_DVRUI();
+            }
+
+            this.ui.onReturnToLive = (login) => this.navigateToLive(login);
+            const button = this.ui.createReturnToLiveButton(channelLogin, channelName);
+
+            if (!button) {
+                setTimeout(waitForControls, 500);
+            }
+        };
+
+        waitForControls();
+    }
+
+    /**
+     * Remove the return to live button
+     */
+    removeReturnToLiveButton() {
+        if (this.ui) {
+            this.ui.removeReturnToLiveButton();
+        }
+        const existing = document.getElementById('tns-return-live-btn');
+        if (existing) {
+            existing.remove();
+        }
+    }
+
+    /**
+     * Navigate back to live stream
+     */
+    navigateToLive(channelLogin) {
+        // If we are just watching the VOD overlay, just switch back!
+        if (this.isWatchingVod) {
+            this.switchToLive();
+            return;
+        }
+
+        const liveUrl = `/${channelLogin}`;
+
+        console.log(`[TNS-DVR] Returning to live: ${liveUrl}`);
+        this.showNotification(`🔴 Retour au live...`);
+
+        window.history.pushState({ tns_dvr: true }, '', `https://www.twitch.tv${liveUrl}`);
+        window.dispatchEvent(new PopStateEvent('popstate', { state: { tns_dvr: true } }));
+    }
+
+    /**
+     * Get stream info including VOD ID using Twitch GQL
+     */
+    async checkStreamInfo(channelName) {
+        const result = await this.gql.getStream(channelName);
+        const GQLResult = window.TNS_GQLResult;
+
+        if (result.status === GQLResult.OK) {
+            const stream = result.data;
+
+            return {
+                isLive: true,
+                streamId: stream.id,
+                streamStartTime: new Date(stream.createdAt).getTime(),
+                vodId: stream.archiveVideo?.id || null,
+                vodCreatedAt: stream.archiveVideo?.createdAt ? new Date(stream.archiveVideo.createdAt).getTime() : null,
+                vodStatus: stream.archiveVideo?.status || null
+            };
+        }
+
+        if (result.status === GQLResult.NETWORK_ERROR || result.status === GQLResult.ERROR) {
+            console.error(`[TNS-DVR] Error checking stream info (${result.status}):`, result.error);
+            return { isLive: false, failed: true, error: result.error };
+        }
+
+        // Offline or unknown channel
+        return { isLive: false };
+    }
+
+    /**
+     * Refresh VOD info to get latest ID
+     */
+    async refreshVodInfo() {
+        if (!this.currentChannel) return;
+
+        const info = await this.checkStreamInfo(this.currentChannel);
+        if (info.vodId) {
+            this.currentVodId = info.vodId;
+            console.log(`[TNS-DVR] Updated VOD ID: ${this.currentVodId}`);
+        }
+    }
+
+    /**
+     * Start DVR tracking for a channel
+     */
+    async startDVR(channelName, streamInfo) {
+        if (this.isActive && this.currentChannel === channelName) {
+            return;
+        }
+
+        console.log(`[TNS-DVR] Starting DVR for: ${channelName}`);
+
+        this.currentChannel = channelName;
+        this.isActive = true;
+        this.streamStartTime = streamInfo.streamStartTime;
+        this.currentVodId = streamInfo.vodId;
+
+        if (this.currentVodId) {
+            console.log(`[TNS-DVR] VOD available: ${this.currentVodId} - Full DVR enabled!`);
+            // Preload VOD overlay
+            this.createVodOverlay();
+        } else {
+            console.log('[TNS-DVR] No VOD available - Limited to buffer only');
+        }
+
+        // Start tracking
+        this.tracker.startTracking(channelName);
+        this.tracker.streamStartTime = streamInfo.streamStartTime;
+        this.tracker.setVariants(this.liveVariants[channelName.toLowerCase()] || []);
+
+        // Create and attach UI
+        this.ui.create();
+
+        // Wait for player to be ready
+        this.waitForPlayer().then(() => {
+            this.ui.attach();
+            this.startUpdateLoop();
+        });
+
+        // Refresh VOD info periodically
+        this.vodRefreshInterval = setInterval(() => {
+            if (!this.currentVodId) {
+                this.refreshVodInfo();
+            }
+        }, 30000);
+    }
+
+    /**
+     * Create the VOD overlay container and player
+     */
+    createVodOverlay() {
+        if (this.vodOverlay) return;
+
+        const playerContainer = document.querySelector('.video-player__container') ||
+            document.querySelector('[data-a-target="video-player"]');
+
+        if (!playerContainer) {
+            console.warn('[TNS-DVR] Could not find player container for VOD overlay');
+            return;
+        }
+
+        // Create overlay container
+        this.vodOverlay = document.createElement('div');
+        this.vodOverlay.id = 'tns-vod-overlay';
+        this.vodOverlay.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            z-index: 50;
+            background: #000;
+            display: none;
+        `;
+
+        // Create container for Twitch embed
+        const embedContainer = document.createElement('div');
+        embedContainer.id = 'tns-vod-embed';
+        embedContainer.style.cssText = `
+            width: 100%;
+            height: 100%;
+        `;
+        this.vodOverlay.appendChild(embedContainer);
+
+        // Add return to live button inside overlay
+        const returnBtn = document.createElement('button');
+        returnBtn.id = 'tns-vod-return-btn';
+        returnBtn.innerHTML = '🔴 Retour au Live';
+        returnBtn.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            z-index: 100;
+            padding: 8px 16px;
+            background: linear-gradient(135deg, #eb0400 0%, #cc0000 100%);
+            border: none;
+            border-radius: 4px;
+            color: white;
+            font-family: 'Roobert', 'Inter', sans-serif;
+            font-size: 13px;
+            font-weight: 700;
+            cursor: pointer;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            transition: all 0.2s ease;
+        `;
+        returnBtn.onmouseenter = () => {
+            returnBtn.style.transform = 'scale(1.05)';
+        };
+        returnBtn.onmouseleave = () => {
+            returnBtn.style.transform = 'scale(1)';
+        };
+        returnBtn.onclick = () => this.switchToLive();
+        this.vodOverlay.appendChild(returnBtn);
+
+        this.ui.updateOverlayAudioOnlyToggle(this.vodOverlay, this.settings.audioOnly);
+
+        // Insert overlay into player container
+        playerContainer.style.position = 'relative';
+        playerContainer.appendChild(this.vodOverlay);
+
+        console.log('[TNS-DVR] VOD overlay container created');
+    }
+
+    /**
+     * Initialize the VOD embed player
+     */
+    /**
+     * Initialize the VOD embed player or reuse existing
+     */
+    initVodEmbed(vodId, startTime = 0) {
+        // Reuse existing player if same VOD
+        if (this.vodPlayer && this.lastVodId === vodId) {
+            console.log('[TNS-DVR] Reusing existing VOD player, seeking to:', startTime);
+            try {
+                if (this.vodPlayer.seek) {
+                    this.vodPlayer.seek(startTime);
+                } else if (this.vodPlayer.setVideo) {
+                    // Use formatVodTimestamp for seek if standard seek not available/working
+                    // But setVideo usually takes ID and time
+                    this.vodPlayer.seek(startTime);
+                }
+            } catch (e) {
+                console.error('[TNS-DVR] Seek failed:', e);
+            }
+            return;
+        }
+
+        if (!window.Twitch?.Embed) {
+            console.warn('[TNS-DVR] Twitch Embed API not loaded yet');
+            // Fallback to iframe
+            this.createVodIframe(vodId, startTime);
+            return;
+        }
+
+        const embedContainer = document.getElementById('tns-vod-embed');
+        if (!embedContainer) return;
+
+        // Clear existing embed ONLY if we are creating a new one
+        embedContainer.innerHTML = '';
+        this.lastVodId = vodId;
+
+        try {
+            // Options: layout video to hide chat (we want full video)
+            // No direct way to hide controls via Embed options officially, usually controlled by CSS in parent or query params
+            this.vodPlayer = new window.Twitch.Embed('tns-vod-embed', {
+                width: '100%',
+                height: '100%',
+                video: vodId,
+                time: this.formatVodTimestamp(startTime),
+                autoplay: true,
+                muted: false,
+                layout: 'video', // Attempt to hide chat/surroundings
+                parent: ['twitch.tv', 'www.twitch.tv']
+            });
+
+            this.vodPlayer.addEventListener(window.Twitch.Embed.VIDEO_READY, () => {
+                console.log('[TNS-DVR] VOD embed ready');
+                this.vodEmbedLoaded = true;
+                // Once ready, we can control it better
+            });
+
+            // Listen to play/pause to sync if needed
+            this.vodPlayer.addEventListener(window.Twitch.Embed.VIDEO_PLAY, () => {
+                this.isWatchingVod = true;
+
+                // Qualities are only known once playback started
+                if (this.settings.audioOnly) {
+                    const player = this.getVodEmbedPlayer();
+                    if (player) this.setPlayerAudioOnly(player, true, true);
+                }
+            });
+
+            console.log('[TNS-DVR] VOD embed initialized for video:', vodId);
+        } catch (error) {
+            console.error('[TNS-DVR] Error creating VOD embed:', error);
+            this.createVodIframe(vodId, startTime);
+        }
+    }
+
+    /**
+     * Create VOD player using iframe (fallback)
+     */
+    createVodIframe(vodId, startTime = 0) {
+        const embedContainer = document.getElementById('tns-vod-embed');
+        if (!embedContainer) return;
+
+        // Reuse iframe if it exists and we just want to seek? 
+        // Changing src triggers reload. postMessage is needed for seeking without reload.
+        // For now, simple reload fallback is acceptable if Embed fails.
+        embedContainer.innerHTML = '';
+        this.lastVodId = vodId;
+
+        const iframe = document.createElement('iframe');
+        iframe.id = 'tns-vod-iframe';
+        iframe.src = `https://player.twitch.tv/?video=${vodId}&time=${this.formatVodTimestamp(startTime)}&parent=twitch.tv&autoplay=true`;
+        iframe.style.cssText = `
+            width: 100%;
+            height: 100%;
+            border: none;
+        `;
+        iframe.allowFullscreen = true;
+        iframe.allow = 'autoplay; fullscreen';
+
+        embedContainer.appendChild(iframe);
+        this.vodEmbedLoaded = true;
+
+        console.log('[TNS-DVR] VOD iframe created for video:', vodId);
+    }
+
+    /**
+     * Switch to VOD overlay at specified position
+     */
+    async switchToVod(vodPositionSeconds) {
+        if (!this.currentVodId) {
+            await this.refreshVodInfo();
+        }
+
+        if (!this.currentVodId) {
+            console.warn('[TNS-DVR] No VOD available for this stream');
+            this.showNotification('⚠️ VOD pas encore disponible - Le streamer doit avoir les VODs activés');
+            return;
+        }
+
+        const adjustedPosition = Math.max(0, vodPositionSeconds - 5);
+
+        console.log(`[TNS-DVR] Switching to VOD overlay at ${this.formatTime(adjustedPosition)}`);
+
+        // Only show notification if switching from live to VOD
+        if (!this.isWatchingVod) {
+            this.showNotification(`⏪ Chargement VOD...`);
+        } else {
+            // Just seeking logic visual feedback could move handle inside UI
+        }
+
+        // Create overlay if needed
+        if (!this.vodOverlay) {
+            this.createVodOverlay();
+        }
+
+        // Initialize or update VOD player (will seek if already exists)
+        this.initVodEmbed(this.currentVodId, adjustedPosition);
+
+        // Show overlay
+        if (this.vodOverlay) {
+            this.vodOverlay.style.display = 'block';
+            this.isWatchingVod = true;
+
+            // Mute live player
+            if (this.playerElement) {
+                this.playerElement.muted = true;
+            }
+
+            if (!this.isWatchingVod) { // Only log once
+                this.showNotification(`✅ VOD chargée`);
+                console.log('[TNS-DVR] Switched to VOD overlay');
+            }
+        }
+    }
+
+    /**
+     * Switch back to live player
+     */
+    switchToLive() {
+        console.log('[TNS-DVR] Switching back to live');
+
+        if (this.vodOverlay) {
+            this.vodOverlay.style.display = 'none';
+        }
+
+        this.isWatchingVod = false;
+
+        // Unmute and seek to live
+        if (this.playerElement) {
+            this.playerElement.muted = false;
+
+            // Seek to live position
+            if (this.playerElement.buffered.length > 0) {
+                const livePosition = this.playerElement.buffered.end(this.playerElement.buffered.length - 1);
+                this.playerElement.currentTime = livePosition;
+            }
+        }
+
+        this.showNotification('🔴 Retour au Live');
+    }
+
+    /**
+     * Stop DVR tracking
+     */
+    stopDVR() {
+        if (!this.isActive) return;
+
+        console.log('[TNS-DVR] Stopping DVR');
+
+        this.isActive = false;
+        this.currentChannel = null;
+        this.currentVodId = null;
+        this.streamStartTime = null;
+        this.isWatchingVod = false;
+        this.liveWindow = null;
+
+        this.tracker.stopTracking();
+        this.ui.hide();
+        this.ui.removePlaylistButton();
+        this.ui.removePlaylistPanel();
+
+        // Clean up VOD overlay
+        if (this.vodOverlay) {
+            this.vodOverlay.remove();
+            this.vodOverlay = null;
+            this.vodPlayer = null;
+            this.vodEmbedLoaded = false;
+        }
+
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
+
+        if (this.vodRefreshInterval) {
+            clearInterval(this.vodRefreshInterval);
+            this.vodRefreshInterval = null;
+        }
+    }
+
+    /**
+     * Wait for the Twitch player element to be available
+     */
+    waitForPlayer() {
+        return new Promise((resolve) => {
+            const checkPlayer = () => {
+                const player = document.querySelector('video');
+                if (player) {
+                    this.playerElement = player;
+                    resolve(player);
+                    return true;
+                }
+                return false;
+            };
+
+            if (checkPlayer()) return;
+
+            this.playerCheckInterval = setInterval(() => {
+                if (checkPlayer()) {
+                    clearInterval(this.playerCheckInterval);
+                }
+            }, 500);
+
+            setTimeout(() => {
+                if (this.playerCheckInterval) {
+                    clearInterval(this.playerCheckInterval);
+                    resolve(null);
+                }
+            }, 30000);
+        });
+    }
+
+    /**
+     * Setup navigation observer for SPA
+     */
+    setupNavigationObserver() {
+        window.addEventListener('popstate', () => {
+            setTimeout(() => this.checkCurrentPage(), 100);
+        });
+
+        const originalPushState = history.pushState;
+        const originalReplaceState = history.replaceState;
+
+        history.pushState = (...args) => {
+            originalPushState.apply(history, args);
+            setTimeout(() => this.checkCurrentPage(), 100);
+        };
+
+        history.replaceState = (...args) => {
+            originalReplaceState.apply(history, args);
+            setTimeout(() => this.checkCurrentPage(), 100);
+        };
+    }
+
+    /**
+     * Setup hover detection for showing/hiding UI
+     */
+    setupHoverDetection() {
+        document.addEventListener('mousemove', (e) => {
+            if (!this.isActive) return;
+
+            const playerContainer = document.querySelector('.video-player__container') ||
+                document.querySelector('[data-a-target="video-player"]');
+
+            if (playerContainer) {
+                const rect = playerContainer.getBoundingClientRect();
+                const isOverPlayer = e.clientX >= rect.left &&
+                    e.clientX <= rect.right &&
+                    e.clientY >= rect.top &&
+                    e.clientY <= rect.bottom;
+
+                if (isOverPlayer) {
+                    this.showUI();
+                } else {
+                    // Hide immediately when cursor leaves
+                    this.hideUI();
+                }
+            }
+        });
+
+        // Also hide when mouse leaves the document
+        document.addEventListener('mouseleave', () => {
+            if (this.isActive) {
+                this.hideUI();
+            }
+        });
+    }
+
+    /**
+     * Show the DVR UI
+     */
+    showUI() {
+        if (this.isActive) {
+            this.ui.show();
+        }
+    }
+
+    /**
+     * Hide the DVR UI
+     */
+    hideUI() {
+        this.ui.hide();
+    }
+
+    /**
+     * Get elapsed time since stream start
+     */
+    getElapsedTime() {
+        if (!this.streamStartTime) return 0;
+
+        // Broadcast time of the live edge from the playlists, so positions
+        // don't depend on the network latency or when the page was loaded
+        const liveEdgeTime = this.tracker?.getLiveEdgeTime() || Date.now();
+
+        return Math.max(0, Math.floor((liveEdgeTime - this.streamStartTime) / 1000));
+    }
+
+    /**
+     * Get the actual buffer information from the video element
+     */
+    getBufferInfo() {
+        if (!this.playerElement) {
+            return { start: 0, end: 0, duration: 0, currentTime: 0, behindLive: 0, positionPercent: 100 };
+        }
+
+        const video = this.playerElement;
+        let bufferStart = 0;
+        let bufferEnd = 0;
+
+        if (video.buffered.length > 0) {
+            bufferStart = video.buffered.start(0);
+            bufferEnd = video.buffered.end(video.buffered.length - 1);
+        }
+
+        // The player can also seek to the segments the worker kept in its
+        // live playlist, before what is buffered
+        if (this.liveWindow && !this.isWatchingVod && Date.now() - this.liveWindow.receivedAt < 30000) {
+            bufferStart = Math.max(0, Math.min(bufferStart, bufferEnd - this.liveWindow.duration));
+        }
+
+        const currentTime = video.currentTime;
+        const bufferDuration = bufferEnd - bufferStart;
+        const behindLive = Math.max(0, bufferEnd - currentTime);
+
+        return {
+            start: bufferStart,
+            end: bufferEnd,
+            duration: bufferDuration,
+            currentTime: currentTime,
+            behindLive: behindLive,
+            positionPercent: bufferDuration > 0 ? ((currentTime - bufferStart) / bufferDuration) * 100 : 100
+        };
+    }
+
+    /**
+     * Start the UI update loop
+     */
+    startUpdateLoop() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+
+        this.updateInterval = setInterval(() => {
+            this.updateUI();
+        }, 250);
+
+        this.updateUI();
+    }
+
+    /**
+     * Update the UI with current state
+     */
+    updateUI() {
+        if (!this.isActive || !this.playerElement) return;
+
+        const bufferInfo = this.getBufferInfo();
+        const elapsed = this.getElapsedTime();
+
+        // Determine if we're at live (within 2 seconds)
+        const isAtLive = bufferInfo.behindLive < 2 && !this.isWatchingVod;
+
+        // Build info string
+        let bufferText = this.formatTime(bufferInfo.duration);
+        if (this.currentVodId) {
+            bufferText = `DVR: ${this.formatTime(elapsed)}`;
+        }
+
+        if (this.currentVodId) {
+            this.ui.updatePlaylistButton();
+        }
+
+        this.ui.updateProgress({
+            position: isAtLive ? 100 : Math.max(0, 100 - (bufferInfo.behindLive / elapsed * 100)),
+            bufferPosition: 100,
+            currentTime: this.formatTime(elapsed),
+            duration: this.formatTime(elapsed),
+            isAtLive: isAtLive,
+            behindLive: this.formatTime(bufferInfo.behindLive),
+            bufferDuration: bufferText,
+            hasVod: !!this.currentVodId,
+            isWatchingVod: this.isWatchingVod,
+            adBreaks: this.getAdBreakRegions(elapsed)
+        });
+    }
+
+    /**
+     * Stitched ad breaks of the tracker, as seekbar percentages
+     */
+    getAdBreakRegions(elapsed) {
+        if (!this.streamStartTime || !elapsed || !this.tracker) return [];
+
+        return this.tracker.adBreaks.map(adBreak => ({
+            start: Math.max(0, (adBreak.startTime - this.streamStartTime) / 1000 / elapsed * 100),
+            end: Math.min(100, (adBreak.endTime - this.streamStartTime) / 1000 / elapsed * 100)
+        })).filter(region => region.end > region.start);
+    }
+
+    /**
+     * Format seconds to MM:SS or HH:MM:SS
+     */
+    formatTime(seconds) {
+        if (isNaN(seconds) || seconds < 0) seconds = 0;
+        seconds = Math.floor(seconds);
+
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        if (hrs > 0) {
+            return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        }
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse H:MM:SS, M:SS or seconds, null when invalid
+     */
+    parseTime(text) {
+        const parts = String(text).trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+        return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    /**
+     * Format seconds to Twitch VOD timestamp (XhYmZs)
+     */
+    formatVodTimestamp(seconds) {
+        seconds = Math.floor(seconds);
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+
+        let timestamp = '';
+        if (hrs > 0) timestamp += `${hrs}h`;
+        if (mins > 0 || hrs > 0) timestamp += `${mins}m`;
+        timestamp += `${secs}s`;
+
+        return timestamp;
+    }
+
+    /**
+     * Handle stream started event
+     */
+    handleStreamStarted(data) {
+        console.log(`[TNS-DVR] Stream started: ${data.channelName}`);
+    }
+
+    /**
+     * Handle stream ended event
+     */
+    handleStreamEnded(data) {
+        console.log(`[TNS-DVR] Stream ended: ${data.channelName}`);
+        this.hideUI();
+    }
+
+    /**
+     * Handle seek from UI
+     */
+    handleSeek(positionPercent) {
+        const elapsed = this.getElapsedTime();
+        const bufferInfo = this.getBufferInfo();
+
+        // Calculate target time in seconds from stream start, elapsed is
+        // broadcast time so this is also the position in the VOD
+        let targetSecondsFromStart = (elapsed * positionPercent / 100);
+
+        // A stitched ad is no stream content, seek to the end of its break
+        const adBreak = this.tracker?.getAdBreakAt(this.streamStartTime + targetSecondsFromStart * 1000);
+        if (adBreak) {
+            targetSecondsFromStart = Math.min(elapsed, (adBreak.endTime - this.streamStartTime) / 1000);
+            console.log('[TNS-DVR] Target is in an ad break, skipping it');
+        }
+
+        const secondsBehindLive = elapsed - targetSecondsFromStart;
+
+        // The player also has the ads before live, more media than broadcast time
+        const mediaBehindLive = this.tracker?.getMediaBehindLive(this.streamStartTime + targetSecondsFromStart * 1000) ?? null;
+        const playerBehindLive = mediaBehindLive !== null ? mediaBehindLive / 1000 : secondsBehindLive;
+
+        console.log(`[TNS-DVR] Seek requested to: ${positionPercent.toFixed(1)}%`);
+        console.log(`[TNS-DVR] Target: ${this.formatTime(targetSecondsFromStart)} (${this.formatTime(secondsBehindLive)} behind live)`);
+        console.log(`[TNS-DVR] Buffer available: ${bufferInfo.duration.toFixed(1)}s`);
+
+        // If seeking to near-live, just go live
+        if (positionPercent >= 98 || secondsBehindLive < 5) {
+            this.handleGoLive();
+            return;
+        }
+
+        // Check if target is within buffer
+        if (playerBehindLive <= bufferInfo.duration) {
+            // Seek within buffer
+            const targetTime = bufferInfo.end - playerBehindLive;
+            console.log(`[TNS-DVR] Seeking within buffer to ${targetTime.toFixed(2)}s`);
+
+            // If watching VOD, switch back to live first
+            if (this.isWatchingVod) {
+                this.switchToLive();
+            }
+
+            this.seekLivePlayer(targetTime);
+        } else {
+            // Need to use VOD overlay
+            this.switchToVod(targetSecondsFromStart);
+        }
+    }
+
+    /**
+     * Seek the live player: the video element within its buffer, the Twitch
+     * player before it so it loads the segments of the extended live playlist
+     */
+    seekLivePlayer(targetTime) {
+        if (!this.playerElement) return;
+
+        const buffered = this.playerElement.buffered;
+        const isBuffered = buffered.length > 0 && targetTime >= buffered.start(0);
+        const player = isBuffered ? null : this.getPageMediaPlayer();
+
+        if (player && typeof player.seekTo === 'function') {
+            player.seekTo(targetTime);
+        } else {
+            this.playerElement.currentTime = targetTime;
+        }
+    }
+
+    /**
+     * Handle go live button click
+     */
+    handleGoLive() {
+        console.log('[TNS-DVR] Going to live');
+
+        // If watching VOD overlay, switch back
+        if (this.isWatchingVod) {
+            this.switchToLive();
+            return;
+        }
+
+        if (this.playerElement && this.playerElement.buffered.length > 0) {
+            const livePosition = this.playerElement.buffered.end(this.playerElement.buffered.length - 1);
+            this.playerElement.currentTime = livePosition;
+            console.log(`[TNS-DVR] Seeked to live: ${livePosition.toFixed(2)}s`);
+        }
+
+        // Also try clicking the native live button
+        const liveButton = document.querySelector('[data-a-target="player-seekbar-live-indicator"]');
+        if (liveButton) {
+            liveButton.click();
+        }
+    }
+
+    /**
+     * Handle preview tooltip position
+     */
+    handlePreview(positionPercent) {
+        const elapsed = this.getElapsedTime();
+
+        if (positionPercent >= 98) {
+            return 'LIVE';
+        }
+
+        const targetSeconds = elapsed * positionPercent / 100;
+        const behindLive = elapsed - targetSeconds;
+
+        if (behindLive < 1) {
+            return 'LIVE';
+        }
+
+        // Seeking skips the ad breaks
+        if (this.tracker?.getAdBreakAt(this.streamStartTime + targetSeconds * 1000)) {
+            return `-${this.formatTime(behindLive)} (Ad)`;
+        }
+
+        // Show (VOD) indicator if beyond buffer
+        const bufferInfo = this.getBufferInfo();
+        if (behindLive > bufferInfo.duration && this.currentVodId) {
+            return `-${this.formatTime(behindLive)} (VOD)`;
+        }
+
+        return `-${this.formatTime(behindLive)}`;
+    }
+
+    /**
+     * Show a temporary notification
+     */
+    showNotification(message) {
+        const existing = document.querySelector('.tns-dvr-notification');
+        if (existing) existing.remove();
+
+        const notification = document.createElement('div');
+        notification.className = 'tns-dvr-notification';
+        notification.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: linear-gradient(135deg, rgba(145, 71, 255, 0.95) 0%, rgba(102, 51, 153, 0.95) 100%);
+            color: white;
+            padding: 12px 24px;
+            border-radius: 8px;
+            font-family: 'Inter', 'Roobert', sans-serif;
+            font-size: 14px;
+            font-weight: 600;
+            z-index: 10000;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+            animation: tns-slide-in 0.3s ease;
+        `;
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        if (!document.getElementById('tns-notification-styles')) {
+            const style = document.createElement('style');
+            style.id = 'tns-notification-styles';
+            style.textContent = `
+                @keyframes tns-slide-in {
+                    from { opacity: 0; transform: translateX(-50%) translateY(-20px); }
+                    to { opacity: 1; transform: translateX(-50%) translateY(0); }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+
+        setTimeout(() => {
+            if (notification.parentElement) {
+                notification.style.opacity = '0';
+                notification.style.transition = 'opacity 0.3s ease';
+                setTimeout(() => notification.remove(), 300);
+            }
+        }, 3000);
+    }
+
+    /**
+     * Enable DVR feature
+     */
+    enable() {
+        this.settings.enabled = true;
+        this.checkCurrentPage();
+    }
+
+    /**
+     * Disable DVR feature
+     */
+    disable() {
+        this.settings.enabled = false;
+        this.stopDVR();
+    }
+
+    /**
+     * Get current state for debugging
+     */
+    getDebugInfo() {
+        return {
+            isActive: this.isActive,
+            currentChannel: this.currentChannel,
+            streamStartTime: this.streamStartTime,
+            elapsedTime: this.formatTime(this.getElapsedTime()),
+            currentVodId: this.currentVodId,
+            hasVodAccess: !!this.currentVodId,
+            isWatchingVod: this.isWatchingVod,
+            vodOverlayExists: !!this.vodOverlay,
+            vodEmbedLoaded: this.vodEmbedLoaded,
+            trackerState: this.tracker?.getState(),
+            mutedSegments: this.mutedSegments,
+            vodHost: this.vodHosts[this.currentPageVodId] || null,
+            audioOnly: this.settings.audioOnly,
+            diagnostics: this.diagnostics[this.currentPageVodId] || null,
+            bufferInfo: this.getBufferInfo(),
+            liveWindow: this.liveWindow,
+            settings: this.settings
+        };
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TNS_DVRController = DVRController;
+}
+
+// ---- src/dvr/dvr-inject.js ----
+/**
+ * TwitchNoSub DVR Injection Script
+ * Initializes the DVR feature when running on Twitch
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent double initialization
+    if (window.TNS_DVR_INITIALIZED) {
+        console.log('[TNS-DVR] Already initialized, skipping');
+        return;
+    }
+    window.TNS_DVR_INITIALIZED = true;
+
+    console.log('[TNS-DVR] DVR Injection script loaded');
+
+    /**
+     * Initialize DVR when page is ready
+     */
+    async function initDVR() {
+        try {
+            // Create and initialize controller
+            const controller = new window.TNS_DVRController();
+            await controller.initialize();
+
+            // Store globally for debugging
+            window.TNS_DVR = controller;
+
+            console.log('[TNS-DVR] DVR system fully initialized');
+            console.log('[TNS-DVR] Use window.TNS_DVR.getDebugInfo() for debugging');
+
+        } catch (error) {
+            console.error('[TNS-DVR] Failed to initialize DVR:', error);
+        }
+    }
+
+    // The modules before this one are loaded in the same pass (see manifest.json
+    // and dvr-loader.js), the controller only needs the DOM
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initDVR);
+    } else {
+        initDVR();
+    }
+
+})();
+
+}
+
+// Userscript menu commands
+document.addEventListener("tns:menu", (event) => {
+    const controller = window.TNS_DVR;
+
+    if (controller && typeof controller[event.detail] === "function") {
+        controller[event.detail]();
+    }
+});
+    }
+
+    // The page code needs the page context (player worker, Twitch player internals)
+    const script = document.createElement('script');
+    script.textContent = `(${tnsPage})(${tnsWorker});`;
+    (document.head || document.documentElement).appendChild(script);
+    script.remove();
+
+    if (typeof GM_registerMenuCommand !== 'undefined') {
+        for (const [label, action] of [["🔇 Passer les sections muettes (ON/OFF)","toggleSkipMuted"],["🎧 Audio seul (ON/OFF)","toggleAudioOnly"],["🛠️ Récupérer une VOD…","recoverVod"]]) {
+            GM_registerMenuCommand(label, () => {
+                document.dispatchEvent(new CustomEvent('tns:menu', { detail: action }));
+            });
+        }
+    }
+})();